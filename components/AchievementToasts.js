@@ -0,0 +1,27 @@
+import React from 'react';
+
+import { ACHIEVEMENTS } from '../lib/progress/achievements';
+import { SKINS } from '../lib/progress/skins';
+import { useTranslation } from './LocaleProvider';
+
+// --- Achievement Unlock Toasts (over whatever screen is showing) ---
+// `toasts` is [{ key, id }], newest last
+const AchievementToasts = ({ toasts }) => {
+    const { t } = useTranslation();
+
+    return (
+        <div className="fixed top-16 inset-x-0 z-50 flex flex-col items-center gap-2 pointer-events-none" aria-live="polite">
+            {toasts.map(({ key, id }) => {
+                const skinId = Object.keys(SKINS).find(skin => SKINS[skin].unlockedBy === id);
+                return (
+                    <div key={key} className="bg-gray-900/90 border border-yellow-400 text-white rounded-lg px-4 py-2 shadow-lg text-sm text-center">
+                        <p className="font-bold text-yellow-400">{ACHIEVEMENTS[id].emoji} {t('achievements.unlocked', { achievement: t(`achievements.list.${id}.label`) })}</p>
+                        {skinId && <p className="text-gray-300">{SKINS[skinId].emoji} {t('achievements.skinUnlocked', { skin: t(`skins.${skinId}`) })}</p>}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default AchievementToasts;
@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+
+import { CONTROL_SCHEMES, DEFAULT_CONTROLS, MOVE_ACTIONS, formatKeyCode, rebindKey } from '../lib/input/controls';
+import { getConnectedGamepad } from '../lib/input/gamepadInput';
+import { useTranslation } from './LocaleProvider';
+
+// --- Lobby Control Settings Panel ---
+const ControlsSettings = ({ controls, onChange }) => {
+    const { t } = useTranslation();
+    const [rebindingAction, setRebindingAction] = useState(null);
+    const [gamepadName, setGamepadName] = useState(null);
+
+    // Capture the next key press while rebinding
+    useEffect(() => {
+        if (!rebindingAction) return undefined;
+        const handleKeyDown = (e) => {
+            e.preventDefault();
+            if (e.code !== 'Escape') onChange(rebindKey(controls, rebindingAction, e.code));
+            setRebindingAction(null);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [rebindingAction, controls, onChange]);
+
+    // Show which controller (if any) is connected
+    useEffect(() => {
+        const updateGamepad = () => {
+            const gamepad = getConnectedGamepad();
+            setGamepadName(gamepad ? gamepad.id : null);
+        };
+        updateGamepad();
+        window.addEventListener('gamepadconnected', updateGamepad);
+        window.addEventListener('gamepaddisconnected', updateGamepad);
+        return () => {
+            window.removeEventListener('gamepadconnected', updateGamepad);
+            window.removeEventListener('gamepaddisconnected', updateGamepad);
+        };
+    }, []);
+
+    const toggleScheme = (scheme) => {
+        const schemes = { ...controls.schemes, [scheme]: !controls.schemes[scheme] };
+        if (!Object.values(schemes).some(Boolean)) return; // Keep at least one way to move
+        onChange({ ...controls, schemes });
+    };
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 text-left space-y-4">
+            <div className="space-y-2">
+                {CONTROL_SCHEMES.map(scheme => (
+                    <label key={scheme} className="flex items-center gap-2 text-white cursor-pointer">
+                        <input type="checkbox" checked={controls.schemes[scheme]} onChange={() => toggleScheme(scheme)} />
+                        {t(`controls.schemes.${scheme}`)}
+                    </label>
+                ))}
+            </div>
+
+            {controls.schemes.keyboard && (
+                <div>
+                    <p className="text-gray-400 text-sm mb-2">{t('controls.keyBindingsHint')}</p>
+                    <div className="grid grid-cols-2 gap-2">
+                        {MOVE_ACTIONS.map(action => (
+                            <button key={action} onClick={() => setRebindingAction(action)}
+                                className={`flex justify-between py-1 px-2 rounded ${rebindingAction === action ? 'bg-yellow-500 text-gray-900' : 'bg-gray-700 text-white'}`}>
+                                <span>{t(`controls.actions.${action}`)}</span>
+                                <span className="font-mono">{rebindingAction === action ? '...' : controls.keyBindings[action].map(formatKeyCode).join(' / ')}</span>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {controls.schemes.gamepad && (
+                <div>
+                    <p className="text-gray-400 text-sm">{gamepadName ? t('controls.gamepadConnected', { name: gamepadName }) : t('controls.gamepadHint')}</p>
+                    <label className="flex items-center gap-2 text-sm text-gray-400 mt-2">
+                        {t('controls.deadzone')}
+                        <input type="range" min={0.05} max={0.5} step={0.05} value={controls.gamepadDeadzone}
+                            onChange={e => onChange({ ...controls, gamepadDeadzone: Number(e.target.value) })} />
+                        <span className="font-mono">{controls.gamepadDeadzone.toFixed(2)}</span>
+                    </label>
+                </div>
+            )}
+
+            <button onClick={() => onChange(DEFAULT_CONTROLS)} className="text-sm text-gray-400 hover:text-white underline"> {t('controls.reset')} </button>
+        </div>
+    );
+};
+
+export default ControlsSettings;
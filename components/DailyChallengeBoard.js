@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+
+import { db, appId } from '../lib/firebase';
+import { formatSurvivalTime } from '../lib/rankings/boards';
+import { getDailyKey } from '../lib/rankings/daily';
+import { fetchDailyBoard, fetchDailyHistory } from '../lib/rankings/queries';
+import { useTranslation } from './LocaleProvider';
+
+const BOARD_SIZE = 10;
+const HISTORY_DAYS = 7;
+const REPLAY_BUTTON_RANKS = 3;
+// Daily keys name a calendar day, so it is formatted as that date in UTC
+const DAY_FORMAT = { month: 'numeric', day: 'numeric', timeZone: 'UTC' };
+
+// --- Daily Challenge Board (today and the past week's boards) ---
+// `refreshKey` changes whenever a new ranking may have been written.
+const DailyChallengeBoard = ({ userId, refreshKey, onWatchReplay }) => {
+    const { t, formatNumber, formatDate } = useTranslation();
+    const today = getDailyKey();
+    const [dailyKey, setDailyKey] = useState(today);
+    const [history, setHistory] = useState([]); // Past days' summaries, newest first
+    const [entries, setEntries] = useState(null); // null while loading
+
+    useEffect(() => {
+        if (!navigator.onLine) return;
+        fetchDailyHistory(db, appId, { days: HISTORY_DAYS + 1 })
+            .then(summaries => setHistory(summaries.filter(summary => summary.dailyKey !== today).slice(0, HISTORY_DAYS)))
+            .catch(error => console.error("Failed to load daily challenge history:", error));
+    }, [today, refreshKey]);
+
+    useEffect(() => {
+        if (!navigator.onLine) {
+            setEntries([]);
+            return;
+        }
+        setEntries(null);
+        fetchDailyBoard(db, appId, { dailyKey, pageSize: BOARD_SIZE })
+            .then(setEntries)
+            .catch(error => {
+                console.error("Failed to load daily challenge board:", error);
+                setEntries([]);
+            });
+    }, [dailyKey, refreshKey]);
+
+    const pastSummary = history.find(summary => summary.dailyKey === dailyKey);
+
+    return (
+        <div>
+            <div className="flex gap-1 mb-2 overflow-x-auto">
+                {[{ dailyKey: today }, ...history].map(summary => (
+                    <button key={summary.dailyKey} onClick={() => setDailyKey(summary.dailyKey)} className={`shrink-0 py-1 px-2 rounded text-sm ${dailyKey === summary.dailyKey ? 'bg-yellow-500 text-gray-900 font-bold' : 'bg-gray-700 text-white'}`}>
+                        {summary.dailyKey === today ? t('daily.today') : formatDate(`${summary.dailyKey}T00:00:00Z`, DAY_FORMAT)}
+                    </button>
+                ))}
+            </div>
+            {pastSummary && <p className="text-gray-400 text-xs mb-1">{t('daily.pastSummary', { player: pastSummary.topPlayerId, count: pastSummary.entryCount })}</p>}
+            <div className="bg-gray-900 rounded-lg p-4 max-h-64 overflow-y-auto">
+                {entries === null ? <p className="text-gray-400">{t('rankings.loading')}</p> : entries.length === 0 ? <p className="text-gray-400">{navigator.onLine ? t('rankings.empty') : t('rankings.waitingForConnection')}</p> : (
+                    <ul className="space-y-2">
+                        {entries.map((r, index) => (
+                            <li key={r.id} className={`flex justify-between items-center p-2 rounded ${index === 0 ? 'bg-yellow-500 text-gray-900 font-bold' : r.userId === userId ? 'bg-green-800' : 'bg-gray-700'}`}>
+                                <span className="text-left">{index + 1}. {r.playerId}<br /><span className="text-xs opacity-75">S{r.stage} · {formatSurvivalTime(r.survivalTime)} · 💎 {formatNumber(r.gemScore)}</span></span>
+                                <span>{t('common.points', { points: r.score })} {r.replayId && index < REPLAY_BUTTON_RANKS && <button onClick={() => onWatchReplay(r)} className="ml-2 underline" title={t('rankings.watchReplay')}>▶</button>}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default DailyChallengeBoard;
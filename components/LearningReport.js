@@ -0,0 +1,47 @@
+import React, { useMemo } from 'react';
+
+import { buildLearningReport } from '../lib/learning/report';
+import { useTranslation } from './LocaleProvider';
+
+const OUTCOME_STYLES = { helped: 'text-green-400', hurt: 'text-red-400', neutral: 'text-gray-400' };
+
+const formatValue = (value) => (Number.isInteger(value) ? `${value}` : value.toFixed(2));
+
+// --- Game Over Learning Report ---
+// `learning` is the run's gameData.learning
+const LearningReport = ({ learning }) => {
+    const { t } = useTranslation();
+    const report = useMemo(() => buildLearningReport(learning), [learning]);
+
+    return (
+        <div className="bg-gray-700 p-4 rounded-lg text-left text-sm">
+            <h3 className="text-lg font-bold text-yellow-400 mb-2 text-center">{t('learning.title')}</h3>
+            {report.collected.length === 0 ? <p className="text-gray-400">{t('learning.none')}</p> : (
+                <>
+                    <p className="text-white mb-2">{t('learning.collected', { count: report.collected.length })} · <span className="text-green-400">{t('learning.helped', { count: report.helped })}</span> · <span className="text-red-400">{t('learning.hurt', { count: report.hurt })}</span></p>
+                    <ul className="max-h-32 overflow-y-auto space-y-1 font-mono mb-2">
+                        {report.collected.map((gem, i) => (
+                            <li key={i} className="flex justify-between">
+                                <span className="text-white">S{gem.stage} · {gem.text} = {formatValue(gem.value)}</span>
+                                <span className={OUTCOME_STYLES[gem.outcome]}>{t(`learning.outcomes.${gem.outcome}`)}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+            {report.operations.length > 0 && (
+                <ul className="space-y-1 mb-2">
+                    {report.operations.map(o => (
+                        <li key={o.operation} className="flex justify-between text-gray-300">
+                            <span>{t(`operations.${o.operation}`)}</span>
+                            <span>{t('learning.operationStats', { collected: o.helpfulCollected, offered: o.helpfulOffered })}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {report.avoided.length > 0 && <p className="text-yellow-300">{t('learning.avoided', { operations: report.avoided.map(operation => t(`operations.${operation}`)).join(', ') })}</p>}
+        </div>
+    );
+};
+
+export default LearningReport;
@@ -0,0 +1,32 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+
+import { DEFAULT_LOCALE, createTranslator, detectLocale } from '../lib/i18n/translator';
+
+const LocaleContext = createContext(createTranslator(DEFAULT_LOCALE));
+
+// The translator for `language` (the player's choice, see progress/progress.js)
+// or, while they have not chosen, for the browser's languages. The first render
+// is Korean, like the server render, and the detected locale follows on mount.
+export const useLocaleTranslator = (language) => {
+    const [browserLocale, setBrowserLocale] = useState(DEFAULT_LOCALE);
+
+    useEffect(() => {
+        setBrowserLocale(detectLocale(navigator.languages || [navigator.language]));
+    }, []);
+
+    const translator = useMemo(() => createTranslator(language || browserLocale), [language, browserLocale]);
+
+    useEffect(() => {
+        document.documentElement.lang = translator.locale;
+    }, [translator]);
+
+    return translator;
+};
+
+// { locale, t, has, formatNumber, formatDate } for components below a LocaleProvider
+export const useTranslation = () => useContext(LocaleContext);
+
+// --- Locale Provider (wraps a page with its translator) ---
+const LocaleProvider = ({ translator, children }) => <LocaleContext.Provider value={translator}>{children}</LocaleContext.Provider>;
+
+export default LocaleProvider;
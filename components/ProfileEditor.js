@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+
+import { callApi } from '../lib/apiClient';
+import { NAME_MAX_LENGTH, NAME_MIN_LENGTH, validateDisplayName } from '../lib/profile/names';
+import { useTranslation } from './LocaleProvider';
+
+// --- Lobby Profile Panel ---
+// The name is checked here for instant feedback; the server repeats every check
+// and also enforces uniqueness. Errors are shown by their reason, in the
+// player's language.
+const ProfileEditor = ({ currentName, hasProfile, onSaved }) => {
+    const { t, has } = useTranslation();
+    const [name, setName] = useState(hasProfile ? currentName : '');
+    const [serverError, setServerError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const nameError = name ? validateDisplayName(name) : null;
+    const describeError = (reason) => (has(`profile.errors.${reason}`) ? t(`profile.errors.${reason}`, { min: NAME_MIN_LENGTH, max: NAME_MAX_LENGTH }) : t('profile.saveFailed'));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name || nameError) return;
+        setIsSaving(true);
+        setServerError('');
+        try {
+            const result = await callApi('/api/profile', { method: 'POST', body: { displayName: name } });
+            if (result.ok) {
+                onSaved(result.profile.displayName);
+            } else {
+                setServerError(describeError(result.reason));
+            }
+        } catch (error) {
+            console.error("Failed to save profile:", error);
+            setServerError(t('profile.saveFailed'));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-gray-900 rounded-lg p-4 text-left space-y-2">
+            <label className="block text-gray-300 text-sm" htmlFor="displayName">{t('profile.nameLabel')}</label>
+            <input id="displayName" value={name} onChange={e => { setName(e.target.value); setServerError(''); }} maxLength={NAME_MAX_LENGTH} placeholder={t('profile.namePlaceholder')} className="w-full bg-gray-700 text-white px-3 py-2 rounded-lg" />
+            {!hasProfile && <p className="text-gray-400 text-xs">{t('profile.linkHint')}</p>}
+            {(nameError || serverError) && <p className="text-red-400 text-sm">{nameError ? describeError(nameError.reason) : serverError}</p>}
+            <button type="submit" disabled={!name || !!nameError || isSaving} className="w-full bg-green-500 hover:bg-green-600 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg"> {isSaving ? t('profile.saving') : t('profile.save')} </button>
+        </form>
+    );
+};
+
+export default ProfileEditor;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+
+import { db, appId } from '../lib/firebase';
+import { RANKING_BOARDS, formatSurvivalTime } from '../lib/rankings/boards';
+import { loadCachedBoard, saveCachedBoard } from '../lib/rankings/cache';
+import { fetchBoardPage, fetchPlayerRank } from '../lib/rankings/queries';
+import { useTranslation } from './LocaleProvider';
+
+const PAGE_SIZE = 10;
+const REPLAY_BUTTON_RANKS = 3; // Only the podium gets replay buttons
+const FETCH_TIMEOUT_MS = 8000; // Firestore keeps retrying on a dead connection instead of failing
+
+const withTimeout = (promise, ms) => Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error('Timed out loading rankings')), ms)),
+]);
+
+const FETCHED_AT_FORMAT = { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+// --- Ranking Board (daily / weekly / all-time tabs) ---
+// `refreshKey` changes whenever a new ranking may have been written or the
+// connection came back. Offline, the last board fetched is shown as stale.
+const RankingBoard = ({ userId, refreshKey, onWatchReplay }) => {
+    const { t, formatNumber, formatDate } = useTranslation();
+    const [board, setBoard] = useState('all');
+    const [page, setPage] = useState(0);
+    const [entries, setEntries] = useState(null); // null while loading
+    const [hasMore, setHasMore] = useState(false);
+    const [playerRank, setPlayerRank] = useState(null);
+    const [staleSince, setStaleSince] = useState(null); // fetchedAt of the cached board being shown
+    const cursorsRef = useRef([]); // Last document of each loaded page
+
+    const showCachedBoard = useCallback(() => {
+        const cached = loadCachedBoard(board);
+        setEntries(cached ? cached.entries : []);
+        setPlayerRank(cached ? cached.playerRank : null);
+        setStaleSince(cached ? cached.fetchedAt : 0);
+        setHasMore(false);
+        setPage(0);
+    }, [board]);
+
+    const loadPage = useCallback(async (nextPage) => {
+        setEntries(null);
+        if (!navigator.onLine) {
+            showCachedBoard();
+            return;
+        }
+        try {
+            const result = await withTimeout(fetchBoardPage(db, appId, { board, pageSize: PAGE_SIZE, after: nextPage > 0 ? cursorsRef.current[nextPage - 1] : null }), FETCH_TIMEOUT_MS);
+            cursorsRef.current[nextPage] = result.cursor;
+            if (nextPage === 0) saveCachedBoard(board, { entries: result.entries });
+            setEntries(result.entries);
+            setHasMore(result.hasMore);
+            setPage(nextPage);
+            setStaleSince(null);
+        } catch (error) {
+            console.error("Failed to load rankings:", error);
+            showCachedBoard();
+        }
+    }, [board, showCachedBoard]);
+
+    // Start from the first page whenever the board changes or rankings were updated
+    useEffect(() => {
+        cursorsRef.current = [];
+        loadPage(0);
+    }, [loadPage, refreshKey]);
+
+    useEffect(() => {
+        if (!userId || !navigator.onLine) return;
+        setPlayerRank(null);
+        withTimeout(fetchPlayerRank(db, appId, { board, userId }), FETCH_TIMEOUT_MS)
+            .then(rank => {
+                setPlayerRank(rank);
+                saveCachedBoard(board, { playerRank: rank });
+            })
+            .catch(error => console.error("Failed to load player rank:", error));
+    }, [board, userId, refreshKey]);
+
+    return (
+        <div>
+            <div className="flex gap-1 mb-2">
+                {RANKING_BOARDS.map(b => (
+                    <button key={b} onClick={() => setBoard(b)} className={`flex-1 py-1 rounded ${board === b ? 'bg-yellow-500 text-gray-900 font-bold' : 'bg-gray-700 text-white'}`}> {t(`rankings.boards.${b}`)} </button>
+                ))}
+            </div>
+            {staleSince !== null && <p className="text-yellow-400 text-xs mb-1">{staleSince ? t('rankings.staleSince', { time: formatDate(staleSince, FETCHED_AT_FORMAT) }) : t('rankings.noCachedBoard')}</p>}
+            <div className={`bg-gray-900 rounded-lg p-4 max-h-64 overflow-y-auto ${staleSince ? 'opacity-75' : ''}`}>
+                {entries === null ? <p className="text-gray-400">{t('rankings.loading')}</p> : entries.length === 0 ? <p className="text-gray-400">{staleSince !== null ? t('rankings.waitingForConnection') : t('rankings.empty')}</p> : (
+                    <ul className="space-y-2">
+                        {entries.map((r, index) => {
+                            const rank = page * PAGE_SIZE + index + 1;
+                            return (
+                                <li key={r.id} className={`flex justify-between items-center p-2 rounded ${rank === 1 ? 'bg-yellow-500 text-gray-900 font-bold' : r.userId === userId ? 'bg-green-800' : 'bg-gray-700'}`}>
+                                    <span className="text-left">{rank}. {r.playerId}{r.stage !== undefined && <><br /><span className="text-xs opacity-75">S{r.stage} · {formatSurvivalTime(r.survivalTime)} · 💎 {formatNumber(r.gemScore)}</span></>}</span>
+                                    <span>{t('common.points', { points: r.score })} {r.replayId && rank <= REPLAY_BUTTON_RANKS && <button onClick={() => onWatchReplay(r)} className="ml-2 underline" title={t('rankings.watchReplay')}>▶</button>}</span>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+            <div className="flex justify-between items-center mt-2 text-sm">
+                <button onClick={() => loadPage(page - 1)} disabled={page === 0 || entries === null} className="bg-gray-700 disabled:opacity-50 text-white py-1 px-3 rounded"> {t('rankings.previousPage')} </button>
+                <span className="text-gray-400">{t('rankings.page', { page: page + 1 })}</span>
+                <button onClick={() => loadPage(page + 1)} disabled={!hasMore || entries === null} className="bg-gray-700 disabled:opacity-50 text-white py-1 px-3 rounded"> {t('rankings.nextPage')} </button>
+            </div>
+            <p className="mt-2 text-sm text-gray-300">
+                {playerRank ? <>{t('rankings.myRank')} <span className="font-bold text-yellow-400">{t('rankings.rank', { rank: playerRank.rank })}</span> ({t('common.points', { points: playerRank.entry.score })})</> : t('rankings.myRankNone')}
+            </p>
+        </div>
+    );
+};
+
+export default RankingBoard;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+import { BULLET_PALETTES } from '../lib/game/render';
+import ControlsSettings from './ControlsSettings';
+import { useTranslation } from './LocaleProvider';
+
+// --- Settings Panel (lobby and pause menu) ---
+const SettingsPanel = ({ settings, onChange, controls, onControlsChange }) => {
+    const { t } = useTranslation();
+    const update = (changes) => onChange({ ...settings, ...changes });
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 text-left space-y-3 text-sm">
+            <div>
+                <h4 className="font-bold text-yellow-400 mb-1">{t('settings.sound')}</h4>
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={settings.soundEnabled} onChange={e => update({ soundEnabled: e.target.checked })} /> {t('settings.soundEnabled')}
+                </label>
+                <input type="range" min={0} max={1} step={0.05} value={settings.volume} onChange={e => update({ volume: Number(e.target.value) })} disabled={!settings.soundEnabled} className="w-full disabled:opacity-50" aria-label={t('settings.volume')} />
+            </div>
+            <div>
+                <h4 className="font-bold text-yellow-400 mb-1">{t('settings.display')}</h4>
+                <label className="flex items-center gap-2 mb-2">
+                    <input type="checkbox" checked={settings.reducedMotion} onChange={e => update({ reducedMotion: e.target.checked })} /> {t('settings.reducedMotion')}
+                </label>
+                <p className="text-gray-400 mb-1">{t('settings.bulletColors')}</p>
+                <div className="grid grid-cols-2 gap-1">
+                    {Object.entries(BULLET_PALETTES).map(([id, palette]) => (
+                        <button key={id} onClick={() => update({ bulletPalette: id })} className={`flex items-center gap-2 py-1 px-2 rounded ${settings.bulletPalette === id ? 'bg-yellow-500 text-gray-900 font-bold' : 'bg-gray-700 text-white'}`}>
+                            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: palette.fill, border: palette.outline ? `1px solid ${palette.outline}` : 'none' }} />
+                            {t(`palettes.${id}`)}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div>
+                <h4 className="font-bold text-yellow-400 mb-1">{t('settings.controls')}</h4>
+                <ControlsSettings controls={controls} onChange={onControlsChange} />
+            </div>
+        </div>
+    );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+import { useTranslation } from './LocaleProvider';
+
+const BULLET_EMOJIS = { side: '➡️', homing: '🎯', splitter: '💥', aimed: '🔺', wall: '🧱', spiral: '🌀', radial: '✴️', fan: '🌊', laser: '⚡' };
+
+// --- Stage Intro Card ---
+// Shown over the field before each stage; `intro` comes from describeStage
+// (game/intermission.js). Clicking skips ahead to the countdown.
+const StageIntroCard = ({ intro, onSkip }) => {
+    const { t } = useTranslation();
+
+    return (
+        <div className="absolute inset-0 bg-black/70 rounded-lg flex flex-col items-center justify-center p-4 cursor-pointer" onClick={onSkip}>
+            <h2 className="text-4xl font-bold text-yellow-400 mb-2">{t(intro.isEndless ? 'intro.endlessTitle' : 'intro.title', { stage: intro.stage })}</h2>
+            {intro.boss && <p className="text-2xl text-red-400 font-bold mb-2">{intro.boss.emoji} {t('intro.bossAppears', { boss: intro.boss.name })}</p>}
+            {intro.duration && !intro.boss && <p className="text-gray-300 mb-4">{t('intro.survive', { count: intro.duration })}</p>}
+            <ul className="flex flex-wrap justify-center gap-2 max-w-xs">
+                {intro.bulletTypes.map(({ type, isNew }) => (
+                    <li key={type} className={`px-3 py-1 rounded-full text-sm ${isNew ? 'bg-yellow-500 text-gray-900 font-bold' : 'bg-gray-700 text-white'}`}>
+                        {BULLET_EMOJIS[type] ? `${BULLET_EMOJIS[type]} ${t(`bullets.${type}`)}` : type}{isNew ? ' NEW' : ''}
+                    </li>
+                ))}
+            </ul>
+            <p className="text-gray-400 text-sm mt-6">{t('intro.skip')}</p>
+        </div>
+    );
+};
+
+export default StageIntroCard;
@@ -0,0 +1,28 @@
+import React from 'react';
+
+import { formatSurvivalTime } from '../lib/rankings/boards';
+import { useTranslation } from './LocaleProvider';
+
+const formatPoints = (points, formatNumber) => `${points >= 0 ? '+' : ''}${formatNumber(points)}`;
+
+// --- Stage Result Breakdown ---
+// `result` comes from buildStageResult (game/intermission.js)
+const StageResultCard = ({ result }) => {
+    const { t, formatNumber } = useTranslation();
+
+    return (
+        <div className="bg-gray-700 p-4 rounded-lg text-left w-full">
+            <ul className="space-y-1 text-white">
+                <li className="flex justify-between"><span>{t('stageResult.survived', { time: formatSurvivalTime(result.survivalMs) })}</span><span>{formatPoints(result.survivalPoints, formatNumber)}</span></li>
+                <li className="flex justify-between">
+                    <span>{t('stageResult.gems', { count: result.gemsCollected })} <span className="text-green-400">{t('stageResult.gemsHelped', { count: result.gemsHelped })}</span></span>
+                    <span className={result.gemPoints < 0 ? 'text-red-400' : ''}>{formatPoints(result.gemPoints, formatNumber)}</span>
+                </li>
+                <li className="flex justify-between border-t border-gray-500 pt-1 font-bold text-yellow-400"><span>{t('stageResult.stagePoints')}</span><span>{formatPoints(result.stagePoints, formatNumber)}</span></li>
+            </ul>
+            <p className="text-center text-xl text-white font-bold mt-3">⭐ {t('common.points', { points: result.totalScore })}</p>
+        </div>
+    );
+};
+
+export default StageResultCard;
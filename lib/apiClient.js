@@ -0,0 +1,16 @@
+import { auth } from './firebase';
+
+// --- API Client ---
+// Calls this app's API routes as the signed-in user. The ID token is what the
+// server checks; x-user-id is only trusted by the offline memory store.
+export const callApi = async (path, { method = 'GET', body } = {}) => {
+    const user = auth.currentUser;
+    if (!user) throw new Error('Not signed in');
+    const idToken = await user.getIdToken();
+    const response = await fetch(path, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${idToken}`, 'x-user-id': user.uid },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return response.json();
+};
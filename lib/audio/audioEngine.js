@@ -0,0 +1,77 @@
+import { createMusicPlayer, getMusicTrack } from './music';
+import { SOUND_EFFECTS, playItemJingle } from './soundEffects';
+
+// --- Audio Engine (Web Audio) ---
+// Browsers only let an AudioContext start from a user gesture, so nothing is
+// created until `unlock` is called from a click handler (the lobby's start
+// button). Until then every call is a no-op, as it is where Web Audio is missing.
+
+const BULLET_SOUND_INTERVAL = 0.08; // Seconds; dense stages would otherwise be a wall of clicks
+const MUSIC_LEVEL = 0.5; // Music sits under the effects
+
+export const createAudioEngine = () => {
+    let context = null;
+    let master = null;
+    let effects = null;
+    let music = null;
+    let level = 0;
+    let lastBulletSoundAt = 0;
+
+    const applyLevel = () => {
+        if (master) master.gain.setTargetAtTime(level, context.currentTime, 0.02);
+    };
+
+    const playEffect = (name) => {
+        if (!context || level === 0) return;
+        SOUND_EFFECTS[name](context, effects, context.currentTime);
+    };
+
+    return {
+        unlock: () => {
+            if (!context) {
+                const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+                if (!AudioContext) return;
+                context = new AudioContext();
+                master = context.createGain();
+                master.gain.value = level;
+                master.connect(context.destination);
+                effects = context.createGain();
+                effects.connect(master);
+                const musicBus = context.createGain();
+                musicBus.gain.value = MUSIC_LEVEL;
+                musicBus.connect(master);
+                music = createMusicPlayer(context, musicBus);
+            }
+            if (context.state === 'suspended') context.resume();
+        },
+        // `settings` is the saved settings object (soundEnabled, volume)
+        setSettings: ({ soundEnabled, volume }) => {
+            level = soundEnabled ? volume : 0;
+            applyLevel();
+        },
+        playEffect,
+        handleGameEvent: (event) => {
+            if (!context || level === 0) return;
+            switch (event.type) {
+                case 'bullets': {
+                    if (event.count === 0 || context.currentTime - lastBulletSoundAt < BULLET_SOUND_INTERVAL) return;
+                    lastBulletSoundAt = context.currentTime;
+                    playEffect('bullet');
+                    break;
+                }
+                case 'item': playItemJingle(context, effects, context.currentTime, event.itemType); break;
+                case 'gem': playEffect(event.value > 0 ? 'gemGood' : 'gemBad'); break;
+                default: if (SOUND_EFFECTS[event.type]) playEffect(event.type); break;
+            }
+        },
+        startMusic: ({ stage, isBoss }) => {
+            if (music) music.play(getMusicTrack(stage, isBoss));
+        },
+        setMusicTempo: (tempo) => {
+            if (music) music.setTempo(tempo);
+        },
+        stopMusic: () => {
+            if (music) music.stop();
+        },
+    };
+};
@@ -0,0 +1,73 @@
+import { noteFrequency, playNoise, playTone } from './synth';
+
+// --- Background Music ---
+// Short procedural loops, one per stage (cycled), scheduled slightly ahead of
+// the AudioContext clock. Bars are 8 eighth notes of semitone offsets from A4;
+// null is a rest.
+
+const TRACKS = [
+    { bpm: 120, bass: [-24, null, -24, null, -17, null, -19, null], lead: [3, null, 7, 10, 7, null, 3, null] },
+    { bpm: 132, bass: [-22, null, -22, -15, -20, null, -20, -13], lead: [5, 8, null, 12, 10, null, 8, 5] },
+    { bpm: 140, bass: [-26, -26, null, -19, -24, -24, null, -17], lead: [2, null, 5, 9, null, 12, 9, null] },
+    { bpm: 126, bass: [-21, null, -14, null, -19, null, -12, null], lead: [null, 3, 7, null, 8, 7, 3, null] },
+];
+const BOSS_TRACK = { bpm: 150, bass: [-24, -24, -23, -24, -24, -24, -18, -17], lead: [0, null, 1, null, 0, null, 6, 5] };
+const LOOKAHEAD_MS = 25;
+const SCHEDULE_AHEAD = 0.1; // Seconds of notes queued on each wake-up
+
+export const MAX_ENDLESS_TEMPO = 1.6;
+const ENDLESS_TEMPO_PER_SECOND = 0.005; // +0.3x per minute
+
+export const getMusicTrack = (stage, isBoss) => (isBoss ? BOSS_TRACK : TRACKS[(stage - 1) % TRACKS.length]);
+
+// The infinite stage speeds up the longer the player survives in it
+export const getMusicTempo = (gameData) => {
+    if (!gameData.isEndless) return 1;
+    const secondsInStage = (gameData.time - gameData.stageStartTime) / 1000;
+    return Math.min(MAX_ENDLESS_TEMPO, 1 + secondsInStage * ENDLESS_TEMPO_PER_SECOND);
+};
+
+export const createMusicPlayer = (context, destination) => {
+    let track = null;
+    let timer = null;
+    let step = 0;
+    let nextNoteTime = 0;
+    let tempo = 1;
+
+    const scheduleNote = (time, noteLength) => {
+        const bass = track.bass[step % track.bass.length];
+        const lead = track.lead[step % track.lead.length];
+        if (bass !== null) playTone(context, destination, { time, wave: 'triangle', from: noteFrequency(bass), duration: noteLength * 0.9, gain: 0.18 });
+        if (lead !== null) playTone(context, destination, { time, wave: 'square', from: noteFrequency(lead), duration: noteLength * 0.6, gain: 0.05 });
+        if (step % 2 === 0) playNoise(context, destination, { time, duration: 0.03, from: 8000, gain: 0.04 });
+    };
+
+    const schedule = () => {
+        while (nextNoteTime < context.currentTime + SCHEDULE_AHEAD) {
+            const noteLength = 30 / (track.bpm * tempo); // Eighth notes
+            scheduleNote(nextNoteTime, noteLength);
+            nextNoteTime += noteLength;
+            step += 1;
+        }
+    };
+
+    const stop = () => {
+        if (timer) clearInterval(timer);
+        timer = null;
+        track = null;
+    };
+
+    return {
+        // Restarting the track that is already playing keeps it going
+        play: (nextTrack) => {
+            if (track === nextTrack && timer) return;
+            stop();
+            track = nextTrack;
+            step = 0;
+            nextNoteTime = context.currentTime + 0.05;
+            timer = setInterval(schedule, LOOKAHEAD_MS);
+        },
+        stop,
+        setTempo: (nextTempo) => { tempo = nextTempo; },
+    };
+};
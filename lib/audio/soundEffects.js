@@ -0,0 +1,41 @@
+import { noteFrequency, playArpeggio, playNoise, playTone } from './synth';
+
+// --- Sound Effects ---
+// Each effect is (context, destination, time) => void. Item pickups get their
+// own jingle per type so players learn what they grabbed by ear.
+
+// Semitone arpeggios per item type (see ITEM_TYPES in powerUps.js)
+const ITEM_JINGLES = {
+    shield: { notes: [3, 7, 10, 15], step: 0.06, wave: 'triangle' },
+    '꽝': { notes: [-12, -13], step: 0.12, wave: 'square' },
+    clear: { notes: [15, 10, 7, 3], step: 0.04, wave: 'sawtooth' },
+    extraLife: { notes: [3, 7, 10, 15, 19], step: 0.07, wave: 'square' },
+    slowTime: { notes: [12, 7, 3, -2], step: 0.1, wave: 'sine' },
+    magnet: { notes: [3, 5, 3, 5], step: 0.05, wave: 'triangle' },
+    shrink: { notes: [10, 5, 0], step: 0.06, wave: 'sine' },
+    multiplier: { notes: [7, 12, 19, 24], step: 0.04, wave: 'square' },
+};
+const DEFAULT_JINGLE = { notes: [3, 10], step: 0.06, wave: 'triangle' };
+
+export const SOUND_EFFECTS = {
+    bullet: (context, destination, time) => playTone(context, destination, { time, wave: 'square', from: 1200, to: 600, duration: 0.04, gain: 0.03 }),
+    wallWarning: (context, destination, time) => {
+        [0, 0.18].forEach(offset => playTone(context, destination, { time: time + offset, wave: 'square', from: noteFrequency(0), to: noteFrequency(-5), duration: 0.15, gain: 0.12 }));
+    },
+    laserWarning: (context, destination, time) => playTone(context, destination, { time, wave: 'sawtooth', from: 200, to: 900, duration: 0.6, gain: 0.08 }),
+    gemGood: (context, destination, time) => playArpeggio(context, destination, { time, notes: [7, 14], step: 0.06, wave: 'sine', gain: 0.2 }),
+    gemBad: (context, destination, time) => playArpeggio(context, destination, { time, notes: [2, -3], step: 0.08, wave: 'square', gain: 0.1 }),
+    hit: (context, destination, time) => {
+        playNoise(context, destination, { time, duration: 0.25, from: 2000, to: 300, gain: 0.3 });
+        playTone(context, destination, { time, wave: 'sine', from: 160, to: 60, duration: 0.25, gain: 0.3 });
+    },
+    death: (context, destination, time) => {
+        playNoise(context, destination, { time, duration: 0.6, from: 1500, to: 100, gain: 0.3 });
+        playTone(context, destination, { time, wave: 'sawtooth', from: noteFrequency(0), to: noteFrequency(-24), duration: 1.2, gain: 0.15 });
+    },
+    stageClear: (context, destination, time) => playArpeggio(context, destination, { time, notes: [3, 7, 10, 15, 10, 15], step: 0.1, wave: 'square', gain: 0.12 }),
+};
+
+export const playItemJingle = (context, destination, time, itemType) => {
+    playArpeggio(context, destination, { time, gain: 0.14, ...(ITEM_JINGLES[itemType] || DEFAULT_JINGLE) });
+};
@@ -0,0 +1,45 @@
+// --- Synth Voices ---
+// Every sound is synthesized on the fly, so nothing has to be downloaded or
+// cached for offline play. `time` is in AudioContext seconds.
+
+// Semitones from A4 (440 Hz)
+export const noteFrequency = (semitones) => 440 * Math.pow(2, semitones / 12);
+
+// A single oscillator sweeping from `from` to `to` Hz with a short attack and exponential release
+export const playTone = (context, destination, { time, wave = 'sine', from, to = from, duration, gain = 0.2 }) => {
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    oscillator.type = wave;
+    oscillator.frequency.setValueAtTime(from, time);
+    if (to !== from) oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+    envelope.gain.setValueAtTime(0.0001, time);
+    envelope.gain.exponentialRampToValueAtTime(gain, time + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+    oscillator.connect(envelope).connect(destination);
+    oscillator.start(time);
+    oscillator.stop(time + duration + 0.02);
+};
+
+// Notes played one after another, `step` seconds apart
+export const playArpeggio = (context, destination, { time, notes, step, wave, gain }) => {
+    notes.forEach((note, i) => playTone(context, destination, { time: time + i * step, wave, from: noteFrequency(note), duration: step * 1.5, gain }));
+};
+
+// White noise through a band-pass sweep (hits, whooshes, drums)
+export const playNoise = (context, destination, { time, duration, from = 1000, to = from, gain = 0.2 }) => {
+    const length = Math.ceil(context.sampleRate * duration);
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const samples = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) samples[i] = Math.random() * 2 - 1;
+    const source = context.createBufferSource();
+    const filter = context.createBiquadFilter();
+    const envelope = context.createGain();
+    source.buffer = buffer;
+    filter.type = 'bandpass';
+    filter.frequency.setValueAtTime(from, time);
+    if (to !== from) filter.frequency.exponentialRampToValueAtTime(to, time + duration);
+    envelope.gain.setValueAtTime(gain, time);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+    source.connect(filter).connect(envelope).connect(destination);
+    source.start(time);
+};
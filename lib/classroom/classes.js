@@ -0,0 +1,71 @@
+import { GAME_HEIGHT, GAME_WIDTH } from '../game/constants';
+import { DEFAULT_STAGE_SET, loadStageSet } from '../game/stages';
+
+// --- Class Sessions ---
+// A teacher opens a session with a join code; students join it from the lobby
+// and every run they finish while in it is verified by the server and stored
+// as a class result, ranked or not.
+//
+// The session doc (crocoClassSessions/{code}) holds { code, teacherId, name,
+// status ('open' → 'closed'), locks }. `students/{uid}` holds each student's
+// name and `results` one doc per verified run:
+// { userId, name, score, stage, survivalTime, gemsCollected, gemsHelped, replayId, ranked, createdAt }.
+//
+// Locks pin the math curriculum and/or the stage set for the whole class:
+// { curriculum: id | null, stageSetId: id | null, stageSet: JSON | null }. A
+// custom stage set is stored as JSON (Firestore rejects its nested arrays). The
+// server checks a run's stage set by content, not just by id: a student could
+// embed their own set under the locked id.
+
+export const getClassSessionsPath = (appId) => `artifacts/${appId}/public/data/crocoClassSessions`;
+export const getClassStudentsPath = (appId, code) => `${getClassSessionsPath(appId)}/${code}/students`;
+export const getClassResultsPath = (appId, code) => `${getClassSessionsPath(appId)}/${code}/results`;
+
+export const NO_LOCKS = { curriculum: null, stageSetId: null, stageSet: null };
+
+// `stageSet` is a loaded stage set, or null to leave it unlocked
+export const createClassLocks = ({ curriculum = null, stageSet = null } = {}) => ({
+    curriculum,
+    stageSetId: stageSet ? stageSet.id : null,
+    stageSet: stageSet && stageSet.id !== DEFAULT_STAGE_SET.id ? JSON.stringify(stageSet) : null,
+});
+
+// The stage set students must play, or null when it is not locked
+export const getLockedStageSet = (locks) => {
+    if (!locks || !locks.stageSetId) return null;
+    return locks.stageSetId === DEFAULT_STAGE_SET.id ? DEFAULT_STAGE_SET : loadStageSet(locks.stageSet);
+};
+
+// JSON with object keys sorted, so equal stage sets serialize the same
+const toCanonicalJson = (value) => JSON.stringify(value, (key, item) => (
+    item && typeof item === 'object' && !Array.isArray(item)
+        ? Object.fromEntries(Object.entries(item).sort(([a], [b]) => a.localeCompare(b)))
+        : item
+));
+
+// Whether a decoded replay's stage set (null for the current default set, see
+// game/replay.js) is exactly `stageSet`
+const isPlayedOnStageSet = (replay, stageSet) => (
+    stageSet.id === DEFAULT_STAGE_SET.id
+        ? !replay.stageSet
+        : Boolean(replay.stageSet) && toCanonicalJson(replay.stageSet) === toCanonicalJson(stageSet)
+);
+
+// Null when `replay` follows the class locks, otherwise what it broke.
+// Every class run competes on one best score, so apart from what the locks
+// pin it must be played like a ranked run: classic mode from stage 1, with the
+// stages' own durations, on the portrait field.
+export const findLockViolation = (locks, replay) => {
+    const { mode = 'classic', startStage = 1, stageDuration = null, width = GAME_WIDTH, height = GAME_HEIGHT } = replay;
+    if (mode !== 'classic' || startStage !== 1 || stageDuration != null || width !== GAME_WIDTH || height !== GAME_HEIGHT) {
+        return 'Class runs must be classic runs from stage 1 with the usual stage durations on the portrait field';
+    }
+    if (!locks) return null;
+    if (locks.curriculum && replay.curriculum !== locks.curriculum) {
+        return `The class is locked to the "${locks.curriculum}" curriculum`;
+    }
+    if (locks.stageSetId && (replay.stageSetId !== locks.stageSetId || !isPlayedOnStageSet(replay, getLockedStageSet(locks)))) {
+        return `The class is locked to the "${locks.stageSetId}" stage set`;
+    }
+    return null;
+};
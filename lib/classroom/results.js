@@ -0,0 +1,63 @@
+import { formatSurvivalTime } from '../rankings/boards';
+
+// --- Class Results ---
+// Turns a session's students and result docs (see classroom/classes.js) into
+// the teacher's leaderboard and its CSV export.
+
+// Share of math gems that helped, or null before any gem was collected
+const getAccuracy = (gemsCollected, gemsHelped) => (gemsCollected > 0 ? gemsHelped / gemsCollected : null);
+
+// `students` is { [uid]: { name } }, `results` the result docs oldest first.
+// One row per student, best score first; students without a run come last.
+export const buildClassLeaderboard = (students, results) => {
+    const rows = new Map(Object.entries(students).map(([userId, { name }]) => [userId, {
+        userId, name, attempts: [], bestScore: null, bestStage: null, bestSurvivalTime: null, gemsCollected: 0, gemsHelped: 0,
+    }]));
+    results.forEach(result => {
+        if (!rows.has(result.userId)) return; // Left the class
+        const row = rows.get(result.userId);
+        row.attempts.push(result);
+        if (row.bestScore === null || result.score > row.bestScore) {
+            row.bestScore = result.score;
+            row.bestStage = result.stage;
+        }
+        row.bestSurvivalTime = Math.max(row.bestSurvivalTime ?? 0, result.survivalTime);
+        row.gemsCollected += result.gemsCollected;
+        row.gemsHelped += result.gemsHelped;
+    });
+    return [...rows.values()]
+        .map(row => ({ ...row, accuracy: getAccuracy(row.gemsCollected, row.gemsHelped) }))
+        .sort((a, b) => (b.bestScore ?? -1) - (a.bestScore ?? -1) || a.name.localeCompare(b.name));
+};
+
+export const formatAccuracy = (accuracy) => (accuracy === null ? '-' : `${Math.round(accuracy * 100)}%`);
+
+const CSV_COLUMNS = ['순위', '이름', '시도 횟수', '최고 점수', '최고 스테이지', '최장 생존', '수학 보석', '도움 된 보석', '정답률'];
+
+const toCsvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Student names are typed by the students, so one a spreadsheet would run as a
+// formula (=, +, -, @) is prefixed with ' to keep it plain text
+const toCsvText = (text) => (/^[=+\-@]/.test(text) ? `'${text}` : text);
+
+export const leaderboardToCsv = (leaderboard) => [
+    CSV_COLUMNS,
+    ...leaderboard.map((row, index) => [
+        row.attempts.length > 0 ? index + 1 : '', toCsvText(row.name), row.attempts.length, row.bestScore, row.bestStage,
+        row.bestSurvivalTime === null ? '' : formatSurvivalTime(row.bestSurvivalTime), row.gemsCollected, row.gemsHelped, formatAccuracy(row.accuracy),
+    ]),
+].map(fields => fields.map(toCsvField).join(',')).join('\n');
+
+// The BOM lets spreadsheet apps read the Korean names as UTF-8
+export const downloadClassResults = (session, leaderboard) => {
+    const blob = new Blob(['\uFEFF', leaderboardToCsv(leaderboard)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `class-${session.code}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
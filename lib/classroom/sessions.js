@@ -0,0 +1,100 @@
+import {
+    collection, doc, getDoc, onSnapshot, orderBy, query, runTransaction, serverTimestamp, setDoc,
+} from 'firebase/firestore';
+import { callApi } from '../apiClient';
+import { createRoomCode } from '../versus/rooms';
+import { NO_LOCKS, getClassResultsPath, getClassSessionsPath, getClassStudentsPath } from './classes';
+
+// --- Class Sessions (client) ---
+// Teacher and student sides of a class session (see classroom/classes.js).
+// Clients only create sessions and join them. Changing the locks and closing
+// the session go through /api/classes, which checks the teacher, and results
+// are only written by the server, after it has verified the run. The Firestore
+// security rules must match: session docs are created with the creator as
+// teacherId and are never updated by clients.
+
+const SESSION_CODE_ATTEMPTS = 5;
+
+export class ClassSessionError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ClassSessionError';
+        this.code = code;
+    }
+}
+
+export const createClassSessions = (db, appId) => {
+    const sessionRef = (code) => doc(db, getClassSessionsPath(appId), code);
+    const studentRef = (code, userId) => doc(db, getClassStudentsPath(appId, code), userId);
+
+    const createSession = async ({ userId, name, locks = NO_LOCKS }) => {
+        for (let attempt = 0; attempt < SESSION_CODE_ATTEMPTS; attempt++) {
+            const code = createRoomCode();
+            const created = await runTransaction(db, async (transaction) => {
+                const snapshot = await transaction.get(sessionRef(code));
+                if (snapshot.exists()) return false;
+                transaction.set(sessionRef(code), { code, teacherId: userId, name, status: 'open', locks, createdAt: serverTimestamp(), closedAt: null });
+                return true;
+            });
+            if (created) return code;
+        }
+        throw new ClassSessionError('code-exhausted', '빈 수업 코드를 찾지 못했습니다. 다시 시도해주세요.');
+    };
+
+    // Resolves to the session; joining again only updates the student's name
+    const joinSession = async ({ code, userId, name }) => {
+        const snapshot = await getDoc(sessionRef(code));
+        if (!snapshot.exists()) throw new ClassSessionError('not-found', '수업을 찾을 수 없습니다.');
+        const session = snapshot.data();
+        if (session.status !== 'open') throw new ClassSessionError('closed', '이미 끝난 수업입니다.');
+        await setDoc(studentRef(code, userId), { name, joinedAt: serverTimestamp() }, { merge: true });
+        return session;
+    };
+
+    // Teacher only (checked by the server)
+    const updateSession = async (body) => {
+        const result = await callApi('/api/classes', { method: 'POST', body });
+        if (!result.ok) throw new ClassSessionError(result.reason, result.message || result.reason);
+    };
+
+    const updateLocks = async ({ code, locks }) => updateSession({ code, locks });
+
+    const closeSession = async ({ code }) => updateSession({ code, close: true });
+
+    // Calls onChange(session) on every change, with null once it is gone.
+    // Returns an unsubscribe function.
+    const watchSession = (code, onChange, onError = console.error) => onSnapshot(
+        sessionRef(code),
+        snapshot => onChange(snapshot.exists() ? snapshot.data() : null),
+        onError,
+    );
+
+    // Calls onChange({ students, results }) on every change: students keyed by
+    // uid, results oldest first. Returns an unsubscribe function.
+    const watchClass = (code, onChange, onError = console.error) => {
+        let students = {};
+        let results = [];
+        let hasStudents = false;
+        let hasResults = false;
+        const emit = () => {
+            if (hasStudents && hasResults) onChange({ students, results });
+        };
+        const unsubscribeStudents = onSnapshot(collection(db, getClassStudentsPath(appId, code)), (snapshot) => {
+            students = {};
+            snapshot.forEach(studentDoc => { students[studentDoc.id] = studentDoc.data(); });
+            hasStudents = true;
+            emit();
+        }, onError);
+        const unsubscribeResults = onSnapshot(query(collection(db, getClassResultsPath(appId, code)), orderBy('createdAt')), (snapshot) => {
+            results = snapshot.docs.map(resultDoc => ({ id: resultDoc.id, ...resultDoc.data() }));
+            hasResults = true;
+            emit();
+        }, onError);
+        return () => {
+            unsubscribeStudents();
+            unsubscribeResults();
+        };
+    };
+
+    return { createSession, joinSession, updateLocks, closeSession, watchSession, watchClass };
+};
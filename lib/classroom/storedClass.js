@@ -0,0 +1,29 @@
+// --- Stored Class Codes (browser) ---
+// The class session a student joined, and the one a teacher is running, so a
+// reload in the middle of a lesson picks it back up.
+
+const JOINED_CLASS_KEY = 'crocoJoinedClass';
+const HOSTED_CLASS_KEY = 'crocoHostedClass';
+
+const loadCode = (key) => {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+};
+
+// Null forgets the code
+const saveCode = (key, code) => {
+    try {
+        if (code) localStorage.setItem(key, code);
+        else localStorage.removeItem(key);
+    } catch (error) {
+        console.error("Failed to save class code:", error);
+    }
+};
+
+export const loadJoinedClassCode = () => loadCode(JOINED_CLASS_KEY);
+export const saveJoinedClassCode = (code) => saveCode(JOINED_CLASS_KEY, code);
+export const loadHostedClassCode = () => loadCode(HOSTED_CLASS_KEY);
+export const saveHostedClassCode = (code) => saveCode(HOSTED_CLASS_KEY, code);
@@ -0,0 +1,39 @@
+import { DEFAULT_STAGE_SET, loadStageSet } from './game/stages';
+
+// --- Custom Stage Sets (browser) ---
+// The editor and the lobby share the current custom stage set through localStorage.
+
+const CUSTOM_STAGE_SET_KEY = 'crocoCustomStageSet';
+
+// Custom sets must never pass for the default set, which is the only ranked one
+export const toCustomStageSet = (stageSet) => (
+    stageSet.id === DEFAULT_STAGE_SET.id ? { ...stageSet, id: 'custom', name: stageSet.name ? `${stageSet.name} (사본)` : '커스텀 스테이지' } : stageSet
+);
+
+export const loadCustomStageSet = () => {
+    const stored = localStorage.getItem(CUSTOM_STAGE_SET_KEY);
+    if (!stored) return null;
+    try {
+        return toCustomStageSet(loadStageSet(stored));
+    } catch (error) {
+        console.error("Stored custom stage set is invalid:", error);
+        return null;
+    }
+};
+
+export const saveCustomStageSet = (stageSet) => {
+    localStorage.setItem(CUSTOM_STAGE_SET_KEY, JSON.stringify(stageSet));
+};
+
+// Reads a user-picked File; rejects with StageSetError when the file is not a valid stage set
+export const readStageSetFile = async (file) => toCustomStageSet(loadStageSet(await file.text()));
+
+export const downloadStageSet = (stageSet) => {
+    const blob = new Blob([JSON.stringify(stageSet, null, 4)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${stageSet.id || 'stages'}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
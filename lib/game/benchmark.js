@@ -0,0 +1,48 @@
+import { TICKS_PER_SECOND } from './constants';
+import { createReplayPlayer } from './replay';
+import { createGameData, startNextStage, stepGame } from './simulation';
+
+// --- Simulation Benchmark ---
+// Times headless ticks from `stage` with an invulnerable player, so the run
+// never ends and the bullet field keeps growing like it does on a good player's run.
+export const runSimulationBenchmark = ({ seed = 1, stage = 10, ticks = TICKS_PER_SECOND * 30, warmupTicks = TICKS_PER_SECOND * 5, now = () => performance.now() } = {}) => {
+    const gameData = createGameData({ seed, startStage: stage, invulnerable: true });
+    const step = () => {
+        if (gameData.status === 'stageClear') startNextStage(gameData);
+        stepGame(gameData);
+    };
+    for (let i = 0; i < warmupTicks; i++) step();
+
+    let bulletTotal = 0;
+    let peakBullets = 0;
+    let slowestTickMs = 0;
+    const start = now();
+    for (let i = 0; i < ticks; i++) {
+        const tickStart = now();
+        step();
+        slowestTickMs = Math.max(slowestTickMs, now() - tickStart);
+        bulletTotal += gameData.bullets.length;
+        peakBullets = Math.max(peakBullets, gameData.bullets.length);
+    }
+    const elapsedMs = now() - start;
+
+    return {
+        seed, stage, ticks,
+        msPerTick: elapsedMs / ticks,
+        slowestTickMs,
+        averageBullets: bulletTotal / ticks,
+        peakBullets,
+    };
+};
+
+// --- Verification Benchmark ---
+// Times replaying a ranked run of `ticks` the way the server verifies it
+// (snapshots included). The crocodile is made invulnerable so an idle run lasts
+// that long, like the longest run a player could submit.
+export const runVerificationBenchmark = ({ seed = 1, ticks, now = () => performance.now() }) => {
+    const replayPlayer = createReplayPlayer({ seed, startStage: 1, stageDuration: null, stageSet: null, endTick: ticks, inputs: [] });
+    replayPlayer.gameData.invulnerable = true;
+    const start = now();
+    const gameData = replayPlayer.advanceTo(ticks);
+    return { seed, ticks: gameData.tick, stage: gameData.stage, elapsedMs: now() - start };
+};
@@ -0,0 +1,89 @@
+import { BOSS_SIZE, BOSS_START_POSITION } from './constants';
+import { isOverlapping } from './entities';
+import { emitGameEvent } from './events';
+import { firePattern, isCircleHitByLaser, isLaserFiring } from './patterns';
+import { randomChance } from './rng';
+import { getSpawnerInterval, getSpawnerSpeed, isSpawnerActive } from './stages';
+
+// --- Boss Encounters ---
+// gameData.boss holds the running boss on boss stages (null otherwise). Phases
+// follow time survived in the stage; each phase restarts its pattern timers and
+// sends the boss along its own waypoint loop.
+
+export const createBossState = (gameData, boss) => ({
+    name: boss.name,
+    emoji: boss.emoji || '👹',
+    x: BOSS_START_POSITION[0] * gameData.width - BOSS_SIZE / 2,
+    y: BOSS_START_POSITION[1] * gameData.height - BOSS_SIZE / 2,
+    phase: 0,
+    phaseCount: boss.phases.length,
+    phaseStartTime: gameData.time,
+    waypointIndex: 0,
+    patternTimers: boss.phases[0].patterns.map(() => gameData.time),
+});
+
+const getPhaseIndex = (boss, timeInStage) => {
+    let end = 0;
+    for (let i = 0; i < boss.phases.length; i++) {
+        end += boss.phases[i].duration;
+        if (timeInStage < end) return i;
+    }
+    return boss.phases.length - 1;
+};
+
+const moveBoss = (gameData, phase, deltaTime) => {
+    const state = gameData.boss;
+    if (!phase.path) return;
+    const { points, speed } = phase.path;
+    const [fx, fy] = points[state.waypointIndex];
+    const dx = fx * gameData.width - BOSS_SIZE / 2 - state.x;
+    const dy = fy * gameData.height - BOSS_SIZE / 2 - state.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const step = speed * deltaTime;
+    if (distance <= step) {
+        state.x += dx;
+        state.y += dy;
+        state.waypointIndex = (state.waypointIndex + 1) % points.length;
+    } else {
+        state.x += (dx / distance) * step;
+        state.y += (dy / distance) * step;
+    }
+};
+
+export const updateBoss = (gameData, stageDefinition, timeInStage, deltaTime) => {
+    const { boss } = stageDefinition;
+    const state = gameData.boss;
+    const now = gameData.time;
+
+    const phaseIndex = getPhaseIndex(boss, timeInStage);
+    if (phaseIndex !== state.phase) {
+        Object.assign(state, { phase: phaseIndex, phaseStartTime: now, waypointIndex: 0, patternTimers: boss.phases[phaseIndex].patterns.map(() => now) });
+    }
+    const phase = boss.phases[phaseIndex];
+    moveBoss(gameData, phase, deltaTime);
+
+    const timeInPhase = (now - state.phaseStartTime) / 1000;
+    const curveInput = { timeInStage: timeInPhase, progress: timeInPhase / phase.duration };
+    const origin = { x: state.x + BOSS_SIZE / 2, y: state.y + BOSS_SIZE / 2 };
+    phase.patterns.forEach((pattern, index) => {
+        if (!isSpawnerActive(pattern, timeInPhase)) return;
+        if (now - state.patternTimers[index] <= getSpawnerInterval(stageDefinition, pattern, curveInput)) return;
+        state.patternTimers[index] = now;
+        if (pattern.chance !== undefined && pattern.chance < 1 && !randomChance(gameData.rng, pattern.chance)) return;
+        const before = gameData.bullets.length;
+        firePattern(gameData, pattern, origin, getSpawnerSpeed(stageDefinition, pattern, curveInput), timeInPhase);
+        if (pattern.type === 'laser') emitGameEvent(gameData, 'laserWarning');
+        else emitGameEvent(gameData, 'bullets', { count: gameData.bullets.length - before });
+    });
+
+    gameData.lasers = gameData.lasers.filter(laser => laser.endsAt > now);
+};
+
+// Touching the boss or standing in a firing laser costs a life like a bullet.
+// Returns what hit the player ('boss' or 'laser'), or null.
+export const getBossHitCause = (gameData, hitbox) => {
+    const { boss, lasers, time: now } = gameData;
+    if (boss && isOverlapping(hitbox, { x: boss.x, y: boss.y, width: BOSS_SIZE, height: BOSS_SIZE })) return 'boss';
+    const circle = { x: hitbox.x + hitbox.width / 2, y: hitbox.y + hitbox.height / 2, radius: hitbox.width / 2 };
+    return lasers.some(laser => isLaserFiring(laser, now) && isCircleHitByLaser(laser, circle)) ? 'laser' : null;
+};
@@ -0,0 +1,41 @@
+// --- Bullet Pool ---
+// Endless stages create and drop hundreds of bullets a second, so dropped
+// bullets are kept and reused instead of left to the garbage collector. Every
+// bullet carries the full set of fields (unused behaviours are 0/false), which
+// keeps the objects one shape and makes reuse safe.
+
+const MAX_FREE_BULLETS = 2000;
+
+// Splitter fragments keep their parent's kind
+export const BULLET_KINDS = ['side', 'homing', 'splitter', 'aimed', 'wall', 'boss'];
+const freeBullets = [];
+
+export const acquireBullet = (id, x, y, dx, dy) => {
+    const bullet = freeBullets.pop() || {};
+    bullet.id = id;
+    bullet.x = x;
+    bullet.y = y;
+    bullet.dx = dx;
+    bullet.dy = dy;
+    bullet.kind = 'side'; // What fired it (BULLET_KINDS); only read by drawing, achievements and telemetry
+    bullet.isHoming = false;
+    bullet.isSplitter = false;
+    bullet.splitAt = 0;
+    bullet.splitSpeed = 0;
+    bullet.accel = 0; // px/s² along the heading, up to maxSpeed (0 = no cap)
+    bullet.maxSpeed = 0;
+    bullet.heading = 0;
+    bullet.turnRate = 0; // rad/s
+    bullet.startAt = 0; // Simulation time the bullet starts moving
+    return bullet;
+};
+
+// The bullet must already be out of gameData.bullets
+export const releaseBullet = (bullet) => {
+    if (freeBullets.length < MAX_FREE_BULLETS) freeBullets.push(bullet);
+};
+
+export const clearBullets = (gameData) => {
+    gameData.bullets.forEach(releaseBullet);
+    gameData.bullets.length = 0;
+};
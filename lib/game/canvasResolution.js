@@ -0,0 +1,29 @@
+// --- High-DPI Canvas ---
+// CSS decides how big the canvas is on screen (full width, field aspect ratio).
+// This keeps its backing store at that size times devicePixelRatio, so the field
+// is sharp on retina screens, and reports the field-units-to-pixels scale that
+// drawGame needs. Re-measures on resize, orientation change and zoom.
+export const watchCanvasResolution = (canvas, field, onScale) => {
+    const update = () => {
+        const cssWidth = canvas.clientWidth; // Excludes the border
+        if (cssWidth === 0) return;
+        const pixelRatio = window.devicePixelRatio || 1;
+        const width = Math.round(cssWidth * pixelRatio);
+        const height = Math.round((cssWidth * field.height / field.width) * pixelRatio);
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+        onScale(width / field.width);
+    };
+
+    const resizeObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(update) : null;
+    if (resizeObserver) resizeObserver.observe(canvas);
+    window.addEventListener('resize', update);
+    window.addEventListener('orientationchange', update);
+    update();
+
+    return () => {
+        if (resizeObserver) resizeObserver.disconnect();
+        window.removeEventListener('resize', update);
+        window.removeEventListener('orientationchange', update);
+    };
+};
@@ -0,0 +1,29 @@
+// --- Game Constants ---
+// GAME_WIDTH/GAME_HEIGHT are the default (portrait) field; a run's actual field
+// size is gameData.width/height.
+export const GAME_WIDTH = 400;
+export const GAME_HEIGHT = 580;
+export const FIELD_SIZES = {
+    portrait: { width: GAME_WIDTH, height: GAME_HEIGHT },
+    landscape: { width: 720, height: 440 }, // Desktops; not ranked
+};
+export const PLAYER_SIZE = 35;
+export const BULLET_SIZE = 15;
+export const ITEM_SIZE = 30;
+export const GEM_SIZE = ITEM_SIZE * 1.5;
+export const ITEM_LIFESPAN = 10000;
+export const GEM_LIFESPAN = 6000;
+export const FLOATING_TEXT_LIFESPAN = 1500;
+
+// --- Player Constants ---
+export const PLAYER_BASE_SPEED = 250; // Adjusted speed for click-to-move
+export const PLAYER_HITBOX_PADDING = 5;
+
+// --- Simulation Constants ---
+export const TICKS_PER_SECOND = 60;
+export const FIXED_TIMESTEP_MS = 1000 / TICKS_PER_SECOND;
+export const MAX_STEPS_PER_ADVANCE = 10; // Drop time instead of spiralling after long frames
+
+// --- Boss Constants ---
+export const BOSS_SIZE = 60;
+export const BOSS_START_POSITION = [0.5, 0.15]; // Field fractions, where a boss appears and sits without a path
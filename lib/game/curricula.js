@@ -0,0 +1,114 @@
+import { randomChance, randomInt, randomPick } from './rng';
+
+// --- Math Curricula ---
+// Each curriculum turns the seeded RNG and a difficulty level (the stage) into
+// a problem { text, value, operations }. `operations` lists what the problem
+// practices, for the learning report. Mixed is the original gem and the only
+// ranked curriculum; its RNG calls must never change, or replays would break.
+
+export const DEFAULT_CURRICULUM = 'mixed';
+const MAX_LEVEL = 10; // Endless stages keep the hardest problems
+
+export const OPERATION_LABELS = {
+    '+': '덧셈', '-': '뺄셈', '×': '곱셈', '÷': '나눗셈', fraction: '분수', parentheses: '괄호',
+};
+
+const formatNumber = (n) => (n < 0 ? `(${n})` : `${n}`);
+
+const evaluate = (a, operator, b) => {
+    switch (operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '×': return a * b;
+        case '÷': return b !== 0 ? a / b : 0;
+        default: return 0;
+    }
+};
+
+// Original gem: + - × ÷ on -9..9, so division can score fractions
+const createMixedProblem = (rng) => {
+    const operator = randomPick(rng, ['+', '-', '*', '/']);
+    const value1 = randomInt(rng, -9, 10);
+    let value2 = randomInt(rng, -9, 10);
+    if (operator === '/' && value2 === 0) { value2 = 1; }
+    const symbol = operator === '*' ? '×' : operator === '/' ? '÷' : operator;
+    return { text: `${value1}${operator === '*' ? '×' : operator}${value2}`, value: evaluate(value1, symbol, value2), operations: [symbol] };
+};
+
+// Level 1 starts with the 2-5 tables and each stage adds one, up to 12
+const createTimesTableProblem = (rng, level) => {
+    const table = randomInt(rng, 2, Math.min(12, 4 + level) + 1);
+    const multiplier = randomInt(rng, 1, 10);
+    return { text: `${table}×${multiplier}`, value: table * multiplier, operations: ['×'] };
+};
+
+// Built from divisor and quotient so the answer is always a whole number;
+// negative quotients appear from stage 3
+const createIntegerDivisionProblem = (rng, level) => {
+    const divisor = randomInt(rng, 2, Math.min(9, 3 + level) + 1);
+    const quotient = level >= 3 ? randomInt(rng, -9, 10) : randomInt(rng, 1, 10);
+    return { text: `${divisor * quotient}÷${divisor}`, value: quotient, operations: ['÷'] };
+};
+
+// Signed + - × with the operand range growing each stage
+const createNegativeNumberProblem = (rng, level) => {
+    const range = Math.min(20, 4 + level * 2);
+    const operator = randomPick(rng, level >= 2 ? ['+', '-', '×'] : ['+', '-']);
+    const value1 = randomInt(rng, -range, range + 1);
+    const value2 = randomInt(rng, -range, 0); // Always negative, that is the point
+    return { text: `${value1}${operator}${formatNumber(value2)}`, value: evaluate(value1, operator, value2), operations: [operator] };
+};
+
+// Fraction problems whose answers are whole numbers, so a gem never scores a fraction:
+// a/b × c with c a multiple of b, or a/b ± c/b with a ± c a multiple of b
+const createFractionProblem = (rng, level) => {
+    const denominator = randomInt(rng, 2, Math.min(10, 3 + level) + 1);
+    if (randomChance(rng, 0.5)) {
+        const numerator = randomInt(rng, 1, denominator);
+        const whole = denominator * randomInt(rng, 1, 5);
+        return { text: `${numerator}/${denominator}×${whole}`, value: (numerator * whole) / denominator, operations: ['fraction', '×'] };
+    }
+    const operator = level >= 3 ? randomPick(rng, ['+', '-']) : '+';
+    const numerator1 = randomInt(rng, 1, denominator * 2);
+    // Pick the second numerator so the result lands on a multiple of the denominator
+    const target = denominator * randomInt(rng, operator === '-' ? -2 : 1, 4);
+    const numerator2 = operator === '+' ? target - numerator1 : numerator1 - target;
+    if (numerator2 <= 0) return createFractionProblem(rng, level);
+    return { text: `${numerator1}/${denominator}${operator}${numerator2}/${denominator}`, value: target / denominator, operations: ['fraction', operator] };
+};
+
+// Two operands at first, three from stage 2 and parentheses from stage 5
+const createOrderOfOperationsProblem = (rng, level) => {
+    const operandCount = level >= 2 ? 3 : 2;
+    const values = Array.from({ length: operandCount }, () => randomInt(rng, 1, Math.min(12, 5 + level) + 1));
+    const operators = Array.from({ length: operandCount - 1 }, () => randomPick(rng, ['+', '-', '×']));
+    const operations = [...new Set(operators)];
+    if (operandCount === 2) {
+        return { text: `${values[0]}${operators[0]}${values[1]}`, value: evaluate(values[0], operators[0], values[1]), operations };
+    }
+    const [a, b, c] = values;
+    const [op1, op2] = operators;
+    if (level >= 5 && randomChance(rng, 0.4)) {
+        // Parentheses around whichever pair would otherwise be evaluated second
+        const groupFirst = op2 === '×' && op1 !== '×';
+        return groupFirst
+            ? { text: `(${a}${op1}${b})${op2}${c}`, value: evaluate(evaluate(a, op1, b), op2, c), operations: [...operations, 'parentheses'] }
+            : { text: `${a}${op1}(${b}${op2}${c})`, value: evaluate(a, op1, evaluate(b, op2, c)), operations: [...operations, 'parentheses'] };
+    }
+    // × binds tighter than + and -, otherwise left to right
+    const value = op2 === '×' && op1 !== '×' ? evaluate(a, op1, b * c) : evaluate(evaluate(a, op1, b), op2, c);
+    return { text: `${a}${op1}${b}${op2}${c}`, value, operations };
+};
+
+export const CURRICULA = {
+    mixed: { label: '사칙연산 (기본)', create: createMixedProblem },
+    timesTables: { label: '구구단', create: createTimesTableProblem },
+    integerDivision: { label: '나머지 없는 나눗셈', create: createIntegerDivisionProblem },
+    negativeNumbers: { label: '음수 계산', create: createNegativeNumberProblem },
+    fractions: { label: '분수', create: createFractionProblem },
+    orderOfOperations: { label: '혼합 계산 (연산 순서)', create: createOrderOfOperationsProblem },
+};
+
+export const createProblem = (rng, curriculum, stage) => (
+    CURRICULA[curriculum].create(rng, Math.min(Math.max(stage, 1), MAX_LEVEL))
+);
@@ -0,0 +1,25 @@
+import { applyBulletBehaviours } from './patterns';
+
+// --- Death Slow Motion ---
+// What the field shows between the fatal hit and the results (the `dying` flow
+// state): a copy of the last frame whose bullets keep drifting at a fraction of
+// their speed. The run itself has ended and is never stepped again.
+
+export const DEATH_SLOW_MOTION_SCALE = 0.2;
+
+export const createDeathSlowMotion = (gameData) => {
+    const view = { ...gameData, bullets: gameData.bullets.map(bullet => ({ ...bullet })) };
+    return {
+        gameData: view,
+        // `frameMs` of wall time plays as DEATH_SLOW_MOTION_SCALE of it
+        advance: (frameMs) => {
+            const deltaTime = (frameMs * DEATH_SLOW_MOTION_SCALE) / 1000;
+            view.time += deltaTime * 1000;
+            view.bullets.forEach(bullet => {
+                if (!applyBulletBehaviours(bullet, deltaTime, view.time)) return;
+                bullet.x += bullet.dx * deltaTime;
+                bullet.y += bullet.dy * deltaTime;
+            });
+        },
+    };
+};
@@ -0,0 +1,9 @@
+// --- Entity Helpers ---
+
+// Ids come from a per-run counter so they are stable across replays
+export const createEntityId = (gameData, prefix) => `${prefix}_${gameData.nextEntityId++}`;
+
+export const isOverlapping = (a, b) => (
+    a.x < b.x + b.width && a.x + a.width > b.x &&
+    a.y < b.y + b.height && a.y + a.height > b.y
+);
@@ -0,0 +1,36 @@
+// --- Game Events ---
+// One-off moments the presentation layer reacts to (sounds today). Listeners
+// live outside gameData, like the collision grids, so saving, replaying and
+// headless runs are unaffected and emitting never touches the RNG.
+//
+// Types: 'bullets' { count }, 'wallWarning', 'laserWarning', 'item' { itemType },
+// 'gem' { value }, 'split' { x, y }, 'bulletsCleared' { positions }, 'hit' { cause },
+// 'death' { x, y, cause }, 'stageClear'. `cause` is the kind of bullet that hit
+// (see bulletPool.js), 'boss' or 'laser'. Every event also carries the simulation `time`.
+// Followers take them through simulation.onEvent as their `handleGameEvent`.
+const listeners = new WeakMap();
+
+export const subscribeGameEvents = (gameData, listener) => {
+    if (!listeners.has(gameData)) listeners.set(gameData, new Set());
+    listeners.get(gameData).add(listener);
+    return () => listeners.get(gameData).delete(listener);
+};
+
+export const emitGameEvent = (gameData, type, detail = {}) => {
+    const subscribed = listeners.get(gameData);
+    if (subscribed) subscribed.forEach(listener => listener({ type, time: gameData.time, ...detail }));
+};
+
+// Reaching a stage is not an event, and neither is restarting one from its
+// snapshot, so followers poll for both. The returned function is true once
+// per new stage or restart (time went back) since its last call.
+export const createStageWatcher = (gameData) => {
+    let stage = gameData.stage;
+    let lastTime = gameData.time;
+    return () => {
+        const changed = gameData.stage !== stage || gameData.time < lastTime;
+        stage = gameData.stage;
+        lastTime = gameData.time;
+        return changed;
+    };
+};
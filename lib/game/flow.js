@@ -0,0 +1,73 @@
+// --- Game Flow ---
+// The screens the game moves through, as a state machine. Every screen change
+// goes through transitionFlow, which only allows the moves listed in `next`:
+//
+//   lobby → stageIntro → countdown → playing → stageResult → stageIntro → …
+//                                    playing → dying → gameOver → lobby
+//
+// Timer and pause semantics:
+// - Only `playing` runs the simulation, and its clock is reset every time play
+//   (re)starts, so time spent on any other screen never reaches the run.
+// - Timed states move on to `then` after `duration` ms of frame time, counted
+//   by createFlowTimer. Frames count for at most MAX_FLOW_FRAME_MS, so a hidden
+//   tab holds a timer where it was instead of skipping it.
+// - Only `pausable` states can be paused, and a paused timer does not run. The
+//   countdown starts over on resume, so play never resumes without warning.
+// - Every transition clears the pause.
+// `showsField` states draw the play field, behind their card or countdown.
+
+export const FLOW_STATES = {
+    lobby: { next: ['stageIntro', 'countdown', 'stageResult', 'replay', 'versusRoom'] },
+    stageIntro: { showsField: true, duration: 2500, then: 'countdown', next: ['countdown'] },
+    countdown: { showsField: true, pausable: true, duration: 3000, then: 'playing', next: ['playing', 'lobby'] },
+    playing: { showsField: true, pausable: true, next: ['dying', 'gameOver', 'stageResult', 'countdown', 'versusResult', 'lobby'] },
+    dying: { showsField: true, duration: 1500, then: 'gameOver', next: ['gameOver'] },
+    stageResult: { next: ['stageIntro'] },
+    gameOver: { next: ['lobby', 'replay'] },
+    replay: { next: ['lobby', 'gameOver', 'versusResult', 'playing'] }, // A versus rematch can start mid-replay
+    versusRoom: { next: ['playing', 'lobby'] },
+    versusResult: { next: ['lobby', 'replay', 'playing'] },
+};
+
+export const MAX_FLOW_FRAME_MS = 100;
+
+export class FlowError extends Error {
+    constructor(from, to) {
+        super(`No transition from ${from} to ${to}`);
+        this.name = 'FlowError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+export const INITIAL_FLOW = { state: 'lobby', paused: false };
+
+export const canTransition = (from, to) => Object.prototype.hasOwnProperty.call(FLOW_STATES, to) && FLOW_STATES[from].next.includes(to);
+
+export const transitionFlow = (flow, to) => {
+    if (!canTransition(flow.state, to)) throw new FlowError(flow.state, to);
+    return { state: to, paused: false };
+};
+
+// Both return the flow unchanged when there is nothing to do
+export const pauseFlow = (flow) => (FLOW_STATES[flow.state].pausable && !flow.paused ? { ...flow, paused: true } : flow);
+export const resumeFlow = (flow) => (flow.paused ? { ...flow, paused: false } : flow);
+
+export const isFieldState = (state) => Boolean(FLOW_STATES[state].showsField);
+
+// Counts frame time in a timed state. Start a new timer on entering the state
+// and on every resume (which is what restarts the countdown).
+export const createFlowTimer = (state) => {
+    const { duration } = FLOW_STATES[state];
+    let elapsed = 0;
+    return {
+        // Returns the ms actually counted for this frame
+        advance: (frameMs) => {
+            const counted = Math.min(Math.max(0, frameMs), MAX_FLOW_FRAME_MS, duration - elapsed);
+            elapsed += counted;
+            return counted;
+        },
+        isDone: () => elapsed >= duration,
+        getRemaining: () => duration - elapsed,
+    };
+};
@@ -0,0 +1,46 @@
+import { calculateFinalScore } from './simulation';
+import { getStageDefinition } from './stages';
+
+// --- Stage Intermissions ---
+// What the screens around a stage show (see flow.js): the intro card before it
+// and the result screen after it. Both only read the run.
+
+// Spawner and boss pattern types in the order the stage lists them
+const getBulletTypes = (stageDefinition) => {
+    const types = stageDefinition.spawners.map(spawner => spawner.type);
+    if (stageDefinition.boss) stageDefinition.boss.phases.forEach(phase => phase.patterns.forEach(pattern => types.push(pattern.type)));
+    return [...new Set(types)];
+};
+
+// For the intro card; `isNew` marks bullet types no earlier stage of the set has
+export const describeStage = (stageSet, stage) => {
+    const definition = getStageDefinition(stageSet, stage);
+    const seen = new Set();
+    for (let earlier = 1; earlier < stage; earlier++) getBulletTypes(getStageDefinition(stageSet, earlier)).forEach(type => seen.add(type));
+    return {
+        stage,
+        isEndless: definition.isEndless,
+        duration: definition.duration, // Seconds, null when endless
+        boss: definition.boss ? { name: definition.boss.name, emoji: definition.boss.emoji } : null,
+        bulletTypes: getBulletTypes(definition).map(type => ({ type, isNew: !seen.has(type) })),
+    };
+};
+
+// Score breakdown of the stage just cleared. `stageStart` is the run as the
+// stage began (the simulation's stage start snapshot). Survival points follow
+// calculateFinalScore, so the stages add up to the final score.
+export const buildStageResult = (stageStart, gameData) => {
+    const gems = gameData.learning.collected.filter(gem => gem.stage === gameData.stage);
+    const survivalPoints = calculateFinalScore(0, gameData.time) - calculateFinalScore(0, stageStart.time);
+    const gemPoints = Math.floor(gameData.player.score) - Math.floor(stageStart.player.score);
+    return {
+        stage: gameData.stage,
+        survivalMs: gameData.time - stageStart.time,
+        survivalPoints,
+        gemPoints,
+        gemsCollected: gems.length,
+        gemsHelped: gems.filter(gem => gem.value > 0).length,
+        stagePoints: survivalPoints + gemPoints,
+        totalScore: Math.floor(calculateFinalScore(gameData.player.score, gameData.time)),
+    };
+};
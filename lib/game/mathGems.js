@@ -0,0 +1,29 @@
+import { GEM_LIFESPAN } from './constants';
+import { createProblem } from './curricula';
+import { createEntityId } from './entities';
+import { randomRange } from './rng';
+
+// --- Math Gems ---
+// The problem comes from the run's curriculum; its difficulty follows the stage
+export const createMathGem = (gameData) => {
+    const { rng, time: now, width, height } = gameData;
+    const { text, value, operations } = createProblem(rng, gameData.curriculum, gameData.stage);
+    return { id: createEntityId(gameData, 'g'), x: randomRange(rng, 50, width - 50), y: randomRange(rng, 50, height - 50), expiresAt: now + GEM_LIFESPAN, text, value, operations };
+};
+
+export const evaluateMathGem = (gem) => gem.value;
+
+// --- Learning Stats ---
+// gameData.learning = { offered: { [operation]: { helpful, total } }, collected: [{ text, value, operations, stage }] }
+export const createLearningStats = () => ({ offered: {}, collected: [] });
+
+export const recordGemOffered = (learning, gem) => {
+    gem.operations.forEach(operation => {
+        const stats = learning.offered[operation] || { helpful: 0, total: 0 };
+        learning.offered[operation] = { helpful: stats.helpful + (gem.value > 0 ? 1 : 0), total: stats.total + 1 };
+    });
+};
+
+export const recordGemCollected = (learning, gem, stage) => {
+    learning.collected.push({ text: gem.text, value: gem.value, operations: gem.operations, stage });
+};
@@ -0,0 +1,102 @@
+import { acquireBullet } from './bulletPool';
+import { BULLET_SIZE, PLAYER_SIZE } from './constants';
+import { createEntityId } from './entities';
+import { nextRandom } from './rng';
+
+// --- Boss Bullet Patterns ---
+// Patterns fire ordinary bullets ({ x, y, dx, dy }) from an origin point. The
+// optional behaviour fields they copy onto each bullet are applied every tick
+// by applyBulletBehaviours.
+
+const DEG = Math.PI / 180;
+const DEFAULT_LASER = { warning: 1000, duration: 700, width: 24 };
+
+const spawnPatternBullet = (gameData, pattern, origin, angle, speed) => {
+    const bullet = acquireBullet(createEntityId(gameData, 'b_boss'), origin.x - BULLET_SIZE / 2, origin.y - BULLET_SIZE / 2, Math.cos(angle) * speed, Math.sin(angle) * speed);
+    bullet.kind = 'boss';
+    if (pattern.accel) { bullet.accel = pattern.accel; bullet.maxSpeed = pattern.maxSpeed; bullet.heading = angle; }
+    if (pattern.turnRate) bullet.turnRate = pattern.turnRate * DEG;
+    if (pattern.delay) bullet.startAt = gameData.time + pattern.delay;
+    gameData.bullets.push(bullet);
+};
+
+const getAngleToPlayer = (gameData, origin) => {
+    const { player } = gameData;
+    return Math.atan2(player.y + PLAYER_SIZE / 2 - origin.y, player.x + PLAYER_SIZE / 2 - origin.x);
+};
+
+// `timeInPhase` (seconds) drives rotating patterns
+export const firePattern = (gameData, pattern, origin, speed, timeInPhase) => {
+    switch (pattern.type) {
+        case 'spiral': {
+            const arms = pattern.arms || 1;
+            const base = (pattern.rotationSpeed || 0) * timeInPhase * DEG;
+            for (let i = 0; i < arms; i++) spawnPatternBullet(gameData, pattern, origin, base + (Math.PI * 2 * i) / arms, speed);
+            break;
+        }
+        case 'radial': {
+            const count = pattern.count || 12;
+            const offset = nextRandom(gameData.rng) * (Math.PI * 2) / count; // So safe lanes move between bursts
+            for (let i = 0; i < count; i++) spawnPatternBullet(gameData, pattern, origin, offset + (Math.PI * 2 * i) / count, speed);
+            break;
+        }
+        case 'fan': {
+            const count = pattern.count || 5;
+            const spread = (pattern.spread || 45) * DEG;
+            const center = getAngleToPlayer(gameData, origin);
+            for (let i = 0; i < count; i++) {
+                const angle = count === 1 ? center : center - spread / 2 + (spread * i) / (count - 1);
+                spawnPatternBullet(gameData, pattern, origin, angle, speed);
+            }
+            break;
+        }
+        case 'laser': {
+            // Aimed when the warning appears, so the telegraph shows exactly where it will fire
+            const { warning, duration, width } = { ...DEFAULT_LASER, ...pattern };
+            gameData.lasers.push({
+                id: createEntityId(gameData, 'laser'), x: origin.x, y: origin.y, angle: getAngleToPlayer(gameData, origin), width,
+                firesAt: gameData.time + warning, endsAt: gameData.time + warning + duration,
+            });
+            break;
+        }
+        default: break;
+    }
+};
+
+// Turns and accelerates a bullet in place; returns false while a delayed bullet is still waiting
+export const applyBulletBehaviours = (bullet, deltaTime, now) => {
+    if (now < bullet.startAt) return false;
+    if (bullet.turnRate) {
+        const turn = bullet.turnRate * deltaTime;
+        const { dx, dy } = bullet;
+        bullet.dx = dx * Math.cos(turn) - dy * Math.sin(turn);
+        bullet.dy = dx * Math.sin(turn) + dy * Math.cos(turn);
+    }
+    if (bullet.accel) {
+        const speed = Math.sqrt(bullet.dx * bullet.dx + bullet.dy * bullet.dy);
+        const nextSpeed = Math.max(0, Math.min(bullet.maxSpeed || Infinity, speed + bullet.accel * deltaTime));
+        if (speed > 0) {
+            bullet.dx *= nextSpeed / speed;
+            bullet.dy *= nextSpeed / speed;
+        } else {
+            // Bullets fired at rest start moving the way they were aimed
+            bullet.dx = Math.cos(bullet.heading) * nextSpeed;
+            bullet.dy = Math.sin(bullet.heading) * nextSpeed;
+        }
+    }
+    return true;
+};
+
+export const isLaserFiring = (laser, now) => now >= laser.firesAt && now < laser.endsAt;
+
+// Lasers are rays from their origin; `circle` is { x, y, radius }
+export const isCircleHitByLaser = (laser, circle) => {
+    const dirX = Math.cos(laser.angle);
+    const dirY = Math.sin(laser.angle);
+    const relX = circle.x - laser.x;
+    const relY = circle.y - laser.y;
+    const along = relX * dirX + relY * dirY;
+    if (along < -circle.radius) return false; // Behind the boss
+    const across = Math.abs(relX * dirY - relY * dirX);
+    return across <= laser.width / 2 + circle.radius;
+};
@@ -0,0 +1,115 @@
+import { clearBullets } from './bulletPool';
+import { BULLET_SIZE, FIXED_TIMESTEP_MS } from './constants';
+import { emitGameEvent } from './events';
+
+// --- Game Modes ---
+// Classic is the original one-hit game and the only ranked mode; its item pool
+// and rules must never change, or recorded replays would stop reproducing.
+export const GAME_MODES = {
+    classic: { label: '클래식', startingLives: 1, maxLives: 1, itemPool: ['shield', '꽝', 'clear'] },
+    powerUp: { label: '파워업', startingLives: 3, maxLives: 5, itemPool: ['shield', 'clear', 'extraLife', 'slowTime', 'magnet', 'shrink', 'multiplier'] },
+};
+
+export const HIT_INVULNERABILITY_MS = 2000; // After losing a life that was not the last
+
+// --- Items ---
+// Timed items become effects in gameData.effects ({ [type]: { until, duration, stacks } }).
+// Stacking when picked up again while active:
+//   refresh - back to the full duration
+//   extend  - adds the duration, capped at maxDuration
+//   stack   - one more level (up to maxStacks) and back to the full duration
+export const ITEM_TYPES = {
+    shield: { emoji: '🛡️', label: '보호막', color: '#22d3ee', duration: 5000, stacking: 'refresh' },
+    '꽝': { emoji: '❓', label: '꽝', color: '#9ca3af' },
+    clear: { emoji: '💥', label: '탄막 제거', color: '#f97316' },
+    extraLife: { emoji: '❤️', label: '목숨 +1', color: '#f43f5e' },
+    slowTime: { emoji: '⏳', label: '슬로우', color: '#60a5fa', duration: 5000, stacking: 'extend', maxDuration: 10000 },
+    magnet: { emoji: '🧲', label: '자석', color: '#a855f7', duration: 8000, stacking: 'extend', maxDuration: 16000 },
+    shrink: { emoji: '🔻', label: '축소', color: '#34d399', duration: 6000, stacking: 'refresh' },
+    multiplier: { emoji: '✨', label: '점수 배수', color: '#facc15', duration: 10000, stacking: 'stack', maxStacks: 2 },
+};
+
+export const SLOW_TIME_FACTOR = 0.5; // Bullet speed while slowed
+export const MAGNET_RADIUS = 200;
+export const MAGNET_SPEED = 300; // px/s a gem is pulled
+export const SHRINK_HITBOX_SCALE = 0.5;
+
+export const isEffectActive = (gameData, type) => !!gameData.effects[type];
+
+export const getScoreMultiplier = (gameData) => (gameData.effects.multiplier ? gameData.effects.multiplier.stacks + 1 : 1);
+
+const addEffect = (gameData, type) => {
+    const { duration, stacking, maxDuration, maxStacks } = ITEM_TYPES[type];
+    const now = gameData.time;
+    const current = gameData.effects[type];
+    if (!current) {
+        gameData.effects[type] = { until: now + duration, duration, stacks: 1 };
+        return;
+    }
+    switch (stacking) {
+        case 'extend': {
+            const until = Math.min(current.until + duration, now + maxDuration);
+            gameData.effects[type] = { until, duration: until - now, stacks: 1 };
+            break;
+        }
+        case 'stack':
+            gameData.effects[type] = { until: now + duration, duration, stacks: Math.min(current.stacks + 1, maxStacks) };
+            break;
+        default: // refresh
+            gameData.effects[type] = { ...current, until: now + duration, duration };
+            break;
+    }
+};
+
+export const applyItem = (gameData, type) => {
+    const { player, time: now } = gameData;
+    switch (type) {
+        // Shield is kept on the player, as it always was, so classic runs replay unchanged
+        case 'shield': player.isInvincible = true; player.invincibleUntil = now + ITEM_TYPES.shield.duration; break;
+        case 'clear':
+            emitGameEvent(gameData, 'bulletsCleared', { positions: gameData.bullets.map(b => ({ x: b.x + BULLET_SIZE / 2, y: b.y + BULLET_SIZE / 2 })) });
+            clearBullets(gameData);
+            break;
+        case 'extraLife': player.lives = Math.min(player.lives + 1, GAME_MODES[gameData.mode].maxLives); break;
+        case 'slowTime':
+        case 'magnet':
+        case 'shrink':
+        case 'multiplier': addEffect(gameData, type); break;
+        default: break; // '꽝' item has no effect
+    }
+};
+
+export const expireEffects = (gameData) => {
+    Object.keys(gameData.effects).forEach(type => {
+        if (gameData.time >= gameData.effects[type].until) delete gameData.effects[type];
+    });
+};
+
+// Pulls gems near the player toward them
+export const applyMagnet = (gameData) => {
+    if (!isEffectActive(gameData, 'magnet')) return;
+    const { player } = gameData;
+    const step = MAGNET_SPEED * (FIXED_TIMESTEP_MS / 1000);
+    gameData.mathGems.forEach(gem => {
+        const dx = player.x - gem.x;
+        const dy = player.y - gem.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > MAGNET_RADIUS || distance < 1) return;
+        const move = Math.min(step, distance);
+        gem.x += (dx / distance) * move;
+        gem.y += (dy / distance) * move;
+    });
+};
+
+// Active timers for the HUD: [{ type, remaining, duration, stacks }], shield included
+export const getActiveEffects = (gameData) => {
+    const now = gameData.time;
+    const effects = Object.entries(gameData.effects).map(([type, effect]) => (
+        { type, remaining: effect.until - now, duration: effect.duration, stacks: effect.stacks }
+    ));
+    const { player } = gameData;
+    if (player.isInvincible && player.lives > 0 && player.invincibleUntil > now) {
+        effects.unshift({ type: 'shield', remaining: player.invincibleUntil - now, duration: ITEM_TYPES.shield.duration, stacks: 1 });
+    }
+    return effects;
+};
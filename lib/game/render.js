@@ -0,0 +1,252 @@
+import { BOSS_SIZE, BULLET_SIZE, FLOATING_TEXT_LIFESPAN, GEM_SIZE, ITEM_SIZE, PLAYER_SIZE } from './constants';
+import { isLaserFiring } from './patterns';
+import { ITEM_TYPES, MAGNET_RADIUS, SHRINK_HITBOX_SCALE, getScoreMultiplier, isEffectActive } from './powerUps';
+import { createSpriteAtlas } from './spriteAtlas';
+
+// Bullet colours that stay distinct from the field, gems and items for colour-blind players
+export const BULLET_PALETTES = {
+    default: { label: '기본', fill: '#ef4444' }, // bg-red-500
+    redGreen: { label: '적록 색약', fill: '#f59e0b', outline: '#fef3c7' },
+    blueYellow: { label: '청황 색약', fill: '#ec4899', outline: '#fce7f3' },
+    highContrast: { label: '고대비', fill: '#ffffff', outline: '#000000' },
+};
+
+let spriteAtlas = null; // Created on first draw, in the browser
+
+const BULLET_MARK_COLOR = '#111827'; // Bullet kind markings, dark on every palette
+const HOMING_TRAIL_SECONDS = 0.12; // Trail length as distance travelled
+const WALL_TELEGRAPH_DEPTH = 10;
+
+// --- Canvas Renderer ---
+// Draws a game data snapshot; shared by the game, the replay viewer and the stage editor preview.
+// Everything is drawn in field units (gameData.width/height); `scale` maps them
+// to canvas pixels (see canvasResolution.js).
+// `ghost` ({ x, y, alive, name }) is a versus opponent drawn under the player.
+// `visualEffects` (see visualEffects.js) adds particles and screen shake.
+// `playerEmoji` is the player's skin (see progress/skins.js).
+// `reducedMotion` drops flicker, drifting text and homing trails.
+export const drawGame = (ctx, gameData, { ghost = null, bulletPalette = 'default', reducedMotion = false, scale = 1, visualEffects = null, playerEmoji = '🐊' } = {}) => {
+    if (!gameData) return;
+    if (!spriteAtlas) spriteAtlas = createSpriteAtlas();
+
+    const { player, bullets, items, mathGems, floatingTexts, boss, lasers = [], wallWarnings = [], time: now, width, height } = gameData;
+    const shake = visualEffects ? visualEffects.getShakeOffset() : { x: 0, y: 0 };
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.translate(shake.x, shake.y);
+
+    // Draw background (oversized so shaking never uncovers the canvas)
+    ctx.fillStyle = '#1f2937'; // bg-gray-800
+    ctx.fillRect(-width, -height, width * 3, height * 3);
+    if (isEffectActive(gameData, 'slowTime')) {
+        ctx.fillStyle = 'rgba(96, 165, 250, 0.12)'; // Blue tint while time is slowed
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    // Draw Wall Telegraphs (a band along the wall's edge, open where its gap will be)
+    wallWarnings.forEach(wall => {
+        const isHorizontal = wall.side < 2;
+        const edge = [0, height - WALL_TELEGRAPH_DEPTH, 0, width - WALL_TELEGRAPH_DEPTH][wall.side];
+        const drawSegment = (from, to) => {
+            if (to <= from) return;
+            if (isHorizontal) ctx.fillRect(from, edge, to - from, WALL_TELEGRAPH_DEPTH);
+            else ctx.fillRect(edge, from, WALL_TELEGRAPH_DEPTH, to - from);
+        };
+        ctx.save();
+        ctx.fillStyle = '#ef4444';
+        ctx.globalAlpha = reducedMotion ? 0.6 : 0.35 + 0.35 * Math.abs(Math.sin(now / 80));
+        drawSegment(0, wall.gapPosition);
+        drawSegment(wall.gapPosition + wall.gapSize, wall.span);
+        ctx.restore();
+    });
+
+    // Draw Lasers (a thin flickering line while telegraphed, a full beam while firing)
+    const laserLength = Math.sqrt(width * width + height * height);
+    lasers.forEach(laser => {
+        const isFiring = isLaserFiring(laser, now);
+        ctx.save();
+        ctx.strokeStyle = isFiring ? '#fde047' : '#ef4444';
+        ctx.globalAlpha = isFiring ? 0.9 : (reducedMotion ? 0.5 : 0.3 + 0.3 * Math.abs(Math.sin(now / 60)));
+        ctx.lineWidth = isFiring ? laser.width : 2;
+        if (isFiring) { ctx.shadowColor = '#f97316'; ctx.shadowBlur = 20; }
+        ctx.beginPath();
+        ctx.moveTo(laser.x, laser.y);
+        ctx.lineTo(laser.x + Math.cos(laser.angle) * laserLength, laser.y + Math.sin(laser.angle) * laserLength);
+        ctx.stroke();
+        ctx.restore();
+    });
+
+    // Draw Boss
+    if (boss) spriteAtlas.draw(ctx, boss.emoji, boss.x, boss.y, BOSS_SIZE);
+
+    // Draw Versus Ghost
+    if (ghost && ghost.x !== null) {
+        ctx.save();
+        ctx.globalAlpha = 0.35;
+        spriteAtlas.draw(ctx, ghost.alive ? '🐊' : '💀', ghost.x, ghost.y, PLAYER_SIZE);
+        ctx.font = 'bold 12px sans-serif';
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'center';
+        ctx.fillText(ghost.name, ghost.x + PLAYER_SIZE / 2, ghost.y - 14);
+        ctx.restore();
+    }
+
+    const centerX = player.x + PLAYER_SIZE / 2;
+    const centerY = player.y + PLAYER_SIZE / 2;
+
+    // Draw Magnet Range
+    if (isEffectActive(gameData, 'magnet') && player.lives > 0) {
+        ctx.save();
+        ctx.strokeStyle = ITEM_TYPES.magnet.color;
+        ctx.globalAlpha = 0.4;
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, MAGNET_RADIUS, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Draw Player (drawn smaller while shrunk, around the same center)
+    const playerSize = isEffectActive(gameData, 'shrink') ? PLAYER_SIZE * (1 + SHRINK_HITBOX_SCALE) / 2 : PLAYER_SIZE;
+    ctx.save();
+    if (player.isInvincible) {
+        ctx.globalAlpha = 0.5;
+        ctx.shadowColor = 'cyan';
+        ctx.shadowBlur = 15;
+    }
+    spriteAtlas.draw(ctx, player.lives > 0 ? playerEmoji : '💀', centerX - playerSize / 2, centerY - playerSize / 2, playerSize);
+    ctx.restore();
+
+    // Draw Score Multiplier
+    const multiplier = getScoreMultiplier(gameData);
+    if (multiplier > 1 && player.lives > 0) {
+        ctx.save();
+        ctx.font = 'bold 14px sans-serif';
+        ctx.fillStyle = ITEM_TYPES.multiplier.color;
+        ctx.textAlign = 'center';
+        ctx.fillText(`×${multiplier}`, centerX, player.y - 16);
+        ctx.restore();
+    }
+
+    // Draw Bullets, batched into one path per style (delayed bullets are outlined until they start moving)
+    const radius = BULLET_SIZE / 2;
+    const traceBullets = (isDelayed) => {
+        ctx.beginPath();
+        bullets.forEach(b => {
+            if ((b.startAt > now) !== isDelayed) return;
+            ctx.moveTo(b.x + BULLET_SIZE, b.y + radius);
+            ctx.arc(b.x + radius, b.y + radius, radius, 0, Math.PI * 2);
+        });
+    };
+    const palette = BULLET_PALETTES[bulletPalette] || BULLET_PALETTES.default;
+    ctx.save();
+    ctx.fillStyle = palette.fill;
+    traceBullets(false);
+    ctx.fill();
+    if (palette.outline) {
+        ctx.strokeStyle = palette.outline;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+    if (bullets.some(b => b.startAt > now)) {
+        ctx.strokeStyle = palette.fill;
+        ctx.lineWidth = 1;
+        traceBullets(true);
+        ctx.stroke();
+    }
+    drawBulletMarkings(ctx, bullets, palette, reducedMotion);
+    ctx.restore();
+
+    // Draw Items (each glows in its own color so they can be told apart mid-dodge)
+    ctx.save();
+    ctx.shadowBlur = 12;
+    items.forEach(i => {
+        ctx.shadowColor = ITEM_TYPES[i.type].color;
+        spriteAtlas.draw(ctx, ITEM_TYPES[i.type].emoji, i.x, i.y, ITEM_SIZE);
+    });
+    ctx.restore();
+
+    // Draw Math Gems
+    mathGems.forEach(g => {
+        const gemWidth = GEM_SIZE;
+        const gemHeight = GEM_SIZE;
+        ctx.fillStyle = '#9333ea'; // bg-purple-600
+        ctx.fillRect(g.x, g.y, gemWidth, gemHeight);
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(g.text, g.x + gemWidth / 2, g.y + gemHeight / 2);
+    });
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+
+    // Draw Floating Texts
+    floatingTexts.forEach(ft => {
+        const life = (ft.expiresAt - now) / FLOATING_TEXT_LIFESPAN;
+        if (life > 0) {
+            ctx.save();
+            ctx.globalAlpha = life;
+            ctx.font = 'bold 20px sans-serif';
+            ctx.fillStyle = ft.text.startsWith('+') ? '#4ade80' : '#f87171';
+            ctx.fillText(ft.text, ft.x, reducedMotion ? ft.y : ft.y - (1 - life) * 60);
+            ctx.restore();
+        }
+    });
+
+    if (visualEffects) visualEffects.draw(ctx);
+};
+
+// Bullet kinds get a shape on top of the palette colour, so they can be told
+// apart without relying on colour: homing bullets trail behind and have a dot,
+// aimed bullets point where they fly and splitters carry the cross they split into.
+const drawBulletMarkings = (ctx, bullets, palette, reducedMotion) => {
+    const radius = BULLET_SIZE / 2;
+    const homing = bullets.filter(b => b.isHoming);
+    const aimed = bullets.filter(b => b.kind === 'aimed');
+    const splitters = bullets.filter(b => b.isSplitter);
+
+    if (homing.length > 0 && !reducedMotion) {
+        ctx.globalAlpha = 0.4;
+        ctx.strokeStyle = palette.fill;
+        ctx.lineWidth = radius;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        homing.forEach(b => {
+            ctx.moveTo(b.x + radius, b.y + radius);
+            ctx.lineTo(b.x + radius - b.dx * HOMING_TRAIL_SECONDS, b.y + radius - b.dy * HOMING_TRAIL_SECONDS);
+        });
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+
+    ctx.fillStyle = BULLET_MARK_COLOR;
+    ctx.beginPath();
+    homing.forEach(b => {
+        ctx.moveTo(b.x + radius * 1.4, b.y + radius);
+        ctx.arc(b.x + radius, b.y + radius, radius * 0.4, 0, Math.PI * 2);
+    });
+    aimed.forEach(b => {
+        const angle = Math.atan2(b.dy, b.dx);
+        const cx = b.x + radius;
+        const cy = b.y + radius;
+        ctx.moveTo(cx + Math.cos(angle) * radius * 0.8, cy + Math.sin(angle) * radius * 0.8);
+        ctx.lineTo(cx + Math.cos(angle + 2.4) * radius * 0.6, cy + Math.sin(angle + 2.4) * radius * 0.6);
+        ctx.lineTo(cx + Math.cos(angle - 2.4) * radius * 0.6, cy + Math.sin(angle - 2.4) * radius * 0.6);
+        ctx.closePath();
+    });
+    ctx.fill();
+
+    if (splitters.length > 0) {
+        ctx.strokeStyle = BULLET_MARK_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        splitters.forEach(b => {
+            ctx.moveTo(b.x + radius * 0.4, b.y + radius);
+            ctx.lineTo(b.x + radius * 1.6, b.y + radius);
+            ctx.moveTo(b.x + radius, b.y + radius * 0.4);
+            ctx.lineTo(b.x + radius, b.y + radius * 1.6);
+        });
+        ctx.stroke();
+    }
+};
@@ -0,0 +1,176 @@
+import { GAME_HEIGHT, GAME_WIDTH } from './constants';
+import { applyInput, createGameData, startNextStage, stepGame } from './simulation';
+import { CURRICULA, DEFAULT_CURRICULUM } from './curricula';
+import { GAME_MODES } from './powerUps';
+import { DEFAULT_STAGE_SET, LEGACY_DEFAULT_STAGE_SETS, loadStageSet } from './stages';
+
+// --- Replays ---
+// A replay is the run header (seed, start stage, stage duration override, stage
+// set, game mode, math curriculum, field size) plus the input log. Re-running the simulation with the same inputs
+// reproduces the run. Custom stage sets are embedded so the replay stands alone.
+// A decoded replay's `stageSet` is null only for the current default set;
+// replays recorded on an older default set get that legacy set instead.
+
+export const REPLAY_VERSION = 5;
+const INPUT_TYPES = ['target', 'direction', 'attack']; // Encoded as their index
+const LEGACY_STAGE_DURATION = 60; // v1 replays always stored a duration; 60 meant "no override"
+// Default stage set version each replay version was recorded on (the current set from REPLAY_VERSION on)
+const DEFAULT_STAGE_SET_VERSIONS = { 1: 1, 2: 1, 3: 1, 4: 2 };
+const SNAPSHOT_INTERVAL_TICKS = 600; // Every 10s of play, for fast seeking
+const MAX_SEED = 0xFFFFFFFF; // Seeds are normalized to uint32 (see rng.js)
+const MIN_STAGE_DURATION = 1; // Seconds; shorter overrides would clear a stage every tick
+const MIN_FIELD_SIZE = 200; // Room for a wall gap and the boss
+const MAX_FIELD_SIZE = 2000;
+
+export const createReplay = (gameData) => ({
+    version: REPLAY_VERSION,
+    seed: gameData.seed,
+    startStage: gameData.startStage,
+    stageDuration: gameData.durationOverride,
+    stageSetId: gameData.stageSet.id,
+    stageSet: gameData.stageSet.id === DEFAULT_STAGE_SET.id ? null : gameData.stageSet,
+    mode: gameData.mode,
+    curriculum: gameData.curriculum,
+    width: gameData.width,
+    height: gameData.height,
+    playerName: gameData.player.name,
+    endTick: gameData.tick,
+    finalScore: Math.floor(gameData.finalScore),
+    inputs: gameData.inputLog.map(({ tick, type, x, y }) => ({ tick, type, x, y })),
+});
+
+// Compact string form: inputs are flattened to [tickDelta, typeIndex, x, y, ...]
+// (v1 and v2 replays only had click targets: [tickDelta, x, y, ...]).
+// The mode, curriculum and field size are only stored when they are not the defaults, which older replays all use.
+export const encodeReplay = (replay) => {
+    const inputs = [];
+    let lastTick = 0;
+    replay.inputs.forEach(({ tick, type, x, y }) => {
+        inputs.push(tick - lastTick, INPUT_TYPES.indexOf(type), x, y);
+        lastTick = tick;
+    });
+    return JSON.stringify({
+        v: replay.version, s: replay.seed, st: replay.startStage, d: replay.stageDuration,
+        ss: replay.stageSetId, sd: replay.stageSet || undefined, m: replay.mode !== 'classic' ? replay.mode : undefined,
+        c: replay.curriculum !== DEFAULT_CURRICULUM ? replay.curriculum : undefined,
+        w: replay.width !== GAME_WIDTH ? replay.width : undefined, h: replay.height !== GAME_HEIGHT ? replay.height : undefined, n: replay.playerName, e: replay.endTick, f: replay.finalScore, i: inputs,
+    });
+};
+
+export const decodeReplay = (encoded) => {
+    const data = typeof encoded === 'string' ? JSON.parse(encoded) : encoded;
+    if (!data || ![1, 2, 3, 4, REPLAY_VERSION].includes(data.v)) {
+        throw new Error(`Unsupported replay version: ${data && data.v}`);
+    }
+    const stride = data.v < 3 ? 3 : 4;
+    if (!Array.isArray(data.i) || data.i.length % stride !== 0) {
+        throw new Error('Malformed replay input log');
+    }
+    const inputs = [];
+    let tick = 0;
+    for (let i = 0; i < data.i.length; i += stride) {
+        tick += data.i[i];
+        const type = stride === 3 ? 'target' : INPUT_TYPES[data.i[i + 1]];
+        if (!type) throw new Error(`Unknown replay input type: ${data.i[i + 1]}`);
+        inputs.push({ tick, type, x: data.i[i + stride - 2], y: data.i[i + stride - 1] });
+    }
+    const stageSetId = data.v === 1 ? DEFAULT_STAGE_SET.id : data.ss;
+    let stageSet = data.sd ? loadStageSet(data.sd) : null;
+    // The default set is never embedded, so one that is has been edited to pass for it
+    if (stageSet && (stageSet.id === DEFAULT_STAGE_SET.id || stageSetId === DEFAULT_STAGE_SET.id)) {
+        throw new Error('Replay embeds a stage set under the default stage set id');
+    }
+    if (!stageSet && stageSetId === DEFAULT_STAGE_SET.id && data.v !== REPLAY_VERSION) stageSet = LEGACY_DEFAULT_STAGE_SETS[DEFAULT_STAGE_SET_VERSIONS[data.v]];
+    if (!stageSet && stageSetId !== DEFAULT_STAGE_SET.id) {
+        throw new Error(`Replay uses unknown stage set "${stageSetId}" without embedding it`);
+    }
+    if (!Number.isInteger(data.s) || data.s < 0 || data.s > MAX_SEED) throw new Error(`Replay seed must be an integer in 0-${MAX_SEED}`);
+    if (!Number.isInteger(data.st) || data.st < 1) throw new Error('Replay start stage must be a positive integer');
+    const stageDuration = data.v === 1 && data.d === LEGACY_STAGE_DURATION ? null : data.d ?? null;
+    if (stageDuration !== null && !(Number.isFinite(stageDuration) && stageDuration >= MIN_STAGE_DURATION)) {
+        throw new Error(`Replay stage duration must be at least ${MIN_STAGE_DURATION} second`);
+    }
+    const mode = data.m || 'classic';
+    if (!GAME_MODES[mode]) throw new Error(`Unknown replay game mode: ${mode}`);
+    const curriculum = data.c || DEFAULT_CURRICULUM;
+    if (!CURRICULA[curriculum]) throw new Error(`Unknown replay curriculum: ${curriculum}`);
+    const width = data.w || GAME_WIDTH;
+    const height = data.h || GAME_HEIGHT;
+    if (![width, height].every(size => Number.isInteger(size) && size >= MIN_FIELD_SIZE && size <= MAX_FIELD_SIZE)) {
+        throw new Error(`Replay field size must be ${MIN_FIELD_SIZE}-${MAX_FIELD_SIZE} on each side`);
+    }
+    return {
+        version: REPLAY_VERSION, seed: data.s, startStage: data.st, stageDuration, stageSetId, stageSet, mode, curriculum, width, height,
+        playerName: data.n || '', endTick: data.e, finalScore: data.f, inputs,
+    };
+};
+
+// --- Replay Player ---
+// Steps a fresh simulation through the recorded inputs. Stage clears advance
+// automatically, mirroring the "next stage" button in the live game.
+export const createReplayPlayer = (replay) => {
+    const { inputs } = replay;
+    let gameData;
+    let inputIndex;
+    let snapshots;
+
+    const restart = () => {
+        gameData = createGameData({
+            seed: replay.seed, startStage: replay.startStage,
+            stageDuration: replay.stageDuration, stageSet: replay.stageSet || DEFAULT_STAGE_SET,
+            mode: replay.mode || 'classic', curriculum: replay.curriculum || DEFAULT_CURRICULUM, playerName: replay.playerName,
+            width: replay.width || GAME_WIDTH, height: replay.height || GAME_HEIGHT,
+        });
+        inputIndex = 0;
+    };
+
+    const takeSnapshot = () => {
+        if (gameData.tick % SNAPSHOT_INTERVAL_TICKS !== 0) return;
+        if (snapshots.some(s => s.tick === gameData.tick)) return;
+        snapshots.push({ tick: gameData.tick, inputIndex, data: JSON.stringify(gameData) });
+        snapshots.sort((a, b) => a.tick - b.tick);
+    };
+
+    const stepOnce = () => {
+        if (gameData.status === 'stageClear') startNextStage(gameData);
+        while (inputIndex < inputs.length && inputs[inputIndex].tick <= gameData.tick) {
+            applyInput(gameData, inputs[inputIndex]);
+            inputIndex += 1;
+        }
+        stepGame(gameData);
+        takeSnapshot();
+    };
+
+    const isFinished = () => gameData.status === 'gameOver' || gameData.tick >= replay.endTick;
+
+    const advanceTo = (tick) => {
+        const targetTick = Math.min(tick, replay.endTick);
+        while (gameData.tick < targetTick && !isFinished()) stepOnce();
+        return gameData;
+    };
+
+    const seek = (tick) => {
+        if (tick < gameData.tick) {
+            const snapshot = [...snapshots].reverse().find(s => s.tick <= tick);
+            if (snapshot) {
+                gameData = JSON.parse(snapshot.data);
+                inputIndex = snapshot.inputIndex;
+            } else {
+                restart();
+            }
+        }
+        return advanceTo(tick);
+    };
+
+    restart();
+    snapshots = [];
+
+    return {
+        get gameData() { return gameData; },
+        get tick() { return gameData.tick; },
+        endTick: replay.endTick,
+        advanceTo,
+        seek,
+        isFinished,
+    };
+};
@@ -0,0 +1,32 @@
+// --- Seeded Random Number Generator (mulberry32) ---
+// The generator state is a plain object so it travels with the game data
+// and can be copied or serialized without losing the sequence.
+
+export const normalizeSeed = (seed) => {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+    // Non-numeric seeds (e.g. date strings) are hashed with FNV-1a
+    const str = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+export const createRng = (seed) => ({ state: normalizeSeed(seed) });
+
+export const createRandomSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+export const nextRandom = (rng) => {
+    rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+export const randomRange = (rng, min, max) => nextRandom(rng) * (max - min) + min;
+export const randomInt = (rng, min, max) => Math.floor(randomRange(rng, min, max)); // max is exclusive
+export const randomPick = (rng, list) => list[randomInt(rng, 0, list.length)];
+export const randomChance = (rng, probability) => nextRandom(rng) < probability;
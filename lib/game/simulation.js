@@ -0,0 +1,429 @@
+import {
+    BULLET_SIZE, FIXED_TIMESTEP_MS, FLOATING_TEXT_LIFESPAN, GAME_HEIGHT, GAME_WIDTH, GEM_SIZE, ITEM_LIFESPAN, ITEM_SIZE,
+    MAX_STEPS_PER_ADVANCE, PLAYER_BASE_SPEED, PLAYER_HITBOX_PADDING, PLAYER_SIZE,
+} from './constants';
+import { createBossState, getBossHitCause, updateBoss } from './bosses';
+import { clearBullets, releaseBullet } from './bulletPool';
+import { createEntityId, isOverlapping } from './entities';
+import { emitGameEvent, subscribeGameEvents } from './events';
+import { DEFAULT_CURRICULUM } from './curricula';
+import { createLearningStats, createMathGem, evaluateMathGem, recordGemCollected, recordGemOffered } from './mathGems';
+import {
+    GAME_MODES, HIT_INVULNERABILITY_MS, SHRINK_HITBOX_SCALE, SLOW_TIME_FACTOR,
+    applyItem, applyMagnet, expireEffects, getScoreMultiplier, isEffectActive,
+} from './powerUps';
+import { createRng, normalizeSeed, randomPick, randomRange } from './rng';
+import { createSpatialGrid } from './spatialGrid';
+import { applyBulletBehaviours } from './patterns';
+import { generateBullets, spawnAimedBullet, spawnCrossPattern } from './spawners';
+import { DEFAULT_STAGE_SET, getStageDefinition } from './stages';
+
+// --- Simulation Core ---
+// Framework-free game rules. All time is simulation time (`gameData.time`, ms of
+// active play since the run started) and it only moves forward in fixed ticks,
+// so a run is fully determined by its seed, start stage, stage set, mode, curriculum and recorded inputs.
+
+// Resets per-stage state for `stage`, starting at the current simulation time.
+// Boss stages always run their whole script, whatever the duration override.
+const enterStage = (gameData, stage) => {
+    const stageDefinition = getStageDefinition(gameData.stageSet, stage);
+    let stageDuration = gameData.durationOverride || stageDefinition.duration;
+    if (stageDefinition.isEndless) stageDuration = null;
+    else if (stageDefinition.boss) stageDuration = stageDefinition.duration;
+    Object.assign(gameData, {
+        stage,
+        stageStartTime: gameData.time,
+        stageDuration,
+        isEndless: stageDefinition.isEndless,
+        remainingTime: stageDuration,
+        spawnerTimers: stageDefinition.spawners.map(() => gameData.time),
+        boss: stageDefinition.boss ? createBossState(gameData, stageDefinition.boss) : null,
+        lasers: [],
+        wallWarnings: [], // Announced walls, see generateBullets
+    });
+};
+
+// `stageDuration` overrides every stage's duration; `invulnerable` ignores bullet hits (editor preview);
+// `mode` is a GAME_MODES key and `curriculum` a CURRICULA key
+export const createGameData = ({ seed, startStage = 1, stageDuration = null, stageSet = DEFAULT_STAGE_SET, mode = 'classic', curriculum = DEFAULT_CURRICULUM, invulnerable = false, playerName = '', width = GAME_WIDTH, height = GAME_HEIGHT } = {}) => {
+    const rng = createRng(seed);
+    const gameData = {
+        seed: normalizeSeed(seed), startStage, stageSet, mode, curriculum, durationOverride: stageDuration, invulnerable,
+        rng, nextEntityId: 0,
+        tick: 0, time: 0,
+        inputLog: [], // Input changes as { tick, type, x, y }, applied before tick + 1
+        player: { name: playerName, lives: GAME_MODES[mode].startingLives, score: 0, x: width / 2 - PLAYER_SIZE / 2, y: height - PLAYER_SIZE * 2, isInvincible: false, invincibleUntil: 0 },
+        target: null, // Click-to-move destination in field pixels
+        direction: null, // Direct movement vector, components in -DIRECTION_SCALE..DIRECTION_SCALE
+        bullets: [], items: [], mathGems: [], floatingTexts: [], status: 'playing',
+        effects: {}, // Timed power-ups, see powerUps.js
+        totalTime: 0, displayScore: 0, finalScore: 0,
+        gemsCollected: 0, // Versus mode sends an attack per gem
+        learning: createLearningStats(), // For the game over learning report
+        unranked: null, // 'restartedStage' or 'resumed': the run is never submitted for ranking
+        width, height,
+    };
+    enterStage(gameData, startStage);
+    gameData.nextItemSpawnTime = randomRange(rng, 5000, 10000);
+    return gameData;
+};
+
+// --- Player Input ---
+// Inputs are quantized (targets to whole pixels, directions to 1/DIRECTION_SCALE)
+// so the recorded log replays exactly. A target and a direction exclude each other.
+export const DIRECTION_SCALE = 100;
+
+const isSameInput = (a, b) => (a === null ? b === null : b !== null && a.x === b.x && a.y === b.y);
+
+const recordInput = (gameData, entry) => {
+    const last = gameData.inputLog[gameData.inputLog.length - 1];
+    if (last && last.tick === entry.tick && last.type !== 'attack' && entry.type !== 'attack') {
+        gameData.inputLog[gameData.inputLog.length - 1] = entry; // Only the last change in a tick matters
+    } else {
+        gameData.inputLog.push(entry);
+    }
+};
+
+export const setTarget = (gameData, target) => {
+    if (gameData.status !== 'playing') return;
+    const next = target && target.x !== null ? { x: Math.round(target.x), y: Math.round(target.y) } : null;
+    if (isSameInput(gameData.target, next) && gameData.direction === null) return;
+    gameData.target = next;
+    gameData.direction = null;
+    recordInput(gameData, { tick: gameData.tick, type: 'target', x: next ? next.x : null, y: next ? next.y : null });
+};
+
+// `direction` components are in -1..1 (keyboard axes or an analog stick)
+export const setDirection = (gameData, direction) => {
+    if (gameData.status !== 'playing') return;
+    const x = direction ? Math.round(Math.max(-1, Math.min(1, direction.x)) * DIRECTION_SCALE) : 0;
+    const y = direction ? Math.round(Math.max(-1, Math.min(1, direction.y)) * DIRECTION_SCALE) : 0;
+    const next = x === 0 && y === 0 ? null : { x, y };
+    if (isSameInput(gameData.direction, next)) return; // Releasing keys never cancels a click target
+    gameData.direction = next;
+    if (next) gameData.target = null;
+    recordInput(gameData, { tick: gameData.tick, type: 'direction', x, y });
+};
+
+// Bullets sent by a versus opponent arrive as an input so the run still replays
+// exactly. Logged as { type: 'attack', x: bulletCount, y: 0 }.
+export const receiveAttack = (gameData, bulletCount) => {
+    if (gameData.status !== 'playing' || bulletCount <= 0) return;
+    recordInput(gameData, { tick: gameData.tick, type: 'attack', x: bulletCount, y: 0 });
+    const { bulletSpeed } = getStageDefinition(gameData.stageSet, gameData.stage);
+    for (let i = 0; i < bulletCount; i++) spawnAimedBullet(gameData, bulletSpeed);
+};
+
+// Replays feed recorded entries back through the same setters
+export const applyInput = (gameData, entry) => {
+    if (entry.type === 'attack') {
+        receiveAttack(gameData, entry.x);
+    } else if (entry.type === 'direction') {
+        setDirection(gameData, { x: entry.x / DIRECTION_SCALE, y: entry.y / DIRECTION_SCALE });
+    } else {
+        setTarget(gameData, entry);
+    }
+};
+
+export const startNextStage = (gameData) => {
+    const now = gameData.time;
+    enterStage(gameData, gameData.stage + 1);
+    clearBullets(gameData);
+    Object.assign(gameData, {
+        status: 'playing',
+        items: [], mathGems: [], floatingTexts: [], effects: {},
+        nextItemSpawnTime: now + randomRange(gameData.rng, 5000, 10000),
+        target: null,
+        direction: null,
+    });
+    gameData.player.isInvincible = false;
+    gameData.player.invincibleUntil = 0;
+    return gameData;
+};
+
+// --- Single Fixed Tick ---
+export const stepGame = (gameData) => {
+    if (gameData.status !== 'playing') return gameData;
+    gameData.tick += 1;
+    gameData.time = gameData.tick * FIXED_TIMESTEP_MS;
+    const deltaTime = FIXED_TIMESTEP_MS / 1000;
+    movePlayer(gameData, deltaTime);
+    updateGameLogic(gameData, deltaTime);
+    return gameData;
+};
+
+const movePlayer = (gameData, deltaTime) => {
+    const { player, target, direction } = gameData;
+    if (player.lives <= 0 || (!target && !direction)) return;
+
+    const { playerSpeedMultiplier } = getStageDefinition(gameData.stageSet, gameData.stage);
+    const currentPlayerSpeed = PLAYER_BASE_SPEED * playerSpeedMultiplier;
+
+    if (direction) {
+        // Direct movement: analog magnitude up to full speed, diagonals never faster
+        const magnitude = Math.max(DIRECTION_SCALE, Math.sqrt(direction.x * direction.x + direction.y * direction.y));
+        player.x += (direction.x / magnitude) * currentPlayerSpeed * deltaTime;
+        player.y += (direction.y / magnitude) * currentPlayerSpeed * deltaTime;
+        player.x = Math.max(0, Math.min(gameData.width - PLAYER_SIZE, player.x));
+        player.y = Math.max(0, Math.min(gameData.height - PLAYER_SIZE, player.y));
+        return;
+    }
+
+    const dx = target.x - (player.x + PLAYER_SIZE / 2);
+    const dy = target.y - (player.y + PLAYER_SIZE / 2);
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (distance > 5) { // Stop threshold
+        player.x += (dx / distance) * currentPlayerSpeed * deltaTime;
+        player.y += (dy / distance) * currentPlayerSpeed * deltaTime;
+    } else {
+        gameData.target = null; // Reached destination
+    }
+    player.x = Math.max(0, Math.min(gameData.width - PLAYER_SIZE, player.x));
+    player.y = Math.max(0, Math.min(gameData.height - PLAYER_SIZE, player.y));
+};
+
+// `scale` shrinks the hitbox around the player's center (the shrink power-up)
+export const getPlayerHitbox = (player, scale = 1) => {
+    const size = (PLAYER_SIZE - 2 * PLAYER_HITBOX_PADDING) * scale;
+    const offset = (PLAYER_SIZE - size) / 2;
+    return { x: player.x + offset, y: player.y + offset, width: size, height: size };
+};
+
+export const calculateFinalScore = (score, elapsedMs) => score + Math.floor(elapsedMs / 1000) * 10;
+
+// Splits due splitters, then moves every bullet in place and compacts out the
+// ones that left the field, keeping array order (entity ids depend on it)
+const updateBullets = (gameData, deltaTime) => {
+    const { bullets, player, time: now } = gameData;
+
+    let kept = 0;
+    const splitCount = bullets.length;
+    for (let i = 0; i < splitCount; i++) {
+        const b = bullets[i];
+        if (b.isSplitter && now >= b.splitAt) {
+            emitGameEvent(gameData, 'split', { x: b.x + BULLET_SIZE / 2, y: b.y + BULLET_SIZE / 2 });
+            spawnCrossPattern(gameData, b.x, b.y, b.splitSpeed);
+            releaseBullet(b);
+        } else {
+            bullets[kept++] = b;
+        }
+    }
+    // Cross bullets were pushed after the old end; move them down behind the kept ones
+    for (let i = splitCount; i < bullets.length; i++) bullets[kept++] = bullets[i];
+    bullets.length = kept;
+
+    const bulletDeltaTime = isEffectActive(gameData, 'slowTime') ? deltaTime * SLOW_TIME_FACTOR : deltaTime;
+    kept = 0;
+    for (let i = 0; i < bullets.length; i++) {
+        const b = bullets[i];
+        if (b.isHoming && player.lives > 0) {
+            const angle = Math.atan2(player.y - b.y, player.x - b.x);
+            b.dx += Math.cos(angle) * 3 * bulletDeltaTime;
+            b.dy += Math.sin(angle) * 3 * bulletDeltaTime;
+        }
+        if (applyBulletBehaviours(b, bulletDeltaTime, now)) {
+            b.x += b.dx * bulletDeltaTime;
+            b.y += b.dy * bulletDeltaTime;
+        }
+        if (b.x > -BULLET_SIZE && b.x < gameData.width && b.y > -BULLET_SIZE && b.y < gameData.height) bullets[kept++] = b;
+        else releaseBullet(b);
+    }
+    bullets.length = kept;
+};
+
+// --- Bullet Collision Broad-Phase ---
+// Grids are kept outside gameData so they never end up in snapshots
+const BULLET_GRID_CELL_SIZE = 64;
+const bulletGrids = new WeakMap();
+
+const findHittingBullet = (gameData, hitbox) => {
+    let grid = bulletGrids.get(gameData);
+    if (!grid) {
+        grid = createSpatialGrid(gameData.width, gameData.height, BULLET_GRID_CELL_SIZE);
+        bulletGrids.set(gameData, grid);
+    }
+    grid.clear();
+    gameData.bullets.forEach(b => grid.insert(b, b.x, b.y));
+    // A bullet's box starts at its x/y, so reach back one bullet size
+    return grid.find(hitbox.x - BULLET_SIZE, hitbox.y - BULLET_SIZE, hitbox.width + BULLET_SIZE, hitbox.height + BULLET_SIZE, b => (
+        hitbox.x < b.x + BULLET_SIZE && hitbox.x + hitbox.width > b.x &&
+        hitbox.y < b.y + BULLET_SIZE && hitbox.y + hitbox.height > b.y
+    ));
+};
+
+const updateGameLogic = (gameData, deltaTime) => {
+    const { player, rng, time: now } = gameData;
+
+    const timeInStageSec = (now - gameData.stageStartTime) / 1000;
+
+    if (!gameData.isEndless && timeInStageSec >= gameData.stageDuration) {
+        gameData.status = 'stageClear';
+        gameData.remainingTime = 0;
+        emitGameEvent(gameData, 'stageClear');
+        return;
+    }
+
+    gameData.totalTime = Math.floor(now / 1000);
+    gameData.displayScore = player.score + now * 0.01;
+    gameData.remainingTime = gameData.isEndless ? null : gameData.stageDuration - Math.floor(timeInStageSec);
+
+    updateBullets(gameData, deltaTime);
+
+    generateBullets(gameData, timeInStageSec);
+    if (gameData.boss) updateBoss(gameData, getStageDefinition(gameData.stageSet, gameData.stage), timeInStageSec, deltaTime);
+
+    if (now > gameData.nextItemSpawnTime) {
+        gameData.items.push({
+            id: createEntityId(gameData, 'i'), type: randomPick(rng, GAME_MODES[gameData.mode].itemPool),
+            x: randomRange(rng, 50, gameData.width - 50), y: randomRange(rng, 50, gameData.height - 50),
+            expiresAt: now + ITEM_LIFESPAN
+        });
+        gameData.nextItemSpawnTime = now + randomRange(rng, 5000, 10000);
+    }
+    gameData.items = gameData.items.filter(i => i.expiresAt > now);
+    gameData.mathGems = gameData.mathGems.filter(s => s.expiresAt > now);
+    if (gameData.mathGems.length === 0) {
+        const gem = createMathGem(gameData);
+        recordGemOffered(gameData.learning, gem);
+        gameData.mathGems.push(gem);
+    }
+    gameData.floatingTexts = gameData.floatingTexts.filter(ft => ft.expiresAt > now);
+    applyMagnet(gameData);
+
+    let hitCause = null; // A bullet kind, 'boss' or 'laser'
+    if (player.lives > 0 && !player.isInvincible && !gameData.invulnerable) {
+        const playerHitbox = getPlayerHitbox(player, isEffectActive(gameData, 'shrink') ? SHRINK_HITBOX_SCALE : 1);
+        const bullet = findHittingBullet(gameData, playerHitbox);
+        hitCause = bullet ? bullet.kind : getBossHitCause(gameData, playerHitbox);
+        if (hitCause) {
+            // One life per hit, then a short invulnerability window (classic has one life)
+            player.lives -= 1;
+            player.isInvincible = true;
+            player.invincibleUntil = now + HIT_INVULNERABILITY_MS;
+            if (player.lives > 0) emitGameEvent(gameData, 'hit', { cause: hitCause });
+        }
+    }
+
+    const playerBox = { x: player.x, y: player.y, width: PLAYER_SIZE, height: PLAYER_SIZE };
+    gameData.items = gameData.items.filter(item => {
+        if (player.lives > 0 && isOverlapping(playerBox, { x: item.x, y: item.y, width: ITEM_SIZE, height: ITEM_SIZE })) {
+            applyItem(gameData, item.type);
+            emitGameEvent(gameData, 'item', { itemType: item.type });
+            return false;
+        }
+        return true;
+    });
+
+    gameData.mathGems = gameData.mathGems.filter(gem => {
+        if (player.lives > 0 && isOverlapping(playerBox, { x: gem.x, y: gem.y, width: GEM_SIZE, height: GEM_SIZE })) {
+            const gemValue = evaluateMathGem(gem);
+            const scoreChange = gemValue > 0 ? gemValue * getScoreMultiplier(gameData) : gemValue;
+            player.score += scoreChange;
+            player.score = Math.max(0, player.score);
+            gameData.gemsCollected += 1;
+            recordGemCollected(gameData.learning, gem, gameData.stage);
+            emitGameEvent(gameData, 'gem', { value: gemValue });
+            gameData.floatingTexts.push({
+                id: createEntityId(gameData, 'ft'), text: `${scoreChange >= 0 ? '+' : ''}${Math.floor(scoreChange)}`,
+                x: player.x, y: player.y, expiresAt: now + FLOATING_TEXT_LIFESPAN
+            });
+            return false;
+        }
+        return true;
+    });
+
+    if (player.isInvincible && now > player.invincibleUntil) {
+        player.isInvincible = false;
+        player.invincibleUntil = 0;
+    }
+    expireEffects(gameData);
+
+    if (player.lives <= 0) {
+        gameData.status = 'gameOver';
+        gameData.finalScore = calculateFinalScore(player.score, now);
+        emitGameEvent(gameData, 'death', { x: player.x + PLAYER_SIZE / 2, y: player.y + PLAYER_SIZE / 2, cause: hitCause });
+    }
+};
+
+// --- Fixed-Step Runner ---
+// Converts an injected wall clock into whole simulation ticks. `reset` drops the
+// time since the last advance, which is how pauses are kept out of the run.
+export const createFixedStepRunner = (clock, step) => {
+    let lastTime = null;
+    let accumulator = 0;
+
+    const advance = () => {
+        const now = clock();
+        if (lastTime === null) {
+            lastTime = now;
+            return 0;
+        }
+        accumulator += now - lastTime;
+        lastTime = now;
+
+        let steps = 0;
+        while (accumulator >= FIXED_TIMESTEP_MS) {
+            accumulator -= FIXED_TIMESTEP_MS;
+            steps += 1;
+            if (step() === false) {
+                accumulator = 0;
+                break;
+            }
+            if (steps >= MAX_STEPS_PER_ADVANCE) {
+                accumulator = 0;
+                break;
+            }
+        }
+        return steps;
+    };
+
+    const reset = () => {
+        lastTime = null;
+        accumulator = 0;
+    };
+
+    return { advance, reset };
+};
+
+// --- Simulation Facade ---
+// Bundles game data with a runner. Headless callers can omit the clock and
+// drive the run with `runTicks`. Passing `gameData` (and the JSON of its state
+// when its stage began, `stageStartSnapshot`) continues a saved run.
+export const createSimulation = ({ clock = () => Date.now(), gameData: savedGameData = null, stageStartSnapshot = null, ...options } = {}) => {
+    const gameData = savedGameData || createGameData(options);
+    let stageStart = stageStartSnapshot || JSON.stringify(gameData);
+    const step = () => {
+        stepGame(gameData);
+        return gameData.status === 'playing';
+    };
+    const runner = createFixedStepRunner(clock, step);
+
+    return {
+        gameData,
+        advance: runner.advance,
+        resetClock: runner.reset,
+        setTarget: (target) => setTarget(gameData, target),
+        setDirection: (direction) => setDirection(gameData, direction),
+        receiveAttack: (bulletCount) => receiveAttack(gameData, bulletCount),
+        nextStage: () => {
+            startNextStage(gameData);
+            stageStart = JSON.stringify(gameData);
+            runner.reset();
+        },
+        // Rewinds to the start of the current stage, input log included, so the
+        // replay stays consistent. Retrying a known stage is not a fair ranked run.
+        restartStage: () => {
+            Object.assign(gameData, JSON.parse(stageStart));
+            gameData.unranked = 'restartedStage';
+            runner.reset();
+        },
+        getStageStartSnapshot: () => stageStart,
+        // Returns an unsubscribe function; see events.js for the event types
+        onEvent: (listener) => subscribeGameEvents(gameData, listener),
+        runTicks: (ticks) => {
+            for (let i = 0; i < ticks && step(); i++);
+            return gameData;
+        },
+    };
+};
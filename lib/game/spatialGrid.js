@@ -0,0 +1,43 @@
+// --- Uniform Grid Broad-Phase ---
+// Buckets items by the cell of their top-left corner. A query visits every cell
+// its rectangle touches, so items must be no larger than a cell and callers
+// grow the query rectangle by the item size. Cell arrays are reused between
+// rebuilds to avoid allocating every tick.
+
+export const createSpatialGrid = (width, height, cellSize, margin = cellSize) => {
+    const cols = Math.ceil((width + 2 * margin) / cellSize);
+    const rows = Math.ceil((height + 2 * margin) / cellSize);
+    const cells = Array.from({ length: cols * rows }, () => []);
+    const usedCells = [];
+
+    const toCol = (x) => Math.min(cols - 1, Math.max(0, Math.floor((x + margin) / cellSize)));
+    const toRow = (y) => Math.min(rows - 1, Math.max(0, Math.floor((y + margin) / cellSize)));
+
+    const clear = () => {
+        usedCells.forEach(index => { cells[index].length = 0; });
+        usedCells.length = 0;
+    };
+
+    const insert = (item, x, y) => {
+        const index = toRow(y) * cols + toCol(x);
+        if (cells[index].length === 0) usedCells.push(index);
+        cells[index].push(item);
+    };
+
+    // The first item in a cell touching the rectangle that `predicate` accepts, or null
+    const find = (x, y, w, h, predicate) => {
+        const maxCol = toCol(x + w);
+        const maxRow = toRow(y + h);
+        for (let row = toRow(y); row <= maxRow; row++) {
+            for (let col = toCol(x); col <= maxCol; col++) {
+                const cell = cells[row * cols + col];
+                for (let i = 0; i < cell.length; i++) {
+                    if (predicate(cell[i])) return cell[i];
+                }
+            }
+        }
+        return null;
+    };
+
+    return { clear, insert, find };
+};
@@ -0,0 +1,151 @@
+import { acquireBullet } from './bulletPool';
+import { BULLET_SIZE, PLAYER_SIZE } from './constants';
+import { createEntityId } from './entities';
+import { emitGameEvent } from './events';
+import { randomChance, randomInt, randomRange } from './rng';
+import { getSpawnerInterval, getSpawnerSpeed, getStageDefinition, isSpawnerActive } from './stages';
+
+// --- Bullet Spawners ---
+// Every spawner reads randomness from gameData.rng and time from gameData.time,
+// so the same seed and inputs always produce the same bullet field.
+
+// Passing `splitter` ({ splitDelay: [minMs, maxMs], splitSpeed }) makes the bullet split into a cross
+export const spawnSideBullet = (gameData, speed, splitter = null) => {
+    const { rng, time: now } = gameData;
+    const b = acquireBullet(createEntityId(gameData, 'b'), 0, 0, 0, 0);
+    b.isSplitter = !!splitter;
+    if (splitter) b.kind = 'splitter';
+    b.splitAt = splitter ? now + randomRange(rng, splitter.splitDelay[0], splitter.splitDelay[1]) : 0;
+    if (splitter) b.splitSpeed = splitter.splitSpeed;
+    const side = randomInt(rng, 0, 4);
+    switch (side) {
+        case 0: b.x = randomRange(rng, 0, gameData.width); b.y = -BULLET_SIZE; break;
+        case 1: b.x = gameData.width; b.y = randomRange(rng, 0, gameData.height); break;
+        case 2: b.x = randomRange(rng, 0, gameData.width); b.y = gameData.height; break;
+        case 3: b.x = -BULLET_SIZE; b.y = randomRange(rng, 0, gameData.height); break;
+        default: break;
+    }
+    const targetX = randomRange(rng, 0, gameData.width);
+    const targetY = randomRange(rng, 0, gameData.height);
+    const dx = targetX - b.x;
+    const dy = targetY - b.y;
+    const magnitude = Math.sqrt(dx * dx + dy * dy);
+    if (magnitude > 0) { b.dx = (dx / magnitude) * speed; b.dy = (dy / magnitude) * speed; }
+    else { b.dx = 0; b.dy = speed; }
+    gameData.bullets.push(b);
+};
+
+export const spawnCrossPattern = (gameData, x, y, speed) => {
+    for (let i = 0; i < 4; i++) {
+        const a = (Math.PI / 2) * i;
+        const b = acquireBullet(createEntityId(gameData, 'b_split'), x, y, Math.cos(a) * speed, Math.sin(a) * speed);
+        b.kind = 'splitter';
+        gameData.bullets.push(b);
+    }
+};
+
+export const spawnAimedBullet = (gameData, speed) => {
+    const { player, rng } = gameData;
+    const x = randomRange(rng, 0, 1) > 0.5 ? -BULLET_SIZE : gameData.width + BULLET_SIZE;
+    const y = randomRange(rng, 0, gameData.height);
+    const a = Math.atan2(player.y - y, player.x - x);
+    const b = acquireBullet(createEntityId(gameData, 'b_aim'), x, y, Math.cos(a) * speed, Math.sin(a) * speed);
+    b.kind = 'aimed';
+    gameData.bullets.push(b);
+};
+
+export const spawnHomingBullet = (gameData, speed) => {
+    const { rng } = gameData;
+    const x = randomRange(rng, 0, 1) > 0.5 ? -BULLET_SIZE : gameData.width + BULLET_SIZE;
+    const y = randomRange(rng, 0, gameData.height);
+    const b = acquireBullet(createEntityId(gameData, 'b_homing'), x, y, (x > 0 ? -speed : speed), 0);
+    b.kind = 'homing';
+    b.isHoming = true;
+    gameData.bullets.push(b);
+};
+
+// `gapSizeInPlayers` is the width of the safe gap in multiples of PLAYER_SIZE.
+// Side walls have always spanned the field's width, which on the portrait field
+// is its shorter side; using the shorter side keeps recorded runs identical and
+// keeps the gap inside a landscape field.
+// Side 0-3 is top, bottom, left, right: the edge the wall comes in from.
+export const pickWall = (gameData, gapSizeInPlayers) => {
+    const { rng } = gameData;
+    const side = randomInt(rng, 0, 4);
+    const span = side < 2 ? gameData.width : Math.min(gameData.width, gameData.height);
+    const gapSize = PLAYER_SIZE * gapSizeInPlayers;
+    const gapPosition = randomRange(rng, PLAYER_SIZE, span - PLAYER_SIZE - gapSize);
+    return { side, span, gapPosition, gapSize };
+};
+
+export const spawnWall = (gameData, { side, span, gapPosition, gapSize }, speed) => {
+    for (let i = 0; i < span; i += BULLET_SIZE * 1.5) {
+        if (i > gapPosition && i < gapPosition + gapSize) continue;
+        const b = acquireBullet(createEntityId(gameData, 'b_wall'), 0, 0, 0, 0);
+        b.kind = 'wall';
+        if (side < 2) {
+            b.x = i;
+            b.y = (side === 0 ? -BULLET_SIZE : gameData.height + BULLET_SIZE);
+            b.dy = (side === 0 ? speed : -speed);
+        } else {
+            b.x = (side === 2 ? -BULLET_SIZE : gameData.width + BULLET_SIZE);
+            b.y = i;
+            b.dx = (side === 2 ? speed : -speed);
+        }
+        gameData.bullets.push(b);
+    }
+};
+
+export const spawnImpossibleWallPattern = (gameData, speed, gapSizeInPlayers) => {
+    spawnWall(gameData, pickWall(gameData, gapSizeInPlayers), speed);
+};
+
+// --- Stage Bullet Schedules ---
+// Spawners come from the current stage definition (see stages.js). Each one keeps
+// its own timer in gameData.spawnerTimers, indexed like the spawner list.
+const DEFAULT_SPLIT_DELAY = [1000, 2000];
+const DEFAULT_SPLIT_SPEED = 150;
+const DEFAULT_WALL_GAP_SIZE = 2.2;
+
+const spawnByType = (gameData, spawner, speed) => {
+    switch (spawner.type) {
+        case 'side': spawnSideBullet(gameData, speed); break;
+        case 'splitter': spawnSideBullet(gameData, speed, { splitDelay: spawner.splitDelay || DEFAULT_SPLIT_DELAY, splitSpeed: spawner.splitSpeed || DEFAULT_SPLIT_SPEED }); break;
+        case 'homing': spawnHomingBullet(gameData, speed); break;
+        case 'aimed': spawnAimedBullet(gameData, speed); break;
+        case 'wall': {
+            // With a warning the wall is picked now and announced in gameData.wallWarnings
+            // (drawn as a telegraph on its edge); its bullets follow when the warning runs out
+            const wall = pickWall(gameData, spawner.gapSize || DEFAULT_WALL_GAP_SIZE);
+            if (spawner.warning) gameData.wallWarnings.push({ ...wall, speed, firesAt: gameData.time + spawner.warning });
+            else spawnWall(gameData, wall, speed);
+            break;
+        }
+        default: break;
+    }
+};
+
+export const generateBullets = (gameData, timeInStage) => {
+    const { time: now, rng, spawnerTimers } = gameData;
+    if (gameData.wallWarnings.length > 0) {
+        gameData.wallWarnings = gameData.wallWarnings.filter(wall => {
+            if (now < wall.firesAt) return true;
+            spawnWall(gameData, wall, wall.speed);
+            return false;
+        });
+    }
+    const stageDefinition = getStageDefinition(gameData.stageSet, gameData.stage);
+    const curveInput = { timeInStage, progress: gameData.stageDuration ? timeInStage / gameData.stageDuration : 0 };
+
+    stageDefinition.spawners.forEach((spawner, index) => {
+        if (!isSpawnerActive(spawner, timeInStage)) return;
+        const interval = getSpawnerInterval(stageDefinition, spawner, curveInput);
+        if (now - spawnerTimers[index] <= interval) return;
+        spawnerTimers[index] = now;
+        if (spawner.chance !== undefined && spawner.chance < 1 && !randomChance(rng, spawner.chance)) return;
+        const before = gameData.bullets.length;
+        spawnByType(gameData, spawner, getSpawnerSpeed(stageDefinition, spawner, curveInput));
+        if (spawner.type === 'wall') emitGameEvent(gameData, 'wallWarning');
+        emitGameEvent(gameData, 'bullets', { count: gameData.bullets.length - before });
+    });
+};
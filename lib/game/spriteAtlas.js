@@ -0,0 +1,65 @@
+// --- Sprite Atlas ---
+// Emoji glyphs differ in size, side bearing and baseline from platform to
+// platform, so each one is rendered once into a square cell of an offscreen
+// canvas, measured, scaled to fill the cell and centered on it. Drawing a cell
+// into an entity's box then lines the picture up with its hitbox everywhere.
+// Cells are added on first use (bosses bring their own emoji).
+
+const CELL_SIZE = 128; // Crisp up to ~3x device pixel ratio for the largest sprite
+const COLUMNS = 8;
+const FILL = 0.92; // Share of the cell the glyph's larger side fills
+
+export const createSpriteAtlas = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = CELL_SIZE * COLUMNS;
+    canvas.height = CELL_SIZE;
+    const cells = new Map();
+
+    const grow = () => {
+        const larger = document.createElement('canvas');
+        larger.width = canvas.width;
+        larger.height = canvas.height + CELL_SIZE;
+        larger.getContext('2d').drawImage(canvas, 0, 0);
+        canvas.width = larger.width;
+        canvas.height = larger.height;
+        canvas.getContext('2d').drawImage(larger, 0, 0);
+    };
+
+    const addCell = (emoji) => {
+        const index = cells.size;
+        const sx = (index % COLUMNS) * CELL_SIZE;
+        const sy = Math.floor(index / COLUMNS) * CELL_SIZE;
+        if (sy + CELL_SIZE > canvas.height) grow();
+
+        const ctx = canvas.getContext('2d');
+        ctx.font = `${CELL_SIZE}px sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        const metrics = ctx.measureText(emoji);
+        const glyphWidth = (metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight) || CELL_SIZE;
+        const glyphHeight = (metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent) || CELL_SIZE;
+        const scale = (CELL_SIZE * FILL) / Math.max(glyphWidth, glyphHeight);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(sx, sy, CELL_SIZE, CELL_SIZE);
+        ctx.clip();
+        ctx.translate(sx + CELL_SIZE / 2, sy + CELL_SIZE / 2);
+        ctx.scale(scale, scale);
+        // Move the glyph's bounding box center onto the cell center
+        ctx.fillText(emoji, metrics.actualBoundingBoxLeft - glyphWidth / 2, metrics.actualBoundingBoxAscent - glyphHeight / 2);
+        ctx.restore();
+
+        const cell = { sx, sy };
+        cells.set(emoji, cell);
+        return cell;
+    };
+
+    return {
+        // Draws `emoji` filling the square box at (x, y)
+        draw: (ctx, emoji, x, y, size) => {
+            const { sx, sy } = cells.get(emoji) || addCell(emoji);
+            ctx.drawImage(canvas, sx, sy, CELL_SIZE, CELL_SIZE, x, y, size, size);
+        },
+    };
+};
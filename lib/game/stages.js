@@ -0,0 +1,306 @@
+import defaultStageSetJson from './stages/default.json';
+import defaultStageSetV1Json from './stages/default-v1.json';
+import defaultStageSetV2Json from './stages/default-v2.json';
+
+// --- Stage Sets ---
+// A stage set is a JSON document describing every stage: duration, player speed
+// multiplier, base bullet speed and a list of spawners. Stages after the last
+// listed one use the `endless` definition, scaled by how far past it they are.
+//
+// Value fields marked "curve" accept:
+//   - a number (constant)
+//   - { "from": a, "to": b, "min"?: n, "max"?: n } linear over stage progress (0 → 1)
+//   - { "steps": [{ "at": seconds, "value": n }, ...] } step function over stage time
+//
+// Spawners may set "activeFrom" / "activeUntil" (seconds into the stage) to only
+// fire during part of the stage.
+//
+// A stage with a "boss" has no duration: it lasts until the boss script's phases
+// run out. Each phase has a duration, an optional waypoint path (points are
+// fractions of the field size) and patterns, which take the same timing fields as
+// spawners measured within the phase. Pattern bullets can accelerate ("accel",
+// px/s² up to "maxSpeed"), curve ("turnRate", degrees/s) and start late ("delay", ms).
+
+export const SPAWNER_TYPES = ['side', 'homing', 'splitter', 'aimed', 'wall'];
+export const BOSS_PATTERN_TYPES = ['spiral', 'radial', 'fan', 'laser'];
+
+export class StageSetError extends Error {
+    constructor(errors) {
+        super(`Invalid stage set:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+        this.name = 'StageSetError';
+        this.errors = errors;
+    }
+}
+
+// --- Validation ---
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const validateCurve = (curve, path, errors, { min = -Infinity } = {}) => {
+    if (isNumber(curve)) {
+        if (curve < min) errors.push(`${path}: must be at least ${min} (got ${curve})`);
+        return;
+    }
+    if (!curve || typeof curve !== 'object') {
+        errors.push(`${path}: must be a number, a { from, to } curve or a { steps } curve`);
+        return;
+    }
+    if ('steps' in curve) {
+        if (!Array.isArray(curve.steps) || curve.steps.length === 0) {
+            errors.push(`${path}.steps: must be a non-empty array`);
+            return;
+        }
+        let lastAt = -Infinity;
+        curve.steps.forEach((step, i) => {
+            if (!step || !isNumber(step.at) || step.at < 0) errors.push(`${path}.steps[${i}].at: must be a number of seconds >= 0`);
+            else if (step.at <= lastAt) errors.push(`${path}.steps[${i}].at: steps must be in increasing order`);
+            else lastAt = step.at;
+            if (!step || !isNumber(step.value)) errors.push(`${path}.steps[${i}].value: must be a number`);
+            else if (step.value < min) errors.push(`${path}.steps[${i}].value: must be at least ${min} (got ${step.value})`);
+        });
+        if (curve.steps[0] && curve.steps[0].at !== 0) errors.push(`${path}.steps[0].at: the first step must start at 0`);
+        return;
+    }
+    ['from', 'to'].forEach(key => {
+        if (!isNumber(curve[key])) errors.push(`${path}.${key}: must be a number`);
+        else if (curve[key] < min) errors.push(`${path}.${key}: must be at least ${min} (got ${curve[key]})`);
+    });
+    ['min', 'max'].forEach(key => {
+        if (key in curve && !isNumber(curve[key])) errors.push(`${path}.${key}: must be a number`);
+    });
+};
+
+// Timing and speed fields shared by spawners and boss patterns
+const validateFiringFields = (entry, path, errors) => {
+    validateCurve(entry.interval, `${path}.interval`, errors, { min: 1 });
+    if ('speed' in entry) validateCurve(entry.speed, `${path}.speed`, errors, { min: 0 });
+    if ('speedScale' in entry && (!isNumber(entry.speedScale) || entry.speedScale <= 0)) {
+        errors.push(`${path}.speedScale: must be a number greater than 0`);
+    }
+    if ('speed' in entry && 'speedScale' in entry) {
+        errors.push(`${path}: use either speed or speedScale, not both`);
+    }
+    if ('chance' in entry && (!isNumber(entry.chance) || entry.chance <= 0 || entry.chance > 1)) {
+        errors.push(`${path}.chance: must be a number in (0, 1]`);
+    }
+    ['activeFrom', 'activeUntil'].forEach(key => {
+        if (key in entry && (!isNumber(entry[key]) || entry[key] < 0)) errors.push(`${path}.${key}: must be a number of seconds >= 0`);
+    });
+    if (isNumber(entry.activeFrom) && isNumber(entry.activeUntil) && entry.activeUntil <= entry.activeFrom) {
+        errors.push(`${path}.activeUntil: must be later than activeFrom`);
+    }
+};
+
+const validateSpawner = (spawner, path, errors) => {
+    if (!spawner || typeof spawner !== 'object') {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    if (!SPAWNER_TYPES.includes(spawner.type)) {
+        errors.push(`${path}.type: must be one of ${SPAWNER_TYPES.join(', ')} (got ${JSON.stringify(spawner.type)})`);
+    }
+    validateFiringFields(spawner, path, errors);
+    if (spawner.type === 'wall' && 'gapSize' in spawner && (!isNumber(spawner.gapSize) || spawner.gapSize < 1)) {
+        errors.push(`${path}.gapSize: must be a number of player sizes >= 1`);
+    }
+    if (spawner.type === 'wall' && 'warning' in spawner && (!isNumber(spawner.warning) || spawner.warning < 0)) {
+        errors.push(`${path}.warning: must be a number of milliseconds >= 0`);
+    }
+    if (spawner.type === 'splitter') {
+        if ('splitDelay' in spawner && !(Array.isArray(spawner.splitDelay) && spawner.splitDelay.length === 2 && spawner.splitDelay.every(isNumber) && spawner.splitDelay[0] <= spawner.splitDelay[1])) {
+            errors.push(`${path}.splitDelay: must be [minMs, maxMs]`);
+        }
+        if ('splitSpeed' in spawner && (!isNumber(spawner.splitSpeed) || spawner.splitSpeed <= 0)) {
+            errors.push(`${path}.splitSpeed: must be a number greater than 0`);
+        }
+    }
+};
+
+const validatePositiveFields = (entry, keys, path, errors, { integer = false } = {}) => {
+    keys.forEach(key => {
+        if (key in entry && (!isNumber(entry[key]) || entry[key] <= 0 || (integer && !Number.isInteger(entry[key])))) {
+            errors.push(`${path}.${key}: must be ${integer ? 'an integer' : 'a number'} greater than 0`);
+        }
+    });
+};
+
+const validatePattern = (pattern, path, errors) => {
+    if (!pattern || typeof pattern !== 'object') {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    if (!BOSS_PATTERN_TYPES.includes(pattern.type)) {
+        errors.push(`${path}.type: must be one of ${BOSS_PATTERN_TYPES.join(', ')} (got ${JSON.stringify(pattern.type)})`);
+    }
+    validateFiringFields(pattern, path, errors);
+    validatePositiveFields(pattern, ['arms', 'count'], path, errors, { integer: true });
+    validatePositiveFields(pattern, ['spread', 'maxSpeed', 'warning', 'duration', 'width'], path, errors);
+    ['rotationSpeed', 'accel', 'turnRate'].forEach(key => {
+        if (key in pattern && !isNumber(pattern[key])) errors.push(`${path}.${key}: must be a number`);
+    });
+    if ('delay' in pattern && (!isNumber(pattern.delay) || pattern.delay < 0)) {
+        errors.push(`${path}.delay: must be a number of ms >= 0`);
+    }
+};
+
+const validateBoss = (boss, path, errors) => {
+    if (!boss || typeof boss !== 'object') {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    if (typeof boss.name !== 'string' || !boss.name) errors.push(`${path}.name: must be a non-empty string`);
+    if ('emoji' in boss && typeof boss.emoji !== 'string') errors.push(`${path}.emoji: must be a string`);
+    if (!Array.isArray(boss.phases) || boss.phases.length === 0) {
+        errors.push(`${path}.phases: must be a non-empty array`);
+        return;
+    }
+    boss.phases.forEach((phase, i) => {
+        const phasePath = `${path}.phases[${i}]`;
+        if (!phase || typeof phase !== 'object') {
+            errors.push(`${phasePath}: must be an object`);
+            return;
+        }
+        if (!isNumber(phase.duration) || phase.duration <= 0) errors.push(`${phasePath}.duration: must be a number of seconds greater than 0`);
+        if ('path' in phase) {
+            const points = phase.path && phase.path.points;
+            if (!Array.isArray(points) || points.length === 0 || !points.every(p => Array.isArray(p) && p.length === 2 && p.every(v => isNumber(v) && v >= 0 && v <= 1))) {
+                errors.push(`${phasePath}.path.points: must be a non-empty array of [x, y] field fractions in 0..1`);
+            }
+            if (!phase.path || !isNumber(phase.path.speed) || phase.path.speed <= 0) errors.push(`${phasePath}.path.speed: must be a number greater than 0`);
+        }
+        if (!Array.isArray(phase.patterns)) {
+            errors.push(`${phasePath}.patterns: must be an array`);
+        } else {
+            phase.patterns.forEach((pattern, j) => validatePattern(pattern, `${phasePath}.patterns[${j}]`, errors));
+        }
+    });
+};
+
+const validateStage = (stage, path, errors, { isEndless = false } = {}) => {
+    if (!stage || typeof stage !== 'object') {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    if ('boss' in stage) {
+        if (isEndless) errors.push(`${path}.boss: the endless stage cannot have a boss`);
+        else validateBoss(stage.boss, `${path}.boss`, errors);
+        if ('duration' in stage) errors.push(`${path}.duration: boss stages last as long as their phases, remove it`);
+    } else if (!isEndless && (!isNumber(stage.duration) || stage.duration <= 0)) {
+        errors.push(`${path}.duration: must be a number of seconds greater than 0`);
+    }
+    if (!isNumber(stage.playerSpeedMultiplier) || stage.playerSpeedMultiplier <= 0) {
+        errors.push(`${path}.playerSpeedMultiplier: must be a number greater than 0`);
+    }
+    if (!isNumber(stage.bulletSpeed) || stage.bulletSpeed <= 0) {
+        errors.push(`${path}.bulletSpeed: must be a number greater than 0`);
+    }
+    if (!Array.isArray(stage.spawners)) {
+        errors.push(`${path}.spawners: must be an array`);
+    } else {
+        stage.spawners.forEach((spawner, i) => validateSpawner(spawner, `${path}.spawners[${i}]`, errors));
+    }
+};
+
+export const validateStageSet = (stageSet) => {
+    const errors = [];
+    if (!stageSet || typeof stageSet !== 'object') {
+        return ['stage set: must be a JSON object'];
+    }
+    if (typeof stageSet.id !== 'string' || !stageSet.id) errors.push('id: must be a non-empty string');
+    if (!Number.isInteger(stageSet.version)) errors.push('version: must be an integer');
+    if (!Array.isArray(stageSet.stages) || stageSet.stages.length === 0) {
+        errors.push('stages: must be a non-empty array');
+    } else {
+        stageSet.stages.forEach((stage, i) => validateStage(stage, `stages[${i}]`, errors));
+    }
+    if (stageSet.endless === undefined) {
+        errors.push('endless: is required (the definition used after the last stage)');
+    } else {
+        validateStage(stageSet.endless, 'endless', errors, { isEndless: true });
+        const scaling = stageSet.endless && stageSet.endless.scaling;
+        if (scaling !== undefined) {
+            ['bulletSpeedPerStage', 'intervalPerStage', 'minInterval'].forEach(key => {
+                if (key in scaling && !isNumber(scaling[key])) errors.push(`endless.scaling.${key}: must be a number`);
+            });
+        }
+    }
+    return errors;
+};
+
+// Parses (if needed) and validates a stage set, throwing StageSetError with every problem found
+export const loadStageSet = (source) => {
+    let stageSet = source;
+    if (typeof source === 'string') {
+        try {
+            stageSet = JSON.parse(source);
+        } catch (error) {
+            throw new StageSetError([`not valid JSON: ${error.message}`]);
+        }
+    }
+    const errors = validateStageSet(stageSet);
+    if (errors.length > 0) throw new StageSetError(errors);
+    return stageSet;
+};
+
+export const DEFAULT_STAGE_SET = loadStageSet(defaultStageSetJson);
+// Earlier versions of the default set (before boss stages, before wall
+// warnings), which replays recorded on them still need
+export const LEGACY_DEFAULT_STAGE_SETS = {
+    1: loadStageSet(defaultStageSetV1Json),
+    2: loadStageSet(defaultStageSetV2Json),
+};
+
+// --- Interpretation ---
+export const evaluateCurve = (curve, { timeInStage, progress }) => {
+    if (isNumber(curve)) return curve;
+    if (curve.steps) {
+        let value = curve.steps[0].value;
+        for (const step of curve.steps) {
+            if (timeInStage >= step.at) value = step.value;
+        }
+        return value;
+    }
+    let value = curve.from + (curve.to - curve.from) * progress;
+    if (isNumber(curve.min)) value = Math.max(curve.min, value);
+    if (isNumber(curve.max)) value = Math.min(curve.max, value);
+    return value;
+};
+
+export const isEndlessStage = (stageSet, stage) => stage > stageSet.stages.length;
+
+export const getBossDuration = (boss) => boss.phases.reduce((sum, phase) => sum + phase.duration, 0);
+
+// Resolves the definition for a 1-based stage number, applying endless scaling
+export const getStageDefinition = (stageSet, stage) => {
+    if (!isEndlessStage(stageSet, stage)) {
+        const definition = stageSet.stages[stage - 1];
+        return { ...definition, duration: definition.boss ? getBossDuration(definition.boss) : definition.duration, isEndless: false, endlessLevel: 0 };
+    }
+    const { endless } = stageSet;
+    const scaling = endless.scaling || {};
+    const endlessLevel = stage - stageSet.stages.length - 1;
+    return {
+        ...endless,
+        duration: null,
+        isEndless: true,
+        endlessLevel,
+        bulletSpeed: endless.bulletSpeed + endlessLevel * (scaling.bulletSpeedPerStage || 0),
+    };
+};
+
+export const isSpawnerActive = (spawner, timeInStage) => (
+    (spawner.activeFrom === undefined || timeInStage >= spawner.activeFrom) &&
+    (spawner.activeUntil === undefined || timeInStage < spawner.activeUntil)
+);
+
+export const getSpawnerInterval = (stageDefinition, spawner, curveInput) => {
+    const interval = evaluateCurve(spawner.interval, curveInput);
+    if (!stageDefinition.isEndless) return interval;
+    const scaling = stageDefinition.scaling || {};
+    const scaled = interval + stageDefinition.endlessLevel * (scaling.intervalPerStage || 0);
+    return isNumber(scaling.minInterval) ? Math.max(scaling.minInterval, scaled) : scaled;
+};
+
+export const getSpawnerSpeed = (stageDefinition, spawner, curveInput) => {
+    if (spawner.speed !== undefined) return evaluateCurve(spawner.speed, curveInput);
+    return stageDefinition.bulletSpeed * (spawner.speedScale !== undefined ? spawner.speedScale : 1);
+};
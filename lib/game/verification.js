@@ -0,0 +1,98 @@
+import { GAME_HEIGHT, GAME_WIDTH, TICKS_PER_SECOND } from './constants';
+import { DEFAULT_CURRICULUM } from './curricula';
+import { createReplayPlayer, decodeReplay } from './replay';
+import { DIRECTION_SCALE } from './simulation';
+import { DEFAULT_STAGE_SET } from './stages';
+
+// --- Run Verification ---
+// Re-simulates a submitted replay headlessly and recomputes the final score.
+// Returns { ok: true, ... } or { ok: false, reason, message }. Class runs pass
+// `rankedOnly: false`, since a teacher may lock the class to unranked settings.
+
+// The API route re-simulates synchronously, blocking its event loop for the
+// whole run. The default stages reach the endless stage after about six and a
+// half minutes, so twenty minutes covers any real run; verifying one that long
+// takes about a second on one core (`npm run bench -- --verify`).
+export const MAX_RUN_TICKS = TICKS_PER_SECOND * 60 * 20;
+
+// Debug stage-select runs use shorter stages and can skip ahead, custom stage
+// sets are not comparable, power-up runs get extra lives, other curricula
+// score differently and a wider field is easier to dodge in, so only full
+// classic runs of the default stages on the portrait field are ranked.
+// The stage set must be the current default one, never an embedded copy or a
+// legacy version (replays from before boss stages or wall warnings).
+export const isRankedRun = ({ startStage, stageDuration, stageSetId, stageSet = null, mode = 'classic', curriculum = DEFAULT_CURRICULUM, width = GAME_WIDTH, height = GAME_HEIGHT }) => (
+    startStage === 1 && stageDuration == null && stageSetId === DEFAULT_STAGE_SET.id && stageSet === null && mode === 'classic' && curriculum === DEFAULT_CURRICULUM
+    && width === GAME_WIDTH && height === GAME_HEIGHT
+);
+
+const reject = (reason, message) => ({ ok: false, reason, message });
+
+const validateInputs = (replay) => {
+    let lastTick = -1;
+    for (const input of replay.inputs) {
+        if (!Number.isInteger(input.tick) || input.tick < lastTick || input.tick > replay.endTick) {
+            return 'Input ticks must be increasing and inside the run';
+        }
+        if (input.type === 'attack') {
+            return 'Versus attacks cannot appear in a ranked run';
+        }
+        if (input.type === 'direction') {
+            if (![input.x, input.y].every(v => Number.isInteger(v) && Math.abs(v) <= DIRECTION_SCALE)) {
+                return `Direction inputs must be integers within ±${DIRECTION_SCALE}`;
+            }
+        } else {
+            const isCleared = input.x === null && input.y === null;
+            if (!isCleared && !(Number.isFinite(input.x) && Number.isFinite(input.y))) {
+                return 'Input coordinates must be numbers';
+            }
+            if (!isCleared && (input.x < 0 || input.x > replay.width || input.y < 0 || input.y > replay.height)) {
+                return 'Input coordinates must be inside the play field';
+            }
+        }
+        lastTick = input.tick;
+    }
+    return null;
+};
+
+export const verifyRun = (encodedReplay, claimedScore, { rankedOnly = true } = {}) => {
+    let replay;
+    try {
+        replay = decodeReplay(encodedReplay);
+    } catch (error) {
+        return reject('malformed-replay', error.message);
+    }
+
+    if (!Number.isInteger(replay.endTick) || replay.endTick <= 0 || replay.endTick > MAX_RUN_TICKS) {
+        return reject('invalid-length', `Run length must be between 1 and ${MAX_RUN_TICKS} ticks`);
+    }
+    if (rankedOnly && !isRankedRun(replay)) {
+        return reject('unranked-run', 'Only full classic runs of the default stages and curriculum from stage 1 on the portrait field can be ranked');
+    }
+    const inputError = validateInputs(replay);
+    if (inputError) {
+        return reject('invalid-input', inputError);
+    }
+
+    // A replay that decodes can still describe a run the simulation cannot play
+    let gameData;
+    try {
+        gameData = createReplayPlayer(replay).advanceTo(replay.endTick);
+    } catch (error) {
+        return reject('malformed-replay', `Replay could not be simulated: ${error.message}`);
+    }
+
+    if (gameData.status !== 'gameOver' || gameData.tick !== replay.endTick) {
+        return reject('run-mismatch', `Simulation ended at tick ${gameData.tick} (${gameData.status}), replay claims ${replay.endTick}`);
+    }
+    const finalScore = Math.floor(gameData.finalScore);
+    if (claimedScore !== undefined && Math.floor(claimedScore) !== finalScore) {
+        return reject('score-mismatch', `Claimed score ${claimedScore} does not match simulated score ${finalScore}`);
+    }
+
+    const { collected } = gameData.learning;
+    return {
+        ok: true, replay, finalScore, stage: gameData.stage, tick: gameData.tick, survivalTime: Math.floor(gameData.time), gemScore: Math.floor(gameData.player.score),
+        gemsCollected: collected.length, gemsHelped: collected.filter(gem => gem.value > 0).length,
+    };
+};
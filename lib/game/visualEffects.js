@@ -0,0 +1,70 @@
+// --- Visual Effects ---
+// Presentation-only particles and screen shake, fed by simulation events
+// (see events.js) and timed by an injected wall clock, so they keep playing for
+// a moment after the run stops and never touch the game data.
+
+const MAX_PARTICLES = 400;
+const SPLIT_PARTICLES = 10;
+const CLEAR_PARTICLES_PER_BULLET = 3;
+const PARTICLE_LIFESPAN = 500; // ms
+const DEATH_PARTICLES = 30;
+const SHAKES = { hit: { strength: 5, duration: 250 }, death: { strength: 12, duration: 600 } };
+
+export const createVisualEffects = ({ clock = () => performance.now() } = {}) => {
+    let particles = [];
+    let shake = null;
+
+    const burst = (x, y, count, { color, speed, lifespan = PARTICLE_LIFESPAN }) => {
+        const now = clock();
+        for (let i = 0; i < count && particles.length < MAX_PARTICLES; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const velocity = speed * (0.4 + Math.random() * 0.6);
+            particles.push({ x, y, dx: Math.cos(angle) * velocity, dy: Math.sin(angle) * velocity, bornAt: now, lifespan, color, size: 2 + Math.random() * 2 });
+        }
+    };
+
+    const startShake = ({ strength, duration }) => {
+        const now = clock();
+        if (shake && shake.strength > strength && shake.endsAt > now) return;
+        shake = { strength, duration, endsAt: now + duration };
+    };
+
+    return {
+        handleGameEvent: (event) => {
+            switch (event.type) {
+                case 'split': burst(event.x, event.y, SPLIT_PARTICLES, { color: '#fbbf24', speed: 120 }); break;
+                case 'bulletsCleared': event.positions.forEach(p => burst(p.x, p.y, CLEAR_PARTICLES_PER_BULLET, { color: '#f97316', speed: 200 })); break;
+                case 'hit': startShake(SHAKES.hit); break;
+                case 'death':
+                    startShake(SHAKES.death);
+                    burst(event.x, event.y, DEATH_PARTICLES, { color: '#4ade80', speed: 180, lifespan: 900 });
+                    break;
+                default: break;
+            }
+        },
+        // Field-unit offset to draw the scene at this frame
+        getShakeOffset: () => {
+            const now = clock();
+            if (!shake || now >= shake.endsAt) return { x: 0, y: 0 };
+            const strength = shake.strength * ((shake.endsAt - now) / shake.duration);
+            return { x: (Math.random() * 2 - 1) * strength, y: (Math.random() * 2 - 1) * strength };
+        },
+        // Draws and ages the particles, in field units
+        draw: (ctx) => {
+            const now = clock();
+            particles = particles.filter(p => now - p.bornAt < p.lifespan);
+            ctx.save();
+            particles.forEach(p => {
+                const age = (now - p.bornAt) / 1000;
+                ctx.globalAlpha = 1 - (now - p.bornAt) / p.lifespan;
+                ctx.fillStyle = p.color;
+                ctx.fillRect(p.x + p.dx * age - p.size / 2, p.y + p.dy * age - p.size / 2, p.size, p.size);
+            });
+            ctx.restore();
+        },
+        clear: () => {
+            particles = [];
+            shake = null;
+        },
+    };
+};
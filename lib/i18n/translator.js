@@ -0,0 +1,84 @@
+import en from './messages/en.json';
+import ko from './messages/ko.json';
+
+// --- UI Translations ---
+// One message catalog per locale, grouped by screen ("lobby.startGame").
+// Messages fill in {name} placeholders from the params, with numbers
+// formatted for the locale. A message that depends on a count is an object of
+// plural forms ({ one, other }) picked by the `count` param. A key missing
+// from a catalog falls back to Korean and then to the key itself; the i18n
+// test fails on missing keys, so the fallbacks only show during development.
+//
+// The staff tools (teacher, admin and editor pages) are Korean only.
+
+export const LOCALES = {
+    ko: { label: '한국어', tag: 'ko-KR', messages: ko },
+    en: { label: 'English', tag: 'en-US', messages: en },
+};
+
+export const DEFAULT_LOCALE = 'ko';
+
+const PLURAL_FORMS = ['zero', 'one', 'two', 'few', 'many', 'other'];
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+export const isLocale = (locale) => Object.prototype.hasOwnProperty.call(LOCALES, locale);
+
+const isPluralMessage = (value) => typeof value === 'object' && 'other' in value && Object.keys(value).every(form => PLURAL_FORMS.includes(form));
+
+// { lobby: { startGame } } → { 'lobby.startGame' }, keeping plural forms together
+export const flattenMessages = (messages, prefix = '') => {
+    const flat = {};
+    Object.entries(messages).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (typeof value === 'object' && !isPluralMessage(value)) Object.assign(flat, flattenMessages(value, path));
+        else flat[path] = value;
+    });
+    return flat;
+};
+
+// The placeholder names a message uses, across all of its plural forms
+export const getPlaceholders = (message) => {
+    const forms = typeof message === 'string' ? [message] : Object.values(message);
+    const names = new Set();
+    forms.forEach(form => { for (const [, name] of form.matchAll(PLACEHOLDER_PATTERN)) names.add(name); });
+    return [...names].sort();
+};
+
+const CATALOGS = Object.fromEntries(Object.entries(LOCALES).map(([locale, { messages }]) => [locale, flattenMessages(messages)]));
+
+// The first supported language in the browser's list ('en-GB' → 'en')
+export const detectLocale = (languages = []) => {
+    for (const language of languages) {
+        const base = String(language).toLowerCase().split('-')[0];
+        if (isLocale(base)) return base;
+    }
+    return DEFAULT_LOCALE;
+};
+
+export const createTranslator = (locale) => {
+    const resolved = isLocale(locale) ? locale : DEFAULT_LOCALE;
+    const { tag } = LOCALES[resolved];
+    const messages = CATALOGS[resolved];
+    const fallback = CATALOGS[DEFAULT_LOCALE];
+    const numberFormat = new Intl.NumberFormat(tag);
+    const pluralRules = new Intl.PluralRules(tag);
+
+    const formatNumber = (value) => numberFormat.format(value);
+    // `time` is anything Date accepts; `options` as for toLocaleString
+    const formatDate = (time, options) => new Date(time).toLocaleString(tag, options);
+
+    const has = (key) => Object.prototype.hasOwnProperty.call(messages, key) || Object.prototype.hasOwnProperty.call(fallback, key);
+
+    const t = (key, params = {}) => {
+        let message = messages[key] ?? fallback[key];
+        if (message === undefined) return key;
+        if (typeof message !== 'string') message = message[pluralRules.select(params.count)] ?? message.other;
+        return message.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined) return placeholder;
+            return typeof value === 'number' ? formatNumber(value) : String(value);
+        });
+    };
+
+    return { locale: resolved, t, has, formatNumber, formatDate };
+};
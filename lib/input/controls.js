@@ -0,0 +1,60 @@
+// --- Control Settings ---
+// Which input schemes are active and how keys are bound, persisted per browser.
+
+const CONTROLS_KEY = 'crocoControls';
+
+export const CONTROL_SCHEMES = ['pointer', 'keyboard', 'gamepad'];
+export const MOVE_ACTIONS = ['up', 'down', 'left', 'right'];
+
+export const DEFAULT_CONTROLS = {
+    schemes: { pointer: true, keyboard: true, gamepad: true },
+    keyBindings: {
+        up: ['KeyW', 'ArrowUp'],
+        down: ['KeyS', 'ArrowDown'],
+        left: ['KeyA', 'ArrowLeft'],
+        right: ['KeyD', 'ArrowRight'],
+    },
+    gamepadDeadzone: 0.2,
+};
+
+export const loadControls = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONTROLS_KEY));
+        if (!stored) return DEFAULT_CONTROLS;
+        return {
+            ...DEFAULT_CONTROLS,
+            ...stored,
+            schemes: { ...DEFAULT_CONTROLS.schemes, ...stored.schemes },
+            keyBindings: { ...DEFAULT_CONTROLS.keyBindings, ...stored.keyBindings },
+        };
+    } catch (error) {
+        console.error("Failed to load control settings:", error);
+        return DEFAULT_CONTROLS;
+    }
+};
+
+export const saveControls = (controls) => {
+    try {
+        localStorage.setItem(CONTROLS_KEY, JSON.stringify(controls));
+    } catch (error) {
+        console.error("Failed to save control settings:", error); // Storage full or disabled
+    }
+};
+
+// Makes `code` the primary key for `action`, removing it from every other action
+export const rebindKey = (controls, action, code) => {
+    const keyBindings = {};
+    MOVE_ACTIONS.forEach(a => {
+        const others = controls.keyBindings[a].filter(c => c !== code);
+        keyBindings[a] = a === action ? [code, ...others.slice(1)] : others;
+    });
+    return { ...controls, keyBindings };
+};
+
+const ARROW_LABELS = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+export const formatKeyCode = (code) => {
+    if (ARROW_LABELS[code]) return ARROW_LABELS[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return code;
+};
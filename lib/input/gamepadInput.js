@@ -0,0 +1,40 @@
+// --- Gamepad (left analog stick and d-pad) ---
+// Uses the standard mapping: axes 0/1 for the left stick, buttons 12-15 for the d-pad.
+const DPAD = { up: 12, down: 13, left: 14, right: 15 };
+const QUANTIZE = 100; // Match the simulation's direction precision to avoid redundant updates
+
+const isPressed = (gamepad, index) => !!(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+
+export const getConnectedGamepad = () => {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+    return Array.from(navigator.getGamepads()).find(gamepad => gamepad && gamepad.connected) || null;
+};
+
+export const readGamepadDirection = (gamepad, deadzone) => {
+    const dpadX = (isPressed(gamepad, DPAD.right) ? 1 : 0) - (isPressed(gamepad, DPAD.left) ? 1 : 0);
+    const dpadY = (isPressed(gamepad, DPAD.down) ? 1 : 0) - (isPressed(gamepad, DPAD.up) ? 1 : 0);
+    if (dpadX !== 0 || dpadY !== 0) return { x: dpadX, y: dpadY };
+
+    const x = gamepad.axes[0] || 0;
+    const y = gamepad.axes[1] || 0;
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude < deadzone) return { x: 0, y: 0 };
+    // Rescale so movement starts from zero just outside the deadzone
+    const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone)) / magnitude;
+    return { x: x * scaled, y: y * scaled };
+};
+
+export const createGamepadInput = ({ deadzone, sink }) => {
+    let lastKey = '0,0';
+
+    const poll = () => {
+        const gamepad = getConnectedGamepad();
+        const direction = gamepad ? readGamepadDirection(gamepad, deadzone) : { x: 0, y: 0 };
+        const key = `${Math.round(direction.x * QUANTIZE)},${Math.round(direction.y * QUANTIZE)}`;
+        if (key === lastKey) return;
+        lastKey = key;
+        sink.setDirection(direction);
+    };
+
+    return { attach: () => {}, detach: () => { lastKey = '0,0'; }, poll };
+};
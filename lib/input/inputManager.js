@@ -0,0 +1,21 @@
+import { createGamepadInput } from './gamepadInput';
+import { createKeyboardInput } from './keyboardInput';
+import { createPointerInput } from './pointerInput';
+
+// --- Input Manager ---
+// Combines the enabled input sources. Each source reports to the same sink
+// ({ setTarget, setDirection }), usually the running simulation, so every scheme
+// goes through the simulation's speed multipliers, clamping and input log.
+// `field` ({ width, height }, usually the game data) is the play field size in game units.
+export const createInputManager = ({ controls, field, sink }) => {
+    const sources = [];
+    if (controls.schemes.pointer) sources.push(createPointerInput({ field, sink }));
+    if (controls.schemes.keyboard) sources.push(createKeyboardInput({ keyBindings: controls.keyBindings, sink }));
+    if (controls.schemes.gamepad) sources.push(createGamepadInput({ deadzone: controls.gamepadDeadzone, sink }));
+
+    return {
+        attach: (canvas) => sources.forEach(source => source.attach(canvas)),
+        detach: () => sources.forEach(source => source.detach()),
+        poll: () => sources.forEach(source => source.poll()),
+    };
+};
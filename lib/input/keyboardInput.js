@@ -0,0 +1,49 @@
+import { MOVE_ACTIONS } from './controls';
+
+const FORM_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+// --- Direct Keyboard Movement ---
+// Tracks held keys and emits a direction whenever the combination changes.
+export const createKeyboardInput = ({ keyBindings, sink }) => {
+    const pressed = new Set();
+    const actionByCode = {};
+    MOVE_ACTIONS.forEach(action => keyBindings[action].forEach(code => { actionByCode[code] = action; }));
+    let lastDirection = { x: 0, y: 0 };
+
+    const handleKeyDown = (e) => {
+        const action = actionByCode[e.code];
+        if (!action || (e.target && FORM_TAGS.includes(e.target.tagName))) return; // Typing in a form is not movement
+        e.preventDefault(); // Keep arrow keys from scrolling the page
+        pressed.add(action);
+    };
+    const handleKeyUp = (e) => {
+        const action = actionByCode[e.code];
+        if (action) pressed.delete(action);
+    };
+    const handleBlur = () => pressed.clear();
+
+    const poll = () => {
+        const direction = {
+            x: (pressed.has('right') ? 1 : 0) - (pressed.has('left') ? 1 : 0),
+            y: (pressed.has('down') ? 1 : 0) - (pressed.has('up') ? 1 : 0),
+        };
+        if (direction.x === lastDirection.x && direction.y === lastDirection.y) return;
+        lastDirection = direction;
+        sink.setDirection(direction);
+    };
+
+    return {
+        attach: () => {
+            window.addEventListener('keydown', handleKeyDown);
+            window.addEventListener('keyup', handleKeyUp);
+            window.addEventListener('blur', handleBlur);
+        },
+        detach: () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('keyup', handleKeyUp);
+            window.removeEventListener('blur', handleBlur);
+            pressed.clear();
+        },
+        poll,
+    };
+};
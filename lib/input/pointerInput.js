@@ -0,0 +1,50 @@
+// --- Click-to-Move (mouse and touch) ---
+// While the pointer is held, the point under it becomes the movement target.
+// Positions are converted from CSS pixels to field units, whatever the canvas resolution.
+export const createPointerInput = ({ field, sink }) => {
+    let canvas = null;
+    let isPointerDown = false;
+
+    const updateTargetPosition = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        const left = rect.left + canvas.clientLeft; // Skip the border
+        const top = rect.top + canvas.clientTop;
+        const scaleX = field.width / canvas.clientWidth;
+        const scaleY = field.height / canvas.clientHeight;
+        const touch = e.touches ? e.touches[0] : e;
+        sink.setTarget({ x: (touch.clientX - left) * scaleX, y: (touch.clientY - top) * scaleY });
+    };
+
+    const handlePointerDown = (e) => {
+        e.preventDefault();
+        isPointerDown = true;
+        updateTargetPosition(e);
+    };
+    const handlePointerMove = (e) => {
+        e.preventDefault();
+        if (isPointerDown) updateTargetPosition(e);
+    };
+    const handlePointerUp = (e) => {
+        e.preventDefault();
+        isPointerDown = false;
+    };
+
+    const listeners = [
+        ['mousedown', handlePointerDown], ['mousemove', handlePointerMove], ['mouseup', handlePointerUp], ['mouseleave', handlePointerUp],
+        ['touchstart', handlePointerDown], ['touchmove', handlePointerMove], ['touchend', handlePointerUp], ['touchcancel', handlePointerUp],
+    ];
+
+    return {
+        attach: (element) => {
+            canvas = element;
+            listeners.forEach(([type, listener]) => canvas.addEventListener(type, listener, { passive: false }));
+        },
+        detach: () => {
+            if (!canvas) return;
+            listeners.forEach(([type, listener]) => canvas.removeEventListener(type, listener));
+            canvas = null;
+            isPointerDown = false;
+        },
+        poll: () => {},
+    };
+};
@@ -0,0 +1,42 @@
+// --- Learning Report ---
+// Summarizes a finished run's gems for the student: what they collected,
+// whether each helped or hurt, and which operations they passed up.
+// Operations are reported by id; the screen names them in the player's language.
+
+const MIN_OFFERED_FOR_AVOIDANCE = 3; // Too few gems of a kind says nothing
+const AVOIDANCE_RATIO = 0.5; // Collected at under half the student's usual rate
+
+export const getGemOutcome = (value) => (value > 0 ? 'helped' : value < 0 ? 'hurt' : 'neutral');
+
+// An operation is avoided when its helpful gems were collected far less often
+// than helpful gems overall; harmful gems are supposed to be dodged.
+export const buildLearningReport = ({ offered, collected }) => {
+    const collectedHelpful = {};
+    collected.forEach(gem => {
+        if (gem.value <= 0) return;
+        gem.operations.forEach(operation => { collectedHelpful[operation] = (collectedHelpful[operation] || 0) + 1; });
+    });
+
+    const operations = Object.entries(offered).map(([operation, { helpful, total }]) => ({
+        operation,
+        offered: total,
+        collected: collected.filter(gem => gem.operations.includes(operation)).length,
+        helpfulOffered: helpful,
+        helpfulCollected: collectedHelpful[operation] || 0,
+    }));
+
+    const totalHelpfulOffered = operations.reduce((sum, o) => sum + o.helpfulOffered, 0);
+    const totalHelpfulCollected = operations.reduce((sum, o) => sum + o.helpfulCollected, 0);
+    const overallRate = totalHelpfulOffered > 0 ? totalHelpfulCollected / totalHelpfulOffered : 0;
+    const avoided = overallRate > 0
+        ? operations.filter(o => o.helpfulOffered >= MIN_OFFERED_FOR_AVOIDANCE && o.helpfulCollected / o.helpfulOffered < overallRate * AVOIDANCE_RATIO)
+        : [];
+
+    return {
+        collected: collected.map(gem => ({ ...gem, outcome: getGemOutcome(gem.value) })),
+        helped: collected.filter(gem => gem.value > 0).length,
+        hurt: collected.filter(gem => gem.value < 0).length,
+        operations,
+        avoided: avoided.map(o => o.operation),
+    };
+};
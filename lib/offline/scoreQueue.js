@@ -0,0 +1,77 @@
+import { DAILY_SEED_WINDOW_DAYS } from '../rankings/daily';
+
+// --- Offline Score Queue ---
+// Finished ranked runs go into IndexedDB first and leave it only once the server
+// has answered, so a dropped connection never loses a run. Runs are kept for as
+// long as the server still recognises daily challenge seeds (see
+// rankings/daily.js); older ones are dropped unsent.
+
+const DB_NAME = 'crocoOffline';
+const DB_VERSION = 1;
+const STORE_NAME = 'scoreQueue';
+const RETRYABLE_REASONS = ['internal-error', 'unauthenticated']; // Server or token trouble, not the run's fault
+const MAX_QUEUED_MS = DAILY_SEED_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const withStore = async (mode, operation) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+};
+
+// `submission` is { playerId, replay (encoded), score, classCode? }
+export const enqueueScore = (submission) => withStore('readwrite', store => store.add({ ...submission, queuedAt: Date.now() }));
+
+export const getQueuedScores = () => withStore('readonly', store => store.getAll());
+
+const removeQueuedScore = (id) => withStore('readwrite', store => store.delete(id));
+
+// Submits queued runs oldest first and resolves to { submitted, remaining }.
+// `submit` resolves to the API result, or throws while the server is unreachable.
+// Runs the server rejects are dropped, since they would be rejected again.
+let isFlushing = false;
+export const flushScoreQueue = async (submit) => {
+    if (isFlushing) return { submitted: 0, remaining: (await getQueuedScores()).length };
+    isFlushing = true;
+    let submitted = 0;
+    try {
+        for (const entry of await getQueuedScores()) {
+            if (Date.now() - entry.queuedAt > MAX_QUEUED_MS) {
+                console.warn("Queued ranking expired unsent:", new Date(entry.queuedAt));
+                await removeQueuedScore(entry.id);
+                continue;
+            }
+            let result;
+            try {
+                result = await submit(entry);
+            } catch (error) {
+                break; // Still offline; keep everything for the next attempt
+            }
+            if (!result.ok && RETRYABLE_REASONS.includes(result.reason)) break;
+            if (!result.ok) console.warn("Queued ranking rejected:", result.reason, result.message);
+            await removeQueuedScore(entry.id);
+            submitted += 1;
+        }
+    } finally {
+        isFlushing = false;
+    }
+    return { submitted, remaining: (await getQueuedScores()).length };
+};
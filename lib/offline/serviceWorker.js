@@ -0,0 +1,18 @@
+// --- Service Worker Registration ---
+// Production only: in development the worker would serve stale hot-reload chunks.
+// The build id in the worker URL gives each deploy its own cache (see public/sw.js).
+export const registerServiceWorker = async () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    try {
+        const buildId = window.__NEXT_DATA__ && window.__NEXT_DATA__.buildId;
+        await navigator.serviceWorker.register(buildId ? `/sw.js?build=${encodeURIComponent(buildId)}` : '/sw.js');
+        const registration = await navigator.serviceWorker.ready;
+        // Hand over what this page already loaded so the first visit works offline too
+        const urls = performance.getEntriesByType('resource')
+            .map(entry => entry.name)
+            .filter(url => new URL(url).origin === window.location.origin && new URL(url).pathname.startsWith('/_next/static/'));
+        if (registration.active) registration.active.postMessage({ type: 'CACHE_URLS', urls });
+    } catch (error) {
+        console.error("Service worker registration failed:", error);
+    }
+};
@@ -0,0 +1,37 @@
+import { containsProfanity } from './profanity';
+
+// --- Display Names ---
+// Shared by the profile form (instant feedback) and the profile API (the check
+// that counts). Uniqueness compares name keys, which ignore case and spaces.
+
+export const NAME_MIN_LENGTH = 2;
+export const NAME_MAX_LENGTH = 12;
+
+const NAME_PATTERN = /^[가-힣a-zA-Z0-9_ ]+$/;
+const RESERVED_NAME_KEYS = ['admin', 'administrator', 'moderator', 'teacher', 'system', '관리자', '운영자', '선생님', '교사'];
+const LEGACY_PLAYER_ID_PATTERN = /^Player_[0-9a-f]{8}$/; // Random IDs handed out before profiles existed
+
+export const normalizeDisplayName = (name) => String(name).normalize('NFC').trim().replace(/\s+/g, ' ');
+
+export const getNameKey = (name) => normalizeDisplayName(name).toLowerCase().replace(/ /g, '');
+
+export const isLegacyPlayerId = (playerId) => LEGACY_PLAYER_ID_PATTERN.test(playerId);
+
+// Returns null when the name is acceptable, otherwise { reason, message }
+export const validateDisplayName = (name) => {
+    if (typeof name !== 'string') return { reason: 'invalid-name', message: '이름을 입력해주세요.' };
+    const normalized = normalizeDisplayName(name);
+    if (normalized.length < NAME_MIN_LENGTH || normalized.length > NAME_MAX_LENGTH) {
+        return { reason: 'invalid-length', message: `이름은 ${NAME_MIN_LENGTH}~${NAME_MAX_LENGTH}자여야 합니다.` };
+    }
+    if (!NAME_PATTERN.test(normalized)) {
+        return { reason: 'invalid-characters', message: '한글, 영문, 숫자, 밑줄(_)과 띄어쓰기만 쓸 수 있습니다.' };
+    }
+    if (RESERVED_NAME_KEYS.includes(getNameKey(normalized)) || /^player_/i.test(normalized)) {
+        return { reason: 'reserved-name', message: '사용할 수 없는 이름입니다.' };
+    }
+    if (containsProfanity(normalized)) {
+        return { reason: 'inappropriate-name', message: '바르고 고운 이름을 사용해주세요.' };
+    }
+    return null;
+};
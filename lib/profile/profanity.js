@@ -0,0 +1,34 @@
+// --- Profanity Filter (Korean + English) ---
+// Names are squashed before matching (lowercased, common digit/symbol swaps
+// undone, everything but letters removed) so "시1발" or "sh1t" still match.
+// This is a school filter: it errs on the side of blocking.
+
+const BLOCKED_WORDS = [
+    // Korean
+    '시발', '씨발', '씨빨', '시빨', '쉬발', '슈발', '씨바', '시바', '십새', '십세', '씹', '좆', '존나', '졸라', '존니',
+    '병신', '븅신', '빙신', '븅딱', '개새', '개색', '개세', '새끼', '색끼', '쌔끼', '썅', '쌍놈', '쌍년', '미친놈', '미친년',
+    '지랄', '엠창', '느금', '니애미', '니미', '애미', '애비', '창녀', '걸레', '보지', '자지', '섹스', '꺼져', '닥쳐', '호로',
+    '등신', '찐따', '또라이', '뒤져', '뒈져', '죽어라', '엿먹',
+    // English
+    'fuck', 'fuk', 'shit', 'bitch', 'cunt', 'dick', 'cock', 'pussy', 'asshole', 'bastard', 'slut', 'whore',
+    'nigger', 'nigga', 'fag', 'retard', 'porn', 'sex', 'penis', 'vagina', 'damn', 'wtf', 'stfu', 'kys',
+];
+
+// Innocent words that contain a blocked one
+const ALLOWED_WORDS = ['시바견', '시바이누', 'peacock', 'cocktail', 'hancock', 'dickens', 'essex', 'sussex', 'middlesex', 'scunthorpe', 'shitake', 'shiitake'];
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i', '|': 'l' };
+
+// Hangul and Latin are squashed separately so digits between syllables ("시1발") drop out
+const squash = (text) => {
+    const lowered = text.normalize('NFC').toLowerCase();
+    const hangul = lowered.replace(/[^가-힣]/g, '');
+    const latin = lowered.replace(/[0-9@$!|]/g, c => LOOKALIKES[c] || c).replace(/[^a-z]/g, '');
+    return [hangul, latin];
+};
+
+const removeAllowedWords = (text) => ALLOWED_WORDS.reduce((result, word) => result.split(word).join(''), text);
+
+export const containsProfanity = (text) => squash(text)
+    .map(removeAllowedWords)
+    .some(squashed => BLOCKED_WORDS.some(word => squashed.includes(word)));
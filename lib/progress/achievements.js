@@ -0,0 +1,119 @@
+import { BULLET_SIZE } from '../game/constants';
+import { createStageWatcher } from '../game/events';
+import { SHRINK_HITBOX_SCALE, isEffectActive } from '../game/powerUps';
+import { getPlayerHitbox } from '../game/simulation';
+import { DEFAULT_STAGE_SET } from '../game/stages';
+
+// --- Achievements ---
+// Goals reached during a run, unlocked once for good (see progress.js). Stage
+// goals only count on the default stage set, where a stage number means the
+// same thing for everyone.
+
+export const ACHIEVEMENTS = {
+    bareStage5: { emoji: '🦸', label: '맨몸 돌파', description: '보호막 없이 스테이지 5 클리어' },
+    lateSurvivor: { emoji: '⏱️', label: '끈질긴 생존', description: '스테이지 6 이상에서 30초 버티기' },
+    gemStreak: { emoji: '💎', label: '연산 행진', description: '좋은 수학 문제 10개 연속으로 모으기' },
+    closeWall: { emoji: '🧱', label: '아슬아슬', description: '벽 틈을 5px 이내로 스치며 지나가기' },
+    playtimeHour: { emoji: '🕐', label: '한 시간의 모험', description: '누적 플레이 1시간' },
+};
+
+const BARE_STAGE = 5;
+const LATE_STAGE = 6;
+const LATE_SURVIVAL_MS = 30 * 1000;
+const GEM_STREAK = 10;
+const CLOSE_WALL_MARGIN = 5; // px between the hitbox and the nearest wall bullet
+const PLAYTIME_GOAL_MS = 60 * 60 * 1000;
+
+// Signed distance of a wall bullet's center past the player's center, along its travel
+const getDistancePast = (bullet, center) => (bullet.dx === 0
+    ? (bullet.y + BULLET_SIZE / 2 - center.y) * Math.sign(bullet.dy)
+    : (bullet.x + BULLET_SIZE / 2 - center.x) * Math.sign(bullet.dx));
+
+// Space between the hitbox and a bullet across its travel (negative when they overlap)
+const getSideMargin = (bullet, hitbox) => (bullet.dx === 0
+    ? Math.max(bullet.x - (hitbox.x + hitbox.width), hitbox.x - (bullet.x + BULLET_SIZE))
+    : Math.max(bullet.y - (hitbox.y + hitbox.height), hitbox.y - (bullet.y + BULLET_SIZE)));
+
+// Follows one run: feed it the simulation's events (handleGameEvent) and call
+// update() once per frame, which returns the achievements unlocked since the
+// last call. `unlocked` lists ids the player already has; `playedMs` is their
+// lifetime play time before this run.
+export const createAchievementTracker = (gameData, { unlocked = [], playedMs = 0 } = {}) => {
+    const reached = new Set(unlocked);
+    const countsStages = gameData.stageSet.id === DEFAULT_STAGE_SET.id;
+    const hasStageChanged = createStageWatcher(gameData);
+    let newlyUnlocked = [];
+    let lastTime = gameData.time;
+    let runMs = 0;
+    let unsavedMs = 0;
+    let usedShield = false;
+    let gemStreak = 0;
+    let wallDistances = new Map(); // Wall bullet id → distance past the player last frame
+
+    const unlock = (id) => {
+        if (reached.has(id)) return;
+        reached.add(id);
+        newlyUnlocked.push(id);
+    };
+
+    const syncStage = () => {
+        if (!hasStageChanged()) return;
+        lastTime = Math.min(lastTime, gameData.time);
+        usedShield = false;
+        wallDistances = new Map();
+    };
+
+    // Counts a wall only on the frame it passes the player's center
+    const checkWallMargins = () => {
+        const { player } = gameData;
+        const hitbox = getPlayerHitbox(player, isEffectActive(gameData, 'shrink') ? SHRINK_HITBOX_SCALE : 1);
+        const center = { x: hitbox.x + hitbox.width / 2, y: hitbox.y + hitbox.height / 2 };
+        const distances = new Map();
+        let closest = Infinity;
+        gameData.bullets.forEach(b => {
+            if (b.kind !== 'wall') return;
+            const distance = getDistancePast(b, center);
+            const before = wallDistances.get(b.id);
+            distances.set(b.id, distance);
+            if (before !== undefined && before < 0 && distance >= 0) closest = Math.min(closest, getSideMargin(b, hitbox));
+        });
+        wallDistances = distances;
+        if (closest >= 0 && closest < CLOSE_WALL_MARGIN && !player.isInvincible && player.lives > 0) unlock('closeWall');
+    };
+
+    return {
+        gameData,
+        handleGameEvent: (event) => {
+            syncStage();
+            switch (event.type) {
+                case 'item': if (event.itemType === 'shield') usedShield = true; break;
+                case 'gem':
+                    gemStreak = event.value > 0 ? gemStreak + 1 : 0;
+                    if (gemStreak >= GEM_STREAK) unlock('gemStreak');
+                    break;
+                case 'stageClear': if (countsStages && gameData.stage === BARE_STAGE && !usedShield) unlock('bareStage5'); break;
+                default: break;
+            }
+        },
+        update: () => {
+            syncStage();
+            runMs += gameData.time - lastTime;
+            unsavedMs += gameData.time - lastTime;
+            lastTime = gameData.time;
+
+            checkWallMargins();
+            if (countsStages && gameData.stage >= LATE_STAGE && gameData.player.lives > 0 && gameData.time - gameData.stageStartTime >= LATE_SURVIVAL_MS) unlock('lateSurvivor');
+            if (playedMs + runMs >= PLAYTIME_GOAL_MS) unlock('playtimeHour');
+
+            const result = newlyUnlocked;
+            newlyUnlocked = [];
+            return result;
+        },
+        // Play time since the last call, for adding to the lifetime total
+        takePlayedMs: () => {
+            const ms = unsavedMs;
+            unsavedMs = 0;
+            return ms;
+        },
+    };
+};
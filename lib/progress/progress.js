@@ -0,0 +1,98 @@
+import { doc, getDoc, setDoc } from 'firebase/firestore';
+
+import { isLocale } from '../i18n/translator';
+import { ACHIEVEMENTS } from './achievements';
+import { DEFAULT_SKIN } from './skins';
+
+// --- Player Progress ---
+// Unlocked achievements, lifetime play time, the chosen skin and UI language.
+// Always kept in localStorage, so it works signed out and offline, and copied
+// to a doc per Firebase uid so it follows the player. Copies are merged, never
+// overwritten: an unlock recorded anywhere stays unlocked.
+//
+// Shape: { unlocked: { [achievementId]: unlockedAt }, playedMs, skin, language, updatedAt }
+// `language` is a LOCALES key (i18n/translator.js), or null to follow the browser.
+
+const PROGRESS_KEY = 'crocoProgress';
+
+export const getProgressPath = (appId, userId) => `artifacts/${appId}/users/${userId}/crocoProgress/main`;
+
+export const DEFAULT_PROGRESS = { unlocked: {}, playedMs: 0, skin: DEFAULT_SKIN, language: null, updatedAt: 0 };
+
+// Drops unknown achievements and languages and fills missing fields
+export const normalizeProgress = (stored) => {
+    const progress = { ...DEFAULT_PROGRESS, ...stored };
+    const unlocked = {};
+    Object.entries(progress.unlocked || {}).forEach(([id, at]) => {
+        if (ACHIEVEMENTS[id] && Number.isFinite(at)) unlocked[id] = at;
+    });
+    return {
+        ...progress,
+        unlocked,
+        playedMs: Number.isFinite(progress.playedMs) ? progress.playedMs : 0,
+        language: isLocale(progress.language) ? progress.language : null,
+    };
+};
+
+// Keeps every unlock (at its earliest time) and the larger play time; the skin
+// and language come from the copy changed last. Play time on two devices at
+// once is not added up, which only ever undercounts.
+export const mergeProgress = (a, b) => {
+    const latest = a.updatedAt >= b.updatedAt ? a : b;
+    const unlocked = { ...b.unlocked };
+    Object.entries(a.unlocked).forEach(([id, at]) => {
+        unlocked[id] = unlocked[id] ? Math.min(unlocked[id], at) : at;
+    });
+    return {
+        unlocked,
+        playedMs: Math.max(a.playedMs, b.playedMs),
+        skin: latest.skin,
+        language: latest.language,
+        updatedAt: Math.max(a.updatedAt, b.updatedAt),
+    };
+};
+
+export const recordUnlocks = (progress, ids, now = Date.now()) => {
+    const unlocked = { ...progress.unlocked };
+    ids.forEach(id => { if (!unlocked[id]) unlocked[id] = now; });
+    return { ...progress, unlocked, updatedAt: now };
+};
+
+export const addPlayedTime = (progress, ms, now = Date.now()) => ({ ...progress, playedMs: progress.playedMs + ms, updatedAt: now });
+
+export const selectSkin = (progress, skin, now = Date.now()) => ({ ...progress, skin, updatedAt: now });
+
+export const selectLanguage = (progress, language, now = Date.now()) => ({ ...progress, language, updatedAt: now });
+
+export const loadLocalProgress = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+        return stored ? normalizeProgress(stored) : DEFAULT_PROGRESS;
+    } catch (error) {
+        console.error("Failed to load progress:", error);
+        return DEFAULT_PROGRESS;
+    }
+};
+
+export const saveLocalProgress = (progress) => {
+    localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+};
+
+// Takes the Firestore instance so it runs the same against production and the emulator
+export const createProgressStore = (db, appId) => {
+    const progressRef = (userId) => doc(db, getProgressPath(appId, userId));
+
+    const save = (userId, progress) => setDoc(progressRef(userId), progress);
+
+    // Merges the player's stored copy with `local`, writes the result back to
+    // both and resolves to it
+    const sync = async (userId, local) => {
+        const snapshot = await getDoc(progressRef(userId));
+        const merged = snapshot.exists() ? mergeProgress(local, normalizeProgress(snapshot.data())) : local;
+        saveLocalProgress(merged);
+        await save(userId, merged);
+        return merged;
+    };
+
+    return { save, sync };
+};
@@ -0,0 +1,22 @@
+// --- Crocodile Skins ---
+// Cosmetic stand-ins for the player's crocodile, each unlocked by an
+// achievement (see achievements.js). The classic skin is always available.
+
+export const DEFAULT_SKIN = 'classic';
+
+export const SKINS = {
+    classic: { emoji: '🐊', label: '크로코' },
+    lizard: { emoji: '🦎', label: '도마뱀', unlockedBy: 'gemStreak' },
+    turtle: { emoji: '🐢', label: '거북이', unlockedBy: 'playtimeHour' },
+    snake: { emoji: '🐍', label: '뱀', unlockedBy: 'closeWall' },
+    dragon: { emoji: '🐉', label: '용', unlockedBy: 'bareStage5' },
+    dinosaur: { emoji: '🦖', label: '공룡', unlockedBy: 'lateSurvivor' },
+};
+
+export const isSkinUnlocked = (progress, skinId) => {
+    const skin = SKINS[skinId];
+    return !!skin && (!skin.unlockedBy || !!progress.unlocked[skin.unlockedBy]);
+};
+
+// The chosen skin's emoji, or the classic one if it is not (or no longer) available
+export const getSkinEmoji = (progress) => SKINS[isSkinUnlocked(progress, progress.skin) ? progress.skin : DEFAULT_SKIN].emoji;
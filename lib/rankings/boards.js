@@ -0,0 +1,31 @@
+// --- Ranking Boards ---
+// Every verified run is logged in crocoGameRankings. The boards keep one entry
+// per player (their best) for each period, so a single player cannot fill a
+// board. Entries are keyed by auth uid and show the player's display name.
+// Periods follow Korean time: days start at midnight KST, weeks on Monday.
+
+export const RANKING_BOARDS = ['daily', 'weekly', 'all'];
+export const RANKING_BOARD_LABELS = { daily: '오늘', weekly: '이번 주', all: '전체' };
+
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDateKey = (kstDate) => kstDate.toISOString().slice(0, 10);
+
+// 'daily' → '2026-10-19', 'weekly' → the Monday the week starts on, 'all' → 'all'
+export const getPeriodKey = (board, date = new Date()) => {
+    const kstDate = new Date(date.getTime() + KST_OFFSET_MS); // Read with UTC getters
+    switch (board) {
+        case 'daily': return formatDateKey(kstDate);
+        case 'weekly': return formatDateKey(new Date(kstDate.getTime() - ((kstDate.getUTCDay() + 6) % 7) * DAY_MS));
+        case 'all': return 'all';
+        default: throw new Error(`Unknown ranking board: ${board}`);
+    }
+};
+
+export const getBoardEntriesPath = (appId, board, periodKey) => `artifacts/${appId}/public/data/crocoGameBoards/${board}_${periodKey}/entries`;
+
+export const formatSurvivalTime = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
@@ -0,0 +1,33 @@
+// --- Leaderboard Cache ---
+// The last board seen online, per tab, shown with a "stale" note when Firestore
+// cannot be reached.
+
+const RANKING_CACHE_KEY = 'crocoRankingCache';
+
+const toCachedEntry = ({ id, playerId, userId, score, stage, survivalTime, gemScore, replayId }) => (
+    { id, playerId, userId, score, stage, survivalTime, gemScore, replayId }
+);
+
+const loadCache = () => {
+    try {
+        return JSON.parse(localStorage.getItem(RANKING_CACHE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+// Returns { entries, playerRank, fetchedAt } or null
+export const loadCachedBoard = (board) => loadCache()[board] || null;
+
+// `changes` holds the first-page `entries` and/or the `playerRank` just fetched
+export const saveCachedBoard = (board, changes) => {
+    const cache = loadCache();
+    const next = { entries: [], playerRank: null, ...cache[board], fetchedAt: Date.now() };
+    if (changes.entries) next.entries = changes.entries.map(toCachedEntry);
+    if ('playerRank' in changes) next.playerRank = changes.playerRank && { rank: changes.playerRank.rank, entry: { score: changes.playerRank.entry.score } };
+    try {
+        localStorage.setItem(RANKING_CACHE_KEY, JSON.stringify({ ...cache, [board]: next }));
+    } catch (error) {
+        console.error("Failed to cache rankings:", error);
+    }
+};
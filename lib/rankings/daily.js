@@ -0,0 +1,64 @@
+import { normalizeSeed } from '../game/rng';
+import { getPeriodKey } from './boards';
+
+// --- Daily Challenge ---
+// One seed per day (Korean time, like the ranking boards), so every player
+// dodges the same bullets, items and math gems. A daily run is otherwise an
+// ordinary ranked run: the server recognises it by its seed and ranks it on a
+// board of that day instead of the school boards.
+//
+// Each day's board is a doc in crocoDailyRankings holding a summary
+// ({ dailyKey, entryCount, topScore, topPlayerId }) with one best entry per
+// player (auth uid) in its `entries` subcollection.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far back a daily seed is still recognised; the offline score queue drops
+// runs older than this, so a queued daily run never passes for an ordinary one
+export const DAILY_SEED_WINDOW_DAYS = 30;
+
+export const getDailyBoardsPath = (appId) => `artifacts/${appId}/public/data/crocoDailyRankings`;
+export const getDailyEntriesPath = (appId, dailyKey) => `${getDailyBoardsPath(appId)}/${dailyKey}/entries`;
+
+// '2026-10-19' for the day in Korea at `date`
+export const getDailyKey = (date = new Date()) => getPeriodKey('daily', date);
+
+export const getDailySeed = (dailyKey) => normalizeSeed(`daily_${dailyKey}`);
+
+const getPreviousDailyKey = (dailyKey) => new Date(Date.parse(`${dailyKey}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+
+// The day whose challenge a run with `seed` played: today, or one of the
+// DAILY_SEED_WINDOW_DAYS before it for a run that ended past midnight or waited
+// in the offline queue. Null otherwise.
+export const findDailyKeyForSeed = (seed, now = new Date()) => {
+    let dailyKey = getDailyKey(now);
+    for (let day = 0; day <= DAILY_SEED_WINDOW_DAYS; day++) {
+        if (getDailySeed(dailyKey) === seed) return dailyKey;
+        dailyKey = getPreviousDailyKey(dailyKey);
+    }
+    return null;
+};
+
+// Days in a row with a daily run, up to today. A streak that reached yesterday
+// still counts until today is over.
+export const getDailyStreak = (playedKeys, today = getDailyKey()) => {
+    const played = new Set(playedKeys);
+    let dailyKey = played.has(today) ? today : getPreviousDailyKey(today);
+    let streak = 0;
+    while (played.has(dailyKey)) {
+        streak += 1;
+        dailyKey = getPreviousDailyKey(dailyKey);
+    }
+    return streak;
+};
+
+// The day's summary after `entry` became a player's best
+export const updateDailySummary = (summary, dailyKey, entry, isNewPlayer) => {
+    const current = summary || { dailyKey, entryCount: 0, topScore: -1, topPlayerId: null };
+    const isTop = entry.score > current.topScore;
+    return {
+        dailyKey,
+        entryCount: current.entryCount + (isNewPlayer ? 1 : 0),
+        topScore: isTop ? entry.score : current.topScore,
+        topPlayerId: isTop ? entry.playerId : current.topPlayerId,
+    };
+};
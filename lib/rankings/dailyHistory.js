@@ -0,0 +1,29 @@
+// --- Daily Challenge History (browser) ---
+// The player's best score on each day they played the challenge, for the
+// lobby's streak. Kept locally so runs still waiting in the offline queue, or
+// not ranked, count toward the streak too.
+
+const DAILY_HISTORY_KEY = 'crocoDailyHistory';
+const MAX_DAYS = 90; // Older days are dropped
+
+// Returns { [dailyKey]: bestScore }
+export const loadDailyHistory = () => {
+    try {
+        return JSON.parse(localStorage.getItem(DAILY_HISTORY_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+// Returns the updated history
+export const recordDailyResult = (dailyKey, score) => {
+    const history = loadDailyHistory();
+    history[dailyKey] = Math.max(history[dailyKey] ?? 0, score);
+    const kept = Object.fromEntries(Object.entries(history).sort(([a], [b]) => b.localeCompare(a)).slice(0, MAX_DAYS));
+    try {
+        localStorage.setItem(DAILY_HISTORY_KEY, JSON.stringify(kept));
+    } catch (error) {
+        console.error("Failed to save daily challenge history:", error);
+    }
+    return kept;
+};
@@ -0,0 +1,44 @@
+import { collection, doc, getCountFromServer, getDoc, getDocs, limit, orderBy, query, startAfter, where } from 'firebase/firestore';
+import { getBoardEntriesPath, getPeriodKey } from './boards';
+import { getDailyBoardsPath, getDailyEntriesPath } from './daily';
+
+// --- Ranking Board Queries (client) ---
+// Boards are written by the ranking API; the client only reads them.
+
+const getEntriesCollection = (db, appId, board) => collection(db, getBoardEntriesPath(appId, board, getPeriodKey(board)));
+
+// Returns { entries, cursor, hasMore }; pass `cursor` back as `after` for the next page
+export const fetchBoardPage = async (db, appId, { board, pageSize, after = null }) => {
+    const constraints = [orderBy('score', 'desc')];
+    if (after) constraints.push(startAfter(after));
+    constraints.push(limit(pageSize + 1)); // One extra to know whether another page exists
+    const snapshot = await getDocs(query(getEntriesCollection(db, appId, board), ...constraints));
+    const docs = snapshot.docs.slice(0, pageSize);
+    return {
+        entries: docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() })),
+        cursor: docs.length > 0 ? docs[docs.length - 1] : after,
+        hasMore: snapshot.docs.length > pageSize,
+    };
+};
+
+// Returns { rank, entry } for the player's best on this board, or null if they have none
+export const fetchPlayerRank = async (db, appId, { board, userId }) => {
+    const entries = getEntriesCollection(db, appId, board);
+    const entrySnap = await getDoc(doc(entries, userId));
+    if (!entrySnap.exists()) return null;
+    const entry = entrySnap.data();
+    const higher = await getCountFromServer(query(entries, where('score', '>', entry.score)));
+    return { rank: higher.data().count + 1, entry };
+};
+
+// Best entries of one day's challenge, highest first
+export const fetchDailyBoard = async (db, appId, { dailyKey, pageSize }) => {
+    const snapshot = await getDocs(query(collection(db, getDailyEntriesPath(appId, dailyKey)), orderBy('score', 'desc'), limit(pageSize)));
+    return snapshot.docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() }));
+};
+
+// Summaries of the latest daily boards, newest first
+export const fetchDailyHistory = async (db, appId, { days }) => {
+    const snapshot = await getDocs(query(collection(db, getDailyBoardsPath(appId)), orderBy('dailyKey', 'desc'), limit(days)));
+    return snapshot.docs.map(summaryDoc => summaryDoc.data());
+};
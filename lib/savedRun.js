@@ -0,0 +1,40 @@
+// --- Saved Run (browser) ---
+// The in-progress run is kept in localStorage so a reload or a closed tab can
+// be resumed from the lobby. A resumed run can be replayed from its save over
+// and over, so it is never ranked.
+
+const SAVED_RUN_KEY = 'crocoSavedRun';
+const SAVED_RUN_VERSION = 2; // Bump when gameData changes shape; older saves are dropped
+
+export const saveRun = (simulation) => {
+    try {
+        localStorage.setItem(SAVED_RUN_KEY, JSON.stringify({
+            version: SAVED_RUN_VERSION,
+            savedAt: Date.now(),
+            gameData: simulation.gameData,
+            stageStartSnapshot: simulation.getStageStartSnapshot(),
+        }));
+    } catch (error) {
+        console.error("Failed to save the run:", error); // Storage full or disabled
+    }
+};
+
+// Returns { savedAt, gameData, stageStartSnapshot } or null
+export const loadSavedRun = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SAVED_RUN_KEY));
+        if (!saved || saved.version !== SAVED_RUN_VERSION || !saved.gameData || saved.gameData.status === 'gameOver') return null;
+        return saved;
+    } catch (error) {
+        console.error("Stored run is invalid:", error);
+        return null;
+    }
+};
+
+export const clearSavedRun = () => {
+    try {
+        localStorage.removeItem(SAVED_RUN_KEY);
+    } catch (error) {
+        console.error("Failed to clear the saved run:", error); // Storage disabled
+    }
+};
@@ -0,0 +1,48 @@
+import { getClassResultsPath, getClassSessionsPath, getClassStudentsPath } from '../classroom/classes';
+
+// --- Class Stores ---
+// Server-side access to class sessions (see classroom/classes.js). Clients
+// create sessions and join them as students; lock changes and closing come
+// through here after the teacher is checked (see updateClassSession.js), and
+// results only ever come from here, after the run was verified.
+
+export const createFirestoreClassStore = (firestore, appId) => ({
+    getSession: async (code) => {
+        const snapshot = await firestore.collection(getClassSessionsPath(appId)).doc(code).get();
+        return snapshot.exists ? snapshot.data() : null;
+    },
+    updateSession: async (code, changes) => {
+        await firestore.collection(getClassSessionsPath(appId)).doc(code).update(changes);
+    },
+    isStudent: async (code, userId) => {
+        const snapshot = await firestore.collection(getClassStudentsPath(appId, code)).doc(userId).get();
+        return snapshot.exists;
+    },
+    saveResult: async (code, result) => {
+        const ref = await firestore.collection(getClassResultsPath(appId, code)).add({ ...result, createdAt: new Date() });
+        return ref.id;
+    },
+});
+
+export const createMemoryClassStore = () => {
+    const sessions = new Map();
+    const students = new Map(); // Keyed by `${code}/${userId}`
+    const results = new Map(); // code → results, oldest first
+    let nextId = 1;
+
+    return {
+        sessions,
+        students,
+        results,
+        getSession: async (code) => sessions.get(code) || null,
+        updateSession: async (code, changes) => {
+            sessions.set(code, { ...sessions.get(code), ...changes });
+        },
+        isStudent: async (code, userId) => students.has(`${code}/${userId}`),
+        saveResult: async (code, result) => {
+            const id = `result_${nextId++}`;
+            results.set(code, [...(results.get(code) || []), { id, ...result, createdAt: new Date() }]);
+            return id;
+        },
+    };
+};
@@ -0,0 +1,84 @@
+import { cert, getApps, initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+import { createFirestoreClassStore, createMemoryClassStore } from './classStore';
+import { createFirestoreProfileStore, createMemoryProfileStore } from './profileStore';
+import { createFirestoreRankingStore, createMemoryRankingStore } from './rankingStore';
+import { createFirestoreTelemetryStore, createMemoryTelemetryStore } from './telemetryStore';
+
+// --- Firebase Admin (server only) ---
+// FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST point the admin SDK at
+// the local emulators. RANKING_STORE=memory skips Firebase entirely (rankings,
+// profiles, classes and telemetry). ADMIN_USER_IDS (comma-separated uids) lists
+// who may open the admin dashboard; with the memory store anyone signed in may.
+
+export const serverAppId = process.env.NEXT_PUBLIC_FIREBASE_APP_ID || 'default-app-id';
+const isMemoryStore = process.env.RANKING_STORE === 'memory';
+const adminUserIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+const getAdminApp = () => {
+    if (getApps().length > 0) return getApps()[0];
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+    return initializeApp({
+        projectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID,
+        ...(serviceAccount ? { credential: cert(JSON.parse(serviceAccount)) } : {}),
+    });
+};
+
+let rankingStore = null;
+export const getRankingStore = () => {
+    if (!rankingStore) {
+        rankingStore = isMemoryStore
+            ? createMemoryRankingStore()
+            : createFirestoreRankingStore(getFirestore(getAdminApp()), serverAppId);
+    }
+    return rankingStore;
+};
+
+let profileStore = null;
+export const getProfileStore = () => {
+    if (!profileStore) {
+        profileStore = isMemoryStore
+            ? createMemoryProfileStore()
+            : createFirestoreProfileStore(getFirestore(getAdminApp()), serverAppId);
+    }
+    return profileStore;
+};
+
+let classStore = null;
+export const getClassStore = () => {
+    if (!classStore) {
+        classStore = isMemoryStore
+            ? createMemoryClassStore()
+            : createFirestoreClassStore(getFirestore(getAdminApp()), serverAppId);
+    }
+    return classStore;
+};
+
+let telemetryStore = null;
+export const getTelemetryStore = () => {
+    if (!telemetryStore) {
+        telemetryStore = isMemoryStore
+            ? createMemoryTelemetryStore()
+            : createFirestoreTelemetryStore(getFirestore(getAdminApp()), serverAppId);
+    }
+    return telemetryStore;
+};
+
+export const isAdminUser = (userId) => Boolean(userId) && (isMemoryStore || adminUserIds.includes(userId));
+
+// Resolves the Firebase uid from an "Authorization: Bearer <idToken>" header.
+// The memory store trusts an "x-user-id" header instead, for offline testing.
+export const getRequestUserId = async (req) => {
+    if (isMemoryStore) return req.headers['x-user-id'] || null;
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer (.+)$/);
+    if (!match) return null;
+    try {
+        const decoded = await getAuth(getAdminApp()).verifyIdToken(match[1]);
+        return decoded.uid;
+    } catch (error) {
+        console.error('Failed to verify ID token:', error);
+        return null;
+    }
+};
@@ -0,0 +1,52 @@
+// --- Profile Stores ---
+// Display names live on a profile doc keyed by auth uid. A second collection
+// reserves each name key (case and spaces ignored) so two players can never
+// share a name; claiming a new name releases the old reservation.
+//
+// `claimName` resolves to false when another player holds the name.
+
+export const getProfilesPath = (appId) => `artifacts/${appId}/public/data/crocoPlayerProfiles`;
+export const getNameReservationsPath = (appId) => `artifacts/${appId}/public/data/crocoPlayerNames`;
+
+export const createFirestoreProfileStore = (firestore, appId) => ({
+    getProfile: async (userId) => {
+        const snapshot = await firestore.collection(getProfilesPath(appId)).doc(userId).get();
+        return snapshot.exists ? snapshot.data() : null;
+    },
+    claimName: async (userId, { displayName, nameKey }) => {
+        const profileRef = firestore.collection(getProfilesPath(appId)).doc(userId);
+        const nameRef = firestore.collection(getNameReservationsPath(appId)).doc(nameKey);
+        return firestore.runTransaction(async (transaction) => {
+            const [profileSnap, nameSnap] = await Promise.all([transaction.get(profileRef), transaction.get(nameRef)]);
+            if (nameSnap.exists && nameSnap.data().userId !== userId) return false;
+            const profile = profileSnap.exists ? profileSnap.data() : null;
+            if (profile && profile.nameKey !== nameKey) {
+                transaction.delete(firestore.collection(getNameReservationsPath(appId)).doc(profile.nameKey));
+            }
+            const now = new Date();
+            transaction.set(nameRef, { userId, createdAt: now });
+            transaction.set(profileRef, { displayName, nameKey, createdAt: profile ? profile.createdAt : now, updatedAt: now });
+            return true;
+        });
+    },
+});
+
+export const createMemoryProfileStore = () => {
+    const profiles = new Map();
+    const names = new Map(); // nameKey → userId
+
+    return {
+        profiles,
+        names,
+        getProfile: async (userId) => profiles.get(userId) || null,
+        claimName: async (userId, { displayName, nameKey }) => {
+            if (names.has(nameKey) && names.get(nameKey) !== userId) return false;
+            const profile = profiles.get(userId);
+            if (profile && profile.nameKey !== nameKey) names.delete(profile.nameKey);
+            const now = new Date();
+            names.set(nameKey, userId);
+            profiles.set(userId, { displayName, nameKey, createdAt: profile ? profile.createdAt : now, updatedAt: now });
+            return true;
+        },
+    };
+};
@@ -0,0 +1,178 @@
+import { RANKING_BOARDS, getBoardEntriesPath, getPeriodKey } from '../rankings/boards';
+import { getDailyBoardsPath, getDailyEntriesPath, getDailyKey, updateDailySummary } from '../rankings/daily';
+
+// --- Ranking Stores ---
+// Server-side persistence for verified rankings. The Firestore store writes to
+// the same collections the client reads; the memory store keeps everything in
+// process so the API can run offline.
+//
+// `saveBest` keeps one entry per player (auth uid) and board period and only
+// replaces it with a higher score. It resolves to true when the entry was written.
+// `saveDailyBest` does the same on a daily challenge board and keeps the day's
+// summary (see rankings/daily.js) up to date.
+//
+// `claimRun` records a run's fingerprint (see submitRanking.js) for the
+// submitting player and resolves to false when the run was already submitted.
+//
+// `linkPlayer` ties a player's earlier runs to their profile name: logged runs
+// and current board entries are renamed, and their best verified run is
+// offered to the all-time board, so runs logged before the boards existed still
+// count. Only runs submitRanking logged (they carry `verifiedAt`) are trusted:
+// older clients wrote run logs themselves, debug stage-select runs included.
+// Daily challenge runs stay off the school boards here too, since each day's
+// seed can be practised in advance. Today's daily challenge entry is renamed.
+
+export const getRankingsPath = (appId) => `artifacts/${appId}/public/data/crocoGameRankings`;
+export const getReplaysPath = (appId) => `artifacts/${appId}/public/data/crocoGameReplays`;
+export const getRunClaimsPath = (appId) => `artifacts/${appId}/public/data/crocoRunClaims`;
+
+const FIRESTORE_BATCH_LIMIT = 500;
+
+const findBestVerifiedRun = (runs) => runs
+    .filter(run => run.verifiedAt && run.replayId && !run.dailyKey)
+    .reduce((best, run) => (!best || run.score > best.score ? run : best), null);
+
+export const createFirestoreRankingStore = (firestore, appId) => {
+    const saveBest = async ({ board, periodKey, entry }) => {
+        const ref = firestore.collection(getBoardEntriesPath(appId, board, periodKey)).doc(entry.userId);
+        return firestore.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(ref);
+            if (snapshot.exists && snapshot.data().score >= entry.score) return false;
+            transaction.set(ref, { ...entry, updatedAt: new Date() });
+            return true;
+        });
+    };
+
+    const claimRun = async ({ fingerprint, userId }) => {
+        const ref = firestore.collection(getRunClaimsPath(appId)).doc(fingerprint);
+        return firestore.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(ref);
+            if (snapshot.exists) return false;
+            transaction.set(ref, { userId, claimedAt: new Date() });
+            return true;
+        });
+    };
+
+    const saveDailyBest = async ({ dailyKey, entry }) => {
+        const summaryRef = firestore.collection(getDailyBoardsPath(appId)).doc(dailyKey);
+        const ref = firestore.collection(getDailyEntriesPath(appId, dailyKey)).doc(entry.userId);
+        return firestore.runTransaction(async (transaction) => {
+            const [snapshot, summarySnap] = await Promise.all([transaction.get(ref), transaction.get(summaryRef)]);
+            if (snapshot.exists && snapshot.data().score >= entry.score) return false;
+            const now = new Date();
+            transaction.set(ref, { ...entry, updatedAt: now });
+            transaction.set(summaryRef, { ...updateDailySummary(summarySnap.exists ? summarySnap.data() : null, dailyKey, entry, !snapshot.exists), updatedAt: now });
+            return true;
+        });
+    };
+
+    const linkPlayer = async ({ userId, playerId, now = new Date() }) => {
+        const runs = await firestore.collection(getRankingsPath(appId)).where('userId', '==', userId).get();
+        for (let i = 0; i < runs.docs.length; i += FIRESTORE_BATCH_LIMIT) {
+            const batch = firestore.batch();
+            runs.docs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(run => batch.update(run.ref, { playerId }));
+            await batch.commit();
+        }
+        for (const board of RANKING_BOARDS) {
+            const ref = firestore.collection(getBoardEntriesPath(appId, board, getPeriodKey(board, now))).doc(userId);
+            const snapshot = await ref.get();
+            if (snapshot.exists) await ref.update({ playerId });
+        }
+        const dailyRef = firestore.collection(getDailyEntriesPath(appId, getDailyKey(now))).doc(userId);
+        if ((await dailyRef.get()).exists) await dailyRef.update({ playerId });
+        const best = findBestVerifiedRun(runs.docs.map(run => run.data()));
+        if (best) {
+            const { createdAt, verifiedAt, ...entry } = best;
+            await saveBest({ board: 'all', periodKey: 'all', entry: { ...entry, playerId, board: 'all', periodKey: 'all', achievedAt: createdAt || now } });
+        }
+        return { linkedRuns: runs.size };
+    };
+
+    return {
+        saveReplay: async (entry) => {
+            const ref = await firestore.collection(getReplaysPath(appId)).add({ ...entry, createdAt: new Date() });
+            return ref.id;
+        },
+        saveRanking: async (entry) => {
+            const ref = await firestore.collection(getRankingsPath(appId)).add({ ...entry, createdAt: new Date() });
+            return ref.id;
+        },
+        saveBest,
+        saveDailyBest,
+        claimRun,
+        linkPlayer,
+    };
+};
+
+export const createMemoryRankingStore = () => {
+    const replays = new Map();
+    const rankings = new Map();
+    const bests = new Map(); // Keyed by `${board}_${periodKey}/${userId}`
+    const dailyBests = new Map(); // Keyed by `${dailyKey}/${userId}`
+    const dailySummaries = new Map(); // Keyed by dailyKey
+    const runClaims = new Map(); // fingerprint → userId
+    let nextId = 1;
+
+    const saveBest = async ({ board, periodKey, entry }) => {
+        const key = `${board}_${periodKey}/${entry.userId}`;
+        const existing = bests.get(key);
+        if (existing && existing.score >= entry.score) return false;
+        bests.set(key, { ...entry, updatedAt: new Date() });
+        return true;
+    };
+
+    const saveDailyBest = async ({ dailyKey, entry }) => {
+        const key = `${dailyKey}/${entry.userId}`;
+        const existing = dailyBests.get(key);
+        if (existing && existing.score >= entry.score) return false;
+        dailyBests.set(key, { ...entry, updatedAt: new Date() });
+        dailySummaries.set(dailyKey, { ...updateDailySummary(dailySummaries.get(dailyKey), dailyKey, entry, !existing), updatedAt: new Date() });
+        return true;
+    };
+
+    const claimRun = async ({ fingerprint, userId }) => {
+        if (runClaims.has(fingerprint)) return false;
+        runClaims.set(fingerprint, userId);
+        return true;
+    };
+
+    const linkPlayer = async ({ userId, playerId, now = new Date() }) => {
+        const runs = [...rankings.values()].filter(run => run.userId === userId);
+        runs.forEach(run => { run.playerId = playerId; });
+        RANKING_BOARDS.forEach(board => {
+            const existing = bests.get(`${board}_${getPeriodKey(board, now)}/${userId}`);
+            if (existing) existing.playerId = playerId;
+        });
+        const dailyEntry = dailyBests.get(`${getDailyKey(now)}/${userId}`);
+        if (dailyEntry) dailyEntry.playerId = playerId;
+        const best = findBestVerifiedRun(runs);
+        if (best) {
+            const { createdAt, verifiedAt, ...entry } = best;
+            await saveBest({ board: 'all', periodKey: 'all', entry: { ...entry, board: 'all', periodKey: 'all', achievedAt: createdAt || now } });
+        }
+        return { linkedRuns: runs.length };
+    };
+
+    return {
+        replays,
+        rankings,
+        bests,
+        dailyBests,
+        dailySummaries,
+        runClaims,
+        saveReplay: async (entry) => {
+            const id = `replay_${nextId++}`;
+            replays.set(id, { ...entry, createdAt: new Date() });
+            return id;
+        },
+        saveRanking: async (entry) => {
+            const id = `ranking_${nextId++}`;
+            rankings.set(id, { ...entry, createdAt: new Date() });
+            return id;
+        },
+        saveBest,
+        saveDailyBest,
+        claimRun,
+        linkPlayer,
+    };
+};
@@ -0,0 +1,100 @@
+import { createHash } from 'crypto';
+import { findLockViolation } from '../classroom/classes';
+import { isRankedRun, verifyRun } from '../game/verification';
+import { isLegacyPlayerId } from '../profile/names';
+import { RANKING_BOARDS, getPeriodKey } from '../rankings/boards';
+import { findDailyKeyForSeed } from '../rankings/daily';
+
+// --- Ranking Submission ---
+// Verifies the run before anything is written, so a ranking can only exist for
+// a replay that reproduces its score. The run is logged, then offered to each
+// period board, which only keeps the player's best. Daily challenge runs (found
+// by their seed) go to that day's challenge board instead.
+//
+// Each run counts once: its fingerprint is claimed before anything is written,
+// so a public replay sent again, by its player or anyone else, is rejected.
+//
+// Players with a profile always rank under their moderated display name; the
+// submitted playerId is only accepted as-is when it is an old random player ID.
+//
+// Runs sent with a `classCode` are also stored as a class result when the
+// player has joined that open session and the run follows its locks. Such runs
+// need not be ranked. A ranked run still ranks when the class check fails (it
+// may have waited in the offline queue past the end of the lesson).
+
+// A copied replay must keep the seed and length to reproduce its score, and run
+// seeds are random, so those identify a run however it is relabelled. Daily
+// challenge runs all share the day's seed and are told apart by their input log.
+const getRunFingerprint = (replay, dailyKey) => {
+    if (!dailyKey) return `seed_${replay.seed}_${replay.endTick}`;
+    const { startStage, stageDuration, stageSetId, mode, curriculum, width, height, endTick, inputs } = replay;
+    const digest = createHash('sha256').update(JSON.stringify({ startStage, stageDuration, stageSetId, mode, curriculum, width, height, endTick, inputs })).digest('hex');
+    return `daily_${dailyKey}_${digest}`;
+};
+
+const checkClassRun = async (classStore, { classCode, userId, replay }) => {
+    const session = classStore ? await classStore.getSession(classCode) : null;
+    if (!session) return { ok: false, status: 404, reason: 'class-not-found', message: 'No class session with this code' };
+    if (session.status !== 'open') return { ok: false, status: 409, reason: 'class-closed', message: 'The class session has ended' };
+    if (!(await classStore.isStudent(classCode, userId))) return { ok: false, status: 403, reason: 'not-in-class', message: 'Join the class session first' };
+    const violation = findLockViolation(session.locks, replay);
+    if (violation) return { ok: false, status: 422, reason: 'class-locked', message: violation };
+    return { ok: true };
+};
+
+export const submitRanking = async (store, { userId, playerId, replay, score, classCode = null }, { now = new Date(), profileStore = null, classStore = null } = {}) => {
+    if (!userId) {
+        return { ok: false, status: 401, reason: 'unauthenticated', message: 'Sign-in required' };
+    }
+    const profile = profileStore ? await profileStore.getProfile(userId) : null;
+    if (!profile && !(typeof playerId === 'string' && isLegacyPlayerId(playerId))) {
+        return { ok: false, status: 400, reason: 'invalid-player', message: 'Set a profile name before ranking under a custom name' };
+    }
+    const rankedName = profile ? profile.displayName : playerId;
+
+    const verification = verifyRun(replay, score, { rankedOnly: !classCode });
+    if (!verification.ok) {
+        return { ...verification, status: 422 };
+    }
+    const isRanked = isRankedRun(verification.replay);
+    const classCheck = classCode ? await checkClassRun(classStore, { classCode, userId, replay: verification.replay }) : null;
+    if (classCheck && !classCheck.ok && !isRanked) return classCheck;
+    const isClassRun = Boolean(classCheck && classCheck.ok);
+    const dailyKey = findDailyKeyForSeed(verification.replay.seed, now);
+    if (!(await store.claimRun({ fingerprint: getRunFingerprint(verification.replay, dailyKey), userId }))) {
+        return { ok: false, status: 409, reason: 'duplicate-run', message: 'This run was already submitted' };
+    }
+
+    const replayId = await store.saveReplay({ userId, data: typeof replay === 'string' ? replay : JSON.stringify(replay) });
+    const { finalScore, stage, survivalTime, gemsCollected, gemsHelped } = verification;
+    const classResultId = isClassRun
+        ? await classStore.saveResult(classCode, { userId, name: rankedName, score: finalScore, stage, survivalTime, gemsCollected, gemsHelped, replayId, ranked: isRanked })
+        : null;
+    const classFields = isClassRun ? { classCode, classResultId } : classCheck ? { classError: classCheck.reason } : {};
+    if (!isRanked) {
+        return { ok: true, status: 201, replayId, score: verification.finalScore, stage: verification.stage, improvedBoards: [], ...classFields };
+    }
+
+    const entry = {
+        playerId: rankedName,
+        userId,
+        score: verification.finalScore,
+        stage: verification.stage,
+        survivalTime: verification.survivalTime,
+        gemScore: verification.gemScore,
+        replayId,
+    };
+    const rankingId = await store.saveRanking({ ...entry, verifiedAt: now, ...(dailyKey ? { dailyKey } : {}), ...(isClassRun ? { classCode } : {}) });
+    if (dailyKey) {
+        const improved = await store.saveDailyBest({ dailyKey, entry: { ...entry, dailyKey, achievedAt: now } });
+        return { ok: true, status: 201, rankingId, replayId, score: verification.finalScore, stage: verification.stage, dailyKey, improvedBoards: improved ? ['dailyChallenge'] : [], ...classFields };
+    }
+    const improvedBoards = [];
+    for (const board of RANKING_BOARDS) {
+        const periodKey = getPeriodKey(board, now);
+        if (await store.saveBest({ board, periodKey, entry: { ...entry, board, periodKey, achievedAt: now } })) {
+            improvedBoards.push(board);
+        }
+    }
+    return { ok: true, status: 201, rankingId, replayId, score: verification.finalScore, stage: verification.stage, improvedBoards, ...classFields };
+};
@@ -0,0 +1,30 @@
+import { summarizeTelemetry } from '../telemetry/analytics';
+import { TELEMETRY_BATCH_SIZE, normalizeTelemetryEvent } from '../telemetry/events';
+
+// --- Telemetry Submission and Summary ---
+// Batches are stored as far as they are well-formed: malformed events are
+// dropped one by one instead of failing the batch, since a client would only
+// send them again. The summary behind the admin dashboard is built here so it
+// works the same on every store.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SUMMARY_EVENTS = 50000;
+
+export const submitTelemetry = async (store, { userId, events }, { now = new Date() } = {}) => {
+    if (!userId) {
+        return { ok: false, status: 401, reason: 'unauthenticated', message: 'Sign-in required' };
+    }
+    if (!Array.isArray(events) || events.length === 0 || events.length > TELEMETRY_BATCH_SIZE) {
+        return { ok: false, status: 400, reason: 'invalid-batch', message: `Send 1 to ${TELEMETRY_BATCH_SIZE} events` };
+    }
+    const valid = events.map(normalizeTelemetryEvent).filter(Boolean);
+    if (valid.length > 0) await store.saveEvents(userId, valid, now);
+    return { ok: true, status: 201, saved: valid.length, dropped: events.length - valid.length };
+};
+
+// Events of the last `days` days, summarised (see telemetry/analytics.js)
+export const getTelemetrySummary = async (store, { days }, { now = new Date() } = {}) => {
+    const since = new Date(now.getTime() - days * DAY_MS);
+    const events = await store.listEvents({ since, limit: MAX_SUMMARY_EVENTS });
+    return { ...summarizeTelemetry(events), days, events: events.length, truncated: events.length === MAX_SUMMARY_EVENTS };
+};
@@ -0,0 +1,40 @@
+// --- Telemetry Stores ---
+// Server-side persistence for gameplay telemetry (see telemetry/events.js).
+// Events are stored one doc each with the sender's uid and the server time
+// they arrived, which is what the admin dashboard filters on. Only the server
+// reads them back, newest first and at most `limit` of them.
+
+export const getTelemetryPath = (appId) => `artifacts/${appId}/public/data/crocoTelemetryEvents`;
+
+const FIRESTORE_BATCH_LIMIT = 500;
+
+export const createFirestoreTelemetryStore = (firestore, appId) => ({
+    saveEvents: async (userId, events, receivedAt = new Date()) => {
+        const collection = firestore.collection(getTelemetryPath(appId));
+        for (let i = 0; i < events.length; i += FIRESTORE_BATCH_LIMIT) {
+            const batch = firestore.batch();
+            events.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(event => batch.set(collection.doc(), { ...event, userId, receivedAt }));
+            await batch.commit();
+        }
+    },
+    listEvents: async ({ since, limit }) => {
+        const snapshot = await firestore.collection(getTelemetryPath(appId))
+            .where('receivedAt', '>=', since)
+            .orderBy('receivedAt', 'desc')
+            .limit(limit)
+            .get();
+        return snapshot.docs.map(doc => doc.data());
+    },
+});
+
+export const createMemoryTelemetryStore = () => {
+    const events = [];
+
+    return {
+        events,
+        saveEvents: async (userId, newEvents, receivedAt = new Date()) => {
+            newEvents.forEach(event => events.push({ ...event, userId, receivedAt }));
+        },
+        listEvents: async ({ since, limit }) => events.filter(event => event.receivedAt >= since).reverse().slice(0, limit),
+    };
+};
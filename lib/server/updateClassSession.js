@@ -0,0 +1,46 @@
+import { getLockedStageSet } from '../classroom/classes';
+import { CURRICULA } from '../game/curricula';
+import { DEFAULT_STAGE_SET } from '../game/stages';
+
+// --- Class Session Updates ---
+// Changing a session's locks and closing it go through the server, which
+// checks that the caller is the session's teacher. Clients only create
+// sessions and join them (see classroom/sessions.js).
+
+// Null when `locks` has the shape createClassLocks builds, otherwise what is wrong
+const findInvalidLocks = (locks) => {
+    if (!locks || typeof locks !== 'object') return 'Locks must be an object';
+    const { curriculum = null, stageSetId = null, stageSet = null } = locks;
+    if (curriculum !== null && !Object.prototype.hasOwnProperty.call(CURRICULA, curriculum)) return `Unknown curriculum: ${curriculum}`;
+    if (stageSetId === null || stageSetId === DEFAULT_STAGE_SET.id) {
+        return stageSet === null ? null : 'Only a custom stage set lock carries its stage set';
+    }
+    if (typeof stageSetId !== 'string' || typeof stageSet !== 'string') return 'A custom stage set lock needs its id and stage set JSON';
+    try {
+        const lockedStageSet = getLockedStageSet({ stageSetId, stageSet });
+        return lockedStageSet.id === stageSetId ? null : 'The stage set JSON has another id';
+    } catch (error) {
+        return `Invalid stage set: ${(error.errors || [error.message]).join(', ')}`;
+    }
+};
+
+// `locks` replaces the session's locks; `close` ends the session instead
+export const updateClassSession = async (classStore, { userId, code, locks, close = false }, { now = new Date() } = {}) => {
+    if (!userId) {
+        return { ok: false, status: 401, reason: 'unauthenticated', message: 'Sign-in required' };
+    }
+    const session = typeof code === 'string' ? await classStore.getSession(code) : null;
+    if (!session) return { ok: false, status: 404, reason: 'class-not-found', message: 'No class session with this code' };
+    if (session.teacherId !== userId) return { ok: false, status: 403, reason: 'not-teacher', message: 'Only the teacher can change the class session' };
+
+    if (close) {
+        await classStore.updateSession(code, { status: 'closed', closedAt: now });
+        return { ok: true, status: 200 };
+    }
+    if (session.status !== 'open') return { ok: false, status: 409, reason: 'class-closed', message: 'The class session has ended' };
+    const locksError = findInvalidLocks(locks);
+    if (locksError) return { ok: false, status: 400, reason: 'invalid-locks', message: locksError };
+    const { curriculum = null, stageSetId = null, stageSet = null } = locks;
+    await classStore.updateSession(code, { locks: { curriculum, stageSetId, stageSet } });
+    return { ok: true, status: 200 };
+};
@@ -0,0 +1,23 @@
+import { getNameKey, normalizeDisplayName, validateDisplayName } from '../profile/names';
+
+// --- Profile Update ---
+// Validates and reserves the display name, then links the player's earlier
+// runs to it so the rankings show the new name.
+
+export const updateProfile = async (profileStore, rankingStore, { userId, displayName }, { now = new Date() } = {}) => {
+    if (!userId) {
+        return { ok: false, status: 401, reason: 'unauthenticated', message: 'Sign-in required' };
+    }
+    const nameError = validateDisplayName(displayName);
+    if (nameError) {
+        return { ok: false, status: 400, ...nameError };
+    }
+
+    const name = normalizeDisplayName(displayName);
+    const claimed = await profileStore.claimName(userId, { displayName: name, nameKey: getNameKey(name) });
+    if (!claimed) {
+        return { ok: false, status: 409, reason: 'name-taken', message: '이미 사용 중인 이름입니다.' };
+    }
+    const { linkedRuns } = await rankingStore.linkPlayer({ userId, playerId: name, now });
+    return { ok: true, status: 200, profile: { displayName: name }, linkedRuns };
+};
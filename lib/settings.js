@@ -0,0 +1,34 @@
+// --- Player Settings ---
+// Sound, motion and accessibility preferences, persisted per browser. Control
+// schemes keep their own storage (see input/controls.js).
+
+const SETTINGS_KEY = 'crocoSettings';
+
+export const DEFAULT_SETTINGS = {
+    soundEnabled: true,
+    volume: 0.8,
+    reducedMotion: false,
+    bulletPalette: 'default', // A BULLET_PALETTES key (game/render.js)
+};
+
+const prefersReducedMotion = () => typeof window !== 'undefined' && !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+// Reduced motion follows the system preference until the player picks a value
+export const loadSettings = () => {
+    const defaults = { ...DEFAULT_SETTINGS, reducedMotion: prefersReducedMotion() };
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        return stored ? { ...defaults, ...stored } : defaults;
+    } catch (error) {
+        console.error("Failed to load settings:", error);
+        return defaults;
+    }
+};
+
+export const saveSettings = (settings) => {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error("Failed to save settings:", error); // Storage full or disabled
+    }
+};
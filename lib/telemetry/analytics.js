@@ -0,0 +1,136 @@
+import { GAME_HEIGHT, GAME_WIDTH } from '../game/constants';
+import { DEFAULT_STAGE_SET, getStageDefinition } from '../game/stages';
+
+// --- Difficulty Analytics ---
+// Summarises telemetry events (see telemetry/events.js) for the admin page.
+// Only runs on the default stage set count, where a stage number means the
+// same thing for everyone; the death heatmap also needs the portrait field.
+//
+// Survival curves are Kaplan–Meier estimates per stage: every stage attempt
+// ends in a death, a clear (survived the whole stage) or a quit. Quits, and
+// attempts cut short by a stage restart, leave the data without counting as a
+// death or a survival.
+
+export const HEATMAP_CELL_SIZE = 20;
+
+const groupRuns = (events) => {
+    const runs = new Map();
+    events.forEach(event => {
+        if (!runs.has(event.runId)) runs.set(event.runId, []);
+        runs.get(event.runId).push(event);
+    });
+    return [...runs.values()]
+        .map(runEvents => runEvents.sort((a, b) => a.seq - b.seq))
+        .filter(runEvents => runEvents[0].type === 'runStart' && runEvents[0].stageSetId === DEFAULT_STAGE_SET.id);
+};
+
+// Stage length in ms, or null for endless stages
+const getStageLength = (stage) => {
+    const { duration, isEndless } = getStageDefinition(DEFAULT_STAGE_SET, stage);
+    return isEndless ? null : duration * 1000;
+};
+
+// Each attempt is { stage, time, died, cleared }; `time` is how long it lasted in the stage
+const collectAttempts = (runEvents) => {
+    const attempts = [];
+    let current = null;
+    runEvents.forEach(event => {
+        if (event.type === 'stageReached') {
+            if (current && event.stage > current.stage) attempts.push({ stage: current.stage, time: getStageLength(current.stage), died: false, cleared: true });
+            current = { stage: event.stage };
+        } else if ((event.type === 'death' || event.type === 'quit') && current && current.stage === event.stage) {
+            attempts.push({ stage: current.stage, time: event.timeInStage, died: event.type === 'death', cleared: false });
+            current = null;
+        }
+    });
+    return attempts;
+};
+
+// [{ t, survival }] from 1 at t = 0, one point per time someone died
+export const buildSurvivalCurve = (attempts) => {
+    const sorted = [...attempts].sort((a, b) => a.time - b.time);
+    const curve = [{ t: 0, survival: 1 }];
+    let atRisk = sorted.length;
+    let survival = 1;
+    for (let i = 0; i < sorted.length;) {
+        const { time } = sorted[i];
+        let deaths = 0;
+        let leaving = 0;
+        for (; i < sorted.length && sorted[i].time === time; i++) {
+            if (sorted[i].died) deaths += 1;
+            leaving += 1;
+        }
+        if (deaths > 0) {
+            survival *= 1 - deaths / atRisk;
+            curve.push({ t: time, survival });
+        }
+        atRisk -= leaving;
+    }
+    return curve;
+};
+
+const createHeatmap = () => {
+    const cols = Math.ceil(GAME_WIDTH / HEATMAP_CELL_SIZE);
+    const rows = Math.ceil(GAME_HEIGHT / HEATMAP_CELL_SIZE);
+    return { cellSize: HEATMAP_CELL_SIZE, cols, rows, counts: new Array(cols * rows).fill(0), max: 0 };
+};
+
+const addToHeatmap = (heatmap, { x, y }) => {
+    const col = Math.min(heatmap.cols - 1, Math.max(0, Math.floor(x / heatmap.cellSize)));
+    const row = Math.min(heatmap.rows - 1, Math.max(0, Math.floor(y / heatmap.cellSize)));
+    const index = row * heatmap.cols + col;
+    heatmap.counts[index] += 1;
+    heatmap.max = Math.max(heatmap.max, heatmap.counts[index]);
+};
+
+export const summarizeTelemetry = (events) => {
+    const runs = groupRuns(events);
+    const heatmap = createHeatmap();
+    const stages = new Map(); // stage → { stage, attempts: [], causes: {} }
+    const items = {};
+    const gems = { collected: 0, helpful: 0 };
+    const pauses = { count: 0, totalMs: 0 };
+    const getStage = (stage) => {
+        if (!stages.has(stage)) stages.set(stage, { stage, length: getStageLength(stage), attempts: [], causes: {} });
+        return stages.get(stage);
+    };
+
+    runs.forEach(runEvents => {
+        const { width, height } = runEvents[0];
+        const isPortraitField = width === GAME_WIDTH && height === GAME_HEIGHT;
+        collectAttempts(runEvents).forEach(attempt => getStage(attempt.stage).attempts.push(attempt));
+        runEvents.forEach(event => {
+            if (event.type === 'death') {
+                const { causes } = getStage(event.stage);
+                const cause = event.cause || 'unknown';
+                causes[cause] = (causes[cause] || 0) + 1;
+                if (isPortraitField) addToHeatmap(heatmap, event);
+            } else if (event.type === 'item') {
+                items[event.itemType] = (items[event.itemType] || 0) + 1;
+            } else if (event.type === 'gem') {
+                gems.collected += 1;
+                if (event.value > 0) gems.helpful += 1;
+            } else if (event.type === 'pause') {
+                pauses.count += 1;
+                pauses.totalMs += event.durationMs;
+            }
+        });
+    });
+
+    return {
+        runs: runs.length,
+        heatmap,
+        stages: [...stages.values()].sort((a, b) => a.stage - b.stage).map(({ stage, length, attempts, causes }) => ({
+            stage,
+            length,
+            attempts: attempts.length,
+            deaths: attempts.filter(attempt => attempt.died).length,
+            clears: attempts.filter(attempt => attempt.cleared).length,
+            causes,
+            curve: buildSurvivalCurve(attempts),
+        })),
+        items,
+        gems,
+        pauses: { ...pauses, averageMs: pauses.count > 0 ? Math.round(pauses.totalMs / pauses.count) : 0 },
+    };
+};
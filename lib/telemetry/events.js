@@ -0,0 +1,50 @@
+import { BULLET_KINDS } from '../game/bulletPool';
+
+// --- Telemetry Events ---
+// Structured gameplay events behind the difficulty analytics (pages/admin.js).
+// Every event is { type, runId, seq, at, stage, ...fields }: `seq` orders one
+// run's events and `at` is the client clock in ms. Fields by type:
+//
+// runStart      the run's settings; `resumed` for a saved run picked back up
+// stageReached  a stage attempt begins (again after a stage restart)
+// death         where and when in the stage, and what hit the player
+// quit          the player left the run from the pause menu
+// item, gem     a pickup
+// pause         how long the pause menu was open
+
+export const TELEMETRY_FIELDS = {
+    runStart: { mode: 'string', curriculum: 'string', stageSetId: 'string', startStage: 'number', width: 'number', height: 'number', daily: 'boolean', resumed: 'boolean' },
+    stageReached: {},
+    death: { x: 'number', y: 'number', cause: 'string', timeInStage: 'number' },
+    quit: { timeInStage: 'number' },
+    item: { itemType: 'string' },
+    gem: { value: 'number' },
+    pause: { durationMs: 'number' },
+};
+
+export const TELEMETRY_BATCH_SIZE = 100; // Most events in one request
+
+// Bullet kinds, plus boss lasers
+export const DEATH_CAUSES = [...BULLET_KINDS, 'laser'];
+
+const MAX_STRING_LENGTH = 40;
+
+const isShortString = (value) => typeof value === 'string' && value.length > 0 && value.length <= MAX_STRING_LENGTH;
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const FIELD_CHECKS = { string: isShortString, number: isFiniteNumber, boolean: value => typeof value === 'boolean' };
+
+// The event with only its known fields, or null when it is malformed.
+// Fields other than the common ones are optional.
+export const normalizeTelemetryEvent = (event) => {
+    if (!event || !Object.prototype.hasOwnProperty.call(TELEMETRY_FIELDS, event.type)) return null;
+    const { type, runId, seq, at, stage } = event;
+    if (!isShortString(runId) || !Number.isInteger(seq) || !isFiniteNumber(at) || !Number.isInteger(stage) || stage < 1) return null;
+    const normalized = { type, runId, seq, at, stage };
+    for (const [field, kind] of Object.entries(TELEMETRY_FIELDS[type])) {
+        const value = event[field];
+        if (value === undefined || value === null) continue;
+        if (!FIELD_CHECKS[kind](value)) return null;
+        normalized[field] = value;
+    }
+    return normalized;
+};
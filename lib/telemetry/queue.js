@@ -0,0 +1,65 @@
+import { TELEMETRY_BATCH_SIZE } from './events';
+
+// --- Telemetry Queue (browser) ---
+// Telemetry events wait in localStorage and leave in batches, so play never
+// waits on the network and events recorded offline go out once back online.
+// Unlike ranked runs, losing some telemetry is fine: the queue is capped and
+// the oldest events are dropped first.
+
+const TELEMETRY_QUEUE_KEY = 'crocoTelemetryQueue';
+const MAX_QUEUED_EVENTS = 2000;
+const RETRYABLE_REASONS = ['internal-error', 'unauthenticated'];
+
+const loadQueue = () => {
+    try {
+        return JSON.parse(localStorage.getItem(TELEMETRY_QUEUE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+};
+
+const saveQueue = (events) => {
+    try {
+        localStorage.setItem(TELEMETRY_QUEUE_KEY, JSON.stringify(events.slice(-MAX_QUEUED_EVENTS)));
+    } catch (error) {
+        console.error("Failed to save telemetry queue:", error);
+    }
+};
+
+// Returns how many events are waiting
+export const queueTelemetryEvent = (event) => {
+    const events = loadQueue();
+    events.push(event);
+    saveQueue(events);
+    return Math.min(events.length, MAX_QUEUED_EVENTS);
+};
+
+// Sends the queue in batches, oldest first, and resolves to the number of
+// events sent. `send` resolves to the API result, or throws while offline.
+// Batches the server rejects are dropped, since they would be rejected again.
+let isFlushing = false;
+export const flushTelemetryQueue = async (send) => {
+    if (isFlushing) return 0;
+    isFlushing = true;
+    let sent = 0;
+    try {
+        for (;;) {
+            const batch = loadQueue().slice(0, TELEMETRY_BATCH_SIZE);
+            if (batch.length === 0) break;
+            let result;
+            try {
+                result = await send(batch);
+            } catch (error) {
+                break;
+            }
+            if (!result.ok && RETRYABLE_REASONS.includes(result.reason)) break;
+            if (!result.ok) console.warn("Telemetry batch rejected:", result.reason, result.message);
+            // Events queued while sending stay behind the batch
+            saveQueue(loadQueue().slice(batch.length));
+            sent += batch.length;
+        }
+    } finally {
+        isFlushing = false;
+    }
+    return sent;
+};
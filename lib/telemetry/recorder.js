@@ -0,0 +1,51 @@
+import { createStageWatcher } from '../game/events';
+
+// --- Telemetry Recorder ---
+// Follows one solo run and turns its game events into telemetry events (see
+// telemetry/events.js) handed to `record`. Feed it the simulation's events
+// (handleGameEvent) and call update() once per frame to catch stage changes.
+// Like the achievement tracker it only reads gameData, so the run is unchanged.
+//
+// A resumed run's first stage began in another session, so it is not counted
+// as a stage attempt.
+
+export const createRunId = () => `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+
+export const createTelemetryRecorder = (gameData, { record, runId = createRunId(), daily = false, resumed = false, now = () => Date.now() }) => {
+    const hasStageChanged = createStageWatcher(gameData);
+    let seq = 0;
+
+    const emit = (type, fields = {}) => {
+        record({ type, runId, seq, at: now(), stage: gameData.stage, ...fields });
+        seq += 1;
+    };
+
+    const getTimeInStage = () => Math.floor(gameData.time - gameData.stageStartTime);
+
+    emit('runStart', {
+        mode: gameData.mode, curriculum: gameData.curriculum, stageSetId: gameData.stageSet.id,
+        startStage: gameData.startStage, width: gameData.width, height: gameData.height, daily, resumed,
+    });
+    if (!resumed) emit('stageReached');
+
+    const update = () => {
+        if (hasStageChanged()) emit('stageReached');
+    };
+
+    const handleGameEvent = (event) => {
+        switch (event.type) {
+            case 'item': emit('item', { itemType: event.itemType }); break;
+            case 'gem': emit('gem', { value: event.value }); break;
+            case 'death': emit('death', { x: Math.round(event.x), y: Math.round(event.y), cause: event.cause, timeInStage: getTimeInStage() }); break;
+            default: break;
+        }
+    };
+
+    return {
+        gameData,
+        update,
+        handleGameEvent,
+        recordPause: (durationMs) => emit('pause', { durationMs: Math.round(durationMs) }),
+        recordQuit: () => emit('quit', { timeInStage: getTimeInStage() }),
+    };
+};
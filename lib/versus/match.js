@@ -0,0 +1,31 @@
+// --- Versus Match Rules ---
+// Both players run the same seed locally and share their state through the room.
+// Everything here is pure so both clients reach the same result from the same docs.
+
+export const VERSUS_ATTACK_BULLETS = 3; // Sent to the opponent for every gem picked up
+export const VERSUS_COUNTDOWN_MS = 3000;
+export const STATE_SYNC_INTERVAL_MS = 250; // Ghost position updates while playing
+export const PRESENCE_INTERVAL_MS = 5000; // Heartbeat while in a room
+export const PRESENCE_TIMEOUT_MS = 15000; // A player silent this long has left
+
+export const isPlayerConnected = (player, now) => !!player && now - player.lastSeen < PRESENCE_TIMEOUT_MS;
+
+// Bullets still owed to us: the opponent's attack count is cumulative for the match
+export const getPendingAttackBullets = (opponent, attacksReceived) => (
+    opponent ? Math.max(0, opponent.attacksSent - attacksReceived) * VERSUS_ATTACK_BULLETS : 0
+);
+
+// Last survivor wins. Deaths are compared by simulation tick, not wall time, so a
+// player who started a moment late is not punished for it. `me` is the local
+// player state ({ alive, tick, diedAtTick }), `opponent` their room player doc.
+// Returns 'win', 'lose', 'draw' or null while the match is undecided.
+export const getVersusOutcome = ({ me, opponent, now }) => {
+    if (!opponent) return 'win'; // Left the room
+    if (!me.alive && !opponent.alive) {
+        if (me.diedAtTick === opponent.diedAtTick) return 'draw';
+        return me.diedAtTick > opponent.diedAtTick ? 'win' : 'lose';
+    }
+    if (!opponent.alive) return me.tick > opponent.diedAtTick ? 'win' : null;
+    if (!me.alive && opponent.tick > me.diedAtTick) return 'lose';
+    return isPlayerConnected(opponent, now) ? null : 'win';
+};
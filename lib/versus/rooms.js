@@ -0,0 +1,168 @@
+import {
+    collection, deleteDoc, doc, getDocs, limit, onSnapshot, query, runTransaction, updateDoc, where, writeBatch,
+} from 'firebase/firestore';
+import { VERSUS_COUNTDOWN_MS } from './match';
+
+// --- Versus Rooms ---
+// A room doc holds the match (host, seed, status, start time) and a `players`
+// subcollection holds one doc per player with presence and live state. Takes the
+// Firestore instance so it runs the same against production and the emulator.
+//
+// Room status: 'waiting' → 'playing' → 'finished' (the host can start a rematch).
+
+export const getVersusRoomsPath = (appId) => `artifacts/${appId}/public/data/crocoVersusRooms`;
+
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const ROOM_CODE_LENGTH = 5;
+const ROOM_CAPACITY = 2;
+const ROOM_CODE_ATTEMPTS = 5;
+const ABANDONED_ROOM_MS = 10 * 60 * 1000; // Rooms untouched this long are deleted
+const CLEANUP_BATCH_SIZE = 20;
+
+export class VersusRoomError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'VersusRoomError';
+        this.code = code;
+    }
+}
+
+export const createRoomCode = (random = Math.random) => (
+    Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_ALPHABET[Math.floor(random() * ROOM_CODE_ALPHABET.length)]).join('')
+);
+
+export const normalizeRoomCode = (code) => code.trim().toUpperCase();
+
+const createPlayerState = (name, now) => ({
+    name, joinedAt: now, lastSeen: now,
+    alive: true, tick: 0, diedAtTick: null, x: null, y: null, score: 0, stage: 1, attacksSent: 0,
+});
+
+const resetPlayerState = (now) => ({
+    lastSeen: now, alive: true, tick: 0, diedAtTick: null, x: null, y: null, score: 0, stage: 1, attacksSent: 0,
+});
+
+export const createVersusRooms = (db, appId, { now = () => Date.now() } = {}) => {
+    const roomRef = (code) => doc(db, getVersusRoomsPath(appId), code);
+    const playersRef = (code) => collection(db, getVersusRoomsPath(appId), code, 'players');
+    const playerRef = (code, userId) => doc(playersRef(code), userId);
+
+    const createRoom = async ({ userId, name }) => {
+        for (let attempt = 0; attempt < ROOM_CODE_ATTEMPTS; attempt++) {
+            const code = createRoomCode();
+            const created = await runTransaction(db, async (transaction) => {
+                const snapshot = await transaction.get(roomRef(code));
+                if (snapshot.exists()) return false;
+                const time = now();
+                transaction.set(roomRef(code), {
+                    code, hostId: userId, playerIds: [userId], status: 'waiting',
+                    seed: null, startAt: null, winnerId: null, createdAt: time, updatedAt: time,
+                });
+                transaction.set(playerRef(code, userId), createPlayerState(name, time));
+                return true;
+            });
+            if (created) return code;
+        }
+        throw new VersusRoomError('code-exhausted', '빈 방 코드를 찾지 못했습니다. 다시 시도해주세요.');
+    };
+
+    const joinRoom = async ({ code, userId, name }) => runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(roomRef(code));
+        if (!snapshot.exists()) throw new VersusRoomError('not-found', '방을 찾을 수 없습니다.');
+        const room = snapshot.data();
+        const time = now();
+        if (!room.playerIds.includes(userId)) {
+            if (room.status !== 'waiting') throw new VersusRoomError('already-started', '이미 게임이 시작된 방입니다.');
+            if (room.playerIds.length >= ROOM_CAPACITY) throw new VersusRoomError('room-full', '방이 가득 찼습니다.');
+            transaction.update(roomRef(code), { playerIds: [...room.playerIds, userId], updatedAt: time });
+        }
+        transaction.set(playerRef(code, userId), createPlayerState(name, time));
+        return code;
+    });
+
+    // The last player out deletes the room; otherwise the host role passes on
+    const leaveRoom = async ({ code, userId }) => runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(roomRef(code));
+        if (!snapshot.exists()) return;
+        const room = snapshot.data();
+        const playerIds = room.playerIds.filter(id => id !== userId);
+        transaction.delete(playerRef(code, userId));
+        if (playerIds.length === 0) {
+            transaction.delete(roomRef(code));
+            return;
+        }
+        transaction.update(roomRef(code), {
+            playerIds,
+            hostId: room.hostId === userId ? playerIds[0] : room.hostId,
+            status: room.status === 'playing' ? 'finished' : room.status,
+            updatedAt: now(),
+        });
+    });
+
+    // Host only. Every player's state is reset so rematches start clean.
+    const startMatch = async ({ code, userId, seed }) => runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(roomRef(code));
+        if (!snapshot.exists()) throw new VersusRoomError('not-found', '방을 찾을 수 없습니다.');
+        const room = snapshot.data();
+        if (room.hostId !== userId) throw new VersusRoomError('not-host', '방장만 게임을 시작할 수 있습니다.');
+        if (room.status === 'playing') throw new VersusRoomError('already-started', '이미 게임이 시작된 방입니다.');
+        if (room.playerIds.length < ROOM_CAPACITY) throw new VersusRoomError('not-enough-players', '상대를 기다리는 중입니다.');
+        const time = now();
+        transaction.update(roomRef(code), { status: 'playing', seed, startAt: time + VERSUS_COUNTDOWN_MS, winnerId: null, updatedAt: time });
+        room.playerIds.forEach(id => transaction.update(playerRef(code, id), resetPlayerState(time)));
+    });
+
+    // Both clients report the same outcome, so this is safe to call twice
+    const finishMatch = async ({ code, winnerId }) => updateDoc(roomRef(code), { status: 'finished', winnerId, updatedAt: now() });
+
+    const updatePlayer = async ({ code, userId, state }) => updateDoc(playerRef(code, userId), { ...state, lastSeen: now() });
+
+    const heartbeat = async ({ code, userId }) => {
+        const time = now();
+        const batch = writeBatch(db);
+        batch.update(playerRef(code, userId), { lastSeen: time });
+        batch.update(roomRef(code), { updatedAt: time });
+        await batch.commit();
+    };
+
+    // Calls onChange({ room, players }) on every change; `room` is null once deleted.
+    // Returns an unsubscribe function.
+    const watchRoom = (code, onChange, onError = console.error) => {
+        let room;
+        let players = {};
+        let hasRoom = false;
+        let hasPlayers = false;
+        const emit = () => {
+            if (hasRoom && hasPlayers) onChange({ room, players });
+        };
+        const unsubscribeRoom = onSnapshot(roomRef(code), (snapshot) => {
+            room = snapshot.exists() ? snapshot.data() : null;
+            hasRoom = true;
+            emit();
+        }, onError);
+        const unsubscribePlayers = onSnapshot(playersRef(code), (snapshot) => {
+            players = {};
+            snapshot.forEach(playerDoc => { players[playerDoc.id] = playerDoc.data(); });
+            hasPlayers = true;
+            emit();
+        }, onError);
+        return () => {
+            unsubscribeRoom();
+            unsubscribePlayers();
+        };
+    };
+
+    // Deletes rooms nobody has touched for a while (closed tabs never call leaveRoom)
+    const cleanupAbandonedRooms = async () => {
+        const q = query(collection(db, getVersusRoomsPath(appId)), where('updatedAt', '<', now() - ABANDONED_ROOM_MS), limit(CLEANUP_BATCH_SIZE));
+        const snapshot = await getDocs(q);
+        for (const roomDoc of snapshot.docs) {
+            const playerDocs = await getDocs(playersRef(roomDoc.id));
+            await Promise.all(playerDocs.docs.map(playerDoc => deleteDoc(playerDoc.ref)));
+            await deleteDoc(roomDoc.ref);
+        }
+        return snapshot.size;
+    };
+
+    return { createRoom, joinRoom, leaveRoom, startMatch, finishMatch, updatePlayer, heartbeat, watchRoom, cleanupAbandonedRooms };
+};
@@ -0,0 +1,82 @@
+import { STATE_SYNC_INTERVAL_MS, VERSUS_COUNTDOWN_MS, getPendingAttackBullets, getVersusOutcome } from './match';
+
+// --- Versus Session ---
+// Ties a local simulation to a room: publishes our state, turns the opponent's
+// gem pickups into bullets on our field and decides the match. `update` runs
+// every frame while playing and keeps polling after we die until the result is known.
+// `room` and `players` are the room snapshot the match was started from.
+export const createVersusSession = ({ rooms, code, userId, simulation, room, players, now = () => Date.now() }) => {
+    // startMatch stamps every player doc when it resets them; older docs are
+    // leftovers from the previous match that the snapshot has not replaced yet
+    const matchResetAt = room.startAt - VERSUS_COUNTDOWN_MS;
+    let opponentId = null;
+    let opponent; // undefined until a doc from this match arrives, null once they leave
+    let attacksReceived = 0;
+    let attacksSent = 0;
+    let diedAtTick = null;
+    let lastSyncTime = 0;
+    let outcome = null;
+
+    const setPlayers = (nextPlayers) => {
+        opponentId = Object.keys(nextPlayers).find(id => id !== userId) || null;
+        const next = opponentId ? nextPlayers[opponentId] : null;
+        if (next && next.lastSeen < matchResetAt) return;
+        opponent = next;
+    };
+
+    const sync = (gameData, time) => {
+        lastSyncTime = time;
+        attacksSent = gameData.gemsCollected;
+        rooms.updatePlayer({
+            code, userId,
+            state: {
+                alive: diedAtTick === null, tick: gameData.tick, diedAtTick, x: gameData.player.x, y: gameData.player.y,
+                score: Math.floor(gameData.displayScore), stage: gameData.stage, attacksSent,
+            },
+        }).catch(error => console.error("Failed to sync versus state:", error));
+    };
+
+    const decide = (nextOutcome) => {
+        outcome = nextOutcome;
+        const winnerId = outcome === 'win' ? userId : outcome === 'lose' ? opponentId : null;
+        rooms.finishMatch({ code, winnerId }).catch(error => console.error("Failed to finish versus match:", error));
+    };
+
+    // Returns 'win', 'lose', 'draw' or null while undecided
+    const update = () => {
+        if (outcome) return outcome;
+        const { gameData } = simulation;
+        const time = now();
+
+        if (gameData.status === 'stageClear') simulation.nextStage(); // Versus stages roll over without a break
+        const pendingBullets = getPendingAttackBullets(opponent, attacksReceived);
+        if (pendingBullets > 0) {
+            simulation.receiveAttack(pendingBullets);
+            attacksReceived = opponent.attacksSent;
+        }
+
+        const justDied = gameData.status === 'gameOver' && diedAtTick === null;
+        if (justDied) diedAtTick = gameData.tick;
+        const isPlaying = gameData.status === 'playing';
+        if (justDied || gameData.gemsCollected !== attacksSent || (isPlaying && time - lastSyncTime >= STATE_SYNC_INTERVAL_MS)) {
+            sync(gameData, time);
+        }
+
+        if (opponent !== undefined) {
+            const me = { alive: diedAtTick === null, tick: gameData.tick, diedAtTick };
+            const nextOutcome = getVersusOutcome({ me, opponent, now: time });
+            if (nextOutcome) decide(nextOutcome);
+        }
+        return outcome;
+    };
+
+    setPlayers(players);
+
+    return {
+        setPlayers,
+        update,
+        get outcome() { return outcome; },
+        get opponent() { return opponent; },
+        getGhost: () => (opponent ? { x: opponent.x, y: opponent.y, alive: opponent.alive, name: opponent.name } : null),
+    };
+};
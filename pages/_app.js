@@ -1,5 +1,22 @@
+import { useEffect } from 'react';
+import Head from 'next/head';
 import '../styles/globals.css';
+import { registerServiceWorker } from '../lib/offline/serviceWorker';
 
 export default function MyApp({ Component, pageProps }) {
-  return <Component {...pageProps} />;
-}
\ No newline at end of file
+  useEffect(() => {
+    registerServiceWorker();
+  }, []);
+
+  return (
+    <>
+      <Head>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta name="theme-color" content="#1f2937" />
+        <link rel="manifest" href="/manifest.json" />
+        <link rel="apple-touch-icon" href="/icons/icon-192.png" />
+      </Head>
+      <Component {...pageProps} />
+    </>
+  );
+}
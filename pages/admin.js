@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Link from 'next/link';
+import { onAuthStateChanged, signInAnonymously } from "firebase/auth";
+
+import { auth } from '../lib/firebase';
+import { callApi } from '../lib/apiClient';
+import { GAME_HEIGHT, GAME_WIDTH } from '../lib/game/constants';
+import { ITEM_TYPES } from '../lib/game/powerUps';
+import { formatSurvivalTime } from '../lib/rankings/boards';
+import { DEATH_CAUSES } from '../lib/telemetry/events';
+
+const SUMMARY_DAYS = [1, 7, 30];
+const HEATMAP_SCALE = 0.6;
+const CHART_WIDTH = 360;
+const CHART_HEIGHT = 180;
+const ENDLESS_CHART_MS = 60000; // How much of an endless stage the survival chart shows
+
+const CAUSE_LABELS = { side: '측면', homing: '유도', splitter: '분열', aimed: '조준', wall: '벽', boss: '보스탄', laser: '레이저' };
+
+const getStageColor = (index) => `hsl(${(index * 67) % 360}, 80%, 60%)`;
+
+// --- Death Heatmap (deaths per cell over the portrait play field) ---
+const DeathHeatmap = ({ heatmap }) => {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const ctx = canvasRef.current.getContext('2d');
+        const cell = heatmap.cellSize * HEATMAP_SCALE;
+        ctx.fillStyle = '#111827';
+        ctx.fillRect(0, 0, GAME_WIDTH * HEATMAP_SCALE, GAME_HEIGHT * HEATMAP_SCALE);
+        heatmap.counts.forEach((count, index) => {
+            if (count === 0) return;
+            ctx.fillStyle = `rgba(239, 68, 68, ${0.15 + 0.85 * (count / heatmap.max)})`;
+            ctx.fillRect((index % heatmap.cols) * cell, Math.floor(index / heatmap.cols) * cell, cell, cell);
+        });
+    }, [heatmap]);
+
+    return <canvas ref={canvasRef} width={GAME_WIDTH * HEATMAP_SCALE} height={GAME_HEIGHT * HEATMAP_SCALE} className="mx-auto rounded border border-gray-600" />;
+};
+
+// --- Survival Curves (share of stage attempts still alive over time) ---
+const toStepPoints = (curve, end, xScale) => {
+    const points = [];
+    curve.forEach(({ t, survival }, index) => {
+        if (index > 0) points.push([t, curve[index - 1].survival]);
+        points.push([t, survival]);
+    });
+    points.push([end, curve[curve.length - 1].survival]);
+    return points.map(([t, survival]) => `${(Math.min(t, end) * xScale).toFixed(1)},${((1 - survival) * CHART_HEIGHT).toFixed(1)}`).join(' ');
+};
+
+const SurvivalCurves = ({ stages }) => {
+    const end = Math.max(...stages.map(stage => stage.length || ENDLESS_CHART_MS));
+    const xScale = CHART_WIDTH / end;
+    return (
+        <div>
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full bg-gray-900 rounded">
+                {[0.25, 0.5, 0.75].map(level => <line key={level} x1="0" x2={CHART_WIDTH} y1={level * CHART_HEIGHT} y2={level * CHART_HEIGHT} stroke="#374151" strokeDasharray="4 4" />)}
+                {stages.map((stage, index) => <polyline key={stage.stage} points={toStepPoints(stage.curve, stage.length || end, xScale)} fill="none" stroke={getStageColor(index)} strokeWidth="2" />)}
+            </svg>
+            <div className="flex justify-between text-xs text-gray-400"><span>0:00</span><span>{formatSurvivalTime(end)}</span></div>
+            <div className="flex flex-wrap gap-3 mt-2 text-xs">
+                {stages.map((stage, index) => <span key={stage.stage} style={{ color: getStageColor(index) }}>■ {stage.stage}단계</span>)}
+            </div>
+        </div>
+    );
+};
+
+// --- Admin Page (gameplay telemetry and difficulty analytics) ---
+// Reads the summary the telemetry API builds from recent solo runs. Only the
+// user ids in ADMIN_USER_IDS may read it (anyone with the memory store).
+const AdminPage = () => {
+    const [userId, setUserId] = useState(null);
+    const [days, setDays] = useState(7);
+    const [summary, setSummary] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => onAuthStateChanged(auth, (user) => {
+        if (user) setUserId(user.uid);
+        else signInAnonymously(auth).catch(signInError => console.error("Failed to sign in:", signInError));
+    }), []);
+
+    useEffect(() => {
+        if (!userId) return;
+        setError('');
+        callApi(`/api/telemetry?days=${days}`)
+            .then(result => {
+                if (result.ok) setSummary(result.summary);
+                else setError(result.reason === 'not-admin' ? `관리자만 볼 수 있어요. (내 ID: ${userId})` : '통계를 불러오지 못했어요.');
+            })
+            .catch(fetchError => {
+                console.error("Failed to load telemetry:", fetchError);
+                setError('통계를 불러오지 못했어요.');
+            });
+    }, [userId, days]);
+
+    const itemCounts = summary ? Object.entries(summary.items).sort((a, b) => b[1] - a[1]) : [];
+    const maxItemCount = Math.max(1, ...itemCounts.map(([, count]) => count));
+
+    return (
+        <div className="min-h-screen bg-black text-white p-4 font-sans">
+            <div className="max-w-2xl mx-auto space-y-4">
+                <div className="flex justify-between items-center">
+                    <h1 className="text-3xl font-bold text-green-400">난이도 분석</h1>
+                    <Link href="/" className="text-gray-400 hover:text-white"> ← 로비 </Link>
+                </div>
+                <div className="flex gap-2">
+                    {SUMMARY_DAYS.map(option => (
+                        <button key={option} onClick={() => setDays(option)} className={`px-3 py-1 rounded-lg text-sm ${days === option ? 'bg-yellow-500 text-gray-900 font-bold' : 'bg-gray-700 text-white'}`}>최근 {option}일</button>
+                    ))}
+                </div>
+                {error && <p className="text-red-400">{error}</p>}
+                {!error && !summary && <p className="text-gray-400">불러오는 중...</p>}
+
+                {!error && summary && (
+                    <>
+                        <p className="text-gray-300">
+                            기본 스테이지 게임 <span className="font-bold text-white">{summary.runs}</span>판 · 이벤트 {summary.events}개
+                            {summary.truncated && <span className="text-yellow-400"> (최근 이벤트만 집계)</span>}
+                        </p>
+
+                        <div className="bg-gray-800 rounded-xl p-4">
+                            <h2 className="text-xl font-bold text-yellow-400 mb-3">💀 사망 위치</h2>
+                            <DeathHeatmap heatmap={summary.heatmap} />
+                        </div>
+
+                        <div className="bg-gray-800 rounded-xl p-4">
+                            <h2 className="text-xl font-bold text-yellow-400 mb-3">📉 단계별 생존 곡선</h2>
+                            {summary.stages.length === 0 ? <p className="text-gray-400">아직 기록이 없어요.</p> : <SurvivalCurves stages={summary.stages} />}
+                            <div className="overflow-x-auto mt-3">
+                                <table className="w-full text-sm text-center">
+                                    <thead className="text-gray-400">
+                                        <tr>
+                                            <th className="py-1">단계</th><th>도전</th><th>사망</th><th>클리어</th>
+                                            {DEATH_CAUSES.map(cause => <th key={cause}>{CAUSE_LABELS[cause]}</th>)}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {summary.stages.map(stage => (
+                                            <tr key={stage.stage} className="border-t border-gray-700">
+                                                <td className="py-1 font-bold">{stage.stage}</td><td>{stage.attempts}</td><td>{stage.deaths}</td><td>{stage.clears}</td>
+                                                {DEATH_CAUSES.map(cause => <td key={cause} className={stage.causes[cause] ? '' : 'text-gray-600'}>{stage.causes[cause] || 0}</td>)}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+
+                        <div className="bg-gray-800 rounded-xl p-4">
+                            <h2 className="text-xl font-bold text-yellow-400 mb-3">🎁 아이템 사용</h2>
+                            <ul className="space-y-1 text-sm">
+                                {itemCounts.map(([type, count]) => (
+                                    <li key={type} className="flex items-center gap-2">
+                                        <span className="w-24 shrink-0">{ITEM_TYPES[type] ? `${ITEM_TYPES[type].emoji} ${ITEM_TYPES[type].label}` : type}</span>
+                                        <div className="flex-1 bg-gray-700 rounded h-3"><div className="h-3 rounded" style={{ width: `${(count / maxItemCount) * 100}%`, backgroundColor: ITEM_TYPES[type] ? ITEM_TYPES[type].color : '#9ca3af' }} /></div>
+                                        <span className="w-10 text-right">{count}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                            <p className="text-sm text-gray-300 mt-3">
+                                수학 보석 {summary.gems.collected}개 (도움 {summary.gems.helpful}개) · 일시정지 {summary.pauses.count}번, 평균 {(summary.pauses.averageMs / 1000).toFixed(1)}초
+                            </p>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AdminPage;
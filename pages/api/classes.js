@@ -0,0 +1,21 @@
+import { getClassStore, getRequestUserId } from '../../lib/server/firebaseAdmin';
+import { updateClassSession } from '../../lib/server/updateClassSession';
+
+// POST /api/classes { code, locks } → replaces the class locks (teacher only)
+// POST /api/classes { code, close: true } → ends the class session (teacher only)
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ ok: false, reason: 'method-not-allowed' });
+    }
+
+    try {
+        const userId = await getRequestUserId(req);
+        const { code, locks, close } = req.body || {};
+        const { status, ...result } = await updateClassSession(getClassStore(), { userId, code, locks, close: close === true });
+        return res.status(status).json(result);
+    } catch (error) {
+        console.error('Failed to update class session:', error);
+        return res.status(500).json({ ok: false, reason: 'internal-error' });
+    }
+}
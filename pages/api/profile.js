@@ -0,0 +1,26 @@
+import { getProfileStore, getRankingStore, getRequestUserId } from '../../lib/server/firebaseAdmin';
+import { updateProfile } from '../../lib/server/updateProfile';
+
+// GET /api/profile → { ok, profile } (profile is null until a name is set)
+// POST /api/profile { displayName } → validates, reserves the name and links earlier runs
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        res.setHeader('Allow', 'GET, POST');
+        return res.status(405).json({ ok: false, reason: 'method-not-allowed' });
+    }
+
+    try {
+        const userId = await getRequestUserId(req);
+        if (req.method === 'GET') {
+            if (!userId) return res.status(401).json({ ok: false, reason: 'unauthenticated' });
+            const profile = await getProfileStore().getProfile(userId);
+            return res.status(200).json({ ok: true, profile: profile && { displayName: profile.displayName } });
+        }
+        const { displayName } = req.body || {};
+        const { status, ...result } = await updateProfile(getProfileStore(), getRankingStore(), { userId, displayName });
+        return res.status(status).json(result);
+    } catch (error) {
+        console.error('Failed to handle profile request:', error);
+        return res.status(500).json({ ok: false, reason: 'internal-error' });
+    }
+}
@@ -0,0 +1,21 @@
+import { getClassStore, getProfileStore, getRankingStore, getRequestUserId } from '../../lib/server/firebaseAdmin';
+import { submitRanking } from '../../lib/server/submitRanking';
+
+// POST /api/rankings { playerId, replay, score, classCode? }
+// Re-simulates the replay and writes the ranking only if the score matches.
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ ok: false, reason: 'method-not-allowed' });
+    }
+
+    try {
+        const userId = await getRequestUserId(req);
+        const { playerId, replay, score, classCode } = req.body || {};
+        const { status, ...result } = await submitRanking(getRankingStore(), { userId, playerId, replay, score, classCode: typeof classCode === 'string' ? classCode : null }, { profileStore: getProfileStore(), classStore: getClassStore() });
+        return res.status(status).json(result);
+    } catch (error) {
+        console.error('Failed to submit ranking:', error);
+        return res.status(500).json({ ok: false, reason: 'internal-error' });
+    }
+}
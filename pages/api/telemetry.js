@@ -0,0 +1,29 @@
+import { getRequestUserId, getTelemetryStore, isAdminUser } from '../../lib/server/firebaseAdmin';
+import { getTelemetrySummary, submitTelemetry } from '../../lib/server/submitTelemetry';
+
+const SUMMARY_DAYS = [1, 7, 30];
+
+// POST /api/telemetry { events } → stores a batch of gameplay telemetry
+// GET /api/telemetry?days=7 → { ok, summary } for the admin dashboard (admins only)
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        res.setHeader('Allow', 'GET, POST');
+        return res.status(405).json({ ok: false, reason: 'method-not-allowed' });
+    }
+
+    try {
+        const userId = await getRequestUserId(req);
+        if (req.method === 'GET') {
+            if (!userId) return res.status(401).json({ ok: false, reason: 'unauthenticated' });
+            if (!isAdminUser(userId)) return res.status(403).json({ ok: false, reason: 'not-admin' });
+            const days = SUMMARY_DAYS.includes(Number(req.query.days)) ? Number(req.query.days) : 7;
+            return res.status(200).json({ ok: true, summary: await getTelemetrySummary(getTelemetryStore(), { days }) });
+        }
+        const { events } = req.body || {};
+        const { status, ...result } = await submitTelemetry(getTelemetryStore(), { userId, events });
+        return res.status(status).json(result);
+    } catch (error) {
+        console.error('Failed to handle telemetry request:', error);
+        return res.status(500).json({ ok: false, reason: 'internal-error' });
+    }
+}
@@ -0,0 +1,386 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+
+import { FIELD_SIZES } from '../lib/game/constants';
+import { drawGame } from '../lib/game/render';
+import { watchCanvasResolution } from '../lib/game/canvasResolution';
+import { createRandomSeed } from '../lib/game/rng';
+import { createSimulation } from '../lib/game/simulation';
+import { DEFAULT_STAGE_SET, SPAWNER_TYPES, getBossDuration, isSpawnerActive, validateStageSet } from '../lib/game/stages';
+import { loadControls } from '../lib/input/controls';
+import { createInputManager } from '../lib/input/inputManager';
+import { downloadStageSet, loadCustomStageSet, readStageSetFile, saveCustomStageSet, toCustomStageSet } from '../lib/customStages';
+
+// --- Editor Constants ---
+const SPAWNER_LABELS = { side: '측면탄', homing: '유도탄', splitter: '분열탄', aimed: '조준탄', wall: '벽 패턴' };
+const ENDLESS_PREVIEW_DURATION = 60; // Timeline length shown for the endless stage
+const PREVIEW_FIELD = FIELD_SIZES.portrait; // Stages are designed on the ranked field
+const NEW_SPAWNER_DEFAULTS = {
+    side: { interval: 700 },
+    homing: { interval: 3000, speedScale: 0.7 },
+    splitter: { interval: 3000, splitDelay: [1000, 2000], splitSpeed: 150 },
+    aimed: { interval: 1500 },
+    wall: { interval: 5000, speed: 150, gapSize: 2.2, warning: 1000 },
+};
+
+// --- Helpers ---
+const cloneStageSet = (stageSet) => JSON.parse(JSON.stringify(stageSet));
+
+// Applies changes to a copy, removing keys set to undefined (optional schema fields)
+const withChanges = (source, changes) => {
+    const next = { ...source, ...changes };
+    Object.keys(changes).forEach(key => { if (changes[key] === undefined) delete next[key]; });
+    return next;
+};
+
+const parseOptionalNumber = (text) => (text === '' ? undefined : Number(text));
+
+const formatSteps = (steps) => steps.map(s => `${s.at}:${s.value}`).join(', ');
+const parseSteps = (text) => text.split(',').filter(part => part.trim()).map(part => {
+    const [at, value] = part.split(':');
+    return { at: Number(at), value: Number(value) };
+});
+
+// --- Small Form Components ---
+const NumberField = ({ label, value, onChange, step = 'any', placeholder }) => (
+    <label className="flex flex-col text-xs text-gray-400">
+        {label}
+        <input type="number" step={step} value={value === undefined || Number.isNaN(value) ? '' : value} placeholder={placeholder}
+            onChange={e => onChange(parseOptionalNumber(e.target.value))}
+            className="bg-gray-700 text-white rounded px-2 py-1 w-24" />
+    </label>
+);
+
+const CurveField = ({ label, value, onChange }) => {
+    const mode = typeof value === 'number' ? 'constant' : (value && value.steps ? 'steps' : 'linear');
+    const [stepsText, setStepsText] = useState(mode === 'steps' ? formatSteps(value.steps) : '');
+
+    // Re-sync the text when the curve is replaced from outside (stage switch, file import)
+    const stepsKey = mode === 'steps' ? JSON.stringify(value.steps) : null;
+    useEffect(() => {
+        if (stepsKey && JSON.stringify(parseSteps(stepsText)) !== stepsKey) {
+            setStepsText(formatSteps(JSON.parse(stepsKey)));
+        }
+    }, [stepsKey]);
+
+    const changeMode = (nextMode) => {
+        const current = typeof value === 'number' ? value : (value && value.steps ? value.steps[0].value : value.from);
+        if (nextMode === 'constant') onChange(current);
+        else if (nextMode === 'linear') onChange({ from: current, to: current });
+        else {
+            setStepsText(`0:${current}`);
+            onChange({ steps: [{ at: 0, value: current }] });
+        }
+    };
+
+    return (
+        <div className="flex flex-col text-xs text-gray-400">
+            <div className="flex items-center gap-2">
+                {label}
+                <select value={mode} onChange={e => changeMode(e.target.value)} className="bg-gray-700 text-white rounded px-1">
+                    <option value="constant">고정</option>
+                    <option value="linear">선형</option>
+                    <option value="steps">단계</option>
+                </select>
+            </div>
+            <div className="flex gap-1 mt-1">
+                {mode === 'constant' && <NumberField value={value} onChange={onChange} />}
+                {mode === 'linear' && <>
+                    <NumberField value={value.from} placeholder="시작" onChange={from => onChange(withChanges(value, { from }))} />
+                    <NumberField value={value.to} placeholder="끝" onChange={to => onChange(withChanges(value, { to }))} />
+                </>}
+                {mode === 'steps' && (
+                    <input value={stepsText} placeholder="초:값, 초:값" title="예: 0:150, 30:225"
+                        onChange={e => { setStepsText(e.target.value); onChange({ steps: parseSteps(e.target.value) }); }}
+                        className="bg-gray-700 text-white rounded px-2 py-1 w-48" />
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Stage Editor Page ---
+const StageEditor = () => {
+    const router = useRouter();
+    const [stageSet, setStageSet] = useState(null);
+    const [selectedStage, setSelectedStage] = useState(1); // 1-based; stages.length + 1 is the endless stage
+    const [previewSeed, setPreviewSeed] = useState(1);
+    const [previewTime, setPreviewTime] = useState(0);
+    const [fileErrors, setFileErrors] = useState([]);
+    const [newSpawnerType, setNewSpawnerType] = useState('side');
+
+    const canvasRef = useRef(null);
+    const simulationRef = useRef(null);
+
+    // --- Load the current custom set (or a copy of the default) ---
+    useEffect(() => {
+        setStageSet(loadCustomStageSet() || toCustomStageSet(cloneStageSet(DEFAULT_STAGE_SET)));
+        setPreviewSeed(createRandomSeed());
+    }, []);
+
+    const errors = stageSet ? validateStageSet(stageSet) : [];
+    const isValid = stageSet !== null && errors.length === 0;
+    const isEndlessSelected = stageSet !== null && selectedStage > stageSet.stages.length;
+    const stage = stageSet && (isEndlessSelected ? stageSet.endless : stageSet.stages[selectedStage - 1]);
+    const isBossSelected = !!(stage && stage.boss);
+    const timelineDuration = stage && !isEndlessSelected ? (isBossSelected ? getBossDuration(stage.boss) : stage.duration) : ENDLESS_PREVIEW_DURATION;
+
+    // --- Live Preview (player invulnerable, restarts when the stage clears) ---
+    const stageSetKey = isValid ? JSON.stringify(stageSet) : null;
+    useEffect(() => {
+        if (!stageSetKey) return undefined;
+        const previewStageSet = JSON.parse(stageSetKey);
+        const createPreview = () => createSimulation({
+            seed: previewSeed, startStage: selectedStage, stageSet: previewStageSet, ...PREVIEW_FIELD,
+            invulnerable: true, clock: () => performance.now(),
+        });
+        simulationRef.current = createPreview();
+
+        // Same control schemes as the game, so the stage can be tested the way it is played
+        const inputManager = createInputManager({
+            controls: loadControls(),
+            field: PREVIEW_FIELD,
+            sink: {
+                setTarget: (target) => simulationRef.current.setTarget(target),
+                setDirection: (direction) => simulationRef.current.setDirection(direction),
+            },
+        });
+        if (canvasRef.current) inputManager.attach(canvasRef.current);
+        let scale = 1;
+        const stopWatchingResolution = canvasRef.current ? watchCanvasResolution(canvasRef.current, PREVIEW_FIELD, (nextScale) => { scale = nextScale; }) : () => {};
+
+        let frameId;
+        let lastViewUpdateTime = 0;
+        const previewLoop = (frameTime) => {
+            inputManager.poll();
+            simulationRef.current.advance();
+            const gameData = simulationRef.current.gameData;
+            if (gameData.status !== 'playing') {
+                simulationRef.current = createPreview();
+            }
+            if (canvasRef.current) {
+                drawGame(canvasRef.current.getContext('2d'), gameData, { scale });
+            }
+            if (frameTime - lastViewUpdateTime > 100) {
+                setPreviewTime((gameData.time - gameData.stageStartTime) / 1000);
+                lastViewUpdateTime = frameTime;
+            }
+            frameId = requestAnimationFrame(previewLoop);
+        };
+        frameId = requestAnimationFrame(previewLoop);
+        return () => {
+            cancelAnimationFrame(frameId);
+            inputManager.detach();
+            stopWatchingResolution();
+        };
+    }, [stageSetKey, selectedStage, previewSeed]);
+
+    // --- Stage Set Updates ---
+    const updateStage = (changes) => {
+        setStageSet(prev => {
+            const next = { ...prev };
+            if (selectedStage > prev.stages.length) {
+                next.endless = withChanges(prev.endless, changes);
+            } else {
+                next.stages = prev.stages.map((s, i) => (i === selectedStage - 1 ? withChanges(s, changes) : s));
+            }
+            return next;
+        });
+    };
+    const updateSpawners = (updater) => updateStage({ spawners: updater(stage.spawners) });
+    const updateSpawner = (index, changes) => updateSpawners(spawners => spawners.map((s, i) => (i === index ? withChanges(s, changes) : s)));
+    const removeSpawner = (index) => updateSpawners(spawners => spawners.filter((_, i) => i !== index));
+    const addSpawner = () => updateSpawners(spawners => [...spawners, { type: newSpawnerType, ...NEW_SPAWNER_DEFAULTS[newSpawnerType] }]);
+
+    const addStage = () => {
+        setStageSet(prev => ({ ...prev, stages: [...prev.stages, cloneStageSet(prev.stages[prev.stages.length - 1])] }));
+        setSelectedStage(stageSet.stages.length + 1);
+    };
+    const removeStage = () => {
+        if (isEndlessSelected || stageSet.stages.length <= 1) return;
+        setStageSet(prev => ({ ...prev, stages: prev.stages.filter((_, i) => i !== selectedStage - 1) }));
+        setSelectedStage(Math.max(1, selectedStage - 1));
+    };
+
+    // --- File and Lobby Actions ---
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setStageSet(await readStageSetFile(file));
+            setSelectedStage(1);
+            setFileErrors([]);
+        } catch (error) {
+            setFileErrors(error.errors || [error.message]);
+        }
+    };
+
+    const handlePlayInLobby = () => {
+        if (!isValid) return;
+        saveCustomStageSet(stageSet);
+        router.push('/');
+    };
+
+    const handleReset = () => {
+        setStageSet(toCustomStageSet(cloneStageSet(DEFAULT_STAGE_SET)));
+        setSelectedStage(1);
+    };
+
+    if (!stageSet) return <div className="w-screen h-screen bg-black" />;
+
+    // --- Render ---
+    const renderSpawner = (spawner, index) => (
+        <div key={index} className="bg-gray-900 rounded-lg p-3 space-y-2">
+            <div className="flex justify-between items-center">
+                <select value={spawner.type} onChange={e => updateSpawner(index, { type: e.target.value })} className="bg-gray-700 text-white rounded px-2 py-1">
+                    {SPAWNER_TYPES.map(type => <option key={type} value={type}>{SPAWNER_LABELS[type]}</option>)}
+                </select>
+                <button onClick={() => removeSpawner(index)} className="text-red-400 hover:text-red-300 text-sm"> 삭제 </button>
+            </div>
+            <div className="flex flex-wrap gap-3">
+                <CurveField label="간격(ms)" value={spawner.interval} onChange={interval => updateSpawner(index, { interval })} />
+                {spawner.speed !== undefined
+                    ? <CurveField label="속도(px/s)" value={spawner.speed} onChange={speed => updateSpawner(index, { speed })} />
+                    : <NumberField label="속도 배율" value={spawner.speedScale === undefined ? 1 : spawner.speedScale} onChange={speedScale => updateSpawner(index, { speedScale })} />}
+                <label className="flex flex-col text-xs text-gray-400">
+                    속도 기준
+                    <select value={spawner.speed !== undefined ? 'absolute' : 'scale'} className="bg-gray-700 text-white rounded px-1 py-1"
+                        onChange={e => updateSpawner(index, e.target.value === 'absolute'
+                            ? { speed: stage.bulletSpeed, speedScale: undefined }
+                            : { speed: undefined, speedScale: 1 })}>
+                        <option value="scale">스테이지 기준</option>
+                        <option value="absolute">직접 지정</option>
+                    </select>
+                </label>
+                <NumberField label="확률(0-1)" value={spawner.chance} placeholder="1" onChange={chance => updateSpawner(index, { chance })} />
+                <NumberField label="시작(초)" value={spawner.activeFrom} placeholder="0" onChange={activeFrom => updateSpawner(index, { activeFrom })} />
+                <NumberField label="종료(초)" value={spawner.activeUntil} placeholder="끝까지" onChange={activeUntil => updateSpawner(index, { activeUntil })} />
+                {spawner.type === 'wall' && <>
+                    <NumberField label="틈 크기(플레이어 배수)" value={spawner.gapSize} placeholder="2.2" onChange={gapSize => updateSpawner(index, { gapSize })} />
+                    <NumberField label="경고(ms)" value={spawner.warning} placeholder="없음" onChange={warning => updateSpawner(index, { warning })} />
+                </>}
+                {spawner.type === 'splitter' && <>
+                    <NumberField label="분열 최소(ms)" value={(spawner.splitDelay || [1000, 2000])[0]} onChange={min => updateSpawner(index, { splitDelay: [min, (spawner.splitDelay || [1000, 2000])[1]] })} />
+                    <NumberField label="분열 최대(ms)" value={(spawner.splitDelay || [1000, 2000])[1]} onChange={max => updateSpawner(index, { splitDelay: [(spawner.splitDelay || [1000, 2000])[0], max] })} />
+                    <NumberField label="분열 속도" value={spawner.splitSpeed} placeholder="150" onChange={splitSpeed => updateSpawner(index, { splitSpeed })} />
+                </>}
+            </div>
+        </div>
+    );
+
+    const renderTimeline = () => (
+        <div className="bg-gray-900 rounded-lg p-3">
+            <div className="flex justify-between text-xs text-gray-400 mb-1">
+                <span>0s</span>
+                <span>{isEndlessSelected ? '∞ (60초 미리보기)' : `${timelineDuration}s`}</span>
+            </div>
+            <div className="relative space-y-1">
+                {stage.spawners.map((spawner, index) => {
+                    const from = Math.min(spawner.activeFrom || 0, timelineDuration);
+                    const until = Math.min(spawner.activeUntil === undefined ? timelineDuration : spawner.activeUntil, timelineDuration);
+                    const isActive = isSpawnerActive(spawner, previewTime);
+                    return (
+                        <div key={index} className="relative h-5 bg-gray-800 rounded">
+                            <div className={`absolute h-5 rounded text-xs px-1 overflow-hidden whitespace-nowrap ${isActive ? 'bg-red-500' : 'bg-red-900'}`}
+                                style={{ left: `${(from / timelineDuration) * 100}%`, width: `${(Math.max(0, until - from) / timelineDuration) * 100}%` }}>
+                                {SPAWNER_LABELS[spawner.type]}
+                            </div>
+                        </div>
+                    );
+                })}
+                <div className="absolute top-0 bottom-0 w-0.5 bg-yellow-400" style={{ left: `${Math.min(100, (previewTime / timelineDuration) * 100)}%` }} />
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="min-h-screen bg-black text-white p-4 font-sans">
+            <div className="max-w-6xl mx-auto flex flex-col lg:flex-row gap-6">
+                <div className="flex-1 space-y-4">
+                    <div className="flex justify-between items-center">
+                        <h1 className="text-3xl font-bold text-green-400">스테이지 에디터</h1>
+                        <Link href="/" className="text-gray-400 hover:text-white"> ← 로비 </Link>
+                    </div>
+
+                    <div className="bg-gray-800 rounded-xl p-4 space-y-3">
+                        <div className="flex gap-3 flex-wrap">
+                            <label className="flex flex-col text-xs text-gray-400"> 이름
+                                <input value={stageSet.name || ''} onChange={e => setStageSet(prev => ({ ...prev, name: e.target.value }))} className="bg-gray-700 text-white rounded px-2 py-1" />
+                            </label>
+                            <label className="flex flex-col text-xs text-gray-400"> ID
+                                <input value={stageSet.id} onChange={e => setStageSet(prev => toCustomStageSet({ ...prev, id: e.target.value }))} className="bg-gray-700 text-white rounded px-2 py-1" />
+                            </label>
+                        </div>
+                        <div className="flex gap-2 flex-wrap">
+                            {stageSet.stages.map((s, i) => (
+                                <button key={i} onClick={() => setSelectedStage(i + 1)} className={`py-1 px-3 rounded-lg font-bold ${selectedStage === i + 1 ? 'bg-yellow-500 text-gray-900' : 'bg-gray-600'}`}> S{i + 1}{s.boss ? ' 👹' : ''} </button>
+                            ))}
+                            <button onClick={() => setSelectedStage(stageSet.stages.length + 1)} className={`py-1 px-3 rounded-lg font-bold ${isEndlessSelected ? 'bg-yellow-500 text-gray-900' : 'bg-gray-600'}`}> ∞ </button>
+                            <button onClick={addStage} className="py-1 px-3 rounded-lg bg-green-600 hover:bg-green-700"> + 스테이지 </button>
+                            {!isEndlessSelected && stageSet.stages.length > 1 && <button onClick={removeStage} className="py-1 px-3 rounded-lg bg-red-600 hover:bg-red-700"> 삭제 </button>}
+                        </div>
+                    </div>
+
+                    <div className="bg-gray-800 rounded-xl p-4 space-y-3">
+                        <div className="flex gap-3 flex-wrap">
+                            {!isEndlessSelected && !isBossSelected && <NumberField label="길이(초)" value={stage.duration} onChange={duration => updateStage({ duration })} />}
+                            <NumberField label="플레이어 속도 배율" value={stage.playerSpeedMultiplier} onChange={playerSpeedMultiplier => updateStage({ playerSpeedMultiplier })} />
+                            <NumberField label="탄 기본 속도" value={stage.bulletSpeed} onChange={bulletSpeed => updateStage({ bulletSpeed })} />
+                            {isEndlessSelected && <>
+                                <NumberField label="단계당 속도 +" value={(stage.scaling || {}).bulletSpeedPerStage} onChange={v => updateStage({ scaling: withChanges(stage.scaling || {}, { bulletSpeedPerStage: v }) })} />
+                                <NumberField label="단계당 간격 +" value={(stage.scaling || {}).intervalPerStage} onChange={v => updateStage({ scaling: withChanges(stage.scaling || {}, { intervalPerStage: v }) })} />
+                                <NumberField label="최소 간격" value={(stage.scaling || {}).minInterval} onChange={v => updateStage({ scaling: withChanges(stage.scaling || {}, { minInterval: v }) })} />
+                            </>}
+                        </div>
+                        {isBossSelected && <p className="text-sm text-red-300">{stage.boss.emoji || '👹'} 보스 스테이지: {stage.boss.name} · 페이즈 {stage.boss.phases.length}개 ({timelineDuration}초). 보스 패턴은 JSON 파일에서 편집해 주세요.</p>}
+                        {renderTimeline()}
+                        <div className="space-y-2">
+                            {stage.spawners.map(renderSpawner)}
+                        </div>
+                        <div className="flex gap-2">
+                            <select value={newSpawnerType} onChange={e => setNewSpawnerType(e.target.value)} className="bg-gray-700 text-white rounded px-2 py-1">
+                                {SPAWNER_TYPES.map(type => <option key={type} value={type}>{SPAWNER_LABELS[type]}</option>)}
+                            </select>
+                            <button onClick={addSpawner} className="py-1 px-3 rounded-lg bg-green-600 hover:bg-green-700"> + 스포너 추가 </button>
+                        </div>
+                    </div>
+
+                    {(errors.length > 0 || fileErrors.length > 0) && (
+                        <div className="bg-red-900 rounded-xl p-4 text-sm space-y-1">
+                            <p className="font-bold">오류</p>
+                            {[...fileErrors, ...errors].map((error, i) => <p key={i} className="font-mono">{error}</p>)}
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex flex-col items-center gap-3">
+                    <div className="w-full bg-gray-900 text-white p-2 rounded-t-lg flex justify-around items-center font-mono text-base">
+                        <span>👁 미리보기 {isEndlessSelected ? '∞' : `S${selectedStage}`}</span>
+                        <span>⏰ {previewTime.toFixed(1)}s</span>
+                    </div>
+                    <canvas
+                        ref={canvasRef}
+                        className="border-4 border-gray-600 rounded-b-lg"
+                        style={{ touchAction: 'none', width: PREVIEW_FIELD.width, maxWidth: '100%', aspectRatio: `${PREVIEW_FIELD.width} / ${PREVIEW_FIELD.height}` }}
+                    />
+                    {!isValid && <p className="text-red-400 text-sm">오류를 고치면 미리보기가 다시 시작됩니다</p>}
+                    <div className="grid grid-cols-2 gap-2 w-full">
+                        <button onClick={() => setPreviewSeed(createRandomSeed())} className="bg-gray-600 hover:bg-gray-700 font-bold py-2 rounded-lg"> 새 시드 </button>
+                        <button onClick={handleReset} className="bg-gray-600 hover:bg-gray-700 font-bold py-2 rounded-lg"> 기본값으로 </button>
+                        <label className="bg-gray-600 hover:bg-gray-700 font-bold py-2 rounded-lg text-center cursor-pointer"> 파일 불러오기
+                            <input type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+                        </label>
+                        <button onClick={() => isValid && downloadStageSet(stageSet)} disabled={!isValid} className="bg-gray-600 hover:bg-gray-700 disabled:opacity-50 font-bold py-2 rounded-lg"> 파일로 내보내기 </button>
+                        <button onClick={handlePlayInLobby} disabled={!isValid} className="col-span-2 bg-green-500 hover:bg-green-600 disabled:opacity-50 font-bold py-3 rounded-lg text-xl"> 로비에서 플레이 </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default function StageEditorPage() {
+    return <StageEditor />;
+}
@@ -1,63 +1,145 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-
-// --- Firebase SDK Imports ---
-// Using modular imports for better tree-shaking
-import { initializeApp } from "firebase/app";
-import { getFirestore, collection, addDoc, query, getDocs, serverTimestamp, setDoc, doc, getDoc, updateDoc, deleteDoc, onSnapshot, where, limit, orderBy } from "firebase/firestore";
-import { getAuth, signInAnonymously, onAuthStateChanged, signInWithCustomToken } from "firebase/auth";
-
-// --- Firebase 설정 ---
-const firebaseConfig = {
-    apiKey: process.env.NEXT_PUBLIC_FIREBASE_API_KEY,
-    authDomain: process.env.NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN,
-    projectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID,
-    storageBucket: process.env.NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET,
-    messagingSenderId: process.env.NEXT_PUBLIC_FIREBASE_MESSAGING_SENDER_ID,
-    appId: process.env.NEXT_PUBLIC_FIREBASE_APP_ID,
-    measurementId: process.env.NEXT_PUBLIC_FIREBASE_MEASUREMENT_ID
-};
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import Link from 'next/link';
+
+// --- Firebase ---
+import { collection, addDoc, query, getDocs, serverTimestamp, setDoc, doc, getDoc, updateDoc, deleteDoc, onSnapshot, where, limit, orderBy } from "firebase/firestore";
+import { signInAnonymously, onAuthStateChanged, signInWithCustomToken } from "firebase/auth";
+import { db, auth, appId } from '../lib/firebase';
+
+// --- Game Simulation ---
+import { FIELD_SIZES, FIXED_TIMESTEP_MS, TICKS_PER_SECOND } from '../lib/game/constants';
+import { createSimulation } from '../lib/game/simulation';
+import { createRandomSeed } from '../lib/game/rng';
+import { drawGame } from '../lib/game/render';
+import { createVisualEffects } from '../lib/game/visualEffects';
+import { watchCanvasResolution } from '../lib/game/canvasResolution';
+import { createReplay, createReplayPlayer, decodeReplay, encodeReplay } from '../lib/game/replay';
+import { GAME_MODES, ITEM_TYPES, getActiveEffects } from '../lib/game/powerUps';
+import { CURRICULA, DEFAULT_CURRICULUM } from '../lib/game/curricula';
+import { isRankedRun } from '../lib/game/verification';
+import { DEFAULT_STAGE_SET } from '../lib/game/stages';
+import { FLOW_STATES, FlowError, INITIAL_FLOW, createFlowTimer, isFieldState, pauseFlow, resumeFlow, transitionFlow } from '../lib/game/flow';
+import { buildStageResult, describeStage } from '../lib/game/intermission';
+import { createDeathSlowMotion } from '../lib/game/deathSequence';
+import { loadCustomStageSet, readStageSetFile, saveCustomStageSet } from '../lib/customStages';
+import { DEFAULT_CONTROLS, loadControls, saveControls } from '../lib/input/controls';
+import { createInputManager } from '../lib/input/inputManager';
+import { createAudioEngine } from '../lib/audio/audioEngine';
+import { getMusicTempo } from '../lib/audio/music';
+import SettingsPanel from '../components/SettingsPanel';
+import RankingBoard from '../components/RankingBoard';
+import ProfileEditor from '../components/ProfileEditor';
+import LearningReport from '../components/LearningReport';
+import AchievementToasts from '../components/AchievementToasts';
+import DailyChallengeBoard from '../components/DailyChallengeBoard';
+import StageIntroCard from '../components/StageIntroCard';
+import StageResultCard from '../components/StageResultCard';
+import LocaleProvider, { useLocaleTranslator } from '../components/LocaleProvider';
+import { LOCALES } from '../lib/i18n/translator';
+import { callApi } from '../lib/apiClient';
+import { loadSettings, saveSettings, DEFAULT_SETTINGS } from '../lib/settings';
+import { clearSavedRun, loadSavedRun, saveRun } from '../lib/savedRun';
+import { ACHIEVEMENTS, createAchievementTracker } from '../lib/progress/achievements';
+import { DEFAULT_PROGRESS, addPlayedTime, createProgressStore, loadLocalProgress, recordUnlocks, saveLocalProgress, selectLanguage } from '../lib/progress/progress';
+import { getSkinEmoji } from '../lib/progress/skins';
+import { getDailyKey, getDailySeed, getDailyStreak } from '../lib/rankings/daily';
+import { loadDailyHistory, recordDailyResult } from '../lib/rankings/dailyHistory';
+import { enqueueScore, flushScoreQueue, getQueuedScores } from '../lib/offline/scoreQueue';
+import { PRESENCE_INTERVAL_MS, STATE_SYNC_INTERVAL_MS, isPlayerConnected } from '../lib/versus/match';
+import { createVersusRooms, normalizeRoomCode } from '../lib/versus/rooms';
+import { createVersusSession } from '../lib/versus/session';
+import { getLockedStageSet } from '../lib/classroom/classes';
+import { createClassSessions } from '../lib/classroom/sessions';
+import { loadJoinedClassCode, saveJoinedClassCode } from '../lib/classroom/storedClass';
+import { createTelemetryRecorder } from '../lib/telemetry/recorder';
+import { flushTelemetryQueue, queueTelemetryEvent } from '../lib/telemetry/queue';
+
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const ACHIEVEMENT_TOAST_MS = 4000;
+const isLandscapeField = ({ width, height }) => width > height;
+const getFieldAspectRatio = ({ width, height }) => `${width} / ${height}`;
 
-// --- Firebase Initialization ---
-const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
-const auth = getAuth(app);
-const appId = firebaseConfig.appId || (typeof __app_id !== 'undefined' ? __app_id : 'default-app-id');
-
-// --- Game Constants ---
-const GAME_WIDTH = 400;
-const GAME_HEIGHT = 580;
-const PLAYER_SIZE = 35;
-const BULLET_SIZE = 15;
-const ITEM_SIZE = 30;
-const STAGE_DURATION = 60;
-const DEBUG_STAGE_DURATION = 15;
-const ITEM_LIFESPAN = 10000;
-const GEM_LIFESPAN = 6000;
-
-// --- Player Constants ---
-const PLAYER_BASE_SPEED = 250; // Adjusted speed for click-to-move
-const PLAYER_HITBOX_PADDING = 5;
-
-// --- Helper Function ---
-const getRandom = (min, max) => Math.random() * (max - min) + min;
+const versusRooms = createVersusRooms(db, appId);
+const progressStore = createProgressStore(db, appId);
+const classSessions = createClassSessions(db, appId);
 
 // --- Main Game Component ---
 const Game = () => {
     // --- State Management ---
-    const [gameState, setGameState] = useState('lobby'); // lobby, playing, stageClear, gameOver
-    const [rankings, setRankings] = useState([]);
+    const [flow, setFlow] = useState(INITIAL_FLOW); // Screen and pause, see game/flow.js
+    const { state: gameState, paused: isPaused } = flow;
+    const [rankingsVersion, setRankingsVersion] = useState(0); // Bumped after a ranking is submitted or on reconnect
+    const [isOnline, setIsOnline] = useState(true);
+    const [queuedScoreCount, setQueuedScoreCount] = useState(0);
     const [userId, setUserId] = useState(null);
-    const [playerId, setPlayerId] = useState('');
-    const [uiData, setUiData] = useState({ score: 0, time: 0, stage: 0 });
+    const [playerId, setPlayerId] = useState(''); // Profile display name, or the old random ID until one is set
+    const [hasProfile, setHasProfile] = useState(false);
+    const [showProfileEditor, setShowProfileEditor] = useState(false);
+    const [uiData, setUiData] = useState({ score: 0, time: 0, stage: 0, lives: 0, effects: [] });
+    const [gameMode, setGameMode] = useState('classic');
+    const [curriculum, setCurriculum] = useState(DEFAULT_CURRICULUM);
+    const [fieldShape, setFieldShape] = useState('portrait');
+    const [canUseLandscape, setCanUseLandscape] = useState(false); // Only offered on wide screens
+    const [controls, setControls] = useState(DEFAULT_CONTROLS);
+    const [progress, setProgress] = useState(DEFAULT_PROGRESS); // Achievements, play time, skin and language (lib/progress)
+    const [achievementToasts, setAchievementToasts] = useState([]);
+    const [dailyHistory, setDailyHistory] = useState({}); // Best score per daily challenge played
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+    const [showSettings, setShowSettings] = useState(false);
+    const [savedRun, setSavedRun] = useState(null); // Interrupted run that can be resumed from the lobby
+    const [customStageSet, setCustomStageSet] = useState(null);
+    const [customStageErrors, setCustomStageErrors] = useState([]);
+    const [replayView, setReplayView] = useState({ tick: 0, endTick: 0, isPaused: false, speed: 1, returnState: 'lobby' });
+    const [versusRoom, setVersusRoom] = useState(null); // { code, room, players } while in a versus room
+    const [versusCodeInput, setVersusCodeInput] = useState('');
+    const [versusError, setVersusError] = useState('');
+    const [versusCountdown, setVersusCountdown] = useState(null);
+    const [versusOutcome, setVersusOutcome] = useState(null);
+    const [classSession, setClassSession] = useState(null); // { code, session } while in a class; session is undefined until the first snapshot
+    const [classCodeInput, setClassCodeInput] = useState('');
+    const [classError, setClassError] = useState('');
+    const [stageIntro, setStageIntro] = useState(null); // describeStage() for the intro card
+    const [stageResult, setStageResult] = useState(null); // buildStageResult() for the result screen
+    const [countdown, setCountdown] = useState(0); // Whole seconds left on the countdown
+    const translator = useLocaleTranslator(progress.language); // Also given to the components, see LocaleProvider
+    const { t, formatNumber, formatDate } = translator;
 
     // --- Refs for Game Logic (to avoid re-renders) ---
+    const simulationRef = useRef(null);
     const gameDataRef = useRef(null);
-    const targetPositionRef = useRef(null);
-    const isPointerDownRef = useRef(false);
+    const inputManagerRef = useRef(null);
     const canvasRef = useRef(null);
+    const canvasScaleRef = useRef(1); // Field units to canvas pixels
     const gameLoopRef = useRef();
-    const lastFrameTimeRef = useRef();
     const lastUiUpdateTimeRef = useRef(0);
+    const lastReplayRef = useRef(null); // Replay of the player's most recent run
+    const replayPlayerRef = useRef(null);
+    const replayPositionRef = useRef(0); // Fractional tick, advanced by wall time * speed
+    const replayControlsRef = useRef({ isPaused: false, speed: 1 });
+    const versusSessionRef = useRef(null);
+    const versusStartAtRef = useRef(null); // startAt of the match already started locally
+    const settingsRef = useRef(DEFAULT_SETTINGS); // Read by the draw loops without restarting them
+    const progressRef = useRef(DEFAULT_PROGRESS); // Likewise, for the skin
+    const achievementTrackerRef = useRef(null); // Follows the current run, see progress/achievements.js
+    const telemetryRecorderRef = useRef(null); // Likewise for solo runs, see telemetry/recorder.js
+    const audioRef = useRef(null);
+    if (!audioRef.current) audioRef.current = createAudioEngine(); // Silent until unlocked by a click
+    const visualEffectsRef = useRef(null);
+    if (!visualEffectsRef.current) visualEffectsRef.current = createVisualEffects();
+
+    // --- Screen Changes (the flow state machine, see game/flow.js) ---
+    // An impossible move is a bug; it is logged and the screen stays as it is.
+    const transitionTo = useCallback((state) => setFlow(current => {
+        try {
+            return transitionFlow(current, state);
+        } catch (error) {
+            if (!(error instanceof FlowError)) throw error;
+            console.error(error.message);
+            return current;
+        }
+    }), []);
+
+    const setPaused = useCallback((paused) => setFlow(current => (paused ? pauseFlow(current) : resumeFlow(current))), []);
 
     // --- Player ID Management ---
     useEffect(() => {
@@ -69,6 +151,109 @@ const Game = () => {
         setPlayerId(storedPlayerId);
     }, []);
 
+    // --- Profile (display name stored against the auth uid) ---
+    useEffect(() => {
+        if (!userId) return;
+        callApi('/api/profile')
+            .then(result => {
+                if (result.ok && result.profile) {
+                    setPlayerId(result.profile.displayName);
+                    setHasProfile(true);
+                }
+            })
+            .catch(error => console.error("Failed to load profile:", error));
+    }, [userId]);
+
+    const handleProfileSaved = (displayName) => {
+        setPlayerId(displayName);
+        setHasProfile(true);
+        setShowProfileEditor(false);
+        setRankingsVersion(version => version + 1); // Earlier runs now show the new name
+    };
+
+    // --- Achievements and Skins (local copy first, then merged with the uid's copy) ---
+    useEffect(() => {
+        const loaded = loadLocalProgress();
+        progressRef.current = loaded;
+        setProgress(loaded);
+    }, []);
+
+    useEffect(() => {
+        if (!userId) return;
+        progressStore.sync(userId, progressRef.current)
+            .then(merged => {
+                progressRef.current = merged;
+                setProgress(merged);
+            })
+            .catch(error => console.error("Failed to sync progress:", error));
+    }, [userId]);
+
+    const updateProgress = useCallback((nextProgress) => {
+        progressRef.current = nextProgress;
+        setProgress(nextProgress);
+        saveLocalProgress(nextProgress);
+        if (userId) progressStore.save(userId, nextProgress).catch(error => console.error("Failed to save progress:", error));
+    }, [userId]);
+
+    const handleLanguageChange = (language) => updateProgress(selectLanguage(progressRef.current, language));
+
+    const handleAchievementsUnlocked = useCallback((ids) => {
+        updateProgress(recordUnlocks(progressRef.current, ids));
+        const toasts = ids.map(id => ({ key: `${id}_${Date.now()}`, id }));
+        setAchievementToasts(current => [...current, ...toasts]);
+        setTimeout(() => setAchievementToasts(current => current.filter(toast => !toasts.includes(toast))), ACHIEVEMENT_TOAST_MS);
+    }, [updateProgress]);
+
+    // --- Control Settings ---
+    useEffect(() => {
+        setControls(loadControls());
+    }, []);
+
+    const handleControlsChange = useCallback((nextControls) => {
+        saveControls(nextControls);
+        setControls(nextControls);
+    }, []);
+
+    // --- Settings (sound, motion, bullet colours) and the Saved Run ---
+    useEffect(() => {
+        const loaded = loadSettings();
+        settingsRef.current = loaded;
+        setSettings(loaded);
+        setSavedRun(loadSavedRun());
+        setDailyHistory(loadDailyHistory());
+        const joinedClassCode = loadJoinedClassCode();
+        if (joinedClassCode) setClassSession({ code: joinedClassCode, session: undefined });
+    }, []);
+
+    const handleSettingsChange = useCallback((nextSettings) => {
+        saveSettings(nextSettings);
+        settingsRef.current = nextSettings;
+        setSettings(nextSettings);
+    }, []);
+
+    useEffect(() => {
+        audioRef.current.setSettings(settings);
+    }, [settings]);
+
+    // --- Custom Stage Set (from the editor or an imported file) ---
+    useEffect(() => {
+        setCustomStageSet(loadCustomStageSet());
+    }, []);
+
+    const handleImportStageSet = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const stageSet = await readStageSetFile(file);
+            saveCustomStageSet(stageSet);
+            setCustomStageSet(stageSet);
+            setCustomStageErrors([]);
+        } catch (error) {
+            setCustomStageErrors(error.errors || [error.message]);
+        }
+    };
+
     // --- Firebase Authentication ---
     useEffect(() => {
         const unsubscribe = onAuthStateChanged(auth, async (user) => {
@@ -90,114 +275,126 @@ const Game = () => {
         return () => unsubscribe();
     }, []);
 
-    // --- Firestore Rankings Path ---
-    const getRankingsCollection = useCallback(() => {
-        // Use the appId from the config for the collection path
-        return collection(db, `artifacts/${appId}/public/data/crocoGameRankings`);
+    // --- Firestore Replays Path ---
+    const getReplaysCollection = useCallback(() => {
+        return collection(db, `artifacts/${appId}/public/data/crocoGameReplays`);
     }, []);
 
-    // --- Fetch Rankings from Firestore ---
-    const fetchRankings = useCallback(async () => {
+    // --- Submit Ranking for Server Verification ---
+    // The API route re-simulates the replay and writes the ranking itself.
+    // Runs are queued in IndexedDB first so they survive a dropped connection.
+    const submitRankingRequest = useCallback((submission) => callApi('/api/rankings', {
+        method: 'POST',
+        body: { playerId: submission.playerId, replay: submission.replay, score: submission.score, classCode: submission.classCode }
+    }), []);
+
+    const flushQueuedScores = useCallback(async () => {
+        if (!userId) return; // Sent once signed in
         try {
-            const q = query(getRankingsCollection(), orderBy("score", "desc"), limit(10));
-            const querySnapshot = await getDocs(q);
-            const fetchedRankings = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setRankings(fetchedRankings);
+            const { submitted, remaining } = await flushScoreQueue(submitRankingRequest);
+            setQueuedScoreCount(remaining);
+            if (submitted > 0) setRankingsVersion(version => version + 1); // Refresh rankings after saving
         } catch (error) {
-            console.error("Failed to load rankings:", error);
-            console.log("This might be an indexing issue. Ensure 'score' has a descending index in your Firestore rules for the collection.");
+            console.error("Failed to submit queued rankings:", error);
         }
-    }, [getRankingsCollection]);
+    }, [userId, submitRankingRequest]);
 
-    // --- Save Ranking to Firestore ---
-    const saveRanking = useCallback(async (playerName, score) => {
-        if (!userId || !playerName || score === undefined) return;
+    // `classCode` tags the run for a class session, which takes unranked runs too
+    const saveRanking = useCallback(async (playerName, score, replay, classCode) => {
+        if (!playerName || score === undefined || !replay) return;
+        const submission = { playerId: playerName, replay: encodeReplay(replay), score: Math.floor(score), ...(classCode ? { classCode } : {}) };
         try {
-            await addDoc(getRankingsCollection(), {
-                playerId: playerName,
-                userId: userId,
-                score: Math.floor(score),
-                createdAt: serverTimestamp()
-            });
-            fetchRankings(); // Refresh rankings after saving
+            await enqueueScore(submission);
         } catch (error) {
-            console.error("Failed to save ranking:", error);
+            // No IndexedDB (e.g. some private modes): submit directly, as before
+            console.error("Failed to queue ranking:", error);
+            try {
+                const result = await submitRankingRequest(submission);
+                if (!result.ok) console.warn("Ranking rejected:", result.reason, result.message);
+                setRankingsVersion(version => version + 1);
+            } catch (submitError) {
+                console.error("Failed to save ranking:", submitError);
+            }
+            return;
         }
-    }, [userId, fetchRankings, getRankingsCollection]);
+        flushQueuedScores();
+    }, [flushQueuedScores, submitRankingRequest]);
 
-    // --- Fetch rankings on lobby/game over ---
+    // --- Send Queued Telemetry (batched, see telemetry/queue.js) ---
+    const sendTelemetry = useCallback((events) => callApi('/api/telemetry', { method: 'POST', body: { events } }), []);
+
+    const flushTelemetry = useCallback(() => {
+        if (!userId) return; // Sent once signed in
+        flushTelemetryQueue(sendTelemetry).catch(error => console.error("Failed to send telemetry:", error));
+    }, [userId, sendTelemetry]);
+
+    // --- Connectivity: flush queued runs and refresh rankings when back online ---
     useEffect(() => {
-        if (gameState === 'lobby' || gameState === 'gameOver') {
-            fetchRankings();
-        }
-    }, [gameState, fetchRankings]);
+        setIsOnline(navigator.onLine);
+        getQueuedScores()
+            .then(queued => setQueuedScoreCount(queued.length))
+            .catch(error => console.error("Failed to read queued rankings:", error));
+        const handleOnline = () => {
+            setIsOnline(true);
+            setRankingsVersion(version => version + 1);
+            flushQueuedScores();
+            flushTelemetry();
+        };
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, [flushQueuedScores, flushTelemetry]);
+
+    useEffect(() => {
+        flushQueuedScores();
+    }, [flushQueuedScores]);
 
     // --- Drawing Logic on Canvas ---
-    const draw = useCallback((ctx) => {
-        if (!gameDataRef.current) return;
-
-        // Clear canvas and draw background
-        ctx.clearRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
-        ctx.fillStyle = '#1f2937'; // bg-gray-800
-        ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
-
-        const { player, bullets, items, mathGems, floatingTexts } = gameDataRef.current;
-
-        // Draw Player
-        ctx.save();
-        if (player.isInvincible) {
-            ctx.globalAlpha = 0.5;
-            ctx.shadowColor = 'cyan';
-            ctx.shadowBlur = 15;
-        }
-        ctx.font = `${PLAYER_SIZE}px sans-serif`;
-        ctx.textBaseline = 'top';
-        ctx.fillText(player.lives > 0 ? '🐊' : '💀', player.x, player.y);
-        ctx.restore();
-
-        // Draw Bullets
-        ctx.fillStyle = '#ef4444'; // bg-red-500
-        bullets.forEach(b => {
-            ctx.beginPath();
-            ctx.arc(b.x + BULLET_SIZE / 2, b.y + BULLET_SIZE / 2, BULLET_SIZE / 2, 0, Math.PI * 2);
-            ctx.fill();
-        });
+    const draw = useCallback((ctx, gameData, options) => {
+        const { bulletPalette, reducedMotion } = settingsRef.current;
+        const visualEffects = reducedMotion ? null : visualEffectsRef.current;
+        drawGame(ctx, gameData, { bulletPalette, reducedMotion, visualEffects, playerEmoji: getSkinEmoji(progressRef.current), scale: canvasScaleRef.current, ...options });
+    }, []);
 
-        // Draw Items
-        const itemEmojis = { shield: '🛡️', '꽝': '❓', clear: '💥' };
-        ctx.font = `${ITEM_SIZE}px sans-serif`;
-        items.forEach(i => {
-            ctx.fillText(itemEmojis[i.type], i.x, i.y);
+    // --- HUD Data ---
+    const refreshUiData = useCallback((gameData) => {
+        const versusSession = versusSessionRef.current;
+        setUiData({
+            score: Math.floor(gameData.displayScore),
+            time: gameData.remainingTime,
+            stage: gameData.stage,
+            isEndless: gameData.isEndless,
+            lives: gameData.player.lives,
+            maxLives: GAME_MODES[gameData.mode].maxLives,
+            effects: getActiveEffects(gameData),
+            boss: gameData.boss && { name: gameData.boss.name, emoji: gameData.boss.emoji, phase: gameData.boss.phase + 1, phaseCount: gameData.boss.phaseCount },
+            opponent: versusSession ? versusSession.opponent : null
         });
+    }, []);
 
-        // Draw Math Gems
-        mathGems.forEach(g => {
-            const gemWidth = ITEM_SIZE * 1.5;
-            const gemHeight = ITEM_SIZE * 1.5;
-            ctx.fillStyle = '#9333ea'; // bg-purple-600
-            ctx.fillRect(g.x, g.y, gemWidth, gemHeight);
-            ctx.fillStyle = 'white';
-            ctx.font = 'bold 14px sans-serif';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(g.text, g.x + gemWidth / 2, g.y + gemHeight / 2);
+    // --- Keep the Canvas Sharp (device pixel ratio, resize, orientation) ---
+    useEffect(() => {
+        if ((!isFieldState(gameState) && gameState !== 'replay') || !canvasRef.current) return undefined;
+        const getGameData = () => (gameState === 'replay' ? replayPlayerRef.current.gameData : simulationRef.current.gameData);
+        return watchCanvasResolution(canvasRef.current, getGameData(), (scale) => {
+            canvasScaleRef.current = scale;
+            draw(canvasRef.current.getContext('2d'), getGameData()); // Resizing clears the canvas, which shows while paused
         });
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'top';
+    }, [gameState, draw]);
 
-        // Draw Floating Texts
-        const now = Date.now();
-        floatingTexts.forEach(ft => {
-            const life = (ft.expiresAt - now) / 1500;
-            if (life > 0) {
-                ctx.save();
-                ctx.globalAlpha = life;
-                ctx.font = 'bold 20px sans-serif';
-                ctx.fillStyle = ft.text.startsWith('+') ? '#4ade80' : '#f87171';
-                ctx.fillText(ft.text, ft.x, ft.y - (1 - life) * 60);
-                ctx.restore();
-            }
-        });
+    useEffect(() => {
+        const wideScreen = window.matchMedia('(min-width: 768px)');
+        const update = () => {
+            setCanUseLandscape(wideScreen.matches);
+            if (!wideScreen.matches) setFieldShape('portrait');
+        };
+        update();
+        wideScreen.addEventListener('change', update);
+        return () => wideScreen.removeEventListener('change', update);
     }, []);
 
     // --- Main Game Loop ---
@@ -206,105 +403,218 @@ const Game = () => {
             return;
         }
 
-        const now = Date.now();
-        const deltaTime = (now - lastFrameTimeRef.current) / 1000;
-        lastFrameTimeRef.current = now;
-
-        const gameData = gameDataRef.current; // Mutate ref directly
+        // --- Input + Simulation (fixed ticks: movement, collision, spawning, etc.) ---
+        if (inputManagerRef.current) inputManagerRef.current.poll();
+        simulationRef.current.advance();
+        const unlocked = achievementTrackerRef.current ? achievementTrackerRef.current.update() : [];
+        if (unlocked.length > 0) handleAchievementsUnlocked(unlocked);
+        if (telemetryRecorderRef.current) telemetryRecorderRef.current.update();
+        const gameData = gameDataRef.current;
         const { player } = gameData;
-        
-        // --- Player Movement (Click-to-Move) ---
-        if (player.lives > 0 && targetPositionRef.current) {
-            const target = targetPositionRef.current;
-            const dx = target.x - (player.x + PLAYER_SIZE / 2);
-            const dy = target.y - (player.y + PLAYER_SIZE / 2);
-            const distance = Math.sqrt(dx * dx + dy * dy);
-
-            let speedMultiplier = 1.0;
-            if (gameData.stage === 1) speedMultiplier = 0.8;
-            else if (gameData.stage === 3) speedMultiplier = 0.9;
-            const currentPlayerSpeed = PLAYER_BASE_SPEED * speedMultiplier;
-
-            if (distance > 5) { // Stop threshold
-                player.x += (dx / distance) * currentPlayerSpeed * deltaTime;
-                player.y += (dy / distance) * currentPlayerSpeed * deltaTime;
-            } else {
-                targetPositionRef.current = null; // Reached destination
-            }
-            player.x = Math.max(0, Math.min(gameData.width - PLAYER_SIZE, player.x));
-            player.y = Math.max(0, Math.min(gameData.height - PLAYER_SIZE, player.y));
-        }
+        const now = Date.now();
 
-        // --- Game Logic (Collision, Spawning, etc.) ---
-        updateGameLogic(gameData, now, deltaTime);
+        // --- Versus Sync (attacks, ghost, last survivor) ---
+        const versusSession = versusSessionRef.current;
+        const outcome = versusSession ? versusSession.update() : null;
 
         // --- Drawing ---
         if (canvasRef.current) {
             const ctx = canvasRef.current.getContext('2d');
-            draw(ctx);
+            draw(ctx, gameData, { ghost: versusSession ? versusSession.getGhost() : null });
         }
+        audioRef.current.setMusicTempo(getMusicTempo(gameData));
 
         // --- UI Update (Throttled) ---
         if (now - lastUiUpdateTimeRef.current > 100) { // Update UI 10 times/sec
-            setUiData({
-                score: Math.floor(gameData.displayScore),
-                time: gameData.remainingTime,
-                stage: gameData.stage
-            });
+            refreshUiData(gameData);
             lastUiUpdateTimeRef.current = now;
         }
 
-        // --- State Transitions (Game Over, Stage Clear) ---
-        if (gameData.status !== 'playing') {
+        // --- State Transitions (Game Over, Stage Clear, Versus Result) ---
+        if (versusSession) {
+            if (outcome || gameData.status === 'gameOver') {
+                lastReplayRef.current = createReplay(gameData);
+                setVersusOutcome(outcome);
+                transitionTo('versusResult');
+            } else {
+                gameLoopRef.current = requestAnimationFrame(gameLoop);
+            }
+        } else if (gameData.status !== 'playing') {
             if (gameData.status === 'gameOver') {
-                saveRanking(player.name, gameData.finalScore);
-                setGameState('gameOver');
+                lastReplayRef.current = createReplay(gameData);
+                if ((isRankedRun(lastReplayRef.current) || gameData.classCode) && !gameData.unranked) {
+                    saveRanking(player.name, gameData.finalScore, lastReplayRef.current, gameData.classCode);
+                }
+                if (gameData.dailyKey) setDailyHistory(recordDailyResult(gameData.dailyKey, Math.floor(gameData.finalScore)));
+                clearSavedRun();
+                setSavedRun(null);
+                transitionTo(settingsRef.current.reducedMotion ? 'gameOver' : 'dying');
             } else if (gameData.status === 'stageClear') {
-                setGameState('stageClear');
+                saveRun(simulationRef.current);
+                setStageResult(buildStageResult(JSON.parse(simulationRef.current.getStageStartSnapshot()), gameData));
+                transitionTo('stageResult');
             }
         } else {
             gameLoopRef.current = requestAnimationFrame(gameLoop);
         }
-    }, [draw, saveRanking]);
+    }, [draw, refreshUiData, transitionTo, saveRanking, handleAchievementsUnlocked]);
 
 
     // --- Start/Stop Game Loop ---
     useEffect(() => {
-        if (gameState === 'playing') {
-            lastFrameTimeRef.current = Date.now();
+        if (gameState === 'playing' && !isPaused) {
+            simulationRef.current.resetClock();
             lastUiUpdateTimeRef.current = Date.now();
             gameLoopRef.current = requestAnimationFrame(gameLoop);
         } else {
             if (gameLoopRef.current) {
                 cancelAnimationFrame(gameLoopRef.current);
             }
+            // Show where the player is behind the pause menu, intro card or countdown
+            if (isFieldState(gameState) && gameState !== 'dying' && canvasRef.current) {
+                draw(canvasRef.current.getContext('2d'), simulationRef.current.gameData);
+                refreshUiData(simulationRef.current.gameData);
+            }
         }
         return () => {
             if (gameLoopRef.current) cancelAnimationFrame(gameLoopRef.current);
+            gameLoopRef.current = null;
+        };
+    }, [gameState, isPaused, gameLoop, draw, refreshUiData]);
+
+    // --- Timed Screens (stage intro, countdown, death slow motion) ---
+    // Each run of this effect starts a new timer, which is how resuming restarts
+    // the countdown; see game/flow.js for the timer rules.
+    useEffect(() => {
+        const { duration, then } = FLOW_STATES[gameState];
+        if (!duration || isPaused) return undefined;
+        const timer = createFlowTimer(gameState);
+        const slowMotion = gameState === 'dying' ? createDeathSlowMotion(simulationRef.current.gameData) : null;
+        let lastFrameTime = performance.now();
+        let frameId = null;
+        const frame = (now) => {
+            const counted = timer.advance(now - lastFrameTime);
+            lastFrameTime = now;
+            if (slowMotion) {
+                slowMotion.advance(counted);
+                if (canvasRef.current) draw(canvasRef.current.getContext('2d'), slowMotion.gameData);
+            }
+            if (gameState === 'countdown') setCountdown(Math.ceil(timer.getRemaining() / 1000));
+            if (timer.isDone()) {
+                // Unless a click (skipping the intro) got there first
+                setFlow(current => (current.state === gameState && !current.paused ? transitionFlow(current, then) : current));
+            } else {
+                frameId = requestAnimationFrame(frame);
+            }
         };
-    }, [gameState, gameLoop]);
+        if (gameState === 'countdown') setCountdown(Math.ceil(duration / 1000));
+        frameId = requestAnimationFrame(frame);
+        return () => cancelAnimationFrame(frameId);
+    }, [gameState, isPaused, draw]);
     
+    // --- Sound Effects and Music While Playing ---
+    // Stage clear and death sounds still arrive: they are emitted during the
+    // final tick, before the state change that unsubscribes.
+    useEffect(() => {
+        if (gameState !== 'playing' || isPaused) return undefined;
+        const audio = audioRef.current;
+        const { gameData } = simulationRef.current;
+        audio.startMusic({ stage: gameData.stage, isBoss: !!gameData.boss });
+        const unsubscribe = simulationRef.current.onEvent(audio.handleGameEvent);
+        return () => {
+            unsubscribe();
+            audio.stopMusic();
+        };
+    }, [gameState, isPaused]);
+
+    // --- Particles and Screen Shake While Playing ---
+    useEffect(() => {
+        if (gameState !== 'playing' || isPaused || settings.reducedMotion) return undefined;
+        const visualEffects = visualEffectsRef.current;
+        visualEffects.clear(); // Nothing carries over from the last run or attempt
+        return simulationRef.current.onEvent(visualEffects.handleGameEvent);
+    }, [gameState, isPaused, settings.reducedMotion]);
+
+    // --- Achievements While Playing ---
+    // One tracker follows the whole run, across pauses and stage clears; its play
+    // time is banked whenever play stops.
+    useEffect(() => {
+        if (gameState !== 'playing' || isPaused) return undefined;
+        const { gameData } = simulationRef.current;
+        if (!achievementTrackerRef.current || achievementTrackerRef.current.gameData !== gameData) {
+            const { unlocked, playedMs } = progressRef.current;
+            achievementTrackerRef.current = createAchievementTracker(gameData, { unlocked: Object.keys(unlocked), playedMs });
+        }
+        const tracker = achievementTrackerRef.current;
+        const unsubscribe = simulationRef.current.onEvent(tracker.handleGameEvent);
+        return () => {
+            unsubscribe();
+            updateProgress(addPlayedTime(progressRef.current, tracker.takePlayedMs()));
+        };
+    }, [gameState, isPaused, updateProgress]);
+
+    // --- Gameplay Telemetry (solo runs) ---
+    // One recorder per run, like the achievement tracker. Events wait in the
+    // local telemetry queue, which is sent whenever play stops.
+    useEffect(() => {
+        if (gameState !== 'playing' || isPaused || versusSessionRef.current) return undefined;
+        const { gameData } = simulationRef.current;
+        if (!telemetryRecorderRef.current || telemetryRecorderRef.current.gameData !== gameData) {
+            telemetryRecorderRef.current = createTelemetryRecorder(gameData, { record: queueTelemetryEvent, daily: Boolean(gameData.dailyKey), resumed: gameData.unranked === 'resumed' });
+        }
+        return simulationRef.current.onEvent(telemetryRecorderRef.current.handleGameEvent);
+    }, [gameState, isPaused]);
+
+    useEffect(() => {
+        if (!isPaused) return undefined;
+        const pausedAt = performance.now();
+        return () => {
+            const recorder = telemetryRecorderRef.current;
+            if (recorder && recorder.gameData === gameDataRef.current) recorder.recordPause(performance.now() - pausedAt);
+        };
+    }, [isPaused]);
+
+    useEffect(() => {
+        if (!isFieldState(gameState)) flushTelemetry();
+    }, [gameState, flushTelemetry]);
+
+    // --- Attach Input Sources While Playing ---
+    useEffect(() => {
+        if (gameState !== 'playing' || !canvasRef.current) return undefined;
+        const inputManager = createInputManager({
+            controls,
+            field: simulationRef.current.gameData,
+            sink: {
+                setTarget: (target) => simulationRef.current?.setTarget(target),
+                setDirection: (direction) => simulationRef.current?.setDirection(direction),
+            },
+        });
+        inputManager.attach(canvasRef.current);
+        inputManagerRef.current = inputManager;
+        return () => {
+            inputManager.detach();
+            inputManagerRef.current = null;
+        };
+    }, [gameState, controls]);
+
     // --- Handle Page Visibility to Pause Game ---
+    // Solo runs open the pause menu (and are saved); versus runs cannot wait for
+    // the player, so they only stop the loop while hidden.
     useEffect(() => {
         const handleVisibilityChange = () => {
-            if (document.hidden) {
+            if (document.hidden && FLOW_STATES[gameState].pausable && !versusSessionRef.current && gameDataRef.current.status === 'playing') {
+                saveRun(simulationRef.current);
+                setPaused(true);
+            } else if (document.hidden) {
                 // Tab is not visible, pause the game
                 if (gameLoopRef.current) {
                     cancelAnimationFrame(gameLoopRef.current);
                     gameLoopRef.current = null;
-                    if (gameDataRef.current && gameDataRef.current.status === 'playing') {
-                       gameDataRef.current.pauseStartTime = Date.now();
-                    }
                 }
             } else {
                 // Tab is visible, resume the game
-                if (gameState === 'playing' && !gameLoopRef.current) {
-                    if (gameDataRef.current && gameDataRef.current.pauseStartTime > 0) {
-                        const pausedDuration = Date.now() - gameDataRef.current.pauseStartTime;
-                        gameDataRef.current.totalPausedTime += pausedDuration;
-                        gameDataRef.current.pauseStartTime = 0;
-                    }
-                    lastFrameTimeRef.current = Date.now(); // Reset timer to prevent jump
+                if (gameState === 'playing' && !isPaused && !gameLoopRef.current) {
+                    simulationRef.current.resetClock(); // Hidden time never reaches the simulation
                     gameLoopRef.current = requestAnimationFrame(gameLoop);
                 }
             }
@@ -315,301 +625,464 @@ const Game = () => {
         return () => {
             document.removeEventListener('visibilitychange', handleVisibilityChange);
         };
-    }, [gameState, gameLoop]);
+    }, [gameState, isPaused, gameLoop, setPaused]);
 
+    // --- Pause Key (Esc, or P unless it is bound to movement) ---
+    useEffect(() => {
+        if (!FLOW_STATES[gameState].pausable || versusSessionRef.current) return undefined;
+        const isMovementKey = (code) => Object.values(controls.keyBindings).some(codes => codes.includes(code));
+        const handleKeyDown = (e) => {
+            if (e.code !== 'Escape' && (e.code !== 'KeyP' || isMovementKey(e.code))) return;
+            if (gameDataRef.current.status !== 'playing') return; // Dying
+            e.preventDefault();
+            if (isPaused) {
+                setPaused(false);
+            } else {
+                saveRun(simulationRef.current);
+                setPaused(true);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [gameState, isPaused, controls, setPaused]);
 
-    // --- Game Start Handler ---
-    const handleStartGame = (startStage = 1, isDebug = false) => {
-        const now = Date.now();
-        const duration = isDebug ? DEBUG_STAGE_DURATION : STAGE_DURATION;
-        
-        gameDataRef.current = {
-            player: { name: playerId, lives: 1, score: 0, x: GAME_WIDTH / 2 - PLAYER_SIZE / 2, y: GAME_HEIGHT - PLAYER_SIZE * 2, isInvincible: false, invincibleUntil: 0 },
-            bullets: [], items: [], mathGems: [], floatingTexts: [], status: 'playing',
-            gameStartTime: now, stageStartTime: now,
-            totalTime: 0, 
-            totalPausedTime: 0, 
-            pausedTimeAtStageStart: 0,
-            pauseStartTime: 0,
-            displayScore: 0, remainingTime: duration,
-            stage: startStage, stageDuration: duration,
-            width: GAME_WIDTH, height: GAME_HEIGHT,
-            lastBulletSpawn: now, lastHomingSpawn: now, lastSplitterSpawn: now, lastPatternSpawn: now,
-            nextItemSpawnTime: now + getRandom(5000, 10000),
+    // --- Save the Solo Run When the Page Goes Away (reload, closed tab) ---
+    // Not while dying: the finished run is no longer resumable.
+    useEffect(() => {
+        const hasRun = (isFieldState(gameState) && gameState !== 'dying') || gameState === 'stageResult';
+        if (!hasRun || versusSessionRef.current) return undefined;
+        const handlePageHide = () => saveRun(simulationRef.current);
+        window.addEventListener('pagehide', handlePageHide);
+        return () => window.removeEventListener('pagehide', handlePageHide);
+    }, [gameState]);
+
+
+    // --- Replay Playback Loop ---
+    useEffect(() => {
+        if (gameState !== 'replay' || !replayPlayerRef.current) return undefined;
+        let frameId;
+        let lastFrameTime = performance.now();
+        let lastViewUpdateTime = 0;
+
+        const replayLoop = (frameTime) => {
+            const replayPlayer = replayPlayerRef.current;
+            const { isPaused, speed } = replayControlsRef.current;
+            const elapsed = frameTime - lastFrameTime;
+            lastFrameTime = frameTime;
+
+            if (!isPaused && !replayPlayer.isFinished()) {
+                replayPositionRef.current = Math.min(replayPlayer.endTick, replayPositionRef.current + (elapsed / FIXED_TIMESTEP_MS) * speed);
+                replayPlayer.advanceTo(Math.floor(replayPositionRef.current));
+            }
+            if (canvasRef.current) {
+                draw(canvasRef.current.getContext('2d'), replayPlayer.gameData);
+            }
+            if (frameTime - lastViewUpdateTime > 100) {
+                setReplayView(view => ({ ...view, tick: replayPlayer.tick }));
+                lastViewUpdateTime = frameTime;
+            }
+            frameId = requestAnimationFrame(replayLoop);
         };
-        targetPositionRef.current = null;
-        setGameState('playing');
+
+        frameId = requestAnimationFrame(replayLoop);
+        return () => cancelAnimationFrame(frameId);
+    }, [gameState, draw]);
+
+    // --- Replay Handlers ---
+    const startReplay = (replay) => {
+        replayPlayerRef.current = createReplayPlayer(replay);
+        replayPositionRef.current = 0;
+        replayControlsRef.current = { isPaused: false, speed: 1 };
+        setReplayView({ tick: 0, endTick: replay.endTick, isPaused: false, speed: 1, returnState: gameState });
+        transitionTo('replay');
     };
-    
-    // --- Next Stage Handler ---
-    const handleNextStage = () => {
-        const now = Date.now();
-        const prevData = gameDataRef.current;
-        const nextStage = prevData.stage + 1;
-        const pausedDuration = prevData.pauseStartTime > 0 ? now - prevData.pauseStartTime : 0;
-        const newTotalPausedTime = prevData.totalPausedTime + pausedDuration;
-        
-        gameDataRef.current = {
-            ...prevData,
-            player: { ...prevData.player, isInvincible: false, invincibleUntil: 0 },
-            status: 'playing',
-            bullets: [], items: [], mathGems: [], floatingTexts: [],
-            stage: nextStage,
-            stageStartTime: now,
-            totalPausedTime: newTotalPausedTime,
-            pausedTimeAtStageStart: newTotalPausedTime,
-            pauseStartTime: 0,
-            remainingTime: prevData.stageDuration,
-            lastBulletSpawn: now, lastHomingSpawn: now, lastSplitterSpawn: now, lastPatternSpawn: now,
-            nextItemSpawnTime: now + getRandom(5000, 10000),
+
+    const handleWatchRankingReplay = async (ranking) => {
+        if (!ranking.replayId) return;
+        try {
+            const replaySnap = await getDoc(doc(getReplaysCollection(), ranking.replayId));
+            if (!replaySnap.exists()) return;
+            startReplay(decodeReplay(replaySnap.data().data));
+        } catch (error) {
+            console.error("Failed to load replay:", error);
+        }
+    };
+
+    const updateReplayControls = (changes) => {
+        replayControlsRef.current = { ...replayControlsRef.current, ...changes };
+        setReplayView(view => ({ ...view, ...changes }));
+    };
+
+    const handleReplaySeek = (tick) => {
+        replayPositionRef.current = tick;
+        replayPlayerRef.current.seek(tick);
+        setReplayView(view => ({ ...view, tick }));
+    };
+
+    const handleExitReplay = () => {
+        replayPlayerRef.current = null;
+        transitionTo(replayView.returnState);
+    };
+
+    // --- Versus Room Subscription, Presence Heartbeat ---
+    const versusCode = versusRoom ? versusRoom.code : null;
+    useEffect(() => {
+        if (!versusCode || !userId) return undefined;
+        const unsubscribe = versusRooms.watchRoom(versusCode, ({ room, players }) => {
+            if (versusSessionRef.current) versusSessionRef.current.setPlayers(players);
+            setVersusRoom(current => (current && current.code === versusCode ? { ...current, room, players } : current));
+        });
+        const heartbeat = setInterval(() => {
+            versusRooms.heartbeat({ code: versusCode, userId }).catch(error => console.error("Versus heartbeat failed:", error));
+        }, PRESENCE_INTERVAL_MS);
+        const handleUnload = () => {
+            versusRooms.leaveRoom({ code: versusCode, userId }); // Best effort; abandoned rooms are cleaned up later
         };
-        targetPositionRef.current = null;
-        setGameState('playing');
+        window.addEventListener('beforeunload', handleUnload);
+        return () => {
+            unsubscribe();
+            clearInterval(heartbeat);
+            window.removeEventListener('beforeunload', handleUnload);
+        };
+    }, [versusCode, userId]);
+
+    // --- Versus Countdown → Match Start (also starts rematches) ---
+    const versusStartAt = versusRoom && versusRoom.room && versusRoom.room.status === 'playing' ? versusRoom.room.startAt : null;
+    useEffect(() => {
+        if (!versusStartAt || versusStartAtRef.current === versusStartAt) return undefined;
+        const { room, players } = versusRoom;
+        const tickCountdown = () => {
+            const remaining = versusStartAt - Date.now();
+            if (remaining > 0) {
+                setVersusCountdown(Math.ceil(remaining / 1000));
+                return;
+            }
+            clearInterval(timer);
+            setVersusCountdown(null);
+            startVersusGame(room, players);
+        };
+        const timer = setInterval(tickCountdown, 100);
+        tickCountdown();
+        return () => clearInterval(timer);
+    }, [versusStartAt]); // Only a new start time (re)starts the countdown
+
+    // --- Versus Result: keep syncing until the opponent's fate is known ---
+    useEffect(() => {
+        if (gameState !== 'versusResult' || versusOutcome || !versusSessionRef.current) return undefined;
+        const timer = setInterval(() => {
+            const outcome = versusSessionRef.current.update();
+            if (outcome) setVersusOutcome(outcome);
+        }, STATE_SYNC_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [gameState, versusOutcome]);
+
+    // --- Versus Room Closed ---
+    useEffect(() => {
+        if (gameState === 'versusRoom' && versusRoom && versusRoom.room === null) {
+            setVersusRoom(null);
+            setVersusError(t('versus.roomClosed'));
+            transitionTo('lobby');
+        }
+    }, [gameState, versusRoom, transitionTo, t]);
+
+    // --- Versus Handlers ---
+    const enterVersusRoom = (code) => {
+        versusStartAtRef.current = null;
+        setVersusRoom({ code, room: undefined, players: {} }); // room stays undefined until the first snapshot
+        setVersusError('');
+        transitionTo('versusRoom');
     };
 
-    const handlePlayAgain = () => {
-        setGameState('lobby');
+    const handleCreateRoom = async () => {
+        if (!userId) return;
+        audioRef.current.unlock();
+        versusRooms.cleanupAbandonedRooms().catch(error => console.error("Failed to clean up versus rooms:", error));
+        try {
+            enterVersusRoom(await versusRooms.createRoom({ userId, name: playerId }));
+        } catch (error) {
+            console.error("Failed to create versus room:", error);
+            setVersusError(error.code === 'code-exhausted' ? t('versus.errors.code-exhausted') : t('versus.createFailed'));
+        }
+    };
+
+    const handleJoinRoom = async () => {
+        audioRef.current.unlock();
+        const code = normalizeRoomCode(versusCodeInput);
+        if (!userId || !code) return;
+        try {
+            enterVersusRoom(await versusRooms.joinRoom({ code, userId, name: playerId }));
+        } catch (error) {
+            console.error("Failed to join versus room:", error);
+            setVersusError(error.name === 'VersusRoomError' ? t(`versus.errors.${error.code}`) : t('versus.joinFailed'));
+        }
+    };
+
+    const handleStartMatch = async () => {
+        try {
+            await versusRooms.startMatch({ code: versusRoom.code, userId, seed: createRandomSeed() });
+        } catch (error) {
+            console.error("Failed to start versus match:", error);
+            setVersusError(error.name === 'VersusRoomError' ? t(`versus.errors.${error.code}`) : t('versus.startFailed'));
+        }
+    };
+
+    const startVersusGame = (room, players) => {
+        versusStartAtRef.current = room.startAt;
+        simulationRef.current = createSimulation({
+            seed: room.seed,
+            playerName: playerId,
+            clock: () => performance.now(),
+        });
+        gameDataRef.current = simulationRef.current.gameData;
+        versusSessionRef.current = createVersusSession({ rooms: versusRooms, code: room.code, userId, simulation: simulationRef.current, room, players });
+        setVersusOutcome(null);
+        setVersusError('');
+        transitionTo('playing'); // Versus runs skip the intro and countdown: the room counted down already
+    };
+
+    const handleLeaveRoom = () => {
+        versusRooms.leaveRoom({ code: versusRoom.code, userId }).catch(error => console.error("Failed to leave versus room:", error));
+        versusSessionRef.current = null;
+        simulationRef.current = null;
         gameDataRef.current = null;
-        fetchRankings();
+        setVersusRoom(null);
+        setVersusOutcome(null);
+        setVersusCountdown(null);
+        transitionTo('lobby');
     };
-    
-    // --- Input Handlers for Click-to-Move ---
-    const updateTargetPosition = useCallback((e) => {
-        if (!canvasRef.current) return;
-        const canvas = canvasRef.current;
-        const rect = canvas.getBoundingClientRect();
-        
-        const scaleX = canvas.width / rect.width;
-        const scaleY = canvas.height / rect.height;
-
-        const touch = e.touches ? e.touches[0] : e;
-        const canvasX = (touch.clientX - rect.left) * scaleX;
-        const canvasY = (touch.clientY - rect.top) * scaleY;
-
-        targetPositionRef.current = { x: canvasX, y: canvasY };
-    }, []);
 
-    const handlePointerDown = useCallback((e) => {
-        e.preventDefault();
-        isPointerDownRef.current = true;
-        updateTargetPosition(e);
-    }, [updateTargetPosition]);
+    // --- Class Session: follow the joined class's locks and its end ---
+    const classCode = classSession ? classSession.code : null;
+    useEffect(() => {
+        if (!classCode) return undefined;
+        return classSessions.watchSession(classCode, (session) => {
+            setClassSession(current => (current && current.code === classCode ? { ...current, session } : current));
+        });
+    }, [classCode]);
+
+    // Locks only apply, and runs only go to the class, while it is open
+    const classLocks = classSession && classSession.session && classSession.session.status === 'open' ? classSession.session.locks : null;
+    const classStageSet = useMemo(() => getLockedStageSet(classLocks), [classLocks]);
+
+    const handleJoinClass = async () => {
+        const code = normalizeRoomCode(classCodeInput);
+        if (!userId || !code) return;
+        try {
+            const session = await classSessions.joinSession({ code, userId, name: playerId });
+            saveJoinedClassCode(code);
+            setClassSession({ code, session });
+            setClassCodeInput('');
+            setClassError('');
+        } catch (error) {
+            console.error("Failed to join class session:", error);
+            setClassError(error.name === 'ClassSessionError' ? t(`class.errors.${error.code}`) : t('class.joinFailed'));
+        }
+    };
+
+    const handleLeaveClass = () => {
+        saveJoinedClassCode(null);
+        setClassSession(null);
+    };
+
+    // --- Game Start Handler ---
+    // Every solo stage opens with its intro card, then the countdown
+    const showStageIntro = () => {
+        const { gameData } = simulationRef.current;
+        setStageIntro(describeStage(gameData.stageSet, gameData.stage));
+        transitionTo('stageIntro');
+    };
+
+    const startRun = (options) => {
+        audioRef.current.unlock(); // The click is the user gesture browsers require
+        simulationRef.current = createSimulation({ ...options, playerName: playerId, clock: () => performance.now() });
+        gameDataRef.current = simulationRef.current.gameData;
+        clearSavedRun();
+        setSavedRun(null);
+        showStageIntro();
+    };
+
+    // In an open class the teacher's locks win over the lobby picks, and runs from
+    // stage 1 are sent to the class. Class runs share one leaderboard, so they are
+    // classic runs on the portrait field (see classroom/classes.js).
+    const handleStartGame = (startStage = 1, stageSet = DEFAULT_STAGE_SET) => {
+        startRun({ seed: createRandomSeed(), startStage, stageSet: classStageSet || stageSet, mode: classLocks ? 'classic' : gameMode, curriculum: classLocks?.curriculum || curriculum, ...FIELD_SIZES[classLocks ? 'portrait' : fieldShape] });
+        if (classLocks && startStage === 1) gameDataRef.current.classCode = classCode;
+    };
+
+    // The day's seed on the ranked settings, whatever is picked in the lobby
+    const handleStartDailyChallenge = () => {
+        const dailyKey = getDailyKey();
+        startRun({ seed: getDailySeed(dailyKey) });
+        gameDataRef.current.dailyKey = dailyKey;
+    };
 
-    const handlePointerMove = useCallback((e) => {
-        e.preventDefault();
-        if (isPointerDownRef.current) {
-            updateTargetPosition(e);
+    // --- Pause Menu and Saved Runs ---
+    const handlePause = () => {
+        if (!FLOW_STATES[gameState].pausable || gameDataRef.current.status !== 'playing') return;
+        saveRun(simulationRef.current);
+        setPaused(true);
+    };
+
+    // Back to the stage's first tick, counted down like any other start
+    const handleRestartStage = () => {
+        simulationRef.current.restartStage();
+        setShowSettings(false);
+        if (gameState === 'countdown') setPaused(false); // Resuming restarts the countdown
+        else transitionTo('countdown');
+    };
+
+    const handleQuitRun = () => {
+        if (telemetryRecorderRef.current && telemetryRecorderRef.current.gameData === gameDataRef.current) telemetryRecorderRef.current.recordQuit();
+        clearSavedRun();
+        setSavedRun(null);
+        setShowSettings(false);
+        handlePlayAgain();
+    };
+
+    // Resumes with a countdown, so the player can get ready before bullets move
+    const handleResumeSavedRun = () => {
+        audioRef.current.unlock();
+        simulationRef.current = createSimulation({ gameData: savedRun.gameData, stageStartSnapshot: savedRun.stageStartSnapshot, clock: () => performance.now() });
+        const { gameData } = simulationRef.current;
+        gameDataRef.current = gameData;
+        gameData.unranked = 'resumed';
+        if (gameData.status === 'stageClear') {
+            setStageResult(buildStageResult(JSON.parse(simulationRef.current.getStageStartSnapshot()), gameData));
+            transitionTo('stageResult');
+        } else {
+            transitionTo('countdown');
         }
-    }, [updateTargetPosition]);
+    };
 
-    const handlePointerUp = useCallback((e) => {
-        e.preventDefault();
-        isPointerDownRef.current = false;
-    }, []);
+    const handleDiscardSavedRun = () => {
+        clearSavedRun();
+        setSavedRun(null);
+    };
 
+    // --- Next Stage Handler ---
+    const handleNextStage = () => {
+        simulationRef.current.nextStage();
+        showStageIntro();
+    };
+
+    const handlePlayAgain = () => {
+        transitionTo('lobby');
+        simulationRef.current = null;
+        gameDataRef.current = null;
+    };
+    
     // --- Render Functions ---
-    const renderLobby = () => ( <div className="w-full max-w-sm text-center bg-gray-800 p-8 rounded-xl shadow-lg"> <h1 className="text-4xl font-bold text-green-400 mb-2">봄바르딜로 크로코딜러를 구해줘</h1> <p className="text-gray-300 mb-8">v3.21 DudItem</p> <div className="mb-4 mt-8"> <p className="text-gray-400">플레이어 ID:</p> <p className="text-lg font-bold text-white">{playerId}</p> </div> <div className="space-y-4 mt-8"> <button onClick={() => handleStartGame(1, false)} className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-3 px-4 rounded-lg text-xl transition-transform transform hover:scale-105"> 게임 시작 </button> <div className="pt-4"> <h3 className="text-lg text-yellow-400 mb-2">[디버그: 스테이지 선택 (15초)]</h3> <div className="grid grid-cols-3 gap-2"> {[1, 2, 3, 4, 5, 6].map(stage => ( <button key={stage} onClick={() => handleStartGame(stage, true)} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-3 rounded-lg"> S{stage} </button> ))} </div> </div> </div> <div className="mt-10"> <h2 className="text-2xl font-bold text-yellow-400 mb-4">🏆 학교 랭킹 🏆</h2> <div className="bg-gray-900 rounded-lg p-4 max-h-48 overflow-y-auto"> {rankings.length > 0 ? ( <ul className="space-y-2"> {rankings.map((r, index) => ( <li key={r.id} className={`flex justify-between items-center p-2 rounded ${index === 0 ? 'bg-yellow-500 text-gray-900 font-bold' : 'bg-gray-700'}`}> <span>{index + 1}. {r.playerId}</span> <span>{r.score} 점</span> </li> ))} </ul> ) : <p className="text-gray-400">랭킹을 불러오는 중...</p>} </div> </div> </div> );
-    const renderGameOver = () => ( <div className="w-full max-w-sm text-center bg-gray-800 p-10 rounded-xl shadow-lg"> <h1 className="text-5xl font-bold text-red-500 mb-4">게임 오버</h1> <div className="bg-gray-700 p-4 rounded-lg mb-6"> <h2 className="text-xl text-yellow-400 mb-2">최종 점수</h2> {gameDataRef.current && <p className="text-2xl text-white font-bold">{Math.floor(gameDataRef.current.finalScore) || 0} 점</p>} </div> <div className="mt-6"> <h3 className="text-xl font-bold text-yellow-400 mb-2">🏆 Top 3 🏆</h3> <div className="space-y-2 text-white"> {rankings.slice(0, 3).map((r, i) => ( <div key={r.id} className="flex justify-between p-2 bg-gray-700 rounded-lg"> <span>{i+1}. {r.playerId}</span> <span>{r.score} 점</span> </div> ))} </div> </div> <button onClick={handlePlayAgain} className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-3 px-4 rounded-lg text-xl transition-transform transform hover:scale-105 mt-8"> 로비로 돌아가기 </button> </div> );
-    const renderStageClear = () => ( <div className="w-full max-w-sm text-center bg-gray-800 p-10 rounded-xl shadow-lg flex flex-col items-center"> <h1 className="text-3xl font-bold text-green-400 mb-8"> 🐊 스테이지 클리어! 🐊 </h1> <p className="text-xl text-white mb-4"> 클리어한 스테이지: <span className="font-bold text-yellow-400">{gameDataRef.current?.stage}</span> </p> <button onClick={handleNextStage} className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-4 rounded-lg text-xl transition-transform transform hover:scale-105"> 다음 스테이지 진행하기 </button> </div> );
+    const todayDailyKey = getDailyKey();
+    const dailyStreak = getDailyStreak(Object.keys(dailyHistory), todayDailyKey);
+    const renderLobby = () => ( <div className="w-full max-w-sm text-center bg-gray-800 p-8 rounded-xl shadow-lg"> <h1 className="text-4xl font-bold text-green-400 mb-2">{t('lobby.title')}</h1> <p className="text-gray-300 mb-4">v3.21 DudItem</p> <div className="flex justify-center gap-2 mb-4 text-sm" role="group" aria-label={t('lobby.language')}> {Object.entries(LOCALES).map(([id, { label }]) => ( <button key={id} onClick={() => handleLanguageChange(id)} lang={id} className={`py-1 px-3 rounded-lg ${translator.locale === id ? 'bg-yellow-500 text-gray-900 font-bold' : 'bg-gray-700 text-white'}`}> {label} </button> ))} </div> {!isOnline && <p className="text-yellow-400 text-sm">{t('lobby.offline')}</p>} {queuedScoreCount > 0 && <p className="text-yellow-400 text-sm">{t('lobby.queuedScores', { count: queuedScoreCount })}</p>} <div className="mb-4 mt-8"> <p className="text-gray-400">{hasProfile ? t('lobby.playerName') : t('lobby.playerId')}</p> <p className="text-lg font-bold text-white">{playerId}</p> <button onClick={() => setShowProfileEditor(show => !show)} disabled={!userId} className="text-sm text-green-400 underline disabled:opacity-50"> {hasProfile ? t('lobby.renameProfile') : t('lobby.createProfile')} </button> {showProfileEditor && <div className="mt-2"> <ProfileEditor currentName={playerId} hasProfile={hasProfile} onSaved={handleProfileSaved} /> </div>} <Link href="/profile" className="block text-sm text-yellow-400 underline mt-1"> {t('lobby.profileLink', { unlocked: Object.keys(progress.unlocked).length, total: Object.keys(ACHIEVEMENTS).length })} </Link> </div> <div className="space-y-4 mt-8"> {savedRun && <div className="bg-gray-700 p-3 rounded-lg"> <h3 className="text-yellow-400 font-bold mb-1">{t('lobby.savedRunTitle')}</h3> <p className="text-gray-300 text-sm mb-2">S{savedRun.gameData.stage} · ⭐ {formatNumber(Math.floor(savedRun.gameData.displayScore))} · {formatDate(savedRun.savedAt)}</p> <div className="grid grid-cols-2 gap-2"> <button onClick={handleResumeSavedRun} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-3 rounded-lg"> {t('lobby.resumeSavedRun')} </button> <button onClick={handleDiscardSavedRun} className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-3 rounded-lg"> {t('lobby.discardSavedRun')} </button> </div> </div>} <div className="grid grid-cols-2 gap-2"> {Object.keys(GAME_MODES).map(mode => ( <button key={mode} onClick={() => setGameMode(mode)} disabled={Boolean(classLocks) && mode !== 'classic'} className={`py-2 rounded-lg font-bold disabled:opacity-50 ${(classLocks ? 'classic' : gameMode) === mode ? 'bg-yellow-500 text-gray-900' : 'bg-gray-700 text-white'}`}> {mode === 'classic' ? t('lobby.rankedMode', { mode: t(`modes.${mode}`) }) : t('common.unranked', { label: t(`modes.${mode}`) })} </button> ))} </div> {gameMode !== 'classic' && !classLocks && <p className="text-gray-400 text-sm">{t('lobby.powerUpHint', { count: GAME_MODES[gameMode].startingLives })}</p>} <label className="flex items-center gap-2 text-gray-300 text-sm"> <span className="shrink-0">{t('lobby.curriculum')}</span> <select value={classLocks?.curriculum || curriculum} onChange={e => setCurriculum(e.target.value)} disabled={Boolean(classLocks?.curriculum)} className="flex-1 min-w-0 bg-gray-700 text-white px-2 py-2 rounded-lg disabled:opacity-75"> {Object.keys(CURRICULA).map(id => <option key={id} value={id}>{id === DEFAULT_CURRICULUM ? t(`curricula.${id}`) : t('common.unranked', { label: t(`curricula.${id}`) })}</option>)} </select> </label> {canUseLandscape && <div className="grid grid-cols-2 gap-2"> {Object.keys(FIELD_SIZES).map(shape => ( <button key={shape} onClick={() => setFieldShape(shape)} disabled={Boolean(classLocks) && shape !== 'portrait'} className={`py-2 rounded-lg text-sm font-bold disabled:opacity-50 ${(classLocks ? 'portrait' : fieldShape) === shape ? 'bg-yellow-500 text-gray-900' : 'bg-gray-700 text-white'}`}> {shape === 'portrait' ? t('lobby.portraitField') : t('lobby.landscapeField')} </button> ))} </div>} <button onClick={() => handleStartGame()} className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-3 px-4 rounded-lg text-xl transition-transform transform hover:scale-105"> {t('lobby.startGame')} </button> <div className="pt-2"> <button onClick={() => setShowSettings(show => !show)} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg"> {t('common.settings')} </button> {showSettings && <div className="mt-2"> <SettingsPanel settings={settings} onChange={handleSettingsChange} controls={controls} onControlsChange={handleControlsChange} /> </div>} </div> <div className="pt-4"> <h3 className="text-lg text-yellow-400 mb-2">{t('daily.title')}</h3> <p className="text-gray-300 text-sm mb-2">{t('daily.description')} {dailyStreak > 0 && <span className="text-orange-400 font-bold">{t('daily.streak', { count: dailyStreak })}</span>} {dailyHistory[todayDailyKey] !== undefined && <span>{t('daily.todayBest', { score: dailyHistory[todayDailyKey] })}</span>}</p> <button onClick={handleStartDailyChallenge} className="w-full bg-orange-500 hover:bg-orange-600 text-white font-bold py-2 px-4 rounded-lg"> {t('daily.start')} </button> <div className="mt-2"> <DailyChallengeBoard userId={userId} refreshKey={rankingsVersion} onWatchReplay={handleWatchRankingReplay} /> </div> </div> <div className="pt-4"> <h3 className="text-lg text-yellow-400 mb-2">{t('class.title')}</h3> {classSession ? <div className="bg-gray-700 p-3 rounded-lg"> <p className="text-white font-bold">{classSession.session ? classSession.session.name : t('class.defaultName')} <span className="font-mono text-gray-400">{classSession.code}</span></p> <p className="text-gray-300 text-sm">{classSession.session === undefined ? t('class.loading') : classSession.session === null ? t('class.notFound') : classLocks ? t('class.open') : t('class.ended')}</p> {classLocks?.curriculum && <p className="text-gray-300 text-sm">{t('class.lockedCurriculum', { curriculum: t(`curricula.${classLocks.curriculum}`) })}</p>} {classStageSet && <p className="text-gray-300 text-sm">{t('class.lockedStageSet', { stageSet: classStageSet.id === DEFAULT_STAGE_SET.id ? t('common.defaultStageSet') : classStageSet.name || classStageSet.id })}</p>} <button onClick={handleLeaveClass} className="text-sm text-green-400 underline mt-1"> {t('class.leave')} </button> </div> : <> <div className="flex gap-2"> <input value={classCodeInput} onChange={e => setClassCodeInput(e.target.value)} placeholder={t('class.codePlaceholder')} maxLength={5} className="flex-1 min-w-0 bg-gray-700 text-white uppercase tracking-widest text-center px-3 py-2 rounded-lg" /> <button onClick={handleJoinClass} disabled={!userId || !isOnline || !classCodeInput.trim()} className="bg-gray-600 hover:bg-gray-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg"> {t('common.join')} </button> </div> {classError && <p className="text-red-400 text-sm mt-2">{classError}</p>} </>} <Link href="/teacher" className="block text-sm text-yellow-400 underline mt-2"> {t('class.teacherLink')} </Link> </div> <div className="pt-4"> <h3 className="text-lg text-yellow-400 mb-2">{t('versus.title')}</h3> <button onClick={handleCreateRoom} disabled={!userId || !isOnline} className="w-full bg-red-500 hover:bg-red-600 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg"> {t('versus.createRoom')} </button> <div className="flex gap-2 mt-2"> <input value={versusCodeInput} onChange={e => setVersusCodeInput(e.target.value)} placeholder={t('versus.roomCode')} maxLength={5} className="flex-1 min-w-0 bg-gray-700 text-white uppercase tracking-widest text-center px-3 py-2 rounded-lg" /> <button onClick={handleJoinRoom} disabled={!userId || !isOnline || !versusCodeInput.trim()} className="bg-gray-600 hover:bg-gray-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg"> {t('common.join')} </button> </div> {versusError && <p className="text-red-400 text-sm mt-2">{versusError}</p>} </div> <div className="pt-4"> <h3 className="text-lg text-yellow-400 mb-2">{t('customStages.title')}</h3> {classStageSet ? <p className="text-gray-400 text-sm mb-2">{t('customStages.lockedByClass')}</p> : customStageSet ? ( <> <p className="text-gray-300 mb-2">{customStageSet.name || customStageSet.id}</p> <div className="grid grid-cols-3 gap-2"> {[...customStageSet.stages.map((_, i) => i + 1), customStageSet.stages.length + 1].map(stage => ( <button key={stage} onClick={() => handleStartGame(stage, customStageSet)} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-3 rounded-lg"> {stage > customStageSet.stages.length ? '∞' : `S${stage}`} </button> ))} </div> </> ) : <p className="text-gray-400 text-sm mb-2">{t('customStages.none')}</p>} <div className="grid grid-cols-2 gap-2 mt-2"> <label className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-3 rounded-lg cursor-pointer"> {t('customStages.importFile')} <input type="file" accept="application/json,.json" onChange={handleImportStageSet} className="hidden" /> </label> <Link href="/editor" className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-3 rounded-lg"> {t('customStages.editor')} </Link> </div> {customStageErrors.length > 0 && <div className="text-left text-red-400 text-xs font-mono mt-2"> {customStageErrors.map((error, i) => <p key={i}>{error}</p>)} </div>} </div> </div> <div className="mt-10"> <h2 className="text-2xl font-bold text-yellow-400 mb-4">{t('rankings.schoolTitle')}</h2> <RankingBoard userId={userId} refreshKey={rankingsVersion} onWatchReplay={handleWatchRankingReplay} /> </div> </div> );
+    const renderGameOver = () => ( <div className="w-full max-w-sm text-center bg-gray-800 p-10 rounded-xl shadow-lg"> <h1 className="text-5xl font-bold text-red-500 mb-4">{t('gameOver.title')}</h1> <div className="bg-gray-700 p-4 rounded-lg mb-6"> <h2 className="text-xl text-yellow-400 mb-2">{t('gameOver.finalScore')}</h2> {gameDataRef.current && <p className="text-2xl text-white font-bold">{t('common.points', { points: Math.floor(gameDataRef.current.finalScore) || 0 })}</p>} {gameDataRef.current?.unranked && <p className="text-gray-400 text-sm mt-1">{t(gameDataRef.current.unranked === 'resumed' ? 'gameOver.unrankedResumed' : 'gameOver.unrankedRestarted')}</p>} {gameDataRef.current?.classCode && !gameDataRef.current.unranked && <p className="text-green-400 text-sm mt-1">{t('gameOver.sentToClass')}</p>} </div> {gameDataRef.current && <LearningReport learning={gameDataRef.current.learning} />} <div className="mt-6"> {gameDataRef.current?.dailyKey ? <> <h3 className="text-xl font-bold text-yellow-400 mb-2">{t('daily.rankingTitle')}</h3> <DailyChallengeBoard userId={userId} refreshKey={rankingsVersion} onWatchReplay={handleWatchRankingReplay} /> </> : <> <h3 className="text-xl font-bold text-yellow-400 mb-2">{t('rankings.title')}</h3> <RankingBoard userId={userId} refreshKey={rankingsVersion} onWatchReplay={handleWatchRankingReplay} /> </>} </div> {lastReplayRef.current && <button onClick={() => startReplay(lastReplayRef.current)} className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg mt-8"> {t('replay.watchMine')} </button>} <button onClick={handlePlayAgain} className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-3 px-4 rounded-lg text-xl transition-transform transform hover:scale-105 mt-4"> {t('gameOver.backToLobby')} </button> </div> );
+    const renderStageResult = () => ( <div className="w-full max-w-sm text-center bg-gray-800 p-10 rounded-xl shadow-lg flex flex-col items-center"> <h1 className="text-3xl font-bold text-green-400 mb-6"> {t('stageResult.title', { stage: stageResult.stage })} </h1> <div className="w-full mb-6"> <StageResultCard result={stageResult} /> </div> <button onClick={handleNextStage} className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-4 rounded-lg text-xl transition-transform transform hover:scale-105"> {t('stageResult.nextStage')} </button> </div> );
     const renderGame = () => (
-        <div className="flex flex-col items-center w-full h-full max-w-md mx-auto">
+        <div className={`relative flex flex-col items-center w-full h-full mx-auto ${isLandscapeField(simulationRef.current.gameData) ? 'max-w-3xl' : 'max-w-md'}`}>
             <div className="w-full bg-gray-900 text-white p-2 rounded-t-lg flex justify-around items-center font-mono text-base">
                 <span>🔥 S{uiData.stage}</span>
-                <span>⏰ {uiData.stage > 5 ? '∞' : (uiData.time || 0)}</span>
+                <span>⏰ {uiData.isEndless ? '∞' : (uiData.time || 0)}</span>
                 <span className="w-28 text-right">⭐ {uiData.score || 0}</span>
+                {!uiData.opponent && <button onClick={handlePause} className="px-2 rounded bg-gray-700 hover:bg-gray-600" aria-label={t('hud.pause')}>⏸</button>}
             </div>
+            {uiData.boss && (
+                <div className="w-full bg-red-900 text-white px-2 py-1 flex justify-center gap-2 font-mono text-sm">
+                    <span>{uiData.boss.emoji} {uiData.boss.name}</span>
+                    <span>{t('hud.bossPhase', { phase: uiData.boss.phase, count: uiData.boss.phaseCount })}</span>
+                </div>
+            )}
+            {uiData.maxLives > 1 && (
+                <div className="w-full bg-gray-900 text-white px-2 pb-1 flex justify-center gap-1 text-sm">
+                    {Array.from({ length: uiData.maxLives }, (_, i) => <span key={i} className={i < uiData.lives ? '' : 'opacity-25'}>❤️</span>)}
+                </div>
+            )}
+            {uiData.effects.length > 0 && (
+                <div className="w-full bg-gray-900 px-2 pb-2 space-y-1">
+                    {uiData.effects.map(effect => (
+                        <div key={effect.type} className="flex items-center gap-2 text-xs text-white">
+                            <span className="w-20 truncate">{ITEM_TYPES[effect.type].emoji} {t(`items.${effect.type}`)}{effect.stacks > 1 ? ` ×${effect.stacks + 1}` : ''}</span>
+                            <div className="flex-1 h-2 bg-gray-700 rounded">
+                                <div className="h-2 rounded" style={{ width: `${Math.min(100, (effect.remaining / effect.duration) * 100)}%`, backgroundColor: ITEM_TYPES[effect.type].color }} />
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {uiData.opponent && (
+                <div className="w-full bg-gray-800 text-gray-300 px-2 py-1 flex justify-around items-center font-mono text-sm">
+                    <span>{uiData.opponent.alive ? '👻' : '💀'} {uiData.opponent.name}</span>
+                    <span>S{uiData.opponent.stage}</span>
+                    <span>⭐ {uiData.opponent.score}</span>
+                </div>
+            )}
             <canvas 
                 ref={canvasRef}
-                width={GAME_WIDTH}
-                height={GAME_HEIGHT}
                 className="border-4 border-gray-600 w-full rounded-b-lg"
-                style={{ touchAction: 'none' }}
-                onMouseDown={handlePointerDown}
-                onMouseMove={handlePointerMove}
-                onMouseUp={handlePointerUp}
-                onMouseLeave={handlePointerUp}
-                onTouchStart={handlePointerDown}
-                onTouchMove={handlePointerMove}
-                onTouchEnd={handlePointerUp}
-                onTouchCancel={handlePointerUp}
+                style={{ touchAction: 'none', aspectRatio: getFieldAspectRatio(simulationRef.current.gameData) }}
             />
+            {gameState === 'stageIntro' && stageIntro && <StageIntroCard intro={stageIntro} onSkip={() => transitionTo('countdown')} />}
+            {gameState === 'countdown' && !isPaused && (
+                <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+                    <span className="text-8xl font-bold text-yellow-400 drop-shadow-lg">{countdown}</span>
+                </div>
+            )}
+            {isPaused && (
+                <div className="absolute inset-0 bg-black/70 rounded-lg flex flex-col items-center justify-center p-4 overflow-y-auto">
+                    <h2 className="text-3xl font-bold text-white mb-6">{t('pause.title')}</h2>
+                    <div className="w-full max-w-xs space-y-2">
+                        <button onClick={() => setPaused(false)} className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-3 px-4 rounded-lg text-xl"> {t('pause.resume')} </button>
+                        <button onClick={handleRestartStage} className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg"> {t('pause.restartStage')} </button>
+                        <button onClick={() => setShowSettings(show => !show)} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg"> {t('common.settings')} </button>
+                        {showSettings && <SettingsPanel settings={settings} onChange={handleSettingsChange} controls={controls} onControlsChange={handleControlsChange} />}
+                        <button onClick={handleQuitRun} className="w-full bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-4 rounded-lg"> {t('pause.quit')} </button>
+                    </div>
+                    <p className="text-gray-400 text-sm mt-4">{t('pause.hint')}</p>
+                </div>
+            )}
         </div>
     );
 
-    return (
-        <div className="w-screen h-screen bg-black text-white flex flex-col items-center justify-center p-2 sm:p-4 font-sans">
-            {gameState === 'lobby' && renderLobby()}
-            {gameState === 'playing' && renderGame()}
-            {gameState === 'gameOver' && renderGameOver()}
-            {gameState === 'stageClear' && renderStageClear()}
+    const renderVersusPlayers = () => ( <ul className="space-y-2"> {Object.entries(versusRoom.players).map(([id, p]) => ( <li key={id} className="flex justify-between items-center p-2 rounded bg-gray-700"> <span>{versusRoom.room && versusRoom.room.hostId === id ? '👑 ' : ''}{p.name}{id === userId ? t('versus.me') : ''}</span> <span className="text-sm">{isPlayerConnected(p, Date.now()) ? (p.alive ? `⭐ ${p.score}` : '💀') : t('versus.disconnected')}</span> </li> ))} </ul> );
+    const renderVersusRoom = () => ( <div className="w-full max-w-sm text-center bg-gray-800 p-8 rounded-xl shadow-lg"> <h1 className="text-3xl font-bold text-red-400 mb-2">{t('versus.roomTitle')}</h1> <p className="text-gray-400">{t('versus.roomCode')}</p> <p className="text-4xl font-mono font-bold tracking-widest text-white mb-6">{versusRoom.code}</p> {renderVersusPlayers()} {Object.keys(versusRoom.players).length < 2 && <p className="text-gray-400 mt-4">{t('versus.waitingForOpponent')}</p>} {versusCountdown !== null ? <p className="text-5xl font-bold text-yellow-400 mt-6">{versusCountdown}</p> : versusRoom.room && versusRoom.room.hostId === userId ? <button onClick={handleStartMatch} disabled={Object.keys(versusRoom.players).length < 2} className="w-full bg-green-500 hover:bg-green-600 disabled:opacity-50 text-white font-bold py-3 px-4 rounded-lg text-xl mt-6"> {t('versus.start')} </button> : <p className="text-gray-400 mt-6">{t('versus.waitingForHost')}</p>} {versusError && <p className="text-red-400 text-sm mt-2">{versusError}</p>} <button onClick={handleLeaveRoom} className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg mt-4"> {t('versus.leave')} </button> </div> );
+    const renderVersusResult = () => ( <div className="w-full max-w-sm text-center bg-gray-800 p-10 rounded-xl shadow-lg"> <h1 className={`text-5xl font-bold mb-4 ${versusOutcome === 'win' ? 'text-yellow-400' : versusOutcome === 'lose' ? 'text-red-500' : 'text-white'}`}>{versusOutcome ? t(`versus.outcomes.${versusOutcome}`) : '...'}</h1> {!versusOutcome && <p className="text-gray-400 mb-4">{t('versus.waitingForResult')}</p>} <div className="bg-gray-700 p-4 rounded-lg mb-6"> <h2 className="text-xl text-yellow-400 mb-2">{t('versus.myScore')}</h2> {gameDataRef.current && <p className="text-2xl text-white font-bold">{t('common.points', { points: Math.floor(gameDataRef.current.displayScore) || 0 })}</p>} </div> {versusRoom && renderVersusPlayers()} {versusCountdown !== null && <p className="text-5xl font-bold text-yellow-400 mt-6">{versusCountdown}</p>} {versusOutcome && versusCountdown === null && versusRoom && versusRoom.room && versusRoom.room.hostId === userId && <button onClick={handleStartMatch} disabled={Object.keys(versusRoom.players).length < 2} className="w-full bg-green-500 hover:bg-green-600 disabled:opacity-50 text-white font-bold py-3 px-4 rounded-lg text-xl mt-6"> {t('versus.rematch')} </button>} {versusError && <p className="text-red-400 text-sm mt-2">{versusError}</p>} {lastReplayRef.current && <button onClick={() => startReplay(lastReplayRef.current)} className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg mt-4"> {t('replay.watchMine')} </button>} <button onClick={handleLeaveRoom} className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg mt-4"> {t('versus.leave')} </button> </div> );
+    const renderReplay = () => (
+        <div className={`flex flex-col items-center w-full h-full mx-auto ${isLandscapeField(replayPlayerRef.current.gameData) ? 'max-w-3xl' : 'max-w-md'}`}>
+            <div className="w-full bg-gray-900 text-white p-2 rounded-t-lg flex justify-between items-center font-mono text-base">
+                <span>🎬 S{replayPlayerRef.current?.gameData.stage}</span>
+                <span>{(replayView.tick / TICKS_PER_SECOND).toFixed(1)}s / {(replayView.endTick / TICKS_PER_SECOND).toFixed(1)}s</span>
+                <button onClick={handleExitReplay} className="bg-gray-600 hover:bg-gray-700 px-2 rounded"> {t('replay.close')} </button>
+            </div>
+            <canvas ref={canvasRef} className="border-4 border-gray-600 w-full" style={{ aspectRatio: getFieldAspectRatio(replayPlayerRef.current.gameData) }} />
+            <div className="w-full bg-gray-900 text-white p-2 rounded-b-lg space-y-2">
+                <input type="range" min={0} max={replayView.endTick} value={replayView.tick} onChange={e => handleReplaySeek(Number(e.target.value))} className="w-full" />
+                <div className="flex justify-between items-center">
+                    <button onClick={() => updateReplayControls({ isPaused: !replayView.isPaused })} className="bg-blue-500 hover:bg-blue-600 font-bold py-1 px-3 rounded"> {replayView.isPaused ? t('replay.play') : t('replay.pause')} </button>
+                    <div className="flex gap-1">
+                        {REPLAY_SPEEDS.map(speed => (
+                            <button key={speed} onClick={() => updateReplayControls({ speed })} className={`py-1 px-2 rounded ${replayView.speed === speed ? 'bg-yellow-500 text-gray-900 font-bold' : 'bg-gray-600'}`}> {speed}x </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
         </div>
     );
-};
-
-
-// --- Helper functions (moved outside component for clarity) ---
-
-function updateGameLogic(gameData, now, deltaTime) {
-    let { player } = gameData;
-    
-    const currentStagePausedTime = gameData.totalPausedTime - gameData.pausedTimeAtStageStart;
-    const timeInStageMs = (now - gameData.stageStartTime) - currentStagePausedTime;
-    const timeInStageSec = timeInStageMs / 1000;
-
-    if (timeInStageSec >= gameData.stageDuration && gameData.stage < 6) {
-        gameData.status = 'stageClear';
-        gameData.remainingTime = 0;
-        gameData.pauseStartTime = now;
-        return;
-    }
-    
-    const effectiveElapsedTime = (now - gameData.gameStartTime) - gameData.totalPausedTime;
-    gameData.totalTime = Math.floor(effectiveElapsedTime / 1000);
-    gameData.displayScore = player.score + effectiveElapsedTime * 0.01;
-    gameData.remainingTime = gameData.stageDuration - Math.floor(timeInStageSec);
-
-    const bulletsToSplit = [];
-    gameData.bullets = gameData.bullets.filter(b => {
-        if (b.isSplitter && now >= b.splitAt) {
-            bulletsToSplit.push(b);
-            return false;
-        }
-        return true;
-    });
-    bulletsToSplit.forEach(b => spawnCrossPattern(gameData, b.x, b.y, 150));
-
-    gameData.bullets = gameData.bullets.map(b => {
-        if (b.isHoming && player.lives > 0) {
-            const angle = Math.atan2(player.y - b.y, player.x - b.x);
-            b.dx += Math.cos(angle) * 3 * deltaTime;
-            b.dy += Math.sin(angle) * 3 * deltaTime;
-        }
-        return { ...b, x: b.x + b.dx * deltaTime, y: b.y + b.dy * deltaTime };
-    }).filter(b => b.x > -BULLET_SIZE && b.x < gameData.width && b.y > -BULLET_SIZE && b.y < gameData.height);
-
-    generateBullets(gameData, now, timeInStageSec);
 
-    if (now > gameData.nextItemSpawnTime) {
-        const itemTypes = ['shield', '꽝', 'clear'];
-        gameData.items.push({
-            id: `i_${now}`, type: itemTypes[Math.floor(Math.random() * itemTypes.length)],
-            x: getRandom(50, gameData.width - 50), y: getRandom(50, gameData.height - 50),
-            expiresAt: now + ITEM_LIFESPAN
-        });
-        gameData.nextItemSpawnTime = now + getRandom(5000, 10000);
-    }
-    gameData.items = gameData.items.filter(i => i.expiresAt > now);
-    gameData.mathGems = gameData.mathGems.filter(s => s.expiresAt > now);
-    if (gameData.mathGems.length === 0) {
-        gameData.mathGems.push(createMathGem(now, gameData.width, gameData.height));
-    }
-    gameData.floatingTexts = gameData.floatingTexts.filter(ft => ft.expiresAt > now);
-
-    if (player.lives > 0 && !player.isInvincible) {
-        const playerHitbox = { x: player.x + PLAYER_HITBOX_PADDING, y: player.y + PLAYER_HITBOX_PADDING, width: PLAYER_SIZE - 2 * PLAYER_HITBOX_PADDING, height: PLAYER_SIZE - 2 * PLAYER_HITBOX_PADDING };
-        for (const bullet of gameData.bullets) {
-            if (playerHitbox.x < bullet.x + BULLET_SIZE && playerHitbox.x + playerHitbox.width > bullet.x &&
-                playerHitbox.y < bullet.y + BULLET_SIZE && playerHitbox.y + playerHitbox.height > bullet.y) {
-                player.lives = 0;
-                player.isInvincible = true;
-                player.invincibleUntil = now + 2000;
-                break;
-            }
-        }
-    }
-    
-    gameData.items = gameData.items.filter(item => {
-        if (player.lives > 0 && player.x < item.x + ITEM_SIZE && player.x + PLAYER_SIZE > item.x && player.y < item.y + ITEM_SIZE && player.y + PLAYER_SIZE > item.y) {
-            switch(item.type) {
-                case 'shield': player.isInvincible = true; player.invincibleUntil = now + 5000; break;
-                case 'clear': gameData.bullets = []; break;
-                default: break; // '꽝' item has no effect
-            }
-            return false;
-        }
-        return true;
-    });
-
-    gameData.mathGems = gameData.mathGems.filter(gem => {
-        if (player.lives > 0 && player.x < gem.x + ITEM_SIZE * 1.5 && player.x + PLAYER_SIZE > gem.x && player.y < gem.y + ITEM_SIZE * 1.5 && player.y + PLAYER_SIZE > gem.y) {
-            let scoreChange = 0;
-            switch(gem.operator) {
-                case '+': scoreChange = gem.value1 + gem.value2; break;
-                case '-': scoreChange = gem.value1 - gem.value2; break;
-                case '*': scoreChange = gem.value1 * gem.value2; break;
-                case '/': scoreChange = gem.value2 !== 0 ? gem.value1 / gem.value2 : 0; break;
-                default: break;
-            }
-            player.score += scoreChange;
-            player.score = Math.max(0, player.score);
-            gameData.floatingTexts.push({
-                id: `ft_${now}`, text: `${scoreChange >= 0 ? '+' : ''}${Math.floor(scoreChange)}`,
-                x: player.x, y: player.y, expiresAt: now + 1500
-            });
-            return false;
-        }
-        return true;
-    });
-    
-    if (player.isInvincible && now > player.invincibleUntil) {
-        player.isInvincible = false;
-        player.invincibleUntil = 0;
-    }
-
-    if (player.lives <= 0) {
-        gameData.status = 'gameOver';
-        const finalElapsedTime = now - gameData.gameStartTime - gameData.totalPausedTime;
-        const finalTotalTime = Math.floor(finalElapsedTime / 1000);
-        gameData.finalScore = player.score + (finalTotalTime * 10);
-    }
-}
-
-const createMathGem = (now, width, height) => {
-    const operators = ['+', '-', '*', '/'];
-    const operator = operators[Math.floor(Math.random() * operators.length)];
-    let value1 = Math.floor(getRandom(-9, 10));
-    let value2 = Math.floor(getRandom(-9, 10));
-    if (operator === '/' && value2 === 0) { value2 = 1; }
-    const text = `${value1}${operator === '*' ? '×' : operator}${value2}`;
-    return { id: `g_${now}`, x: getRandom(50, width - 50), y: getRandom(50, height - 50), expiresAt: now + GEM_LIFESPAN, operator, value1, value2, text };
+    return (
+        <LocaleProvider translator={translator}>
+            <div className="w-screen h-screen bg-black text-white flex flex-col items-center justify-center p-2 sm:p-4 font-sans">
+                {gameState === 'lobby' && renderLobby()}
+                {isFieldState(gameState) && renderGame()}
+                {gameState === 'gameOver' && renderGameOver()}
+                {gameState === 'stageResult' && stageResult && renderStageResult()}
+                {gameState === 'replay' && renderReplay()}
+                {gameState === 'versusRoom' && versusRoom && renderVersusRoom()}
+                {gameState === 'versusResult' && renderVersusResult()}
+                <AchievementToasts toasts={achievementToasts} />
+            </div>
+        </LocaleProvider>
+    );
 };
 
-const spawnSideBullet = (gameData, speed, isSplitter = false) => {
-    const b = { id: `b_${Date.now()}_${getRandom(0,999)}`, x: 0, y: 0, dx: 0, dy: 0, isSplitter: isSplitter, splitAt: isSplitter ? Date.now() + getRandom(1000, 2000) : 0 };
-    const side = Math.floor(getRandom(0, 4));
-    switch (side) {
-        case 0: b.x = getRandom(0, gameData.width); b.y = -BULLET_SIZE; break;
-        case 1: b.x = gameData.width; b.y = getRandom(0, gameData.height); break;
-        case 2: b.x = getRandom(0, gameData.width); b.y = gameData.height; break;
-        case 3: b.x = -BULLET_SIZE; b.y = getRandom(0, gameData.height); break;
-        default: break;
-    }
-    const targetX = getRandom(0, gameData.width);
-    const targetY = getRandom(0, gameData.height);
-    let dx = targetX - b.x;
-    let dy = targetY - b.y;
-    const magnitude = Math.sqrt(dx * dx + dy * dy);
-    if (magnitude > 0) { b.dx = (dx / magnitude) * speed; b.dy = (dy / magnitude) * speed; } 
-    else { b.dx = 0; b.dy = speed; }
-    gameData.bullets.push(b);
-};
-const spawnCrossPattern = (gameData, x, y, speed) => { for(let i=0; i<4; i++) { const a = (Math.PI / 2) * i; gameData.bullets.push({ id: `b_${Date.now()}_split_${i}`, x, y, dx: Math.cos(a) * speed, dy: Math.sin(a) * speed }); } };
-const spawnAimedBullet = (gameData, speed) => { const { player } = gameData; const x = getRandom(0, 1) > 0.5 ? -BULLET_SIZE : gameData.width + BULLET_SIZE, y = getRandom(0, gameData.height); const a = Math.atan2(player.y - y, player.x - x); gameData.bullets.push({ id: `b_${Date.now()}_aim`, x, y, dx: Math.cos(a) * speed, dy: Math.sin(a) * speed }); };
-const spawnHomingBullet = (gameData, speed) => { const x = getRandom(0, 1) > 0.5 ? -BULLET_SIZE : gameData.width + BULLET_SIZE, y = getRandom(0, gameData.height); gameData.bullets.push({ id: `b_${Date.now()}_homing`, x, y, dx: (x > 0 ? -speed : speed), dy: 0, isHoming: true }); };
-const spawnImpossibleWallPattern = (gameData, speed, timeInStage) => { const side = Math.floor(getRandom(0, 4)); const isSecondHalf = timeInStage >= 30; const currentSpeed = speed * (isSecondHalf ? 1.5 : 1.0); const gapSize = PLAYER_SIZE * 2.2; const gapPosition = getRandom(PLAYER_SIZE, gameData.width - PLAYER_SIZE - gapSize); for (let i = 0; i < gameData.width; i += BULLET_SIZE * 1.5) { if (i > gapPosition && i < gapPosition + gapSize) continue; let b = { id: `b_${Date.now()}_${i}`, x: 0, y: 0, dx: 0, dy: 0 }; if (side < 2) { b.x = i; b.y = (side === 0 ? -BULLET_SIZE : gameData.height + BULLET_SIZE); b.dy = (side === 0 ? currentSpeed : -currentSpeed); } else { b.x = (side === 2 ? -BULLET_SIZE : gameData.width + BULLET_SIZE); b.y = i; b.dx = (side === 2 ? currentSpeed : -currentSpeed); } gameData.bullets.push(b); } };
-
-const generateBullets = (gameData, now, timeInStage) => {
-    const { stage, lastBulletSpawn, lastHomingSpawn, lastSplitterSpawn, lastPatternSpawn, stageDuration } = gameData;
-    let speed;
-    switch(stage) {
-        case 1: speed = 108; const stage1Interval = 1000 - (timeInStage / stageDuration) * 800; if (now - lastBulletSpawn > Math.max(200, stage1Interval)) { spawnSideBullet(gameData, speed); gameData.lastBulletSpawn = now; } break;
-        case 2: speed = 120; if (now - lastBulletSpawn > 700) { spawnSideBullet(gameData, speed); gameData.lastBulletSpawn = now; } if (now - lastHomingSpawn > 3000) { spawnHomingBullet(gameData, speed * 0.7); gameData.lastHomingSpawn = now; } break;
-        case 3: speed = 132; if (now - lastBulletSpawn > 700) { spawnSideBullet(gameData, speed); gameData.lastBulletSpawn = now; } if (now - lastSplitterSpawn > 3000) { spawnSideBullet(gameData, speed, true); gameData.lastSplitterSpawn = now; } break;
-        case 4: speed = 150; if (now - lastBulletSpawn > 600) { spawnSideBullet(gameData, speed); gameData.lastBulletSpawn = now; } if (now - lastHomingSpawn > 2800) { spawnHomingBullet(gameData, speed * 0.75); gameData.lastHomingSpawn = now; } if (now - lastSplitterSpawn > 2500) { spawnSideBullet(gameData, speed, true); gameData.lastSplitterSpawn = now; } break;
-        case 5: speed = 228; if (now - lastBulletSpawn > 400) { spawnSideBullet(gameData, speed); gameData.lastBulletSpawn = now; } if (now - lastPatternSpawn > 5000) { spawnImpossibleWallPattern(gameData, 150, timeInStage); gameData.lastPatternSpawn = now; } break;
-        default: const infiniteBonus = (stage - 6) * 50; const spawnInterval = 300 - infiniteBonus; speed = 240 + (stage - 6) * 12; if (now - lastBulletSpawn > Math.max(50, spawnInterval)) { spawnSideBullet(gameData, speed, true); if(Math.random() < 0.2) spawnAimedBullet(gameData, speed); if(Math.random() < 0.1) spawnHomingBullet(gameData, speed * 0.8); gameData.lastBulletSpawn = now; } break;
-    }
-};
 
 // --- Main Page Export ---
 export default function BombardilloCrocodilloPage() {
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { onAuthStateChanged } from "firebase/auth";
+
+import { db, auth, appId } from '../lib/firebase';
+import { ACHIEVEMENTS } from '../lib/progress/achievements';
+import { DEFAULT_PROGRESS, createProgressStore, loadLocalProgress, saveLocalProgress, selectSkin } from '../lib/progress/progress';
+import { SKINS, isSkinUnlocked } from '../lib/progress/skins';
+import { useLocaleTranslator } from '../components/LocaleProvider';
+
+const progressStore = createProgressStore(db, appId);
+
+const formatPlayedTime = (ms, t) => {
+    const minutes = Math.floor(ms / 60000);
+    return minutes >= 60 ? t('profilePage.hoursMinutes', { hours: Math.floor(minutes / 60), minutes: minutes % 60 }) : t('profilePage.minutes', { minutes });
+};
+
+const UNLOCKED_AT_FORMAT = { year: 'numeric', month: 'numeric', day: 'numeric' };
+
+// --- Profile Page (achievements, play time and skins) ---
+// Shows this browser's progress straight away and the merged copy once the
+// signed-in player's stored progress has loaded. Signing in is left to the lobby.
+const ProfilePage = () => {
+    const [progress, setProgress] = useState(DEFAULT_PROGRESS);
+    const [userId, setUserId] = useState(null);
+    const { t, formatDate } = useLocaleTranslator(progress.language);
+
+    useEffect(() => {
+        setProgress(loadLocalProgress());
+        return onAuthStateChanged(auth, (user) => {
+            if (!user) return;
+            setUserId(user.uid);
+            progressStore.sync(user.uid, loadLocalProgress())
+                .then(setProgress)
+                .catch(error => console.error("Failed to sync progress:", error));
+        });
+    }, []);
+
+    const handleSelectSkin = (skin) => {
+        const nextProgress = selectSkin(progress, skin);
+        setProgress(nextProgress);
+        saveLocalProgress(nextProgress);
+        if (userId) progressStore.save(userId, nextProgress).catch(error => console.error("Failed to save progress:", error));
+    };
+
+    const unlockedCount = Object.keys(progress.unlocked).length;
+
+    return (
+        <div className="min-h-screen bg-black text-white p-4 font-sans">
+            <div className="max-w-md mx-auto space-y-4">
+                <div className="flex justify-between items-center">
+                    <h1 className="text-3xl font-bold text-green-400">{t('profilePage.title')}</h1>
+                    <Link href="/" className="text-gray-400 hover:text-white"> {t('common.backToLobby')} </Link>
+                </div>
+                <p className="text-gray-300">{t('profilePage.playedTime')} <span className="font-bold text-white">{formatPlayedTime(progress.playedMs, t)}</span> · {t('profilePage.achievements')} <span className="font-bold text-white">{unlockedCount}/{Object.keys(ACHIEVEMENTS).length}</span></p>
+
+                <div className="bg-gray-800 rounded-xl p-4">
+                    <h2 className="text-xl font-bold text-yellow-400 mb-3">{t('profilePage.achievementsTitle')}</h2>
+                    <ul className="space-y-2">
+                        {Object.entries(ACHIEVEMENTS).map(([id, achievement]) => {
+                            const unlockedAt = progress.unlocked[id];
+                            return (
+                                <li key={id} className={`flex items-center gap-3 p-2 rounded bg-gray-700 ${unlockedAt ? '' : 'opacity-50'}`}>
+                                    <span className="text-2xl">{unlockedAt ? achievement.emoji : '🔒'}</span>
+                                    <div className="flex-1">
+                                        <p className="font-bold">{t(`achievements.list.${id}.label`)}</p>
+                                        <p className="text-sm text-gray-300">{t(`achievements.list.${id}.description`)}</p>
+                                    </div>
+                                    {unlockedAt && <span className="text-xs text-gray-400">{formatDate(unlockedAt, UNLOCKED_AT_FORMAT)}</span>}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </div>
+
+                <div className="bg-gray-800 rounded-xl p-4">
+                    <h2 className="text-xl font-bold text-yellow-400 mb-3">{t('profilePage.skinsTitle')}</h2>
+                    <div className="grid grid-cols-3 gap-2">
+                        {Object.entries(SKINS).map(([id, skin]) => {
+                            const isUnlocked = isSkinUnlocked(progress, id);
+                            return (
+                                <button key={id} onClick={() => handleSelectSkin(id)} disabled={!isUnlocked}
+                                    className={`flex flex-col items-center p-2 rounded-lg disabled:opacity-40 ${progress.skin === id ? 'bg-yellow-500 text-gray-900 font-bold' : 'bg-gray-700 text-white'}`}>
+                                    <span className="text-3xl">{skin.emoji}</span>
+                                    <span className="text-sm">{t(`skins.${id}`)}</span>
+                                    {!isUnlocked && <span className="text-xs">🔒 {t(`achievements.list.${skin.unlockedBy}.label`)}</span>}
+                                </button>
+                            );
+                        })}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ProfilePage;
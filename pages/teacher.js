@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { onAuthStateChanged, signInAnonymously } from "firebase/auth";
+
+import { db, auth, appId } from '../lib/firebase';
+import { CURRICULA } from '../lib/game/curricula';
+import { DEFAULT_STAGE_SET } from '../lib/game/stages';
+import { readStageSetFile } from '../lib/customStages';
+import { formatSurvivalTime } from '../lib/rankings/boards';
+import { NO_LOCKS, createClassLocks, getLockedStageSet } from '../lib/classroom/classes';
+import { buildClassLeaderboard, downloadClassResults, formatAccuracy } from '../lib/classroom/results';
+import { createClassSessions } from '../lib/classroom/sessions';
+import { loadHostedClassCode, saveHostedClassCode } from '../lib/classroom/storedClass';
+
+const classSessions = createClassSessions(db, appId);
+
+const formatAttemptTime = (createdAt) => (createdAt ? createdAt.toDate().toLocaleTimeString() : '');
+
+// --- Class Lock Pickers (math curriculum and stage set) ---
+// `uploadedStageSet` is a custom set the teacher picked from a file.
+const ClassLockPicker = ({ locks, uploadedStageSet, onChange, onImportStageSet }) => {
+    const lockedStageSet = getLockedStageSet(locks);
+    const customStageSet = uploadedStageSet || (lockedStageSet && lockedStageSet.id !== DEFAULT_STAGE_SET.id ? lockedStageSet : null);
+    const stageSetsById = { [DEFAULT_STAGE_SET.id]: DEFAULT_STAGE_SET, ...(customStageSet ? { [customStageSet.id]: customStageSet } : {}) };
+
+    return (
+        <div className="space-y-2 text-sm">
+            <label className="flex items-center gap-2 text-gray-300">
+                <span className="shrink-0 w-24">🧮 수학 문제</span>
+                <select value={locks.curriculum || ''} onChange={e => onChange(createClassLocks({ curriculum: e.target.value || null, stageSet: lockedStageSet }))} className="flex-1 min-w-0 bg-gray-700 text-white px-2 py-2 rounded-lg">
+                    <option value="">학생이 고르기</option>
+                    {Object.entries(CURRICULA).map(([id, { label }]) => <option key={id} value={id}>🔒 {label}</option>)}
+                </select>
+            </label>
+            <label className="flex items-center gap-2 text-gray-300">
+                <span className="shrink-0 w-24">🗺️ 스테이지</span>
+                <select value={locks.stageSetId || ''} onChange={e => onChange(createClassLocks({ curriculum: locks.curriculum, stageSet: stageSetsById[e.target.value] || null }))} className="flex-1 min-w-0 bg-gray-700 text-white px-2 py-2 rounded-lg">
+                    <option value="">학생이 고르기</option>
+                    {Object.values(stageSetsById).map(stageSet => <option key={stageSet.id} value={stageSet.id}>🔒 {stageSet.id === DEFAULT_STAGE_SET.id ? '기본 스테이지' : stageSet.name || stageSet.id}</option>)}
+                </select>
+            </label>
+            <label className="block text-center bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-3 rounded-lg cursor-pointer">
+                커스텀 스테이지 파일 불러오기
+                <input type="file" accept="application/json,.json" onChange={onImportStageSet} className="hidden" />
+            </label>
+        </div>
+    );
+};
+
+// --- Teacher Page (class sessions and the live class leaderboard) ---
+// Opens a class session students join with its code, then follows their
+// verified runs as they come in. Closing the session exports the results.
+const TeacherPage = () => {
+    const [userId, setUserId] = useState(null);
+    const [classCode, setClassCode] = useState(null); // The session this teacher is running
+    const [session, setSession] = useState(undefined); // undefined until the first snapshot, null once gone
+    const [classData, setClassData] = useState({ students: {}, results: [] });
+    const [className, setClassName] = useState('');
+    const [draftLocks, setDraftLocks] = useState(NO_LOCKS); // Locks for the next session
+    const [uploadedStageSet, setUploadedStageSet] = useState(null);
+    const [expandedUserId, setExpandedUserId] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setClassCode(loadHostedClassCode());
+        return onAuthStateChanged(auth, (user) => {
+            if (user) setUserId(user.uid);
+            else signInAnonymously(auth).catch(signInError => console.error("Failed to sign in:", signInError));
+        });
+    }, []);
+
+    useEffect(() => {
+        if (!classCode) return undefined;
+        setSession(undefined);
+        const unsubscribeSession = classSessions.watchSession(classCode, setSession);
+        const unsubscribeClass = classSessions.watchClass(classCode, setClassData);
+        return () => {
+            unsubscribeSession();
+            unsubscribeClass();
+        };
+    }, [classCode]);
+
+    const leaderboard = buildClassLeaderboard(classData.students, classData.results);
+    const isOwnSession = session && session.teacherId === userId;
+
+    const handleImportStageSet = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            setUploadedStageSet(await readStageSetFile(file));
+            setError('');
+        } catch (importError) {
+            setError(`스테이지 파일 오류: ${(importError.errors || [importError.message]).join(', ')}`);
+        }
+    };
+
+    const handleCreateSession = async () => {
+        if (!userId || !className.trim()) return;
+        try {
+            const code = await classSessions.createSession({ userId, name: className.trim(), locks: draftLocks });
+            saveHostedClassCode(code);
+            setClassData({ students: {}, results: [] });
+            setClassCode(code);
+            setError('');
+        } catch (createError) {
+            console.error("Failed to create class session:", createError);
+            setError(createError.name === 'ClassSessionError' ? createError.message : '수업을 열지 못했습니다.');
+        }
+    };
+
+    const handleUpdateLocks = (locks) => {
+        classSessions.updateLocks({ code: classCode, locks }).catch(updateError => {
+            console.error("Failed to update class locks:", updateError);
+            setError('설정을 바꾸지 못했습니다.');
+        });
+    };
+
+    const handleCloseSession = async () => {
+        try {
+            await classSessions.closeSession({ code: classCode });
+            downloadClassResults(session, leaderboard);
+        } catch (closeError) {
+            console.error("Failed to close class session:", closeError);
+            setError('수업을 끝내지 못했습니다.');
+        }
+    };
+
+    const handleNewSession = () => {
+        saveHostedClassCode(null);
+        setClassCode(null);
+        setSession(undefined);
+        setExpandedUserId(null);
+    };
+
+    const renderCreateForm = () => (
+        <div className="bg-gray-800 rounded-xl p-4 space-y-3">
+            <h2 className="text-xl font-bold text-yellow-400">새 수업 열기</h2>
+            <input value={className} onChange={e => setClassName(e.target.value)} placeholder="수업 이름 (예: 3학년 2반)" maxLength={30} className="w-full bg-gray-700 text-white px-3 py-2 rounded-lg" />
+            <ClassLockPicker locks={draftLocks} uploadedStageSet={uploadedStageSet} onChange={setDraftLocks} onImportStageSet={handleImportStageSet} />
+            <button onClick={handleCreateSession} disabled={!userId || !className.trim()} className="w-full bg-green-500 hover:bg-green-600 disabled:opacity-50 text-white font-bold py-3 px-4 rounded-lg text-xl"> 수업 열기 </button>
+        </div>
+    );
+
+    const renderAttempts = (row) => (
+        <ul className="mt-2 space-y-1 text-xs text-gray-300">
+            {row.attempts.map((attempt, index) => (
+                <li key={attempt.id} className="flex justify-between">
+                    <span>{index + 1}회 · {formatAttemptTime(attempt.createdAt)}</span>
+                    <span>{attempt.score}점 · S{attempt.stage} · {formatSurvivalTime(attempt.survivalTime)} · 💎 {attempt.gemsHelped}/{attempt.gemsCollected}</span>
+                </li>
+            ))}
+        </ul>
+    );
+
+    const renderLeaderboard = () => (
+        <div className="bg-gray-800 rounded-xl p-4">
+            <h2 className="text-xl font-bold text-yellow-400 mb-3">🏆 우리 반 랭킹 <span className="text-sm text-gray-400">학생 {leaderboard.length}명 · {classData.results.length}판</span></h2>
+            {leaderboard.length === 0 ? <p className="text-gray-400">학생들이 수업 코드로 참가하면 여기에 나타납니다</p> : (
+                <ul className="space-y-2">
+                    {leaderboard.map((row, index) => (
+                        <li key={row.userId} className="p-2 rounded bg-gray-700">
+                            <button onClick={() => setExpandedUserId(expandedUserId === row.userId ? null : row.userId)} disabled={row.attempts.length === 0} className="w-full flex justify-between items-center text-left">
+                                <span>{row.attempts.length > 0 ? `${index + 1}. ` : ''}{row.name}<br /><span className="text-xs opacity-75">{row.attempts.length}판 · 정답률 {formatAccuracy(row.accuracy)}</span></span>
+                                <span>{row.bestScore === null ? '기록 없음' : `${row.bestScore} 점 · S${row.bestStage}`}</span>
+                            </button>
+                            {expandedUserId === row.userId && renderAttempts(row)}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+
+    const renderSession = () => (
+        <>
+            <div className="bg-gray-800 rounded-xl p-4 text-center">
+                <p className="text-gray-400">{session.name} · 수업 코드</p>
+                <p className="text-5xl font-mono font-bold tracking-widest text-white">{session.code}</p>
+                {session.status === 'open' ? <p className="text-green-400 text-sm mt-1">학생들은 로비의 [🏫 우리 반 수업]에서 이 코드로 참가해요</p> : <p className="text-gray-400 text-sm mt-1">끝난 수업입니다</p>}
+            </div>
+            {session.status === 'open' && isOwnSession && (
+                <div className="bg-gray-800 rounded-xl p-4">
+                    <h2 className="text-xl font-bold text-yellow-400 mb-3">🔒 수업 설정</h2>
+                    <ClassLockPicker locks={session.locks} uploadedStageSet={uploadedStageSet} onChange={handleUpdateLocks} onImportStageSet={handleImportStageSet} />
+                </div>
+            )}
+            {renderLeaderboard()}
+            {session.status === 'open' && isOwnSession
+                ? <button onClick={handleCloseSession} className="w-full bg-red-500 hover:bg-red-600 text-white font-bold py-3 px-4 rounded-lg"> 수업 끝내기 (결과 CSV 내려받기) </button>
+                : <button onClick={() => downloadClassResults(session, leaderboard)} className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"> 결과 CSV 내려받기 </button>}
+            {session.status !== 'open' && <button onClick={handleNewSession} className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg"> 새 수업 열기 </button>}
+        </>
+    );
+
+    return (
+        <div className="min-h-screen bg-black text-white p-4 font-sans">
+            <div className="max-w-md mx-auto space-y-4">
+                <div className="flex justify-between items-center">
+                    <h1 className="text-3xl font-bold text-green-400">🧑‍🏫 선생님</h1>
+                    <Link href="/" className="text-gray-400 hover:text-white"> ← 로비 </Link>
+                </div>
+                {!classCode || session === null ? renderCreateForm() : session === undefined ? <p className="text-gray-400">수업을 불러오는 중...</p> : renderSession()}
+                {error && <p className="text-red-400 text-sm">{error}</p>}
+            </div>
+        </div>
+    );
+};
+
+export default TeacherPage;
@@ -0,0 +1,82 @@
+// --- Service Worker ---
+// Keeps the game playable offline. Pages are network-first with a short timeout
+// (flaky Wi-Fi often connects but never answers) and fall back to the cache;
+// hashed Next.js assets never change, so they are served cache-first. API
+// routes and Firebase traffic are never cached.
+//
+// The page registers this worker with its Next.js build id (/sw.js?build=...),
+// so every deploy installs a new worker with its own cache, and activating it
+// drops the previous deploy's cache along with its hashed assets.
+
+const BUILD_ID = new URL(self.location.href).searchParams.get('build') || 'unversioned';
+const CACHE_NAME = `croco-${BUILD_ID}`;
+// /admin is left out: its dashboard is only useful online
+const PRECACHE_URLS = ['/', '/editor', '/profile', '/teacher', '/manifest.json', '/icons/icon-192.png', '/icons/icon-512.png'];
+const NETWORK_TIMEOUT_MS = 3000;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The first visit loads its assets before this worker controls the page, so the
+// page reports them here to be cached too
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'CACHE_URLS') {
+        event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(event.data.urls)).catch(() => {}));
+    }
+});
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Network timeout')), ms);
+    promise.then(
+        (value) => { clearTimeout(timer); resolve(value); },
+        (error) => { clearTimeout(timer); reject(error); }
+    );
+});
+
+const networkFirst = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await withTimeout(fetch(request), NETWORK_TIMEOUT_MS);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        return cached || (await cache.match('/')) || Response.error();
+    }
+};
+
+const cacheFirst = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.pathname.startsWith('/_next/static/')) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
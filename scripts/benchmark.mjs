@@ -0,0 +1,27 @@
+// Headless simulation benchmark: `npm run bench [-- --stage 12 --seconds 60 --seed 3]`
+// `npm run bench -- --verify` times verifying the longest run the server accepts
+import { runSimulationBenchmark, runVerificationBenchmark } from '../lib/game/benchmark.js';
+import { TICKS_PER_SECOND } from '../lib/game/constants.js';
+import { MAX_RUN_TICKS } from '../lib/game/verification.js';
+
+const getArg = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : Number(process.argv[index + 1]);
+};
+
+const seconds = getArg('seconds', 30);
+const seed = getArg('seed', 1);
+const stages = process.argv.includes('--stage') ? [getArg('stage', 10)] : [10, 12, 15];
+
+if (process.argv.includes('--verify')) {
+    const result = runVerificationBenchmark({ seed, ticks: MAX_RUN_TICKS });
+    console.log(`verify ${result.ticks} ticks (reached stage ${result.stage}) | ${Math.round(result.elapsedMs)} ms`);
+} else {
+    stages.forEach(stage => {
+        const result = runSimulationBenchmark({ seed, stage, ticks: seconds * TICKS_PER_SECOND });
+        console.log(
+            `stage ${String(stage).padStart(2)} | ${result.msPerTick.toFixed(4)} ms/tick | slowest ${result.slowestTickMs.toFixed(2)} ms`
+            + ` | bullets avg ${Math.round(result.averageBullets)}, peak ${result.peakBullets}`,
+        );
+    });
+}
@@ -0,0 +1,23 @@
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const isProjectFile = (url) => url.startsWith('file:') && !url.includes('/node_modules/');
+
+export const resolve = async (specifier, context, nextResolve) => {
+    const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (isRelative && !/\.[cm]?js$|\.json$/.test(specifier)) {
+        return nextResolve(`${specifier}.js`, context);
+    }
+    return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+    if (isProjectFile(url) && url.endsWith('.json')) {
+        const json = await readFile(fileURLToPath(url), 'utf8');
+        return { format: 'module', source: `export default ${json};`, shortCircuit: true };
+    }
+    if (isProjectFile(url) && url.endsWith('.js')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+};
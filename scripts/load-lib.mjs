@@ -0,0 +1,6 @@
+// Lets plain Node import lib/ the way Next bundles it: extensionless relative
+// imports, ES modules in .js files and JSON default imports.
+// Usage: node --import ./scripts/load-lib.mjs <script>
+import { register } from 'node:module';
+
+register('./load-lib-hooks.mjs', import.meta.url);
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { BULLET_SIZE } from '../lib/game/constants';
+import { acquireBullet } from '../lib/game/bulletPool';
+import { createGameData, getPlayerHitbox } from '../lib/game/simulation';
+import { createAchievementTracker } from '../lib/progress/achievements';
+import { mergeProgress, recordUnlocks } from '../lib/progress/progress';
+
+const emit = (tracker, gameData, type, detail = {}) => tracker.handleGameEvent({ type, time: gameData.time, ...detail });
+
+describe('achievement tracker', () => {
+    it('unlocks the gem streak on the tenth good gem in a row', () => {
+        const gameData = createGameData({ seed: 1 });
+        const tracker = createAchievementTracker(gameData);
+        for (let i = 0; i < 9; i++) emit(tracker, gameData, 'gem', { value: 3 });
+        emit(tracker, gameData, 'gem', { value: -2 });
+        for (let i = 0; i < 9; i++) emit(tracker, gameData, 'gem', { value: 3 });
+        assert.deepEqual(tracker.update(), []);
+        emit(tracker, gameData, 'gem', { value: 3 });
+        assert.deepEqual(tracker.update(), ['gemStreak']);
+    });
+
+    it('unlocks clearing stage 5 only without a shield picked up in that stage', () => {
+        const withShield = createGameData({ seed: 1, startStage: 5 });
+        const shielded = createAchievementTracker(withShield);
+        emit(shielded, withShield, 'item', { itemType: 'shield' });
+        emit(shielded, withShield, 'stageClear');
+        assert.deepEqual(shielded.update(), []);
+
+        const bare = createGameData({ seed: 1, startStage: 5 });
+        const tracker = createAchievementTracker(bare);
+        emit(tracker, bare, 'stageClear');
+        assert.deepEqual(tracker.update(), ['bareStage5']);
+    });
+
+    it('unlocks a close wall when a wall passes within 5px of the hitbox', () => {
+        [[3, ['closeWall']], [8, []]].forEach(([margin, expected]) => {
+            const gameData = createGameData({ seed: 1 });
+            const hitbox = getPlayerHitbox(gameData.player);
+            const centerX = hitbox.x + hitbox.width / 2;
+            const bullet = acquireBullet('b_wall_test', centerX - BULLET_SIZE / 2 - 5, hitbox.y - margin - BULLET_SIZE, 150, 0);
+            bullet.kind = 'wall';
+            gameData.bullets = [bullet];
+            const tracker = createAchievementTracker(gameData);
+            tracker.update();
+            bullet.x += 10; // Now past the player's center
+            assert.deepEqual(tracker.update(), expected, `margin ${margin}`);
+        });
+    });
+
+    it('does not unlock an achievement the player already has', () => {
+        const gameData = createGameData({ seed: 1 });
+        const tracker = createAchievementTracker(gameData, { unlocked: ['gemStreak'] });
+        for (let i = 0; i < 10; i++) emit(tracker, gameData, 'gem', { value: 3 });
+        assert.deepEqual(tracker.update(), []);
+    });
+
+    it('counts play time toward the lifetime milestone', () => {
+        const gameData = createGameData({ seed: 1 });
+        const tracker = createAchievementTracker(gameData, { playedMs: 60 * 60 * 1000 - 500 });
+        gameData.time += 400;
+        assert.deepEqual(tracker.update(), []);
+        gameData.time += 100;
+        assert.deepEqual(tracker.update(), ['playtimeHour']);
+        assert.equal(tracker.takePlayedMs(), 500);
+        assert.equal(tracker.takePlayedMs(), 0);
+    });
+});
+
+describe('mergeProgress', () => {
+    it('keeps every unlock at its earliest time and the larger play time', () => {
+        const local = recordUnlocks({ unlocked: { closeWall: 50 }, playedMs: 1000, skin: 'snake', language: 'en', updatedAt: 0 }, ['gemStreak'], 300);
+        const remote = { unlocked: { closeWall: 20, bareStage5: 10 }, playedMs: 4000, skin: 'dragon', language: null, updatedAt: 200 };
+        assert.deepEqual(mergeProgress(local, remote), {
+            unlocked: { closeWall: 20, bareStage5: 10, gemStreak: 300 },
+            playedMs: 4000,
+            skin: 'snake', // Changed last
+            language: 'en',
+            updatedAt: 300,
+        });
+    });
+});
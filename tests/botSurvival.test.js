@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { TICKS_PER_SECOND } from '../lib/game/constants';
+import { createGameData } from '../lib/game/simulation';
+import { runDodgeBot } from './helpers/dodgeBot';
+
+// --- Difficulty Regression ---
+// Average seconds the dodge bot survives per stage (classic, default stage set),
+// about 70% of what it managed when the check was added. Runs are deterministic,
+// so a drop below these means a stage got noticeably harder (or the bot broke).
+// Stage 6 is the boss; 7 and up are the endless stage.
+const SURVIVAL_SECONDS = { 1: 40, 2: 30, 3: 42, 4: 14, 5: 17, 6: 7, 7: 3, 8: 5 };
+const SEEDS = [1, 2, 3];
+const MAX_SECONDS = 60;
+
+describe('dodge bot survival', () => {
+    Object.entries(SURVIVAL_SECONDS).forEach(([stage, minimumSeconds]) => {
+        it(`survives ${minimumSeconds}s on stage ${stage}`, () => {
+            const survived = SEEDS.map(seed => runDodgeBot(createGameData({ seed, startStage: Number(stage) }), MAX_SECONDS * TICKS_PER_SECOND) / TICKS_PER_SECOND);
+            const average = survived.reduce((sum, seconds) => sum + seconds, 0) / survived.length;
+            assert.ok(average >= minimumSeconds, `survived ${survived.map(s => s.toFixed(1)).join(', ')}s (average ${average.toFixed(1)}s)`);
+        });
+    });
+});
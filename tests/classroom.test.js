@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createClassLocks, findLockViolation } from '../lib/classroom/classes';
+import { buildClassLeaderboard, leaderboardToCsv } from '../lib/classroom/results';
+import { GAME_HEIGHT, GAME_WIDTH } from '../lib/game/constants';
+import { createReplay, encodeReplay } from '../lib/game/replay';
+import { DEFAULT_STAGE_SET } from '../lib/game/stages';
+import { createMemoryClassStore } from '../lib/server/classStore';
+import { createMemoryRankingStore } from '../lib/server/rankingStore';
+import { submitRanking } from '../lib/server/submitRanking';
+import { updateClassSession } from '../lib/server/updateClassSession';
+import { playIdleRun } from './helpers/idleRun';
+
+const NOW = new Date('2026-10-19T03:00:00Z');
+
+const createClass = ({ status = 'open', locks = createClassLocks(), studentIds = ['uid-1'] } = {}) => {
+    const classStore = createMemoryClassStore();
+    classStore.sessions.set('ABCDE', { code: 'ABCDE', teacherId: 'teacher', name: '3학년 2반', status, locks });
+    studentIds.forEach(userId => classStore.students.set(`ABCDE/${userId}`, { name: userId }));
+    return classStore;
+};
+
+const submitClassRun = (store, classStore, gameData, classCode = 'ABCDE') => submitRanking(
+    store,
+    { userId: 'uid-1', playerId: 'Player_1234abcd', replay: encodeReplay(createReplay(gameData)), score: gameData.finalScore, classCode },
+    { now: NOW, classStore },
+);
+
+describe('class leaderboard', () => {
+    const students = { a: { name: '가영' }, b: { name: '나래' }, c: { name: '다온' } };
+    const results = [
+        { userId: 'a', score: 120, stage: 2, survivalTime: 70000, gemsCollected: 4, gemsHelped: 3 },
+        { userId: 'b', score: 300, stage: 3, survivalTime: 150000, gemsCollected: 2, gemsHelped: 2 },
+        { userId: 'a', score: 500, stage: 4, survivalTime: 200000, gemsCollected: 6, gemsHelped: 3 },
+        { userId: 'gone', score: 999, stage: 9, survivalTime: 1, gemsCollected: 0, gemsHelped: 0 },
+    ];
+
+    it('ranks each student by their best run and totals their math gems', () => {
+        const leaderboard = buildClassLeaderboard(students, results);
+        assert.deepEqual(leaderboard.map(row => row.name), ['가영', '나래', '다온']);
+        const [first, , last] = leaderboard;
+        assert.deepEqual(
+            { attempts: first.attempts.length, bestScore: first.bestScore, bestStage: first.bestStage, bestSurvivalTime: first.bestSurvivalTime, accuracy: first.accuracy },
+            { attempts: 2, bestScore: 500, bestStage: 4, bestSurvivalTime: 200000, accuracy: 0.6 },
+        );
+        assert.deepEqual({ attempts: last.attempts.length, bestScore: last.bestScore, accuracy: last.accuracy }, { attempts: 0, bestScore: null, accuracy: null });
+    });
+
+    it('exports one CSV row per student', () => {
+        const names = { d: { name: '라온, "별"' }, e: { name: '=HYPERLINK("x")' }, f: { name: '@SUM(A1)' }, g: { name: '-1+2' } };
+        const csv = leaderboardToCsv(buildClassLeaderboard({ ...students, ...names }, results)).split('\n');
+        assert.equal(csv.length, 8);
+        assert.equal(csv[1], '1,가영,2,500,4,3:20,10,6,60%');
+        assert.ok(csv.includes(',"라온, ""별""",0,,,,0,0,-'));
+        assert.ok(csv.includes(',"\'=HYPERLINK(""x"")",0,,,,0,0,-'));
+        assert.ok(csv.includes(',\'@SUM(A1),0,,,,0,0,-'));
+        assert.ok(csv.includes(',\'-1+2,0,,,,0,0,-'));
+    });
+});
+
+describe('class locks', () => {
+    it('reject runs on another curriculum or stage set', () => {
+        const locks = createClassLocks({ curriculum: 'fractions', stageSet: DEFAULT_STAGE_SET });
+        assert.equal(locks.stageSet, null); // The default set is not embedded
+        assert.equal(findLockViolation(locks, { curriculum: 'fractions', stageSetId: DEFAULT_STAGE_SET.id }), null);
+        assert.ok(findLockViolation(locks, { curriculum: 'mixed', stageSetId: DEFAULT_STAGE_SET.id }));
+        assert.ok(findLockViolation(locks, { curriculum: 'fractions', stageSetId: 'custom' }));
+        assert.equal(findLockViolation(createClassLocks(), { curriculum: 'mixed', stageSetId: 'custom' }), null);
+    });
+
+    it('reject runs that are not comparable with the rest of the class', () => {
+        const locks = createClassLocks({ curriculum: 'fractions' });
+        const run = { curriculum: 'fractions', stageSetId: DEFAULT_STAGE_SET.id, mode: 'classic', startStage: 1, stageDuration: null, width: GAME_WIDTH, height: GAME_HEIGHT };
+        assert.equal(findLockViolation(locks, run), null);
+        [{ mode: 'powerUp' }, { startStage: 3 }, { stageDuration: 10 }, { width: 800, height: 450 }].forEach(change => {
+            assert.ok(findLockViolation(locks, { ...run, ...change }), JSON.stringify(change));
+            assert.ok(findLockViolation(createClassLocks(), { ...run, ...change }), JSON.stringify(change));
+        });
+    });
+
+    it('reject a different stage set sent under the locked id', () => {
+        const classSet = { ...DEFAULT_STAGE_SET, id: 'class-set' };
+        const locks = createClassLocks({ stageSet: classSet });
+        const reordered = JSON.parse(JSON.stringify({ stages: classSet.stages, endless: classSet.endless, version: classSet.version, id: classSet.id, name: classSet.name }));
+        const easier = { ...classSet, stages: classSet.stages.map(stage => ({ ...stage, bulletSpeed: 0.2 })) };
+        assert.equal(findLockViolation(locks, { curriculum: 'mixed', stageSetId: 'class-set', stageSet: reordered }), null);
+        assert.ok(findLockViolation(locks, { curriculum: 'mixed', stageSetId: 'class-set', stageSet: easier }));
+        assert.ok(findLockViolation(createClassLocks({ stageSet: DEFAULT_STAGE_SET }), { curriculum: 'mixed', stageSetId: DEFAULT_STAGE_SET.id, stageSet: easier }));
+    });
+});
+
+describe('class run submissions', () => {
+    it('store unranked runs that follow the locks as class results only', async () => {
+        const store = createMemoryRankingStore();
+        const classStore = createClass({ locks: createClassLocks({ curriculum: 'fractions' }) });
+        const gameData = playIdleRun({ seed: 7, curriculum: 'fractions' });
+        const result = await submitClassRun(store, classStore, gameData);
+
+        assert.equal(result.ok, true);
+        assert.equal(result.classCode, 'ABCDE');
+        assert.equal(store.rankings.size, 0);
+        const [classResult] = classStore.results.get('ABCDE');
+        assert.equal(classResult.id, result.classResultId);
+        assert.equal(classResult.score, Math.floor(gameData.finalScore));
+        assert.equal(classResult.ranked, false);
+        assert.equal(classResult.gemsCollected, gameData.learning.collected.length);
+    });
+
+    it('tag ranked runs with the class and still rank them', async () => {
+        const store = createMemoryRankingStore();
+        const classStore = createClass();
+        const result = await submitClassRun(store, classStore, playIdleRun({ seed: 7 }));
+
+        assert.equal(result.ok, true);
+        assert.equal(store.rankings.get(result.rankingId).classCode, 'ABCDE');
+        assert.equal(store.bests.size, 3);
+        assert.equal(classStore.results.get('ABCDE')[0].ranked, true);
+    });
+
+    it('reject unranked runs the class cannot take', async () => {
+        const gameData = playIdleRun({ seed: 7, curriculum: 'fractions' });
+        const cases = [
+            [createClass({ status: 'closed' }), 'class-closed'],
+            [createClass({ studentIds: [] }), 'not-in-class'],
+            [createClass({ locks: createClassLocks({ curriculum: 'timesTables' }) }), 'class-locked'],
+        ];
+        for (const [classStore, reason] of cases) {
+            const result = await submitClassRun(createMemoryRankingStore(), classStore, gameData);
+            assert.equal(result.reason, reason);
+            assert.equal(classStore.results.size, 0);
+        }
+        assert.equal((await submitClassRun(createMemoryRankingStore(), createClass(), gameData, 'ZZZZZ')).reason, 'class-not-found');
+        assert.equal((await submitClassRun(createMemoryRankingStore(), createClass(), playIdleRun({ seed: 7, mode: 'powerUp' }))).reason, 'class-locked');
+    });
+
+    it('still rank a ranked run sent after the class ended', async () => {
+        const store = createMemoryRankingStore();
+        const result = await submitClassRun(store, createClass({ status: 'closed' }), playIdleRun({ seed: 7 }));
+
+        assert.equal(result.ok, true);
+        assert.equal(result.classError, 'class-closed');
+        assert.equal(store.bests.size, 3);
+    });
+});
+
+describe('class session updates', () => {
+    it('let the teacher change the locks and end the class', async () => {
+        const classStore = createClass();
+        const locks = createClassLocks({ curriculum: 'fractions', stageSet: { ...DEFAULT_STAGE_SET, id: 'class-set' } });
+        assert.equal((await updateClassSession(classStore, { userId: 'teacher', code: 'ABCDE', locks })).ok, true);
+        assert.deepEqual(classStore.sessions.get('ABCDE').locks, locks);
+
+        assert.equal((await updateClassSession(classStore, { userId: 'teacher', code: 'ABCDE', close: true }, { now: NOW })).ok, true);
+        assert.equal(classStore.sessions.get('ABCDE').status, 'closed');
+        assert.equal(classStore.sessions.get('ABCDE').closedAt, NOW);
+    });
+
+    it('reject anyone but the teacher', async () => {
+        const classStore = createClass();
+        const cases = [
+            [{ userId: null, code: 'ABCDE', close: true }, 'unauthenticated'],
+            [{ userId: 'uid-1', code: 'ABCDE', close: true }, 'not-teacher'],
+            [{ userId: 'uid-1', code: 'ABCDE', locks: createClassLocks() }, 'not-teacher'],
+            [{ userId: 'teacher', code: 'ZZZZZ', close: true }, 'class-not-found'],
+        ];
+        for (const [request, reason] of cases) {
+            assert.equal((await updateClassSession(classStore, request)).reason, reason);
+        }
+        assert.equal(classStore.sessions.get('ABCDE').status, 'open');
+    });
+
+    it('reject locks the teacher page could not have made', async () => {
+        const classStore = createClass();
+        const invalidLocks = [
+            null,
+            { curriculum: 'calculus', stageSetId: null, stageSet: null },
+            { curriculum: null, stageSetId: 'class-set', stageSet: null },
+            { curriculum: null, stageSetId: 'class-set', stageSet: JSON.stringify({ ...DEFAULT_STAGE_SET, id: 'other-set' }) },
+            { curriculum: null, stageSetId: 'class-set', stageSet: '{' },
+        ];
+        for (const locks of invalidLocks) {
+            assert.equal((await updateClassSession(classStore, { userId: 'teacher', code: 'ABCDE', locks })).reason, 'invalid-locks');
+        }
+        assert.deepEqual(classStore.sessions.get('ABCDE').locks, createClassLocks());
+    });
+});
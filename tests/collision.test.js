@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { BULLET_SIZE, PLAYER_HITBOX_PADDING, PLAYER_SIZE } from '../lib/game/constants';
+import { applyItem, ITEM_TYPES } from '../lib/game/powerUps';
+import { acquireBullet } from '../lib/game/bulletPool';
+import { calculateFinalScore, createGameData, stepGame } from '../lib/game/simulation';
+
+// A still bullet placed next to the player, everything else cleared. Stepping
+// once at stage 1 only spawns bullets at the field edges, far from the player.
+const createGameWithBullet = (x, y) => {
+    const gameData = createGameData({ seed: 1 });
+    gameData.bullets = [acquireBullet('b_test', x, y, 0, 0)];
+    return gameData;
+};
+
+describe('bullet collision', () => {
+    const { player } = createGameData({ seed: 1 });
+
+    it('ignores a bullet that only touches the padded edge of the sprite', () => {
+        // Overlaps the sprite box by PLAYER_HITBOX_PADDING - 1 pixels on the left
+        const gameData = createGameWithBullet(player.x - BULLET_SIZE + PLAYER_HITBOX_PADDING - 1, player.y + PLAYER_SIZE / 2);
+        stepGame(gameData);
+        assert.equal(gameData.status, 'playing');
+        assert.equal(gameData.player.lives, 1);
+    });
+
+    it('counts a bullet that reaches past the padding', () => {
+        const gameData = createGameWithBullet(player.x - BULLET_SIZE + PLAYER_HITBOX_PADDING + 1, player.y + PLAYER_SIZE / 2);
+        stepGame(gameData);
+        assert.equal(gameData.status, 'gameOver');
+    });
+
+    it('uses the same padding on every side', () => {
+        const gameData = createGameWithBullet(player.x + PLAYER_SIZE / 2, player.y + PLAYER_SIZE - PLAYER_HITBOX_PADDING + 1);
+        stepGame(gameData);
+        assert.equal(gameData.status, 'playing');
+        const hitData = createGameWithBullet(player.x + PLAYER_SIZE / 2, player.y + PLAYER_SIZE - PLAYER_HITBOX_PADDING - 1);
+        stepGame(hitData);
+        assert.equal(hitData.status, 'gameOver');
+    });
+});
+
+describe('shield', () => {
+    it('protects the player until it expires, then bullets hit again', () => {
+        const gameData = createGameData({ seed: 1 });
+        const { player } = gameData;
+        applyItem(gameData, 'shield');
+        assert.equal(player.invincibleUntil, gameData.time + ITEM_TYPES.shield.duration);
+
+        const bullet = acquireBullet('b_test', player.x + PLAYER_SIZE / 2, player.y + PLAYER_SIZE / 2, 0, 0);
+        gameData.bullets = [bullet];
+        while (gameData.time <= player.invincibleUntil) {
+            stepGame(gameData);
+            gameData.bullets = [bullet];
+            assert.equal(gameData.status, 'playing', `hit at ${gameData.time}ms while shielded`);
+        }
+        assert.equal(player.isInvincible, false);
+        stepGame(gameData);
+        assert.equal(gameData.status, 'gameOver');
+    });
+});
+
+describe('final score', () => {
+    it('adds 10 points per whole second survived', () => {
+        assert.equal(calculateFinalScore(0, 0), 0);
+        assert.equal(calculateFinalScore(120, 12999), 240);
+        assert.equal(calculateFinalScore(55, 1000), 65);
+    });
+
+    it('is recorded when the run ends', () => {
+        const gameData = createGameWithBullet(0, 0);
+        for (let i = 0; i < 120; i++) stepGame(gameData);
+        gameData.player.score = 42;
+        gameData.bullets = [acquireBullet('b_test', gameData.player.x + PLAYER_SIZE / 2, gameData.player.y + PLAYER_SIZE / 2, 0, 0)];
+        stepGame(gameData);
+        assert.equal(gameData.status, 'gameOver');
+        assert.equal(gameData.finalScore, calculateFinalScore(42, gameData.time));
+    });
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createReplay, encodeReplay } from '../lib/game/replay';
+import { findDailyKeyForSeed, getDailyKey, getDailySeed, getDailyStreak } from '../lib/rankings/daily';
+import { createMemoryRankingStore } from '../lib/server/rankingStore';
+import { submitRanking } from '../lib/server/submitRanking';
+import { playIdleRun } from './helpers/idleRun';
+
+const NOW = new Date('2026-10-19T03:00:00Z'); // Noon in Korea
+
+describe('daily challenge seeds', () => {
+    it('gives every player of a day the same seed, and a new one the next day', () => {
+        assert.equal(getDailyKey(NOW), '2026-10-19');
+        assert.equal(getDailyKey(new Date('2026-10-19T15:30:00Z')), '2026-10-20'); // Past midnight in Korea
+        assert.equal(getDailySeed('2026-10-19'), getDailySeed('2026-10-19'));
+        assert.notEqual(getDailySeed('2026-10-19'), getDailySeed('2026-10-20'));
+    });
+
+    it('recognises runs of today and the days an offline queue may hold them', () => {
+        assert.equal(findDailyKeyForSeed(getDailySeed('2026-10-19'), NOW), '2026-10-19');
+        assert.equal(findDailyKeyForSeed(getDailySeed('2026-10-18'), NOW), '2026-10-18');
+        assert.equal(findDailyKeyForSeed(getDailySeed('2026-10-16'), NOW), '2026-10-16');
+        assert.equal(findDailyKeyForSeed(getDailySeed('2026-09-19'), NOW), '2026-09-19'); // DAILY_SEED_WINDOW_DAYS back
+        assert.equal(findDailyKeyForSeed(getDailySeed('2026-09-18'), NOW), null);
+        assert.equal(findDailyKeyForSeed(getDailySeed('2026-10-20'), NOW), null);
+        assert.equal(findDailyKeyForSeed(12345, NOW), null);
+    });
+});
+
+describe('getDailyStreak', () => {
+    it('counts days in a row up to today or yesterday', () => {
+        assert.equal(getDailyStreak(['2026-10-17', '2026-10-18', '2026-10-19'], '2026-10-19'), 3);
+        assert.equal(getDailyStreak(['2026-10-17', '2026-10-18'], '2026-10-19'), 2);
+        assert.equal(getDailyStreak(['2026-10-16', '2026-10-18', '2026-10-19'], '2026-10-19'), 2);
+        assert.equal(getDailyStreak(['2026-10-17'], '2026-10-19'), 0);
+        assert.equal(getDailyStreak(['2026-09-30', '2026-10-01'], '2026-10-01'), 2); // Across months
+    });
+});
+
+describe('daily challenge submissions', () => {
+    it('rank on the day\'s board instead of the school boards', async () => {
+        const store = createMemoryRankingStore();
+        const gameData = playIdleRun({ seed: getDailySeed('2026-10-19') });
+        const result = await submitRanking(store, { userId: 'uid-1', playerId: 'Player_1234abcd', replay: encodeReplay(createReplay(gameData)), score: gameData.finalScore }, { now: NOW });
+
+        assert.equal(result.ok, true);
+        assert.equal(result.dailyKey, '2026-10-19');
+        assert.equal(store.bests.size, 0);
+        assert.equal(store.dailyBests.get('2026-10-19/uid-1').score, Math.floor(gameData.finalScore));
+        const { dailyKey, entryCount, topScore, topPlayerId } = store.dailySummaries.get('2026-10-19');
+        assert.deepEqual({ dailyKey, entryCount, topScore, topPlayerId }, { dailyKey: '2026-10-19', entryCount: 1, topScore: Math.floor(gameData.finalScore), topPlayerId: 'Player_1234abcd' });
+    });
+
+    it('rank a run that waited in the offline queue on its own day\'s board', async () => {
+        const store = createMemoryRankingStore();
+        const gameData = playIdleRun({ seed: getDailySeed('2026-10-16') });
+        const result = await submitRanking(store, { userId: 'uid-1', playerId: 'Player_1234abcd', replay: encodeReplay(createReplay(gameData)), score: gameData.finalScore }, { now: NOW });
+
+        assert.equal(result.ok, true);
+        assert.equal(result.dailyKey, '2026-10-16');
+        assert.equal(store.bests.size, 0);
+        assert.equal(store.dailyBests.get('2026-10-16/uid-1').score, Math.floor(gameData.finalScore));
+    });
+
+    it('leave other runs on the school boards', async () => {
+        const store = createMemoryRankingStore();
+        const gameData = playIdleRun({ seed: 7 });
+        const result = await submitRanking(store, { userId: 'uid-1', playerId: 'Player_1234abcd', replay: encodeReplay(createReplay(gameData)), score: gameData.finalScore }, { now: NOW });
+
+        assert.equal(result.ok, true);
+        assert.equal(result.dailyKey, undefined);
+        assert.equal(store.dailyBests.size, 0);
+        assert.equal(store.bests.size, 3);
+    });
+
+    it('stay off the all-time board when the player links a profile', async () => {
+        const store = createMemoryRankingStore();
+        const gameData = playIdleRun({ seed: getDailySeed('2026-10-19') });
+        await submitRanking(store, { userId: 'uid-1', playerId: 'Player_1234abcd', replay: encodeReplay(createReplay(gameData)), score: gameData.finalScore }, { now: NOW });
+
+        await store.linkPlayer({ userId: 'uid-1', playerId: '크로코', now: NOW });
+        assert.equal(store.bests.size, 0);
+        assert.equal(store.dailyBests.get('2026-10-19/uid-1').playerId, '크로코');
+    });
+});
@@ -0,0 +1,57 @@
+import { BOSS_SIZE, BULLET_SIZE, PLAYER_BASE_SPEED, PLAYER_SIZE } from '../../lib/game/constants';
+import { setDirection, stepGame } from '../../lib/game/simulation';
+
+// --- Dodge Bot ---
+// A greedy bot for survival regression checks: every few ticks it tries the
+// eight directions (and standing still), scores how crowded each spot would be
+// a quarter second ahead and steers toward the emptiest one. It is deliberately
+// simple; a stage it cannot survive for long has become much harder.
+
+const DECISION_TICKS = 3;
+const LOOKAHEAD = 0.25; // Seconds
+const DIRECTIONS = [[0, 0], ...Array.from({ length: 8 }, (_, i) => [Math.cos((i * Math.PI) / 4), Math.sin((i * Math.PI) / 4)])];
+
+const scoreSpot = (gameData, x, y) => {
+    let score = 0;
+    gameData.bullets.forEach(b => {
+        const distance = Math.hypot(b.x + BULLET_SIZE / 2 + b.dx * LOOKAHEAD - x, b.y + BULLET_SIZE / 2 + b.dy * LOOKAHEAD - y);
+        score -= 1 / Math.max(distance, 5) ** 2;
+    });
+    gameData.lasers.forEach(laser => {
+        const across = Math.abs((x - laser.x) * Math.sin(laser.angle) - (y - laser.y) * Math.cos(laser.angle));
+        score -= (1 / Math.max(across - laser.width / 2, 3) ** 2) * 5;
+    });
+    if (gameData.boss) {
+        const distance = Math.hypot(gameData.boss.x + BOSS_SIZE / 2 - x, gameData.boss.y + BOSS_SIZE / 2 - y);
+        score -= (1 / Math.max(distance - BOSS_SIZE, 3) ** 2) * 5;
+    }
+    // Drift back toward the lower middle when nothing is close
+    return score - 0.0000005 * Math.hypot(x - gameData.width / 2, y - gameData.height * 0.75);
+};
+
+const chooseDirection = (gameData) => {
+    const { player } = gameData;
+    const reach = PLAYER_BASE_SPEED * LOOKAHEAD;
+    let best = DIRECTIONS[0];
+    let bestScore = -Infinity;
+    DIRECTIONS.forEach(([dx, dy]) => {
+        const x = Math.max(0, Math.min(gameData.width - PLAYER_SIZE, player.x + dx * reach)) + PLAYER_SIZE / 2;
+        const y = Math.max(0, Math.min(gameData.height - PLAYER_SIZE, player.y + dy * reach)) + PLAYER_SIZE / 2;
+        const score = scoreSpot(gameData, x, y);
+        if (score > bestScore) {
+            bestScore = score;
+            best = [dx, dy];
+        }
+    });
+    return { x: best[0], y: best[1] };
+};
+
+// Plays until the run ends or `maxTicks` pass; returns the ticks survived
+export const runDodgeBot = (gameData, maxTicks) => {
+    const startTick = gameData.tick;
+    while (gameData.status === 'playing' && gameData.tick - startTick < maxTicks) {
+        if (gameData.tick % DECISION_TICKS === 0) setDirection(gameData, chooseDirection(gameData));
+        stepGame(gameData);
+    }
+    return gameData.tick - startTick;
+};
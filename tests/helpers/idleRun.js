@@ -0,0 +1,9 @@
+import { createSimulation } from '../../lib/game/simulation';
+
+// A run with no input, played until the crocodile is hit.
+// `options` are createSimulation's (seed, stageSet, mode, curriculum, ...).
+export const playIdleRun = (options) => {
+    const simulation = createSimulation(options);
+    while (simulation.gameData.status === 'playing') simulation.runTicks(60);
+    return simulation.gameData;
+};
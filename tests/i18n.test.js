@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { CURRICULA, OPERATION_LABELS } from '../lib/game/curricula';
+import { GAME_MODES, ITEM_TYPES } from '../lib/game/powerUps';
+import { BULLET_PALETTES } from '../lib/game/render';
+import { BOSS_PATTERN_TYPES, SPAWNER_TYPES } from '../lib/game/stages';
+import { DEFAULT_LOCALE, LOCALES, createTranslator, detectLocale, flattenMessages, getPlaceholders } from '../lib/i18n/translator';
+import { CONTROL_SCHEMES, MOVE_ACTIONS } from '../lib/input/controls';
+import { ACHIEVEMENTS } from '../lib/progress/achievements';
+import { normalizeProgress, selectLanguage } from '../lib/progress/progress';
+import { SKINS } from '../lib/progress/skins';
+import { RANKING_BOARD_LABELS, RANKING_BOARDS } from '../lib/rankings/boards';
+
+const ROOT = new URL('..', import.meta.url);
+const readSource = (path) => readFileSync(new URL(path, ROOT), 'utf8');
+
+const CATALOGS = Object.fromEntries(Object.entries(LOCALES).map(([locale, { messages }]) => [locale, flattenMessages(messages)]));
+const REFERENCE = CATALOGS[DEFAULT_LOCALE];
+
+// The screens that go through the translator
+const TRANSLATED_SOURCES = [
+    'pages/index.js',
+    'pages/profile.js',
+    ...readdirSync(new URL('components/', ROOT)).filter(file => file.endsWith('.js')).map(file => `components/${file}`),
+];
+
+// Every `{ key: label }` a lib table names, as catalog keys
+const labelKeys = (group, table, pick = value => value.label) => Object.entries(table).map(([id, value]) => [`${group}.${id}`, pick(value)]);
+
+// Error codes (and their Korean messages) thrown or returned by a lib module
+const findErrorCodes = (path, pattern) => [...readSource(path).matchAll(pattern)].map(([, code, message]) => [code, message]);
+
+describe('message catalogs', () => {
+    Object.keys(LOCALES).filter(locale => locale !== DEFAULT_LOCALE).forEach(locale => {
+        it(`${locale} has exactly the keys of ${DEFAULT_LOCALE}`, () => {
+            const keys = Object.keys(CATALOGS[locale]);
+            assert.deepEqual(Object.keys(REFERENCE).filter(key => !keys.includes(key)), [], 'missing keys');
+            assert.deepEqual(keys.filter(key => !(key in REFERENCE)), [], 'extra keys');
+        });
+
+        it(`${locale} uses the same placeholders as ${DEFAULT_LOCALE}`, () => {
+            Object.entries(CATALOGS[locale]).forEach(([key, message]) => {
+                if (key in REFERENCE) assert.deepEqual(getPlaceholders(message), getPlaceholders(REFERENCE[key]), key);
+            });
+        });
+    });
+
+    Object.entries(LOCALES).forEach(([locale, { tag }]) => {
+        it(`${locale} only uses its own plural forms, always with "other"`, () => {
+            const categories = new Intl.PluralRules(tag).resolvedOptions().pluralCategories;
+            Object.entries(CATALOGS[locale]).forEach(([key, message]) => {
+                if (typeof message === 'string') return;
+                assert.ok('other' in message, key);
+                Object.keys(message).forEach(form => assert.ok(categories.includes(form), `${key}.${form}`));
+                assert.ok(getPlaceholders(message).includes('count'), `${key} has no {count}`);
+            });
+        });
+    });
+
+    it('has every key the screens ask for', () => {
+        TRANSLATED_SOURCES.forEach(path => {
+            const source = readSource(path);
+            for (const [, key] of source.matchAll(/\bt\(\s*'([^']+)'/g)) assert.ok(key in REFERENCE, `${path}: ${key}`);
+            // Keys built from an id (`skins.${id}`) need at least their group
+            for (const [, prefix] of source.matchAll(/\bt\(\s*`([^`$]+)\$\{/g)) {
+                assert.ok(Object.keys(REFERENCE).some(key => key.startsWith(prefix)), `${path}: ${prefix}…`);
+            }
+        });
+    });
+
+    it('names every item, mode, curriculum, operation, skin, palette, board and bullet kind', () => {
+        const ids = [
+            ...Object.keys(ITEM_TYPES).map(id => `items.${id}`),
+            ...Object.keys(GAME_MODES).map(id => `modes.${id}`),
+            ...Object.keys(CURRICULA).map(id => `curricula.${id}`),
+            ...Object.keys(OPERATION_LABELS).map(id => `operations.${id}`),
+            ...Object.keys(SKINS).map(id => `skins.${id}`),
+            ...Object.keys(BULLET_PALETTES).map(id => `palettes.${id}`),
+            ...Object.keys(ACHIEVEMENTS).flatMap(id => [`achievements.list.${id}.label`, `achievements.list.${id}.description`]),
+            ...RANKING_BOARDS.map(board => `rankings.boards.${board}`),
+            ...CONTROL_SCHEMES.map(scheme => `controls.schemes.${scheme}`),
+            ...MOVE_ACTIONS.map(action => `controls.actions.${action}`),
+            ...[...SPAWNER_TYPES, ...BOSS_PATTERN_TYPES].map(type => `bullets.${type}`),
+            ...['helped', 'hurt', 'neutral'].map(outcome => `learning.outcomes.${outcome}`),
+            ...['win', 'lose', 'draw'].map(outcome => `versus.outcomes.${outcome}`),
+        ];
+        assert.deepEqual(ids.filter(key => !(key in REFERENCE)), []);
+    });
+
+    it('explains every versus, class and profile error code', () => {
+        const errors = [
+            ...findErrorCodes('lib/versus/rooms.js', /VersusRoomError\('([\w-]+)', '([^']+)'/g).map(([code, message]) => [`versus.errors.${code}`, message]),
+            ...findErrorCodes('lib/classroom/sessions.js', /ClassSessionError\('([\w-]+)', '([^']+)'/g).map(([code, message]) => [`class.errors.${code}`, message]),
+            ...findErrorCodes('lib/profile/names.js', /reason: '([\w-]+)', message: '([^']+)'/g).map(([code, message]) => [`profile.errors.${code}`, message]),
+            ...findErrorCodes('lib/server/updateProfile.js', /reason: '(name-taken)', message: '([^']+)'/g).map(([code, message]) => [`profile.errors.${code}`, message]),
+        ];
+        assert.ok(errors.length > 0);
+        errors.forEach(([key, message]) => assert.equal(REFERENCE[key], message, key));
+        assert.ok('profile.errors.invalid-length' in REFERENCE);
+    });
+
+    it('keeps the Korean catalog in step with the Korean labels the staff tools use', () => {
+        const labels = [
+            ...labelKeys('items', ITEM_TYPES),
+            ...labelKeys('modes', GAME_MODES),
+            ...labelKeys('curricula', CURRICULA),
+            ...labelKeys('operations', OPERATION_LABELS, label => label),
+            ...labelKeys('skins', SKINS),
+            ...labelKeys('palettes', BULLET_PALETTES),
+            ...labelKeys('rankings.boards', RANKING_BOARD_LABELS, label => label),
+            ...labelKeys('achievements.list', ACHIEVEMENTS).map(([key, label]) => [`${key}.label`, label]),
+            ...labelKeys('achievements.list', ACHIEVEMENTS, ({ description }) => description).map(([key, description]) => [`${key}.description`, description]),
+        ];
+        labels.forEach(([key, label]) => assert.equal(CATALOGS.ko[key], label, key));
+    });
+});
+
+describe('translator', () => {
+    it('fills in placeholders with numbers formatted for the locale', () => {
+        assert.equal(createTranslator('en').t('common.points', { points: 12345 }), '12,345 pts');
+        assert.equal(createTranslator('ko').t('common.points', { points: 12345 }), '12,345 점');
+        assert.equal(createTranslator('en').t('lobby.profileLink', { unlocked: 2 }), '🏅 Achievements 2/{total} · Choose a skin');
+    });
+
+    it('picks the plural form from the count', () => {
+        const { t } = createTranslator('en');
+        assert.equal(t('stageResult.gems', { count: 1 }), '💎 1 math gem');
+        assert.equal(t('stageResult.gems', { count: 3 }), '💎 3 math gems');
+        assert.equal(createTranslator('ko').t('stageResult.gems', { count: 1 }), '💎 수학 보석 1개');
+    });
+
+    it('falls back to Korean for an unknown locale and to the key for an unknown message', () => {
+        const translator = createTranslator('fr');
+        assert.equal(translator.locale, 'ko');
+        assert.equal(translator.t('lobby.startGame'), '게임 시작');
+        assert.equal(translator.t('lobby.nothingHere'), 'lobby.nothingHere');
+        assert.equal(translator.has('lobby.nothingHere'), false);
+    });
+
+    it('formats ranking dates for the locale', () => {
+        const time = Date.UTC(2026, 9, 19, 3, 5);
+        const options = { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', timeZone: 'UTC' };
+        assert.equal(createTranslator('en').formatDate(time, options), '10/19, 03:05 AM');
+        assert.equal(createTranslator('ko').formatDate(time, options), '10. 19. 오전 03:05');
+    });
+
+    it('detects the first supported browser language', () => {
+        assert.equal(detectLocale(['en-GB', 'ko']), 'en');
+        assert.equal(detectLocale(['fr', 'ko-KR', 'en']), 'ko');
+        assert.equal(detectLocale(['fr-FR']), 'ko');
+        assert.equal(detectLocale([]), 'ko');
+    });
+});
+
+describe('language preference', () => {
+    it('is saved with the player progress', () => {
+        const now = Date.UTC(2026, 9, 19);
+        const progress = selectLanguage(normalizeProgress({}), 'en', now);
+        assert.equal(progress.language, 'en');
+        assert.equal(progress.updatedAt, now);
+        assert.equal(normalizeProgress(progress).language, 'en');
+    });
+
+    it('drops a language that is not supported, following the browser again', () => {
+        assert.equal(normalizeProgress({ language: 'fr' }).language, null);
+        assert.equal(normalizeProgress({}).language, null);
+    });
+});
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { BULLET_SIZE, FIELD_SIZES, PLAYER_HITBOX_PADDING, PLAYER_SIZE } from '../lib/game/constants';
+import { createGameData, stepGame } from '../lib/game/simulation';
+import { spawnCrossPattern, spawnHomingBullet, spawnImpossibleWallPattern } from '../lib/game/spawners';
+import { DEFAULT_STAGE_SET } from '../lib/game/stages';
+
+const HITBOX_SIZE = PLAYER_SIZE - 2 * PLAYER_HITBOX_PADDING;
+
+const createEmptyGame = (seed, field = FIELD_SIZES.portrait) => {
+    const gameData = createGameData({ seed, ...field });
+    gameData.bullets = [];
+    return gameData;
+};
+
+describe('spawnImpossibleWallPattern', () => {
+    Object.entries(FIELD_SIZES).forEach(([shape, field]) => it(`always leaves a gap the player hitbox fits through (${shape} field)`, () => {
+        for (let seed = 1; seed <= 200; seed++) {
+            const gameData = createEmptyGame(seed, field);
+            spawnImpossibleWallPattern(gameData, 150, 2.2);
+            const { bullets } = gameData;
+            const isHorizontal = bullets[0].dx === 0;
+            const span = isHorizontal ? gameData.width : gameData.height;
+            // Only a gap inside the field helps
+            const positions = bullets.map(b => (isHorizontal ? b.x : b.y)).filter(p => p < span).sort((a, b) => a - b);
+
+            let widestGap = Math.max(positions[0], span - (positions[positions.length - 1] + BULLET_SIZE));
+            for (let i = 1; i < positions.length; i++) widestGap = Math.max(widestGap, positions[i] - (positions[i - 1] + BULLET_SIZE));
+            assert.ok(widestGap >= HITBOX_SIZE, `seed ${seed}: widest gap ${widestGap} < hitbox ${HITBOX_SIZE}`);
+        }
+    }));
+
+    it('moves every bullet of a wall the same way', () => {
+        const gameData = createEmptyGame(7);
+        spawnImpossibleWallPattern(gameData, 150, 2.2);
+        const [first] = gameData.bullets;
+        gameData.bullets.forEach(b => assert.deepEqual([b.dx, b.dy], [first.dx, first.dy]));
+        assert.equal(Math.hypot(first.dx, first.dy), 150);
+    });
+});
+
+describe('wall warnings', () => {
+    it('telegraph the wall and fire it once the warning runs out', () => {
+        const stageSet = JSON.parse(JSON.stringify(DEFAULT_STAGE_SET));
+        stageSet.stages[0].spawners = [{ type: 'wall', interval: 1000, speed: 150, warning: 500 }];
+        const gameData = createGameData({ seed: 5, stageSet, invulnerable: true });
+
+        while (gameData.wallWarnings.length === 0) stepGame(gameData);
+        const [warning] = gameData.wallWarnings;
+        assert.equal(gameData.bullets.length, 0);
+        while (gameData.time < warning.firesAt) {
+            assert.equal(gameData.bullets.length, 0, 'wall fired before its warning ran out');
+            stepGame(gameData);
+        }
+        assert.ok(gameData.bullets.length > 0);
+        assert.ok(!gameData.wallWarnings.includes(warning));
+        gameData.bullets.forEach(b => assert.equal(Math.hypot(b.dx, b.dy), warning.speed));
+    });
+});
+
+describe('spawnCrossPattern', () => {
+    it('emits four orthogonal bullets at the given speed', () => {
+        const gameData = createEmptyGame(1);
+        spawnCrossPattern(gameData, 100, 120, 150);
+        assert.equal(gameData.bullets.length, 4);
+        const directions = gameData.bullets.map(b => `${Math.round(b.dx / 150)},${Math.round(b.dy / 150)}`).sort();
+        assert.deepEqual(directions, ['-1,0', '0,-1', '0,1', '1,0']);
+        gameData.bullets.forEach(b => {
+            assert.equal(Math.hypot(b.dx, b.dy), 150);
+            assert.deepEqual([b.x, b.y], [100, 120]);
+        });
+    });
+});
+
+describe('homing bullets', () => {
+    it('accelerate toward the player every tick', () => {
+        const gameData = createGameData({ seed: 3, invulnerable: true });
+        gameData.bullets = [];
+        spawnHomingBullet(gameData, 100);
+        const bullet = gameData.bullets[0];
+        Object.assign(bullet, { x: 10, y: 10, dx: 100, dy: 0 }); // Flying past the player, well inside the field
+        const { player } = gameData;
+
+        for (let i = 0; i < 60; i++) {
+            const toPlayer = { x: player.x - bullet.x, y: player.y - bullet.y };
+            const before = { dx: bullet.dx, dy: bullet.dy };
+            stepGame(gameData);
+            assert.ok(gameData.bullets.includes(bullet), 'homing bullet left the field');
+            const pull = (bullet.dx - before.dx) * toPlayer.x + (bullet.dy - before.dy) * toPlayer.y;
+            assert.ok(pull > 0, `tick ${i}: velocity change points away from the player`);
+        }
+    });
+});
@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { FIXED_TIMESTEP_MS, TICKS_PER_SECOND } from '../lib/game/constants';
+import { DEATH_SLOW_MOTION_SCALE, createDeathSlowMotion } from '../lib/game/deathSequence';
+import { FLOW_STATES, FlowError, INITIAL_FLOW, MAX_FLOW_FRAME_MS, createFlowTimer, pauseFlow, resumeFlow, transitionFlow } from '../lib/game/flow';
+import { buildStageResult, describeStage } from '../lib/game/intermission';
+import { createSimulation } from '../lib/game/simulation';
+import { DEFAULT_STAGE_SET } from '../lib/game/stages';
+
+// A hand-driven wall clock; `advance` moves it in frame-sized steps
+const createTestClock = () => {
+    let now = 0;
+    return {
+        clock: () => now,
+        advance: (ms) => { now += ms; },
+    };
+};
+
+const playFor = (simulation, testClock, ms) => {
+    const frames = Math.round(ms / FIXED_TIMESTEP_MS);
+    for (let i = 0; i < frames; i++) {
+        testClock.advance(FIXED_TIMESTEP_MS);
+        simulation.advance();
+    }
+};
+
+// Invincible so the test is about time, not dodging
+const createTimedSimulation = (testClock, stageDuration) => {
+    const simulation = createSimulation({ seed: 1, stageDuration, invulnerable: true, clock: testClock.clock });
+    simulation.advance(); // Starts the runner's clock
+    return simulation;
+};
+
+describe('stage clear timing', () => {
+    it('clears after exactly the stage duration of play', () => {
+        const testClock = createTestClock();
+        const simulation = createTimedSimulation(testClock, 5);
+        playFor(simulation, testClock, 4900);
+        assert.equal(simulation.gameData.status, 'playing');
+        playFor(simulation, testClock, 200);
+        assert.equal(simulation.gameData.status, 'stageClear');
+        assert.equal(simulation.gameData.tick, 5 * TICKS_PER_SECOND);
+    });
+
+    it('does not count paused time', () => {
+        const testClock = createTestClock();
+        const simulation = createTimedSimulation(testClock, 5);
+        playFor(simulation, testClock, 3000);
+
+        // Paused for an hour: the loop stops calling advance, and resuming resets the clock
+        testClock.advance(60 * 60 * 1000);
+        simulation.resetClock();
+        simulation.advance();
+        assert.equal(simulation.gameData.status, 'playing');
+        assert.ok(Math.abs(simulation.gameData.time - 3000) <= FIXED_TIMESTEP_MS);
+
+        playFor(simulation, testClock, 1900);
+        assert.equal(simulation.gameData.status, 'playing');
+        playFor(simulation, testClock, 200);
+        assert.equal(simulation.gameData.status, 'stageClear');
+    });
+
+    it('drops long frames instead of fast-forwarding the stage', () => {
+        const testClock = createTestClock();
+        const simulation = createTimedSimulation(testClock, 5);
+        testClock.advance(10 * 1000); // One frame that took ten seconds (e.g. a hidden tab)
+        simulation.advance();
+        assert.equal(simulation.gameData.status, 'playing');
+        assert.ok(simulation.gameData.time < 1000);
+    });
+
+    it('starts the next stage with fresh time', () => {
+        const testClock = createTestClock();
+        const simulation = createTimedSimulation(testClock, 5);
+        playFor(simulation, testClock, 5100);
+        assert.equal(simulation.gameData.status, 'stageClear');
+
+        testClock.advance(30 * 1000); // Time spent on the stage clear screen
+        simulation.nextStage();
+        simulation.advance();
+        assert.equal(simulation.gameData.stage, 2);
+        playFor(simulation, testClock, 4900);
+        assert.equal(simulation.gameData.status, 'playing');
+        playFor(simulation, testClock, 200);
+        assert.equal(simulation.gameData.status, 'stageClear');
+    });
+});
+
+describe('game flow', () => {
+    const goThrough = (states) => states.reduce((flow, state) => transitionFlow(flow, state), INITIAL_FLOW);
+
+    it('walks a solo run from the lobby through a stage and its results', () => {
+        const flow = goThrough(['stageIntro', 'countdown', 'playing', 'stageResult', 'stageIntro', 'countdown', 'playing', 'dying', 'gameOver', 'lobby']);
+        assert.deepEqual(flow, INITIAL_FLOW);
+    });
+
+    it('refuses moves the machine does not list', () => {
+        assert.throws(() => transitionFlow(INITIAL_FLOW, 'playing'), FlowError);
+        assert.throws(() => goThrough(['stageIntro', 'countdown', 'playing', 'dying', 'lobby']), FlowError);
+        assert.throws(() => transitionFlow(INITIAL_FLOW, 'stageClear'), FlowError);
+    });
+
+    it('times out of every timed state into a state it may move to', () => {
+        Object.entries(FLOW_STATES).filter(([, { duration }]) => duration).forEach(([state, { then, next }]) => {
+            assert.ok(next.includes(then), state);
+        });
+    });
+
+    it('pauses only pausable states and clears the pause on every move', () => {
+        const intro = goThrough(['stageIntro']);
+        assert.equal(pauseFlow(intro), intro);
+        const paused = pauseFlow(transitionFlow(intro, 'countdown'));
+        assert.equal(paused.paused, true);
+        assert.equal(resumeFlow(paused).paused, false);
+        assert.equal(transitionFlow(paused, 'lobby').paused, false);
+    });
+
+    it('counts long frames as one capped frame', () => {
+        const timer = createFlowTimer('countdown');
+        assert.equal(timer.advance(10 * 1000), MAX_FLOW_FRAME_MS); // A hidden tab
+        assert.equal(timer.getRemaining(), FLOW_STATES.countdown.duration - MAX_FLOW_FRAME_MS);
+        while (!timer.isDone()) timer.advance(16);
+        assert.equal(timer.getRemaining(), 0);
+        assert.equal(timer.advance(16), 0);
+    });
+});
+
+describe('stage intermissions', () => {
+    it('introduce the bullet types a stage adds', () => {
+        const second = describeStage(DEFAULT_STAGE_SET, 2);
+        assert.deepEqual(second.bulletTypes, [{ type: 'side', isNew: false }, { type: 'homing', isNew: true }]);
+        const bossStage = describeStage(DEFAULT_STAGE_SET, DEFAULT_STAGE_SET.stages.length);
+        assert.ok(bossStage.boss.name);
+        assert.ok(bossStage.bulletTypes.every(({ isNew }) => isNew));
+        assert.equal(describeStage(DEFAULT_STAGE_SET, DEFAULT_STAGE_SET.stages.length + 2).isEndless, true);
+    });
+
+    it('break a cleared stage score down into survival and gem points', () => {
+        const testClock = createTestClock();
+        const simulation = createTimedSimulation(testClock, 5);
+        playFor(simulation, testClock, 5100);
+        simulation.nextStage();
+        simulation.advance();
+        playFor(simulation, testClock, 5100);
+        const { gameData } = simulation;
+        assert.equal(gameData.status, 'stageClear');
+
+        const result = buildStageResult(JSON.parse(simulation.getStageStartSnapshot()), gameData);
+        assert.equal(result.stage, 2);
+        assert.equal(result.survivalMs, 5000);
+        assert.equal(result.survivalPoints, 50);
+        assert.equal(result.stagePoints, result.survivalPoints + result.gemPoints);
+        assert.equal(result.gemsCollected, gameData.learning.collected.filter(gem => gem.stage === 2).length);
+        assert.equal(result.totalScore, Math.floor(gameData.player.score) + 100);
+    });
+
+    it('slow the death scene down without touching the finished run', () => {
+        const simulation = createSimulation({ seed: 7 });
+        while (simulation.gameData.status === 'playing') simulation.runTicks(60);
+        const { gameData } = simulation;
+        const before = gameData.bullets.map(({ x, y }) => ({ x, y }));
+        const slowMotion = createDeathSlowMotion(gameData);
+        slowMotion.advance(1000);
+
+        assert.deepEqual(gameData.bullets.map(({ x, y }) => ({ x, y })), before);
+        const moving = slowMotion.gameData.bullets.findIndex(b => b.dx !== 0 && !b.accel && !b.turnRate && b.startAt <= gameData.time);
+        assert.ok(moving >= 0);
+        const bullet = slowMotion.gameData.bullets[moving];
+        assert.ok(Math.abs(bullet.x - (before[moving].x + bullet.dx * DEATH_SLOW_MOTION_SCALE)) < 1e-9);
+    });
+});
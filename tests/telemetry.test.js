@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { GAME_HEIGHT, GAME_WIDTH } from '../lib/game/constants';
+import { createSimulation } from '../lib/game/simulation';
+import { DEFAULT_STAGE_SET, getStageDefinition } from '../lib/game/stages';
+import { buildSurvivalCurve, summarizeTelemetry } from '../lib/telemetry/analytics';
+import { DEATH_CAUSES, normalizeTelemetryEvent } from '../lib/telemetry/events';
+import { createTelemetryRecorder } from '../lib/telemetry/recorder';
+import { createMemoryTelemetryStore } from '../lib/server/telemetryStore';
+import { getTelemetrySummary, submitTelemetry } from '../lib/server/submitTelemetry';
+
+const NOW = new Date('2026-10-19T03:00:00Z');
+
+// The telemetry of a run with no input, played until the crocodile is hit
+const recordIdleRun = (runId) => {
+    const events = [];
+    const simulation = createSimulation({ seed: 7 });
+    const recorder = createTelemetryRecorder(simulation.gameData, { record: event => events.push(event), runId, now: () => 0 });
+    simulation.onEvent(recorder.handleGameEvent);
+    while (simulation.gameData.status === 'playing') {
+        simulation.runTicks(60);
+        recorder.update();
+    }
+    return events;
+};
+
+// Events of one run, with seq and the common fields filled in
+const createRun = (runId, events, stageSetId = DEFAULT_STAGE_SET.id) => [
+    { type: 'runStart', stageSetId, width: GAME_WIDTH, height: GAME_HEIGHT },
+    ...events,
+].map((event, seq) => ({ runId, seq, at: 0, stage: 1, ...event }));
+
+describe('telemetry recorder', () => {
+    it('records the start, each stage reached and what caused the death', () => {
+        const events = recordIdleRun('run-1');
+        const types = events.map(event => event.type);
+        assert.equal(types[0], 'runStart');
+        assert.equal(types[1], 'stageReached');
+        assert.equal(types.at(-1), 'death');
+        assert.deepEqual(events.map(event => event.seq), events.map((_, i) => i));
+
+        const death = events.at(-1);
+        assert.ok(DEATH_CAUSES.includes(death.cause));
+        assert.ok(death.timeInStage >= 0);
+        assert.ok(events.every(event => normalizeTelemetryEvent(event) !== null));
+    });
+});
+
+describe('telemetry events', () => {
+    it('keep only known fields and reject malformed events', () => {
+        const event = { type: 'death', runId: 'r', seq: 3, at: 1, stage: 2, x: 10, y: 20, cause: 'aimed', timeInStage: 500, extra: 'dropped' };
+        assert.deepEqual(normalizeTelemetryEvent(event), { type: 'death', runId: 'r', seq: 3, at: 1, stage: 2, x: 10, y: 20, cause: 'aimed', timeInStage: 500 });
+        assert.equal(normalizeTelemetryEvent({ ...event, type: 'teleport' }), null);
+        assert.equal(normalizeTelemetryEvent({ ...event, stage: 0 }), null);
+        assert.equal(normalizeTelemetryEvent({ ...event, x: 'left' }), null);
+        assert.equal(normalizeTelemetryEvent({ ...event, runId: '' }), null);
+    });
+});
+
+describe('difficulty analytics', () => {
+    it('estimates survival with quits counted as leaving, not dying', () => {
+        const curve = buildSurvivalCurve([
+            { time: 1000, died: true },
+            { time: 2000, died: false },
+            { time: 3000, died: true },
+            { time: 4000, died: false },
+        ]);
+        assert.deepEqual(curve, [{ t: 0, survival: 1 }, { t: 1000, survival: 0.75 }, { t: 3000, survival: 0.375 }]);
+    });
+
+    it('counts stage attempts, clears, death causes and death positions', () => {
+        const stage1Length = getStageDefinition(DEFAULT_STAGE_SET, 1).duration * 1000;
+        const events = [
+            ...createRun('a', [
+                { type: 'stageReached' },
+                { type: 'item', itemType: 'shield' },
+                { type: 'stageReached', stage: 2 },
+                { type: 'death', stage: 2, x: 5, y: 575, cause: 'wall', timeInStage: 4000 },
+            ]),
+            ...createRun('b', [
+                { type: 'stageReached' },
+                { type: 'death', x: 210, y: 30, cause: 'aimed', timeInStage: 2000 },
+                { type: 'stageReached' }, // Restarted the stage
+                { type: 'pause', durationMs: 3000 },
+                { type: 'quit', timeInStage: 1000 },
+            ]),
+            ...createRun('custom', [{ type: 'stageReached' }, { type: 'quit', timeInStage: 500 }], 'custom'),
+        ];
+        const summary = summarizeTelemetry(events);
+
+        assert.equal(summary.runs, 2);
+        const [stage1, stage2] = summary.stages;
+        assert.deepEqual(
+            { attempts: stage1.attempts, deaths: stage1.deaths, clears: stage1.clears, causes: stage1.causes, length: stage1.length },
+            { attempts: 3, deaths: 1, clears: 1, causes: { aimed: 1 }, length: stage1Length },
+        );
+        assert.deepEqual({ attempts: stage2.attempts, deaths: stage2.deaths, causes: stage2.causes }, { attempts: 1, deaths: 1, causes: { wall: 1 } });
+        assert.equal(summary.heatmap.max, 1);
+        assert.equal(summary.heatmap.counts[(summary.heatmap.rows - 1) * summary.heatmap.cols], 1);
+        assert.equal(summary.heatmap.counts[summary.heatmap.cols + 10], 1);
+        assert.deepEqual(summary.items, { shield: 1 });
+        assert.deepEqual(summary.pauses, { count: 1, totalMs: 3000, averageMs: 3000 });
+    });
+});
+
+describe('telemetry submissions', () => {
+    it('store well-formed events and drop the rest', async () => {
+        const store = createMemoryTelemetryStore();
+        const events = recordIdleRun('run-1');
+        const result = await submitTelemetry(store, { userId: 'uid-1', events: [...events, { type: 'death' }] }, { now: NOW });
+
+        assert.deepEqual(result, { ok: true, status: 201, saved: events.length, dropped: 1 });
+        assert.equal(store.events[0].userId, 'uid-1');
+        const summary = await getTelemetrySummary(store, { days: 7 }, { now: NOW });
+        assert.equal(summary.runs, 1);
+        assert.equal(summary.events, events.length);
+        assert.equal(summary.stages.reduce((sum, stage) => sum + stage.deaths, 0), 1);
+    });
+
+    it('reject signed-out senders and batches of the wrong size', async () => {
+        const store = createMemoryTelemetryStore();
+        assert.equal((await submitTelemetry(store, { userId: null, events: recordIdleRun('r') })).reason, 'unauthenticated');
+        assert.equal((await submitTelemetry(store, { userId: 'uid-1', events: [] })).reason, 'invalid-batch');
+        assert.equal((await submitTelemetry(store, { userId: 'uid-1', events: new Array(101).fill({}) })).reason, 'invalid-batch');
+        assert.equal(store.events.length, 0);
+    });
+});
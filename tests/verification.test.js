@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createReplay, encodeReplay } from '../lib/game/replay';
+import { DEFAULT_STAGE_SET } from '../lib/game/stages';
+import { MAX_RUN_TICKS, verifyRun } from '../lib/game/verification';
+import { getDailySeed } from '../lib/rankings/daily';
+import { createMemoryRankingStore } from '../lib/server/rankingStore';
+import { submitRanking } from '../lib/server/submitRanking';
+import { playIdleRun } from './helpers/idleRun';
+
+const NOW = new Date('2026-10-19T03:00:00Z');
+
+// A custom set with slow bullets, so idling in it scores far more than in the default set
+const EASY_STAGE_SET = {
+    ...DEFAULT_STAGE_SET,
+    id: 'custom',
+    stages: DEFAULT_STAGE_SET.stages.map(stage => ({ ...stage, bulletSpeed: 0.2 })),
+};
+
+// The replay as the client sends it, with its header fields overridden
+const encodeRun = (gameData, overrides = {}) => JSON.stringify({ ...JSON.parse(encodeReplay(createReplay(gameData))), ...overrides });
+
+describe('ranked run verification', () => {
+    it('accepts a full classic run of the default stages', () => {
+        const gameData = playIdleRun({ seed: 7 });
+        const result = verifyRun(encodeRun(gameData), gameData.finalScore);
+        assert.equal(result.ok, true);
+        assert.equal(result.finalScore, Math.floor(gameData.finalScore));
+    });
+
+    it('rejects runs longer than any real run before re-simulating them', () => {
+        const gameData = playIdleRun({ seed: 7 });
+        assert.equal(verifyRun(encodeRun(gameData, { e: MAX_RUN_TICKS + 1 }), gameData.finalScore).reason, 'invalid-length');
+    });
+
+    it('rejects run headers the simulation cannot play, even for unranked class runs', () => {
+        const gameData = playIdleRun({ seed: 7 });
+        const headers = [
+            { st: 0 }, { st: -3 }, { st: 'x' }, { st: 1.5 },
+            { d: 0.001 }, { d: 0 }, { d: 'x' },
+            { s: -1 }, { s: 2 ** 32 }, { s: 1.5 }, { s: 'x' },
+        ];
+        headers.forEach(header => {
+            const result = verifyRun(encodeRun(gameData, header), gameData.finalScore, { rankedOnly: false });
+            assert.equal(result.reason, 'malformed-replay', JSON.stringify(header));
+        });
+    });
+
+    it('rejects a custom stage set embedded under the default id', async () => {
+        const gameData = playIdleRun({ seed: 7, stageSet: EASY_STAGE_SET });
+        const store = createMemoryRankingStore();
+        const forgeries = [
+            encodeRun(gameData, { ss: DEFAULT_STAGE_SET.id, sd: { ...EASY_STAGE_SET, id: DEFAULT_STAGE_SET.id } }),
+            encodeRun(gameData, { ss: DEFAULT_STAGE_SET.id }),
+        ];
+        for (const replay of forgeries) {
+            const result = await submitRanking(store, { userId: 'uid-1', playerId: 'Player_1234abcd', replay, score: gameData.finalScore }, { now: NOW });
+            assert.equal(result.ok, false);
+            assert.ok(['unranked-run', 'malformed-replay'].includes(result.reason), result.reason);
+        }
+        assert.equal(store.rankings.size, 0);
+        assert.equal(store.bests.size, 0);
+    });
+
+    it('does not rank replays recorded on an older default stage set', () => {
+        const gameData = playIdleRun({ seed: 7 });
+        [1, 2, 3, 4].forEach(version => {
+            const result = verifyRun(encodeRun(gameData, { v: version }), gameData.finalScore);
+            assert.equal(result.reason, 'unranked-run', `v${version}`);
+        });
+    });
+});
+
+describe('profile linking', () => {
+    it('only offers runs the server verified to the all-time board', async () => {
+        const store = createMemoryRankingStore();
+        const gameData = playIdleRun({ seed: 7 });
+        await submitRanking(store, { userId: 'uid-1', playerId: 'Player_1234abcd', replay: encodeRun(gameData), score: gameData.finalScore }, { now: NOW });
+        // A run log an old client wrote itself, e.g. a debug stage-select run
+        store.rankings.set('client_1', { playerId: 'Player_1234abcd', userId: 'uid-1', score: 99999, stage: 9, replayId: 'replay_client' });
+        store.bests.clear();
+
+        await store.linkPlayer({ userId: 'uid-1', playerId: '크로코', now: NOW });
+        const best = store.bests.get('all_all/uid-1');
+        assert.equal(best.score, Math.floor(gameData.finalScore));
+        assert.equal(best.playerId, '크로코');
+        assert.equal(best.verifiedAt, undefined);
+    });
+});
+
+describe('run ownership', () => {
+    it('rejects a replay that was already submitted, whoever sends it', async () => {
+        const store = createMemoryRankingStore();
+        for (const seed of [7, getDailySeed('2026-10-19')]) {
+            const gameData = playIdleRun({ seed });
+            const submission = { playerId: 'Player_1234abcd', replay: encodeRun(gameData), score: gameData.finalScore };
+            assert.equal((await submitRanking(store, { ...submission, userId: 'uid-1' }, { now: NOW })).ok, true);
+
+            const copied = encodeRun(gameData, { n: 'Player_5678abcd' });
+            const copy = await submitRanking(store, { ...submission, userId: 'uid-2', playerId: 'Player_5678abcd', replay: copied }, { now: NOW });
+            assert.equal(copy.reason, 'duplicate-run');
+            assert.equal((await submitRanking(store, { ...submission, userId: 'uid-1' }, { now: NOW })).reason, 'duplicate-run');
+        }
+        assert.equal(store.rankings.size, 2);
+        assert.ok([...store.bests.keys(), ...store.dailyBests.keys()].every(key => key.endsWith('/uid-1')));
+    });
+});